@@ -0,0 +1,108 @@
+// Address checksum validation (EIP-55 and Rootstock's EIP-1191)
+
+// Keccak-256 as used by Ethereum and Rootstock (not the final SHA3-256 standard).
+// BigInt lanes keep it short; it is only used on 40-character addresses.
+const MASK = (1n << 64n) - 1n;
+const RATE_BYTES = 136;
+const ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808An, 0x8000000080008000n,
+  0x000000000000808Bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008An, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000An,
+  0x000000008000808Bn, 0x800000000000008Bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800An, 0x800000008000000An,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+// Rotation offsets indexed [x][y]
+const ROTATIONS = [
+  [0, 36, 3, 41, 18],
+  [1, 44, 10, 45, 2],
+  [62, 6, 43, 15, 61],
+  [28, 55, 25, 21, 56],
+  [27, 20, 39, 8, 14]
+];
+
+// Rootstock chain ids, used by EIP-1191 checksums
+export const RSK_CHAIN_IDS = { mainnet: 30, testnet: 31 };
+
+function rotateLeft(value, bits) {
+  if (bits === 0) return value;
+  const shift = BigInt(bits);
+  return ((value << shift) | (value >> (64n - shift))) & MASK;
+}
+
+// The Keccak-f[1600] permutation over 25 lanes, lane (x, y) at index x + 5y
+function permute(state) {
+  for (const roundConstant of ROUND_CONSTANTS) {
+    // θ
+    const columns = [0, 1, 2, 3, 4].map(x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+    for (let x = 0; x < 5; x++) {
+      const d = columns[(x + 4) % 5] ^ rotateLeft(columns[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+    }
+
+    // ρ and π
+    const moved = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotateLeft(state[x + 5 * y], ROTATIONS[x][y]);
+      }
+    }
+
+    // χ
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = moved[x + y] ^ (~moved[((x + 1) % 5) + y] & MASK & moved[((x + 2) % 5) + y]);
+      }
+    }
+
+    // ι
+    state[0] ^= roundConstant;
+  }
+}
+
+// Keccak-256 of a string (UTF-8) or Buffer, as a hex string
+export function keccak256(input) {
+  const data = Buffer.isBuffer(input) ? input : Buffer.from(input, "utf8");
+  const padded = Buffer.alloc(Math.ceil((data.length + 1) / RATE_BYTES) * RATE_BYTES);
+  data.copy(padded);
+  padded[data.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += RATE_BYTES) {
+    for (let lane = 0; lane < RATE_BYTES / 8; lane++) {
+      state[lane] ^= padded.readBigUInt64LE(offset + lane * 8);
+    }
+    permute(state);
+  }
+
+  const digest = Buffer.alloc(32);
+  for (let lane = 0; lane < 4; lane++) digest.writeBigUInt64LE(state[lane], lane * 8);
+  return digest.toString("hex");
+}
+
+// Mixed-case checksum form of an address. With a chain id the EIP-1191 variant is used.
+export function toChecksumAddress(address, chainId = null) {
+  const hex = address.toLowerCase().replace(/^0x/, "");
+  const hash = keccak256(chainId === null ? hex : `${chainId}0x${hex}`);
+  return "0x" + [...hex].map((ch, i) => (parseInt(hash[i], 16) >= 8 ? ch.toUpperCase() : ch)).join("");
+}
+
+// Check an address: { valid, checksummed, reason }. All-lowercase or all-uppercase addresses
+// carry no checksum and are accepted; mixed case must match EIP-55 or EIP-1191 for Rootstock.
+export function checkAddress(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return { valid: false, checksummed: false, reason: "not a 0x-prefixed 20-byte hex address" };
+  }
+
+  const hex = address.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) {
+    return { valid: true, checksummed: false, reason: null };
+  }
+
+  const candidates = [null, RSK_CHAIN_IDS.mainnet, RSK_CHAIN_IDS.testnet];
+  if (candidates.some(chainId => toChecksumAddress(address, chainId) === address)) {
+    return { valid: true, checksummed: true, reason: null };
+  }
+  return { valid: false, checksummed: false, reason: `checksum mismatch (expected ${toChecksumAddress(address)})` };
+}
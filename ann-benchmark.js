@@ -0,0 +1,202 @@
+// ann-benchmark.js
+// Recall and latency of the HNSW index (vector-index.js) against exact search, on a synthetic
+// corpus of clustered Gaussian vectors
+//
+//   node ann-benchmark.js [--size 100000] [--dims 128] [--queries 200] [--k 10] [--ef 16,32,64,128,256]
+//                         [--m 16] [--ef-construction 200] [--clusters 100] [--workers 0] [--seed 42]
+//                         [--report logs/ann-benchmark.json]
+import fs from "fs";
+import path from "path";
+import { HnswIndex, createVectorStore, exactSearch, normalize } from "./vector-index.js";
+import SearchPool from "./search-pool.js";
+
+const DEFAULTS = {
+  size: 100000,
+  dims: 128,
+  queries: 200,
+  k: 10,
+  ef: [16, 32, 64, 128, 256],
+  m: 16,
+  efConstruction: 200,
+  clusters: 100,
+  workers: 0, // 0 = search on the main thread, like searchWorkers
+  seed: 42,
+  report: "./logs/ann-benchmark.json"
+};
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--size": options.size = Number(value()); break;
+      case "--dims": options.dims = Number(value()); break;
+      case "--queries": options.queries = Number(value()); break;
+      case "--k": options.k = Number(value()); break;
+      case "--ef": options.ef = value().split(",").map(Number); break;
+      case "--m": options.m = Number(value()); break;
+      case "--ef-construction": options.efConstruction = Number(value()); break;
+      case "--clusters": options.clusters = Number(value()); break;
+      case "--workers": options.workers = Number(value()); break;
+      case "--seed": options.seed = Number(value()); break;
+      case "--report": options.report = value(); break;
+      default: throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+  for (const name of ["size", "dims", "queries", "k", "m", "efConstruction", "clusters"]) {
+    if (!Number.isInteger(options[name]) || options[name] < 1) throw new Error(`--${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)} must be a positive integer`);
+  }
+  if (options.ef.length === 0 || !options.ef.every(ef => Number.isInteger(ef) && ef >= 1)) {
+    throw new Error("--ef must be a comma-separated list of positive integers");
+  }
+  if (!Number.isInteger(options.workers) || options.workers < 0) throw new Error("--workers must be 0 or a positive integer");
+  if (!Number.isInteger(options.seed)) throw new Error("--seed must be an integer");
+  return options;
+}
+
+// Seeded PRNG (mulberry32), so runs with the same options compare the same corpus
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+// `count` vectors around `clusters` random centers: topics, roughly like document embeddings.
+// Returns the rows of one Float32Array.
+function clusteredVectors(count, dims, centers, random) {
+  const data = new Float32Array(count * dims);
+  for (let row = 0; row < count; row++) {
+    const center = centers[Math.floor(random() * centers.length)];
+    for (let i = 0; i < dims; i++) data[row * dims + i] = center[i] + 0.35 * gaussian(random);
+  }
+  return Array.from({ length: count }, (_, row) => data.subarray(row * dims, (row + 1) * dims));
+}
+
+// Nearest-rank percentile
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function latencySummary(values) {
+  return { mean: values.reduce((a, b) => a + b, 0) / values.length, p50: percentile(values, 50), p95: percentile(values, 95), max: percentile(values, 100) };
+}
+
+// Run one search per query, timing each. Returns { results, latency } with latencies in ms.
+async function timeQueries(queries, search) {
+  const results = [];
+  const times = [];
+  for (const query of queries) {
+    const start = process.hrtime.bigint();
+    results.push(await search(query));
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return { results, latency: latencySummary(times) };
+}
+
+const mb = bytes => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+const ms = value => `${value.toFixed(2)}ms`;
+
+let pool = null;
+try {
+  const options = parseArgs(process.argv.slice(2));
+  pool = options.workers > 0 ? new SearchPool({ size: options.workers }) : null;
+
+  const random = createRandom(options.seed);
+  const centers = Array.from({ length: options.clusters }, () => Array.from({ length: options.dims }, () => gaussian(random)));
+
+  console.log(`🧪 Generating ${options.size} vectors of ${options.dims} dimensions in ${options.clusters} clusters...`);
+  const vectors = clusteredVectors(options.size, options.dims, centers, random);
+  const queries = clusteredVectors(options.queries, options.dims, centers, random).map(normalize);
+  const store = createVectorStore(vectors);
+
+  console.log(`🏗️  Building the HNSW graph (M ${options.m}, efConstruction ${options.efConstruction})...`);
+  const heapBefore = process.memoryUsage();
+  const buildStart = Date.now();
+  const graph = new HnswIndex({ dimensions: options.dims, m: options.m, efConstruction: options.efConstruction, seed: options.seed });
+  const step = Math.max(1, Math.floor(options.size / 10));
+  vectors.forEach((vector, i) => {
+    graph.add(i, vector);
+    if ((i + 1) % step === 0 && i + 1 < options.size) {
+      console.log(`   ⏳ ${i + 1}/${options.size} (${((Date.now() - buildStart) / 1000).toFixed(1)}s)`);
+    }
+  });
+  const buildMs = Date.now() - buildStart;
+  const memoryAfter = process.memoryUsage();
+  const graphBytes = (graph.count * (options.dims + graph.m0 + 2) + graph.upperUsed) * 4;
+  console.log(`   ✅ Built in ${(buildMs / 1000).toFixed(1)}s, graph ${mb(graphBytes)} (${mb(store.data.byteLength)} of it vectors)`);
+
+  const snapshot = graph.snapshot();
+  const live = new Int32Array(new SharedArrayBuffer(graph.count * 4)).map((_, node) => node);
+
+  console.log(`🔎 Exact search, ${options.queries} queries${pool ? ` on ${options.workers} workers` : ""}...`);
+  const exact = await timeQueries(queries, query => (pool
+    ? pool.exact(store, query, options.k)
+    : exactSearch(store, query, options.k)));
+  const truth = exact.results.map(results => new Set(results.map(result => result.id)));
+
+  const runs = [];
+  for (const ef of options.ef) {
+    console.log(`🧭 HNSW search, ef ${ef}...`);
+    const hnsw = await timeQueries(queries, query => (pool
+      ? pool.hnsw(snapshot, live, query, options.k, { ef })
+      : graph.search(query, options.k, { ef })));
+    const recalls = hnsw.results.map((results, q) => results.filter(result => truth[q].has(result.id)).length / options.k);
+    runs.push({
+      ef,
+      recall: recalls.reduce((a, b) => a + b, 0) / recalls.length,
+      minRecall: Math.min(...recalls),
+      latency: hnsw.latency,
+      speedup: exact.latency.p50 / hnsw.latency.p50
+    });
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    config: options,
+    build: {
+      durationMs: buildMs,
+      graphBytes,
+      vectorBytes: store.data.byteLength,
+      heapUsedBytes: memoryAfter.heapUsed - heapBefore.heapUsed,
+      levels: graph.maxLevel + 1
+    },
+    exact: { latency: exact.latency },
+    hnsw: runs
+  };
+
+  console.log("\n" + "═".repeat(80));
+  console.log(`📊 ANN BENCHMARK: ${options.size} × ${options.dims}, k ${options.k}, ${options.queries} queries${pool ? `, ${options.workers} workers` : ""}`);
+  console.log("═".repeat(80));
+  console.log(`   🏗️  Build: ${(buildMs / 1000).toFixed(1)}s, ${Math.round(options.size / (buildMs / 1000))} vectors/s, ${graph.maxLevel + 1} levels, graph ${mb(graphBytes)}`);
+  console.log(`   ${"search".padEnd(12)} ${"recall@" + options.k}  ${"min".padStart(6)}  ${"p50".padStart(9)}  ${"p95".padStart(9)}  speedup`);
+  console.log(`   ${"exact".padEnd(12)} ${"1.000".padStart(9)}  ${"1.000".padStart(6)}  ${ms(exact.latency.p50).padStart(9)}  ${ms(exact.latency.p95).padStart(9)}  1.0×`);
+  for (const run of runs) {
+    console.log(`   ${`hnsw ef ${run.ef}`.padEnd(12)} ${run.recall.toFixed(3).padStart(9)}  ${run.minRecall.toFixed(3).padStart(6)}  ${ms(run.latency.p50).padStart(9)}  ${ms(run.latency.p95).padStart(9)}  ${run.speedup.toFixed(1)}×`);
+  }
+
+  fs.mkdirSync(path.dirname(options.report), { recursive: true });
+  fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+  console.log(`\n📄 Report written to ${options.report}`);
+} catch (error) {
+  console.error("❌ Benchmark failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  pool?.close();
+}
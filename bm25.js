@@ -0,0 +1,101 @@
+// In-process BM25 lexical index and reciprocal rank fusion
+
+// Identifiers are kept whole and also split into their parts, so "getFederationAddress"
+// matches "federation address", "--wallet" matches "wallet" and "batch-transfer" matches both words
+export function tokenize(text) {
+  const tokens = [];
+  const raw = text.match(/-{0,2}[A-Za-z0-9_$][A-Za-z0-9_$-]*/g) || [];
+
+  for (const token of raw) {
+    const whole = token.toLowerCase();
+    tokens.push(whole);
+
+    const bare = token.replace(/^-+/, "");
+    const parts = bare
+      .split(/[-_$]+/)
+      .flatMap(part => part.split(/(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/))
+      .map(part => part.toLowerCase())
+      .filter(Boolean);
+
+    if (bare.toLowerCase() !== whole) tokens.push(bare.toLowerCase());
+    if (parts.length > 1) tokens.push(...parts);
+  }
+
+  return tokens;
+}
+
+class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1; // Term frequency saturation
+    this.b = b;   // Document length normalization
+    this.documents = [];         // Per document: Map(term -> frequency)
+    this.lengths = [];
+    this.documentFrequency = new Map();
+    this.averageLength = 0;
+  }
+
+  // Index texts; a text's position is its id in search results
+  build(texts) {
+    this.documents = [];
+    this.lengths = [];
+    this.documentFrequency = new Map();
+
+    for (const text of texts) {
+      const frequencies = new Map();
+      const tokens = tokenize(text);
+      for (const token of tokens) {
+        frequencies.set(token, (frequencies.get(token) || 0) + 1);
+      }
+      for (const term of frequencies.keys()) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      }
+      this.documents.push(frequencies);
+      this.lengths.push(tokens.length);
+    }
+
+    const totalLength = this.lengths.reduce((a, b) => a + b, 0);
+    this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length : 0;
+    return this;
+  }
+
+  idf(term) {
+    const n = this.documents.length;
+    const df = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  // Best k documents for a query: [{ id, score }], highest score first, zero scores dropped
+  search(query, k = 10) {
+    const terms = [...new Set(tokenize(query))].filter(term => this.documentFrequency.has(term));
+    if (terms.length === 0) return [];
+
+    const results = [];
+    this.documents.forEach((frequencies, id) => {
+      let score = 0;
+      for (const term of terms) {
+        const tf = frequencies.get(term);
+        if (!tf) continue;
+        const norm = 1 - this.b + this.b * (this.lengths[id] / this.averageLength);
+        score += this.idf(term) * (tf * (this.k1 + 1)) / (tf + this.k1 * norm);
+      }
+      if (score > 0) results.push({ id, score });
+    });
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, k);
+  }
+}
+
+// Fuse ranked lists of ids with weighted reciprocal rank fusion.
+// lists: [{ ids: [id, ...] (best first), weight }]. Returns Map(id -> fused score).
+export function reciprocalRankFusion(lists, { k = 60 } = {}) {
+  const fused = new Map();
+  for (const { ids, weight = 1 } of lists) {
+    ids.forEach((id, rank) => {
+      fused.set(id, (fused.get(id) || 0) + weight / (k + rank + 1));
+    });
+  }
+  return fused;
+}
+
+export default BM25Index;
@@ -0,0 +1,111 @@
+// Slash commands of the interactive chat: the command list, tab completion, persistent
+// input history and the Markdown export of a session
+import fs from "fs";
+import path from "path";
+import { redactText } from "./query-log.js";
+
+export const DEFAULT_HISTORY_FILE = "./logs/chat-history.txt";
+
+// Shown by /help and completed with Tab
+export const SLASH_COMMANDS = [
+  { name: "/help", usage: "/help", description: "List these commands" },
+  { name: "/sources", usage: "/sources", description: "Show the chunks behind the last answer" },
+  { name: "/mode", usage: "/mode <profile>", description: "Switch the settings profile (normal, fast, ultra or your own)" },
+  { name: "/k", usage: "/k <n>", description: "Chunks retrieved per question from now on" },
+  { name: "/debug", usage: "/debug on|off", description: "Show or hide the analytics panels" },
+  { name: "/faq", usage: "/faq list | /faq search <words>", description: "Browse the FAQ or find the entries closest to some words" },
+  { name: "/history", usage: "/history", description: "Questions asked in this session" },
+  { name: "/save", usage: "/save [file.md]", description: "Export this session as Markdown (default transcript.md)" },
+  { name: "/clear", usage: "/clear", description: "Forget the conversation so far" },
+  { name: "/run", usage: "/run [--allow-mainnet] [rsk-cli ...]", description: "Execute the last suggested command (preview and confirmation first)" },
+  { name: "/good", usage: "/good", description: "Rate the last answer as good" },
+  { name: "/bad", usage: "/bad [correction]", description: "Rate the last answer as bad, optionally with what it should have said" },
+  { name: "/reload", usage: "/reload", description: "Pick up edits to the docs, sources, FAQ and query aliases" }
+];
+
+// readline completer: command names, then the arguments of /mode, /debug and /faq.
+// Returns [completions, the part of the line they complete].
+export function completeCommand(line, { profiles = [] } = {}) {
+  const match = line.match(/^(\/\S*)(\s+)?(\S*)$/);
+  if (!match) return [[], line];
+  const [, command, space, argument] = match;
+
+  if (!space) {
+    const names = SLASH_COMMANDS.map(entry => entry.name).filter(name => name.startsWith(command.toLowerCase()));
+    return [names.length === 1 ? [`${names[0]} `] : names, line];
+  }
+
+  const choices = { "/mode": profiles, "/debug": ["on", "off"], "/faq": ["list", "search"] }[command.toLowerCase()] || [];
+  return [choices.filter(choice => choice.startsWith(argument)), argument];
+}
+
+// Input lines saved by a previous session, newest first (the order readline expects)
+export function loadHistory(file = DEFAULT_HISTORY_FILE, size = 500) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8")
+    .split("\n")
+    .filter(line => line.trim())
+    .reverse()
+    .slice(0, size);
+}
+
+// Save readline's history (newest first) oldest first, one line each. Lines go through the
+// "secrets" redaction of the query log, so keys and passwords are not kept on disk.
+export function saveHistory(history, file = DEFAULT_HISTORY_FILE) {
+  const lines = [...history].reverse().map(line => redactText(line, "secrets").replace(/\n/g, " "));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, lines.join("\n") + (lines.length > 0 ? "\n" : ""));
+}
+
+// The chunks behind an answer, one block per source: location, scores and the start of its text
+export function describeSources(result, { excerpt = 300 } = {}) {
+  if (result.path === "faq") {
+    return [`📚 FAQ answer from "${result.category}" (matched "${result.matchedQuestion}", confidence ${result.confidence.toFixed(3)}); no chunks were retrieved`];
+  }
+  if (result.sources.length === 0) return ["📭 No sources behind this answer"];
+
+  return result.sources.flatMap(source => {
+    const scores = [
+      source.score !== undefined ? `similarity ${source.score.toFixed(3)}` : null,
+      source.fusedScore !== undefined ? `BM25 ${source.lexicalScore.toFixed(3)}` : null,
+      source.rerankScore !== undefined ? `rerank ${source.rerankScore.toFixed(3)}` : null
+    ].filter(Boolean);
+    const lines = [`[${source.id}] ${source.cited ? "📎" : "  "} ${source.location}${scores.length > 0 ? ` (${scores.join(", ")})` : ""}`];
+    if (source.text) {
+      const text = source.text.replace(/\s+/g, " ").trim();
+      lines.push(`     ${text.substring(0, excerpt)}${text.length > excerpt ? "..." : ""}`);
+    }
+    return lines;
+  });
+}
+
+// Markdown of a chat session. entries: [{ question, result, timestamp }], result null when the
+// question failed or was cancelled.
+export function formatTranscript(entries, { profile = null, startedAt = null } = {}) {
+  const lines = ["# rsk-cli chat transcript", ""];
+  if (startedAt) lines.push(`- Started: ${startedAt}`);
+  if (profile) lines.push(`- Profile: ${profile}`);
+  lines.push(`- Questions: ${entries.length}`, "");
+
+  entries.forEach(({ question, result, timestamp }, i) => {
+    lines.push(`## ${i + 1}. ${question.replace(/\s+/g, " ")}`, "");
+    if (timestamp) lines.push(`_${timestamp}_`, "");
+    if (!result) {
+      lines.push("_No answer (cancelled or failed)_", "");
+      return;
+    }
+    if (result.standaloneQuestion && result.standaloneQuestion !== question) {
+      lines.push(`_Understood as: "${result.standaloneQuestion}"_`, "");
+    }
+    lines.push(result.answer.trim(), "");
+    if (result.path === "faq" && result.command) {
+      lines.push("```bash", result.command, "```", "");
+    }
+    const cited = (result.sources || []).filter(source => source.cited);
+    if (cited.length > 0) {
+      lines.push("**Sources**", "", ...cited.map(source => `- [${source.id}] ${source.location}`), "");
+    }
+    lines.push(`_${result.path}, ${(result.timings.total / 1000).toFixed(2)}s_`, "");
+  });
+  return lines.join("\n");
+}
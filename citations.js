@@ -0,0 +1,77 @@
+// Source labels for retrieved chunks, and checking the [S1]-style citations in answers against them
+
+// Matches "[S1]", "[S1, S3]" and "[S1][S2]"-style markers
+const CITATION_PATTERN = /\[(S\d+(?:\s*,\s*S\d+)*)\]/g;
+
+// Short location of a chunk: "src/commands/transfer.ts:84-381 (transferCommand)" for code,
+// "README.md › Features > Transfer (RBTC and ERC20)" for documentation
+export function formatLocation(metadata) {
+  const file = (metadata.source || "unknown").replace(/^\.\//, "");
+  if (metadata.breadcrumb) return `${file} › ${metadata.breadcrumb}`;
+
+  const lines = metadata.startLine ? `:${metadata.startLine}-${metadata.endLine}` : "";
+  const symbol = metadata.symbol ? ` (${metadata.symbol})` : "";
+  return `${file}${lines}${symbol}`;
+}
+
+// Label retrieved chunks S1..Sn and join them into the prompt context.
+// Returns { context, labels: [{ id, location, source, startLine, endLine, section }] }
+export function buildCitedContext(chunks) {
+  const labels = chunks.map((chunk, i) => ({
+    id: `S${i + 1}`,
+    location: formatLocation(chunk.metadata),
+    source: chunk.metadata.source,
+    startLine: chunk.metadata.startLine || null,
+    endLine: chunk.metadata.endLine || null,
+    section: chunk.metadata.breadcrumb || null
+  }));
+
+  const context = chunks
+    .map((chunk, i) => `[${labels[i].id}] ${labels[i].location}\n${chunk.text}`)
+    .join("\n\n---\n\n");
+  return { context, labels };
+}
+
+// Citation IDs in the order they first appear in the answer
+function citedIds(answer) {
+  const ids = [];
+  for (const match of answer.matchAll(CITATION_PATTERN)) {
+    for (const id of match[1].split(",").map(part => part.trim())) {
+      if (!ids.includes(id)) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+// Check the answer's citations against the retrieved labels:
+// { cited: [label], invalid: [id], uncited: [label] }. Invalid IDs point at nothing retrieved.
+export function validateCitations(answer, labels) {
+  const byId = new Map(labels.map(label => [label.id, label]));
+  const ids = citedIds(answer);
+  return {
+    cited: ids.filter(id => byId.has(id)).map(id => byId.get(id)),
+    invalid: ids.filter(id => !byId.has(id)),
+    uncited: labels.filter(label => !ids.includes(label.id))
+  };
+}
+
+// Answer text without citation markers, e.g. for conversation history where the IDs mean nothing
+export function stripCitations(answer) {
+  return answer.replace(/\s?\[S\d+(?:\s*,\s*S\d+)*\]/g, "");
+}
+
+// "Sources" footer lines. Falls back to the retrieved chunks when the model cited none.
+export function formatSourcesFooter(citations) {
+  const lines = [];
+  if (citations.cited.length > 0) {
+    lines.push("📎 Sources:");
+    citations.cited.forEach(label => lines.push(`   [${label.id}] ${label.location}`));
+  } else if (citations.uncited.length > 0) {
+    lines.push("📎 Sources (retrieved, not cited in the answer):");
+    citations.uncited.forEach(label => lines.push(`   [${label.id}] ${label.location}`));
+  }
+  if (citations.invalid.length > 0) {
+    lines.push(`   ⚠️  Ignored citations to sources that were not retrieved: ${citations.invalid.map(id => `[${id}]`).join(", ")}`);
+  }
+  return lines;
+}
@@ -0,0 +1,255 @@
+// Syntax-aware chunking of TypeScript/JavaScript sources along top-level declarations
+import { Document } from "langchain/document";
+
+const DECLARATION_PATTERN = /^(export\s+)?(default\s+)?(declare\s+)?(abstract\s+)?(async\s+)?(function\*?|class|interface|type|enum|const|let|var)\s+([A-Za-z_$][\w$]*)/;
+const IMPORT_PATTERN = /^(import\b|export\s+(\*|\{[^}]*\})\s+from\b)/;
+const FUNCTION_INITIALIZER = /=\s*(async\s+)?(function\b|\([^)]*\)\s*(:[^=]+)?=>|\(\s*$|[A-Za-z_$][\w$]*\s*=>)/;
+const REGEX_PRECEDERS = "(,=:[!&|?{};+-*%<>~^";
+
+// Walk the source once and record, for every line, the bracket depth at its start
+// and whether it starts in plain code (not inside a comment, string or template).
+function scanLines(source) {
+  const states = [{ depth: 0, inCode: true }];
+  const templateDepths = []; // Bracket depth at which each `${` was opened
+  let depth = 0;
+  let mode = "code";         // code | lineComment | blockComment | single | double | template | regex
+  let inRegexClass = false;
+  let lastSignificant = "";  // Last code character, tells a regex from a division
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    const next = source[i + 1];
+
+    if (ch === "\n") {
+      // Line comments, quotes and regexes never span lines
+      if (mode === "lineComment" || mode === "single" || mode === "double" || mode === "regex") {
+        mode = "code";
+      }
+      states.push({ depth, inCode: mode === "code" });
+      continue;
+    }
+
+    switch (mode) {
+      case "lineComment":
+        break;
+      case "blockComment":
+        if (ch === "*" && next === "/") {
+          mode = "code";
+          i++;
+        }
+        break;
+      case "single":
+      case "double":
+        if (ch === "\\") i++;
+        else if ((mode === "single" && ch === "'") || (mode === "double" && ch === "\"")) mode = "code";
+        break;
+      case "regex":
+        if (ch === "\\") i++;
+        else if (ch === "[") inRegexClass = true;
+        else if (ch === "]") inRegexClass = false;
+        else if (ch === "/" && !inRegexClass) mode = "code";
+        break;
+      case "template":
+        if (ch === "\\") i++;
+        else if (ch === "`") mode = "code";
+        else if (ch === "$" && next === "{") {
+          templateDepths.push(depth);
+          depth++;
+          mode = "code";
+          i++;
+        }
+        break;
+      default:
+        if (ch === "/" && next === "/") {
+          mode = "lineComment";
+          i++;
+        } else if (ch === "/" && next === "*") {
+          mode = "blockComment";
+          i++;
+        } else if (ch === "'" || ch === "\"" || ch === "`") {
+          mode = ch === "'" ? "single" : (ch === "\"" ? "double" : "template");
+          lastSignificant = ch;
+        } else if (ch === "/" && (lastSignificant === "" || REGEX_PRECEDERS.includes(lastSignificant) ||
+          /\b(return|typeof|case)\s*$/.test(source.slice(Math.max(0, i - 10), i)))) {
+          mode = "regex";
+          inRegexClass = false;
+          lastSignificant = "/";
+        } else {
+          if (ch === "{" || ch === "(" || ch === "[") {
+            depth++;
+          } else if (ch === "}" || ch === ")" || ch === "]") {
+            depth = Math.max(0, depth - 1);
+            if (ch === "}" && templateDepths.length > 0 && templateDepths[templateDepths.length - 1] === depth) {
+              templateDepths.pop();
+              mode = "template";
+            }
+          }
+          if (!/\s/.test(ch)) lastSignificant = ch;
+        }
+    }
+  }
+
+  return states;
+}
+
+function isCommentLine(text) {
+  return text.startsWith("//") || text.startsWith("/*");
+}
+
+// Describe a unit from its first code line
+function classify(lines) {
+  const firstCode = lines.find(line => {
+    const text = line.trim();
+    return text !== "" && !isCommentLine(text) && !text.startsWith("*");
+  }) || "";
+
+  if (IMPORT_PATTERN.test(firstCode)) {
+    return { kind: "imports", symbol: null, exported: false };
+  }
+
+  const match = firstCode.match(DECLARATION_PATTERN);
+  if (!match) {
+    return { kind: "statement", symbol: null, exported: /^export\b/.test(firstCode) };
+  }
+
+  const keyword = match[6];
+  let kind;
+  if (keyword.startsWith("function")) kind = "function";
+  else if (keyword === "const" || keyword === "let" || keyword === "var") {
+    if (FUNCTION_INITIALIZER.test(firstCode)) kind = "function";
+    else kind = keyword === "const" ? "constant" : "variable";
+  } else kind = keyword;
+
+  return { kind, symbol: match[7], exported: Boolean(match[1]) };
+}
+
+// Split a source file into top-level units: { startLine, endLine, kind, symbol, exported }
+// Lines are 1-based and inclusive. Comments directly above a declaration belong to it,
+// consecutive imports and consecutive anonymous statements are grouped.
+export function findTopLevelUnits(source) {
+  const lines = source.split("\n");
+  const states = scanLines(source);
+  const starts = [];
+  let commentStart = null;
+
+  lines.forEach((line, i) => {
+    const { depth, inCode } = states[i];
+    if (depth !== 0 || !inCode) return;
+
+    const text = line.trim();
+    if (text === "") {
+      commentStart = null; // Detached comments stay with the previous unit
+      return;
+    }
+    // Top-level statements start in column 0; indented lines continue the previous one
+    if (/^\s/.test(line) || /^[})\].]/.test(text)) return;
+
+    if (isCommentLine(text)) {
+      if (commentStart === null) commentStart = i;
+      return;
+    }
+    starts.push(commentStart ?? i);
+    commentStart = null;
+  });
+
+  if (starts.length === 0) {
+    return lines.some(line => line.trim() !== "")
+      ? [{ startLine: 1, endLine: lines.length, kind: "statement", symbol: null, exported: false }]
+      : [];
+  }
+  starts[0] = 0; // File headers belong to the first unit
+
+  const units = [];
+  starts.forEach((start, j) => {
+    let end = (j + 1 < starts.length ? starts[j + 1] : lines.length) - 1;
+    while (end > start && lines[end].trim() === "") end--;
+
+    const unit = { startLine: start + 1, endLine: end + 1, ...classify(lines.slice(start, end + 1)) };
+    const previous = units[units.length - 1];
+    const groupable = unit.kind === "imports" || (unit.kind === "statement" && !unit.exported);
+
+    if (previous && groupable && previous.kind === unit.kind && !previous.exported) {
+      previous.endLine = unit.endLine;
+    } else {
+      units.push(unit);
+    }
+  });
+
+  return units;
+}
+
+// Cut an oversized unit into line-aligned parts, preferring blank lines as cut points
+function splitLines(lines, maxChunkSize) {
+  const parts = [];
+  let current = [];
+  let size = 0;
+  let lastBlank = -1;
+
+  for (const line of lines) {
+    if (size + line.length + 1 > maxChunkSize && current.length > 0) {
+      const cut = lastBlank > current.length / 2 ? lastBlank : current.length;
+      parts.push(current.slice(0, cut));
+      current = current.slice(cut);
+      size = current.reduce((total, l) => total + l.length + 1, 0);
+      lastBlank = -1;
+    }
+    current.push(line);
+    size += line.length + 1;
+    if (line.trim() === "") lastBlank = current.length;
+  }
+  if (current.length > 0) parts.push(current);
+
+  return parts;
+}
+
+class CodeSplitter {
+  constructor({ maxChunkSize = 3000 } = {}) {
+    this.maxChunkSize = maxChunkSize; // Larger units are split into numbered parts
+  }
+
+  // Same contract as LangChain's text splitters: Documents in, chunk Documents out
+  async splitDocuments(documents) {
+    return documents.flatMap(doc => this.splitDocument(doc));
+  }
+
+  splitDocument(doc) {
+    const source = doc.pageContent;
+    const lines = source.split("\n");
+    const file = (doc.metadata.source || "").replace(/^\.\//, "");
+    const chunks = [];
+
+    for (const unit of findTopLevelUnits(source)) {
+      const unitLines = lines.slice(unit.startLine - 1, unit.endLine);
+      const parts = unitLines.join("\n").length > this.maxChunkSize
+        ? splitLines(unitLines, this.maxChunkSize)
+        : [unitLines];
+
+      let startLine = unit.startLine;
+      parts.forEach((partLines, i) => {
+        const text = partLines.join("\n");
+        const endLine = startLine + partLines.length - 1;
+
+        if (text.trim() !== "") {
+          chunks.push(new Document({
+            pageContent: text,
+            metadata: {
+              ...doc.metadata,
+              file,
+              symbol: unit.symbol,
+              kind: unit.kind,
+              exported: unit.exported,
+              startLine,
+              endLine,
+              ...(parts.length > 1 ? { part: i + 1, parts: parts.length } : {})
+            }
+          }));
+        }
+        startLine = endLine + 1;
+      });
+    }
+
+    return chunks;
+  }
+}
+
+export default CodeSplitter;
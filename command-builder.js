@@ -0,0 +1,171 @@
+// Fill an FAQ command's declared options from the wording of a question
+import { checkAddress } from "./address-checksum.js";
+
+// Option spec (declared per FAQ entry in docs/faq-commands.json):
+//   { name, flag, type, required?, keywords?, context?, extensions?, pattern? }
+// Types:
+//   boolean  flag only, set when one of `keywords` appears ("on testnet")
+//   wallet   wallet name ("from wallet ops", "using the wallet named ops")
+//   address  0x address, preferably one preceded by a `context` word ("to 0x…", "token 0x…")
+//   hash     0x-prefixed 32-byte hash such as a transaction id
+//   amount   number, preferably one followed by a unit ("0.01 RBTC")
+//   path     file path ending in one of `extensions`, preferably near a `context` word
+//   integer, string  first capture group of `pattern`
+// An explicit "--flag value" in the question always wins.
+
+const HEX_PATTERN = /0x[0-9a-fA-F]+/g;
+const AMOUNT_PATTERN = /(?<![\w.])(\d+(?:\.\d+)?)(?:\s*(t?rbtc|t?rif|doc|usdrif|tokens?|ether|wei)\b)?/gi;
+const WALLET_PATTERNS = [
+  /\b(?:from|using|with)\s+(?:the\s+|my\s+)?wallet\s+(?:named\s+|called\s+)?["']?([\w-]+)/i,
+  /\bwallet\s+(?:named|called)\s+["']?([\w-]+)/i,
+  /\bwallet\s+["']([\w-]+)["']/i
+];
+const NOT_WALLET_NAMES = new Set(["balance", "address", "history", "file", "management", "and", "to", "on", "in"]);
+const CONTEXT_WINDOW = 30; // Characters before a value searched for its context words
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function contextMatches(question, index, context) {
+  if (!context) return false;
+  const before = question.slice(Math.max(0, index - CONTEXT_WINDOW), index);
+  return new RegExp(`\\b(${context})\\b`, "i").test(before);
+}
+
+// Candidates of a type found in the question: [{ value, index }]
+function findCandidates(question, spec) {
+  switch (spec.type) {
+    case "address":
+      return [...question.matchAll(HEX_PATTERN)]
+        .filter(m => m[0].length !== 66) // 32-byte values are hashes
+        .map(m => ({ value: m[0], index: m.index }));
+    case "hash":
+      return [...question.matchAll(HEX_PATTERN)]
+        .filter(m => m[0].length === 66)
+        .map(m => ({ value: m[0], index: m.index }));
+    case "path": {
+      const extensions = (spec.extensions || [".json"]).map(ext => escapeRegExp(ext.replace(/^\./, ""))).join("|");
+      const pattern = new RegExp(`(?:\\.{0,2}\\/)?[\\w.-]+(?:\\/[\\w.-]+)*\\.(?:${extensions})\\b`, "gi");
+      return [...question.matchAll(pattern)].map(m => ({ value: m[0], index: m.index }));
+    }
+    case "amount": {
+      // Hex values contain digits too
+      const text = question.replace(HEX_PATTERN, match => " ".repeat(match.length));
+      return [...text.matchAll(AMOUNT_PATTERN)].map(m => ({ value: m[1], index: m.index, unit: m[2] || null }));
+    }
+    default:
+      return [];
+  }
+}
+
+function extractExplicit(question, spec) {
+  const flag = escapeRegExp(spec.flag);
+  if (spec.type === "boolean") {
+    return new RegExp(`(^|\\s)${flag}(?=\\s|$)`).test(question) ? { value: true, index: null } : undefined;
+  }
+  const match = question.match(new RegExp(`(?:^|\\s)${flag}(?:\\s+|=)("[^"]*"|'[^']*'|\\S+)`));
+  if (!match) return undefined;
+  return { value: match[1].replace(/^["']|["']$/g, ""), index: match.index + match[0].length - match[1].length };
+}
+
+function validate(spec, value) {
+  if (spec.type === "address") {
+    const check = checkAddress(value);
+    return check.valid ? null : check.reason;
+  }
+  if (spec.type === "hash" && !/^0x[0-9a-fA-F]{64}$/.test(value)) return "not a 0x-prefixed 32-byte hash";
+  if (spec.type === "amount" && !(Number(value) > 0)) return "not a positive number";
+  if (spec.type === "integer" && !/^\d+$/.test(value)) return "not a whole number";
+  return null;
+}
+
+// Extract option values from a question: { values: { name: value }, missing: [name], invalid: [{ name, value, reason }] }
+export function extractOptions(question, specs = []) {
+  const values = {};
+  const used = new Set(); // Candidate positions already assigned, so one address never fills two options
+
+  const take = (spec, candidates) => {
+    const free = candidates.filter(c => !used.has(c.index));
+    const chosen = free.find(c => contextMatches(question, c.index, spec.context)) ||
+      (spec.type === "amount" ? free.find(c => c.unit) : null);
+    return chosen || null;
+  };
+
+  // Explicit flags and context-matched values first, positional fallbacks after
+  for (const pass of ["explicit", "context", "fallback"]) {
+    for (const spec of specs) {
+      if (values[spec.name] !== undefined) continue;
+
+      if (pass === "explicit") {
+        const explicit = extractExplicit(question, spec);
+        if (explicit !== undefined) {
+          values[spec.name] = explicit.value;
+          if (explicit.index !== null) used.add(explicit.index);
+        }
+        continue;
+      }
+
+      if (spec.type === "boolean") {
+        if (pass === "context" && (spec.keywords || []).some(keyword => new RegExp(`\\b(${keyword})\\b`, "i").test(question))) {
+          values[spec.name] = true;
+        }
+      } else if (spec.type === "wallet") {
+        const match = pass === "context" && WALLET_PATTERNS.map(pattern => question.match(pattern))
+          .find(m => m && !NOT_WALLET_NAMES.has(m[1].toLowerCase()));
+        if (match) values[spec.name] = match[1];
+      } else if (spec.type === "integer" || spec.type === "string") {
+        const match = pass === "context" && spec.pattern && question.match(new RegExp(spec.pattern, "i"));
+        if (match) values[spec.name] = match.slice(1).find(group => group !== undefined);
+      } else {
+        const candidates = findCandidates(question, spec);
+        const chosen = pass === "context"
+          ? take(spec, candidates)
+          : candidates.find(c => !used.has(c.index)) || null;
+        if (chosen) {
+          values[spec.name] = chosen.value;
+          used.add(chosen.index);
+        }
+      }
+    }
+  }
+
+  const invalid = [];
+  for (const spec of specs) {
+    if (values[spec.name] === undefined || spec.type === "boolean") continue;
+    const reason = validate(spec, values[spec.name]);
+    if (reason) {
+      invalid.push({ name: spec.name, value: values[spec.name], reason });
+      delete values[spec.name];
+    }
+  }
+
+  const missing = specs
+    .filter(spec => spec.required && values[spec.name] === undefined && !invalid.some(i => i.name === spec.name))
+    .map(spec => spec.name);
+
+  return { values, missing, invalid };
+}
+
+function quote(value) {
+  return /[\s"']/.test(value) ? `"${String(value).replace(/"/g, '\\"')}"` : String(value);
+}
+
+// Complete command line for a base command such as "rsk-cli transfer".
+// Required options that are missing or invalid appear as <name> placeholders.
+export function buildCommand(baseCommand, specs, question) {
+  const { values, missing, invalid } = extractOptions(question, specs);
+  const parts = [baseCommand];
+
+  for (const spec of specs) {
+    if (spec.type === "boolean") {
+      if (values[spec.name]) parts.push(spec.flag);
+    } else if (values[spec.name] !== undefined) {
+      parts.push(spec.flag, quote(values[spec.name]));
+    } else if (spec.required) {
+      parts.push(spec.flag, `<${spec.name}>`);
+    }
+  }
+
+  return { command: parts.join(" "), values, missing, invalid, complete: missing.length === 0 && invalid.length === 0 };
+}
@@ -0,0 +1,382 @@
+// Structured catalog of the rsk-cli commands, option types, result shapes, allowed bridge
+// methods and token addresses, parsed from the TypeScript sources (plus the flags documented in
+// the README), and a router that answers catalog-shaped questions from it as tables
+import { formatLocation } from "./citations.js";
+
+// Fields of *CommandOptions types that are filled internally, never from a flag
+const INTERNAL_FIELDS = new Set([
+  "isExternal", "walletsData", "password", "batchData", "selectedType", "functionName",
+  "replaceCurrentWallet", "newWalletName", "newMainWallet", "previousWallet", "deleteWalletName", "pk", "action"
+]);
+
+const FLAG_PATTERN = /^--?[A-Za-z][\w-]*$/;
+
+export function kebabCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+}
+
+// Tokens of an "rsk-cli <command> ..." occurrence, up to the end of its line
+export function invocationTokens(text, index) {
+  return text.slice(index).split("\n")[0].trim().split(/\s+/).slice(1);
+}
+
+// Flags used in a command line, "--flag=value" counted as "--flag"
+export function flagsOf(tokens) {
+  return tokens.map(token => token.split("=")[0]).filter(token => FLAG_PATTERN.test(token));
+}
+
+// Flags per command in the README: every "rsk-cli <command> ..." line and the flags listed in the
+// same "###" section (e.g. "Available Options") count. Returns Map(command -> Map(flag -> example)),
+// example being the first README command line using the flag (null for flags only listed in prose)
+function readmeFlags(readme) {
+  const documented = new Map();
+  const add = (command, flags, example = null) => {
+    if (!documented.has(command)) documented.set(command, new Map());
+    const known = documented.get(command);
+    flags.forEach(flag => {
+      if (!known.get(flag)) known.set(flag, example);
+    });
+  };
+
+  for (const section of readme.split(/\n(?=#{1,3} )/)) {
+    const sectionCommands = new Set();
+    for (const match of section.matchAll(/rsk-cli\s+([a-z][a-z-]*)/g)) {
+      const tokens = invocationTokens(section, match.index);
+      add(tokens[0], flagsOf(tokens.slice(1)), `rsk-cli ${tokens.join(" ")}`.replace(/`.*$/, "").trim());
+      sectionCommands.add(tokens[0]);
+    }
+    // Option lists in prose ("- `-i, --interactive`: ...") belong to the section's only command
+    if (sectionCommands.size === 1) {
+      const listed = [...section.matchAll(/`(-{1,2}[A-Za-z][\w-]*)/g)].map(m => m[1]);
+      const longForms = [...section.matchAll(/`-\w, (--[\w-]+)`/g)].map(m => m[1]);
+      add([...sectionCommands][0], [...listed, ...longForms]);
+    }
+  }
+  return documented;
+}
+
+function lineAt(text, index) {
+  return text.slice(0, index).split("\n").length;
+}
+
+// Index of the bracket closing the one at `open` ("{" or "(")
+function closingIndex(text, open) {
+  const [opening, closing] = text[open] === "(" ? ["(", ")"] : ["{", "}"];
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === opening) depth++;
+    else if (text[i] === closing && --depth === 0) return i;
+  }
+  return text.length;
+}
+
+// Members of a type body or parameter list at the top nesting level
+function splitMembers(body, separators) {
+  const members = [];
+  let depth = 0;
+  let current = "";
+  for (const char of body) {
+    if ("{(<[".includes(char)) depth++;
+    if ("})>]".includes(char)) depth--;
+    if (depth === 0 && separators.includes(char)) {
+      members.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  return [...members, current].map(member => member.trim()).filter(member => member && !member.startsWith("//"));
+}
+
+// [{ name, type, optional, fields? }] of "name?: type" members; inline object types get nested fields
+function parseFields(body, separators = ";\n") {
+  const fields = [];
+  for (const member of splitMembers(body, separators)) {
+    const match = member.match(/^(\w+)(\?)?\s*:\s*([\s\S]+?)(?:\s*=\s*[\s\S]+)?$/);
+    if (!match) continue;
+    const type = match[3].replace(/\s+/g, " ").replace(/ \| undefined$/, "").trim();
+    const field = { name: match[1], type, optional: Boolean(match[2]) || /=/.test(member) };
+    if (type.startsWith("{")) {
+      field.type = "object";
+      field.fields = parseFields(type.slice(1, closingIndex(type, 0)));
+    }
+    fields.push(field);
+  }
+  return fields;
+}
+
+// Every "type X = { ... }" and "interface X { ... }" in the sources, by name
+function collectTypes(sources) {
+  const types = new Map();
+  for (const { path, content } of sources) {
+    for (const match of content.matchAll(/(?:type\s+(\w+)\s*=\s*|interface\s+(\w+)\s*)\{/g)) {
+      const name = match[1] || match[2];
+      const open = match.index + match[0].length - 1;
+      const close = closingIndex(content, open);
+      if (types.has(name)) continue;
+      types.set(name, {
+        name,
+        fields: parseFields(content.slice(open + 1, close)),
+        location: { source: path, startLine: lineAt(content, match.index), endLine: lineAt(content, close), symbol: name }
+      });
+    }
+  }
+  return types;
+}
+
+// Fields of known named types (e.g. "data?: DataTx", "options?: AdvancedTransactionOptions") spelled out
+function expandFields(fields, types, depth = 0) {
+  return fields.map(field => {
+    const named = types.get(field.type);
+    if (depth < 2 && named && !field.fields) return { ...field, fields: expandFields(named.fields, types, depth + 1) };
+    if (field.fields) return { ...field, fields: expandFields(field.fields, types, depth + 1) };
+    return field;
+  });
+}
+
+// Nested fields as dotted rows: data.transactionHash, options.gasLimit...
+function flattenFields(fields, prefix = "", parentOptional = false) {
+  return fields.flatMap(field => {
+    const row = { ...field, name: prefix + field.name, optional: parentOptional || field.optional };
+    delete row.fields;
+    if (!field.fields) return [row];
+    return [row, ...flattenFields(field.fields, `${row.name}.`, row.optional)];
+  });
+}
+
+function parseCommand(path, content, types) {
+  const exported = content.match(/export (?:async )?function (\w+)Command\s*\(/);
+  const optionsMatch = content.match(/type (\w+)CommandOptions\s*=/);
+  if (!exported && !optionsMatch) return null;
+
+  const name = kebabCase(exported ? exported[1] : optionsMatch[1]);
+  const optionsType = optionsMatch ? types.get(`${optionsMatch[1]}CommandOptions`) : null;
+
+  // Without an options type the command function's parameters are its options
+  let fields = optionsType ? optionsType.fields : [];
+  if (!optionsType && exported) {
+    const open = exported.index + exported[0].length - 1;
+    fields = parseFields(content.slice(open + 1, closingIndex(content, open)), ",");
+  }
+  const options = flattenFields(expandFields(fields.filter(field => !INTERNAL_FIELDS.has(field.name)), types))
+    .map(option => ({ name: option.name, type: option.type, optional: option.optional }));
+
+  // The first *Result type the file defines or imports
+  const resultName = [...content.matchAll(/\b([A-Z]\w*Result)\b/g)].map(m => m[1]).find(n => types.has(n));
+  const resultType = resultName ? types.get(resultName) : null;
+
+  const functionLine = exported ? lineAt(content, exported.index) : null;
+  return {
+    name,
+    symbol: exported ? `${exported[1]}Command` : null,
+    // Sends or deploys transactions (/run keeps these off mainnet unless allowed)
+    stateChanging: /\.(sendTransaction|writeContract|deployContract)\s*\(/.test(content),
+    optionsType: optionsType ? optionsType.name : null,
+    options,
+    internalOptions: fields.filter(field => INTERNAL_FIELDS.has(field.name)).map(field => field.name),
+    result: resultType
+      ? { type: resultType.name, fields: flattenFields(expandFields(resultType.fields, types)), location: resultType.location }
+      : null,
+    location: optionsType ? optionsType.location : { source: path, startLine: functionLine, endLine: functionLine, symbol: `${exported[1]}Command` }
+  };
+}
+
+// Block of an exported constant, e.g. "export const TOKENS: Record<...> = {"
+function constantBlock(sources, constant) {
+  for (const { path, content } of sources) {
+    const match = content.match(new RegExp(`export const ${constant}\\b[^=]*=\\s*\\{`));
+    if (!match) continue;
+    const open = match.index + match[0].length - 1;
+    const close = closingIndex(content, open);
+    return {
+      body: content.slice(open + 1, close),
+      location: { source: path, startLine: lineAt(content, match.index), endLine: lineAt(content, close), symbol: constant }
+    };
+  }
+  return null;
+}
+
+// sources: [{ path, content }] of the indexed TypeScript files; readme: docs/README.md text.
+// Returns { commands: [{ name, options, flags, flagExamples, result, stateChanging, ... }], documentedFlags: Map(command -> [flag]),
+//           bridgeMethods: { methods: { read, write }, location } | null,
+//           tokens: { tokens: [{ symbol, addresses: { mainnet, testnet } }], location } | null }
+export function buildCommandCatalog({ sources = [], readme = "" } = {}) {
+  const types = collectTypes(sources);
+  const readmeDocumented = readmeFlags(readme);
+  const documentedFlags = new Map([...readmeDocumented].map(([command, flags]) => [command, [...flags.keys()]]));
+
+  const commands = sources
+    .filter(({ path }) => /commands\//.test(path))
+    .map(({ path, content }) => parseCommand(path, content, types))
+    .filter(Boolean)
+    .map(command => {
+      const flags = readmeDocumented.get(command.name) || new Map();
+      return { ...command, flags: [...flags.keys()], flagExamples: Object.fromEntries(flags) };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  let bridgeMethods = null;
+  const bridgeBlock = constantBlock(sources, "ALLOWED_BRIDGE_METHODS");
+  if (bridgeBlock) {
+    const methods = {};
+    // "[METHOD_TYPES.read]: [...]" or "read: [...]"
+    for (const match of bridgeBlock.body.matchAll(/(?:\[\w+\.)?(\w+)\]?\s*:\s*\[([\s\S]*?)\]/g)) {
+      methods[match[1]] = [...match[2].matchAll(/["'](\w+)["']/g)].map(m => m[1]);
+    }
+    bridgeMethods = { methods, location: bridgeBlock.location };
+  }
+
+  let tokens = null;
+  const tokenBlock = constantBlock(sources, "TOKENS");
+  if (tokenBlock) {
+    tokens = {
+      tokens: [...tokenBlock.body.matchAll(/(\w+)\s*:\s*\{([^}]*)\}/g)].map(match => ({
+        symbol: match[1],
+        addresses: Object.fromEntries([...match[2].matchAll(/(\w+)\s*:\s*["'](0x[0-9a-fA-F]+)["']/g)].map(m => [m[1], m[2]]))
+      })),
+      location: tokenBlock.location
+    };
+  }
+
+  return { commands, documentedFlags, bridgeMethods, tokens };
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(" | ")} |`,
+    `| ${headers.map(() => "---").join(" | ")} |`,
+    ...rows.map(row => `| ${row.map(cell => cell.replace(/\|/g, "\\|")).join(" | ")} |`)
+  ].join("\n");
+}
+
+const code = text => `\`${text}\``;
+
+// The one command a question is about: "transfer", "batch-transfer", "batch transfer", "batchTransfer"...
+// Longer names win, so "batch transfer" is not also "transfer".
+function mentionedCommand(question, commands) {
+  const text = question.toLowerCase();
+  const spellings = command => [command.name, command.name.replace(/-/g, " "), command.name.replace(/-/g, "")];
+  const found = commands
+    .filter(command => spellings(command).some(spelling => new RegExp(`(?<![\\w-])${spelling}(?![\\w-])`).test(text)))
+    .sort((a, b) => b.name.length - a.name.length);
+  return found.length > 0 ? found[0] : null;
+}
+
+const ASKS = /\b(what|which|list|show|available|supported|all)\b/;
+const OPTIONS_INTENT = /\b(options|flags|parameters|params|arguments)\b/;
+const RESULT_INTENT = /\b(return|returns|result|results|output|response)\b/;
+const RESULT_ASKS = /\b(what|shape|fields|type|types|format|structure|look like)\b/;
+// Words a bare "what commands are there?" question is made of; anything else is a topic
+const COMMAND_LIST_WORDS = new Set([
+  "what", "which", "list", "show", "available", "supported", "all", "commands", "command",
+  "are", "is", "there", "the", "does", "do", "can", "i", "you", "me", "use", "run", "of",
+  "support", "supports", "has", "have", "rsk", "cli", "rsk-cli", "in", "for", "with", "please"
+]);
+
+// The command line flags are the README's; the TypeScript options type only describes calling the
+// command function from code, so its field names (and optionality) are shown apart from them
+function optionsAnswer(command) {
+  const flags = command.flags.length > 0
+    ? `**rsk-cli ${command.name}** command line flags documented in the README:\n\n${table(["Flag", "Example"], command.flags.map(flag => [code(flag), command.flagExamples[flag] ? code(command.flagExamples[flag]) : "—"]))}`
+    : `The README documents no command line flags for **rsk-cli ${command.name}**.`;
+  const fields = command.options.length > 0
+    ? `\n\nWhen called from code, ${code(command.symbol || command.name)} takes ${command.optionsType ? code(command.optionsType) : "these parameters"} (field names, not flags; \`?\` marks optional fields): ${command.options.map(option => code(`${option.name}${option.optional ? "?" : ""}: ${option.type}`)).join(", ")}`
+    : "";
+  const internal = command.internalOptions.length > 0
+    ? `\n\nSet internally, not from the command line: ${command.internalOptions.map(code).join(", ")}`
+    : "";
+  return `${flags}${fields}${internal}`;
+}
+
+function resultAnswer(command) {
+  if (!command.result) return null;
+  const rows = command.result.fields.map(field => [code(field.name), code(field.type), field.optional ? "no" : "yes"]);
+  return `**rsk-cli ${command.name}** returns ${code(command.result.type)} when run programmatically:\n\n${table(["Field", "Type", "Always present"], rows)}`;
+}
+
+function commandsAnswer(commands) {
+  const rows = commands.map(command => [
+    code(command.name),
+    command.flags.filter(flag => flag.startsWith("--")).join(", ") || "—",
+    command.result ? code(command.result.type) : "—"
+  ]);
+  return `rsk-cli commands found in the source:\n\n${table(["Command", "Flags (README)", "Result"], rows)}`;
+}
+
+function bridgeAnswer(bridgeMethods, group) {
+  const groups = group ? [group] : Object.keys(bridgeMethods.methods);
+  const labels = { read: "Read-only", write: "State-changing (write)" };
+  return groups
+    .filter(name => bridgeMethods.methods[name])
+    .map(name => {
+      const methods = bridgeMethods.methods[name];
+      return `**${labels[name] || name} bridge methods** (${methods.length}):\n\n${table(["Method"], methods.map(method => [code(method)]))}`;
+    })
+    .join("\n\n");
+}
+
+function tokensAnswer(tokens, symbols, network) {
+  const selected = tokens.tokens.filter(token => symbols.length === 0 || symbols.includes(token.symbol));
+  const networks = network ? [network] : [...new Set(selected.flatMap(token => Object.keys(token.addresses)))];
+  const rows = selected.map(token => [`**${token.symbol}**`, ...networks.map(name => token.addresses[name] ? code(token.addresses[name]) : "—")]);
+  return `Token contract addresses known to rsk-cli:\n\n${table(["Token", ...networks.map(name => name[0].toUpperCase() + name.slice(1))], rows)}`;
+}
+
+// Answer a catalog-shaped question directly. Returns { kind, answer, locations } or null
+// when the question is not about the catalog and should go through retrieval.
+//   kind: "options" | "result" | "commands" | "bridge-methods" | "tokens"
+export function answerFromCatalog(question, catalog) {
+  if (!catalog) return null;
+  const text = question.toLowerCase();
+  const command = mentionedCommand(question, catalog.commands);
+
+  // "Which bridge methods are read-only?"
+  if (catalog.bridgeMethods && /\bbridge\b/.test(text) && /\b(methods?|functions?)\b/.test(text) &&
+      (ASKS.test(text) || /\b(read[- ]?only|write|allowed)\b/.test(text))) {
+    const group = /\bread[- ]?only\b|\bread\b|\bview\b/.test(text) ? "read"
+      : /\bwrite\b|\bstate[- ]changing\b/.test(text) ? "write" : null;
+    return { kind: "bridge-methods", answer: bridgeAnswer(catalog.bridgeMethods, group), locations: [catalog.bridgeMethods.location] };
+  }
+
+  // "What is the RIF token address on testnet?", "Which tokens are supported?"
+  if (catalog.tokens) {
+    const symbols = catalog.tokens.tokens
+      .map(token => token.symbol)
+      .filter(symbol => new RegExp(`\\b${symbol}\\b`).test(question) || new RegExp(`\\b${symbol.toUpperCase()}\\b`).test(question));
+    const asksAddress = symbols.length > 0 && /\b(address|addresses|contract)\b/.test(text) && !/\b(send|transfer|balance)\b/.test(text);
+    const asksList = /\b(supported|known|built[- ]in|predefined)\s+tokens\b|\btokens\b[^?]*\b(supported|known|built[- ]in|predefined)\b/.test(text);
+    if (asksAddress || asksList) {
+      const network = /\btestnet\b/.test(text) ? "testnet" : (/\bmainnet\b/.test(text) ? "mainnet" : null);
+      return { kind: "tokens", answer: tokensAnswer(catalog.tokens, asksAddress ? symbols : [], network), locations: [catalog.tokens.location] };
+    }
+  }
+
+  if (command && RESULT_INTENT.test(text) && RESULT_ASKS.test(text) && command.result) {
+    return { kind: "result", answer: resultAnswer(command), locations: [command.result.location] };
+  }
+
+  // "What are the available options for the transfer command?"
+  if (command && OPTIONS_INTENT.test(text) && (ASKS.test(text) || /\b(options|flags|parameters|arguments) (of|for)\b/.test(text))) {
+    return { kind: "options", answer: optionsAnswer(command), locations: [command.location] };
+  }
+
+  // "What commands are available?" but not "What commands are available for smart contracts?"
+  const topic = (text.match(/[a-z][a-z-]*/g) || []).filter(word => !COMMAND_LIST_WORDS.has(word));
+  if (!command && /\bcommands\b/.test(text) && ASKS.test(text) && topic.length === 0) {
+    return { kind: "commands", answer: commandsAnswer(catalog.commands), locations: catalog.commands.map(c => c.location) };
+  }
+
+  return null;
+}
+
+// Labels for a catalog answer's locations, shaped like retrieved-source labels
+export function catalogLabels(locations) {
+  return locations.map((location, i) => ({
+    id: `S${i + 1}`,
+    location: formatLocation(location),
+    source: location.source,
+    startLine: location.startLine,
+    endLine: location.endLine,
+    section: null
+  }));
+}
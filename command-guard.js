@@ -0,0 +1,182 @@
+// Post-generation check of rsk-cli commands and flags in answers against the indexed corpus
+import { invocationTokens, flagsOf } from "./command-catalog.js";
+
+// Commander adds these to every command
+const GLOBAL_FLAGS = ["--help", "-h", "--version", "-V"];
+
+const COMMAND_PATTERN = /^[a-z][a-z-]*$/;
+
+// Code spans and fenced blocks of a markdown text: [{ text, start, end, block }]
+function codeSegments(text) {
+  const segments = [];
+  const fenced = /```[^\n]*\n([\s\S]*?)(?:```|$)/g;
+  for (const match of text.matchAll(fenced)) {
+    segments.push({ text: match[1], start: match.index, end: match.index + match[0].length, block: true });
+  }
+  const inside = index => segments.some(s => index >= s.start && index < s.end);
+  for (const match of text.matchAll(/`([^`\n]+)`/g)) {
+    if (!inside(match.index)) {
+      segments.push({ text: match[1], start: match.index, end: match.index + match[0].length, block: false });
+    }
+  }
+  return segments.sort((a, b) => a.start - b.start);
+}
+
+// Words that follow "rsk-cli" in a sentence about the tool rather than a command ("rsk-cli is ...")
+const PROSE_WORDS = new Set([
+  "is", "was", "can", "will", "also", "and", "or", "to", "for", "with", "in", "on", "has", "does", "lets",
+  "supports", "provides", "uses", "offers", "tool", "cli", "command", "commands", "itself", "docs", "documentation"
+]);
+
+// "rsk-cli <command> ..." written outside code: [{ tokens, start, end }]. An invocation ends with its
+// sentence, line, a code span or the next invocation.
+function proseInvocations(text) {
+  const segments = codeSegments(text);
+  const invocations = [];
+  for (const match of text.matchAll(/(?<![\w-])rsk-cli\s+(?=[a-z])/g)) {
+    if (segments.some(s => match.index >= s.start && match.index < s.end)) continue;
+    const rest = text.slice(match.index + match[0].length).split("\n")[0];
+    const stop = rest.search(/[.!?;:](?=\s|$)|`|rsk-cli/);
+    const body = (stop === -1 ? rest : rest.slice(0, stop)).trimEnd();
+    const tokens = body.split(/\s+/).filter(Boolean);
+    if (PROSE_WORDS.has(tokens[0])) continue;
+    invocations.push({ tokens, start: match.index, end: match.index + match[0].length + body.length });
+  }
+  return invocations;
+}
+
+// Reference of real commands and flags from a buildCommandCatalog() result: the commands found in
+// the source and the flags documented for them in the README. Field names of the TypeScript option
+// types are not flags (transfer's toAddress is --address), so they are left out.
+// Returns { commands: Map(command -> Set(flag)), aliases: Map(alias -> command), flags: Set(every known flag) }
+export function buildCommandReference(catalog) {
+  const commands = new Map();
+  const aliases = new Map();
+  const add = (command, flags = []) => {
+    if (!commands.has(command)) commands.set(command, new Set(GLOBAL_FLAGS));
+    flags.forEach(flag => commands.get(command).add(flag));
+  };
+
+  for (const [command, flags] of catalog.documentedFlags) add(command, flags);
+
+  for (const { name: command } of catalog.commands) {
+    add(command);
+    if (command.includes("-")) aliases.set(command.replace(/-/g, ""), command); // "addressbook" for "address-book"
+  }
+
+  const flags = new Set([...commands.values()].flatMap(set => [...set]));
+  return { commands, aliases, flags };
+}
+
+// Every rsk-cli invocation (in code or prose) and --flag in an answer, checked against the reference.
+// Returns { ok, issues: [{ type: "command" | "flag", value, command, line }] } where line is the
+// offending command line, or null for flags mentioned in prose outside command lines.
+export function checkAnswer(answer, reference) {
+  const issues = [];
+  const checkInvocation = tokens => {
+    const line = `rsk-cli ${tokens.join(" ")}`.trim();
+    const command = reference.aliases.get(tokens[0]) || tokens[0];
+
+    if (!command || !COMMAND_PATTERN.test(command)) return; // "rsk-cli --help" or prose in a block
+    if (!reference.commands.has(command)) {
+      issues.push({ type: "command", value: command, command, line });
+      return;
+    }
+    const known = reference.commands.get(command);
+    for (const flag of new Set(flagsOf(tokens.slice(1)))) {
+      if (!known.has(flag)) issues.push({ type: "flag", value: flag, command, line });
+    }
+  };
+
+  const covered = [];
+  for (const segment of codeSegments(answer)) {
+    for (const match of segment.text.matchAll(/rsk-cli(?:\s+|$)/g)) {
+      covered.push(segment);
+      checkInvocation(invocationTokens(segment.text, match.index));
+    }
+  }
+  for (const invocation of proseInvocations(answer)) {
+    covered.push(invocation);
+    checkInvocation(invocation.tokens);
+  }
+
+  // Flags outside command lines only need to exist for some command
+  let prose = answer;
+  for (const span of [...new Set(covered)].sort((a, b) => b.start - a.start)) {
+    prose = prose.slice(0, span.start) + " ".repeat(span.end - span.start) + prose.slice(span.end);
+  }
+  const mentioned = new Set([...prose.matchAll(/(?<![\w-])(--[A-Za-z][\w-]*)/g)].map(m => m[1]));
+  for (const flag of mentioned) {
+    if (!reference.flags.has(flag)) issues.push({ type: "flag", value: flag, command: null, line: null });
+  }
+
+  return { ok: issues.length === 0, issues };
+}
+
+function describeIssue(issue) {
+  if (issue.type === "command") return `"rsk-cli ${issue.value}" is not a known command`;
+  return issue.command
+    ? `${issue.value} is not a known option of "rsk-cli ${issue.command}"`
+    : `${issue.value} is not a known rsk-cli option`;
+}
+
+// The answer with a warning after each code span, code block, prose command or prose flag that has issues
+export function annotateAnswer(answer, check) {
+  if (check.ok) return answer;
+
+  const inserts = [];
+  for (const segment of codeSegments(answer)) {
+    const found = check.issues.filter(issue => issue.line && segment.text.includes(issue.line));
+    if (found.length > 0) {
+      const warning = ` ⚠️ ${found.map(describeIssue).join("; ")}`;
+      inserts.push({ at: segment.end, text: segment.block ? `\n${warning.trim()}\n` : warning });
+    }
+  }
+  for (const invocation of proseInvocations(answer)) {
+    const line = `rsk-cli ${invocation.tokens.join(" ")}`;
+    const found = check.issues.filter(issue => issue.line === line);
+    if (found.length > 0) inserts.push({ at: invocation.end, text: ` ⚠️ (${found.map(describeIssue).join("; ")})` });
+  }
+  const segments = codeSegments(answer);
+  for (const issue of check.issues.filter(issue => !issue.line)) {
+    for (const match of answer.matchAll(new RegExp(`(?<![\\w-])${issue.value}(?![\\w-])`, "g"))) {
+      const segment = segments.find(s => match.index >= s.start && match.index < s.end);
+      if (segment?.text.includes("rsk-cli")) continue; // Command lines are annotated above
+      // Inside a code span the warning goes after the closing backtick
+      inserts.push({ at: segment ? segment.end : match.index + issue.value.length, text: " ⚠️ (unknown option)" });
+    }
+  }
+
+  return inserts
+    .sort((a, b) => b.at - a.at)
+    .reduce((text, insert) => text.slice(0, insert.at) + insert.text + text.slice(insert.at), answer);
+}
+
+// One-line summaries for a warnings footer
+export function describeIssues(check) {
+  return check.issues.map(issue => `${describeIssue(issue)}${issue.line ? ` in \`${issue.line}\`` : ""}`);
+}
+
+// Prompt asking the model to fix its answer, listing the real options of the commands it used
+export function buildCorrectionPrompt(prompt, answer, check, reference) {
+  const commands = [...new Set(check.issues.map(issue => issue.command).filter(c => c && reference.commands.has(c)))];
+  const valid = commands.map(command => {
+    const flags = [...reference.commands.get(command)].filter(flag => !GLOBAL_FLAGS.includes(flag) && flag.startsWith("--"));
+    return `- rsk-cli ${command}: ${flags.join(", ")}`;
+  });
+  const known = [...reference.commands.keys()].join(", ");
+
+  return `${prompt}
+
+Your previous answer was:
+${answer}
+
+It used commands or options that do not exist:
+${describeIssues(check).map(line => `- ${line}`).join("\n")}
+
+Valid rsk-cli commands: ${known}
+${valid.length > 0 ? `Valid options:\n${valid.join("\n")}\n` : ""}
+Rewrite the answer using only commands and options from the context and the lists above. Keep the [S1]-style citations.
+
+Answer:`;
+}
@@ -0,0 +1,147 @@
+// Guarded execution of suggested rsk-cli commands
+import { spawn } from "child_process";
+
+// Sub-commands that send transactions. bridge is included because its write methods
+// are only chosen inside the interactive prompt. assessCommand() also takes the commands the
+// catalog finds sending transactions in the sources, so a new one is guarded without a change here.
+const STATE_CHANGING_COMMANDS = new Set(["transfer", "batch-transfer", "deploy", "bridge", "transaction"]);
+const OUTPUT_LIMIT = 200 * 1024; // Captured output kept per stream
+
+// Split a command line into arguments, honouring single and double quotes
+export function parseCommandLine(command) {
+  const args = [];
+  let current = "";
+  let quote = null;
+  let inArgument = false;
+
+  for (let i = 0; i < command.length; i++) {
+    const ch = command[i];
+    if (quote) {
+      if (ch === "\\" && quote === "\"" && command[i + 1] === "\"") {
+        current += "\"";
+        i++;
+      } else if (ch === quote) {
+        quote = null;
+      } else {
+        current += ch;
+      }
+    } else if (ch === "\"" || ch === "'") {
+      quote = ch;
+      inArgument = true;
+    } else if (/\s/.test(ch)) {
+      if (inArgument) args.push(current);
+      current = "";
+      inArgument = false;
+    } else {
+      current += ch;
+      inArgument = true;
+    }
+  }
+  if (quote) throw new Error("Unterminated quote in command");
+  if (inArgument) args.push(current);
+  return args;
+}
+
+// Decide whether a suggested command may run:
+// { args, subcommand, testnet, stateChanging, placeholders, allowed, reason }
+//   stateChangingCommands: more sub-commands to treat as sending transactions (command-catalog.js)
+export function assessCommand(command, { allowMainnet = false, stateChangingCommands = [] } = {}) {
+  const [program, ...args] = parseCommandLine(command.trim());
+  const base = { args, subcommand: args[0] || null, testnet: false, stateChanging: false, placeholders: [] };
+
+  if (program !== "rsk-cli") {
+    return { ...base, allowed: false, reason: "Only rsk-cli commands can be run" };
+  }
+  if (!base.subcommand || base.subcommand.startsWith("-")) {
+    return { ...base, allowed: false, reason: "Missing rsk-cli sub-command" };
+  }
+
+  const testnet = args.includes("--testnet") || args.includes("-t");
+  const stateChanging = STATE_CHANGING_COMMANDS.has(base.subcommand) || stateChangingCommands.includes(base.subcommand);
+  const placeholders = args.filter(arg => /^<[^>]+>$/.test(arg));
+  const assessed = { ...base, testnet, stateChanging, placeholders };
+
+  if (placeholders.length > 0) {
+    return { ...assessed, allowed: false, reason: `Fill in ${placeholders.join(", ")} first` };
+  }
+  if (stateChanging && !testnet && !allowMainnet) {
+    return {
+      ...assessed,
+      allowed: false,
+      reason: `"${base.subcommand}" changes state on mainnet; add --testnet or allow mainnet explicitly`
+    };
+  }
+  return { ...assessed, allowed: true, reason: null };
+}
+
+// The argument of /run: "[--allow-mainnet] [rsk-cli ...]". Returns { command, allowMainnet };
+// command is null when only the flag (or nothing) was given, meaning the last suggested command.
+export function parseRunArgument(argument) {
+  const allowMainnet = /(^|\s)--allow-mainnet(\s|$)/.test(argument);
+  const command = argument.replace(/(^|\s)--allow-mainnet(?=\s|$)/g, " ").trim();
+  return { command: command || null, allowMainnet };
+}
+
+// Dry-run description of what would be executed
+export function describeRun(assessment, { binary = "rsk-cli", cwd = process.cwd() } = {}) {
+  return [
+    `Binary:   ${binary}`,
+    `Args:     ${assessment.args.map(arg => (/[\s"']/.test(arg) ? JSON.stringify(arg) : arg)).join(" ")}`,
+    `Network:  ${assessment.testnet ? "Rootstock Testnet" : "Rootstock Mainnet"}`,
+    `Effect:   ${assessment.stateChanging ? "sends transactions (state-changing)" : "read-only or local"}`,
+    `Cwd:      ${cwd}`
+  ];
+}
+
+function spawnArgs(binary, args) {
+  // Node scripts (like a test stub) run with the current Node binary
+  return /\.[cm]?js$/.test(binary) ? [process.execPath, [binary, ...args]] : [binary, args];
+}
+
+// Run rsk-cli and capture its output while echoing it through onOutput(text, stream).
+// stdin is inherited so the CLI's own prompts (passwords, menus) keep working.
+// Resolves with { exitCode, signal, stdout, stderr, durationMs, timedOut }.
+export function runCommand(args, { binary = "rsk-cli", timeout = 120000, signal, onOutput, cwd } = {}) {
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const [file, fileArgs] = spawnArgs(binary, args);
+    const output = { stdout: "", stderr: "" };
+    let timedOut = false;
+
+    const child = spawn(file, fileArgs, { stdio: ["inherit", "pipe", "pipe"], cwd, signal });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill("SIGTERM");
+    }, timeout);
+
+    for (const stream of ["stdout", "stderr"]) {
+      child[stream].on("data", chunk => {
+        const text = chunk.toString("utf8");
+        if (output[stream].length < OUTPUT_LIMIT) output[stream] += text;
+        if (onOutput) onOutput(text, stream);
+      });
+    }
+
+    child.on("error", error => {
+      clearTimeout(timer);
+      if (error.code === "ENOENT") {
+        reject(new Error(`rsk-cli binary not found: ${binary}`));
+      } else {
+        reject(error);
+      }
+    });
+
+    child.on("close", (exitCode, exitSignal) => {
+      clearTimeout(timer);
+      resolve({
+        exitCode,
+        signal: exitSignal,
+        stdout: output.stdout,
+        stderr: output.stderr,
+        durationMs: Date.now() - startTime,
+        timedOut
+      });
+    });
+  });
+}
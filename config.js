@@ -0,0 +1,271 @@
+// Named profiles from rag.config.json, with CLI flags and legacy environment variables on top
+import fs from "fs";
+import { PROVIDERS, providerConfigFromEnv } from "./providers.js";
+import { DEFAULT_LOG_FILE, REDACTIONS } from "./query-log.js";
+
+export const CONFIG_FILE = "./rag.config.json";
+
+// Settings a profile may set, with their validation rules
+const SETTINGS = {
+  chunkSize: { type: "integer", min: 100, max: 20000 },        // README and plain-text chunk size in chars
+  chunkOverlap: { type: "integer", min: 0, max: 5000 },        // Overlap between plain-text chunks
+  codeChunkSize: { type: "integer", min: 200, max: 50000 },    // Source units longer than this are split
+  topK: { type: "integer", min: 1, max: 50 },                  // Chunks retrieved per question
+  promptStyle: { type: "enum", values: ["detailed", "concise", "brief"] },
+  llmTimeout: { type: "integer", min: 1000, max: 600000 },     // ms
+  embeddingTimeout: { type: "integer", min: 1000, max: 600000 },
+  lexicalWeight: { type: "number", min: 0, max: 1 },           // BM25 share in hybrid retrieval
+  faqThreshold: { type: "number", min: 0, max: 1 },            // Minimum FAQ score to skip the model
+  commandGuard: { type: "enum", values: ["off", "warn", "regenerate"] }, // Unknown commands/flags in answers
+  rerank: { type: "enum", values: ["off", "lexical", "llm"] },  // Second-stage scorer of the candidate pool
+  rerankPool: { type: "integer", min: 5, max: 100 },           // Candidates re-ranked before picking topK
+  mmrLambda: { type: "number", min: 0, max: 1 },               // MMR relevance/diversity trade-off, 1 = relevance only
+  queryExpansion: { type: "boolean" },                         // Add corpus terms from docs/query-aliases.json
+  hyde: { type: "boolean" },                                   // Also search with a model-drafted answer (one extra request)
+  vectorSearch: { type: "enum", values: ["exact", "hnsw", "auto"] }, // auto = HNSW from 5000 chunks on
+  annEf: { type: "integer", min: 10, max: 2000 },              // HNSW search width, higher = better recall, slower
+  searchWorkers: { type: "integer", min: 0, max: 16 }          // Worker threads for vector search, 0 = main thread
+};
+
+// Used when rag.config.json is missing; the shipped file repeats them so they can be edited
+export const BUILTIN_PROFILES = {
+  normal: {
+    chunkSize: 1000, chunkOverlap: 100, codeChunkSize: 3000, topK: 5, promptStyle: "detailed",
+    llmTimeout: 60000, embeddingTimeout: 30000, lexicalWeight: 0.5, faqThreshold: 0.7,
+    commandGuard: "warn", rerank: "lexical", rerankPool: 30, mmrLambda: 0.7,
+    queryExpansion: true, hyde: false, vectorSearch: "auto", annEf: 128, searchWorkers: 0
+  },
+  fast: {
+    chunkSize: 800, chunkOverlap: 80, codeChunkSize: 2400, topK: 3, promptStyle: "concise",
+    llmTimeout: 20000, embeddingTimeout: 15000, lexicalWeight: 0.5, faqThreshold: 0.7,
+    commandGuard: "warn", rerank: "lexical", rerankPool: 20, mmrLambda: 0.7,
+    queryExpansion: true, hyde: false, vectorSearch: "auto", annEf: 64, searchWorkers: 0
+  },
+  ultra: {
+    chunkSize: 500, chunkOverlap: 50, codeChunkSize: 1500, topK: 2, promptStyle: "brief",
+    llmTimeout: 10000, embeddingTimeout: 8000, lexicalWeight: 0.5, faqThreshold: 0.7,
+    commandGuard: "warn", rerank: "lexical", rerankPool: 10, mmrLambda: 0.7,
+    queryExpansion: true, hyde: false, vectorSearch: "auto", annEf: 32, searchWorkers: 0
+  }
+};
+
+const PROVIDER_KEYS = {
+  llm: ["provider", "model", "baseUrl", "apiKey", "timeout"],
+  embedding: ["provider", "model", "baseUrl", "apiKey", "timeout", "dimensions"]
+};
+
+// Query telemetry (query-log.js), on unless the config file or --no-query-log turns it off
+const DEFAULT_QUERY_LOG = { enabled: true, file: DEFAULT_LOG_FILE, redact: "secrets" };
+
+const USAGE = `Usage: node rag.js [options]
+  --profile <name>      Settings profile from rag.config.json (normal, fast, ultra or your own)
+  --top-k <n>           Chunks retrieved per question
+  --chunk-size <n>      README and plain-text chunk size in characters
+  --debug               Show the full analytics panels
+  --test                Run every question in test-questions.json
+  --server              Serve the local HTTP API
+  --watch               Reload docs, sources and FAQ when their files change
+  --no-query-log        Do not record questions in the query log
+  --config <file>       Config file (default ${CONFIG_FILE})
+  --print-config        Print the effective settings and exit
+  --help                Show this help
+
+       node rag.js faq [check|validate|overlaps|lint|suggest|review]   Check the FAQ file, review rated answers (faq --help)
+       node rag.js report [--file <log>] [--json]                      Summarize the query log (report --help)`;
+
+function checkValue(name, value, where) {
+  const rule = SETTINGS[name];
+  if (!rule) {
+    throw new Error(`Unknown setting "${name}" in ${where} (expected one of ${Object.keys(SETTINGS).join(", ")})`);
+  }
+
+  let problem = null;
+  if (rule.type === "boolean" && typeof value !== "boolean") {
+    problem = "expected true or false";
+  } else if (rule.type === "enum" && !rule.values.includes(value)) {
+    problem = `expected one of ${rule.values.join(", ")}`;
+  } else if (rule.type === "integer" || rule.type === "number") {
+    const isNumber = typeof value === "number" && Number.isFinite(value);
+    if (!isNumber || (rule.type === "integer" && !Number.isInteger(value))) {
+      problem = `expected ${rule.type === "integer" ? "a whole number" : "a number"}`;
+    } else if (value < rule.min || value > rule.max) {
+      problem = `expected ${rule.min}–${rule.max}`;
+    }
+  }
+  if (problem) {
+    throw new Error(`Invalid ${name} ${JSON.stringify(value)} in ${where} (${problem})`);
+  }
+}
+
+// Check a complete set of settings; returns it unchanged
+export function validateSettings(settings, where = "settings") {
+  for (const [name, value] of Object.entries(settings)) checkValue(name, value, where);
+  for (const name of Object.keys(SETTINGS)) {
+    if (settings[name] === undefined) throw new Error(`Missing setting "${name}" in ${where}`);
+  }
+  if (settings.chunkOverlap >= settings.chunkSize) {
+    throw new Error(`Invalid chunkOverlap ${settings.chunkOverlap} in ${where} (must be smaller than chunkSize ${settings.chunkSize})`);
+  }
+  return settings;
+}
+
+function checkProviders(section, config, file) {
+  if (config === undefined) return {};
+  if (typeof config !== "object" || config === null || Array.isArray(config)) {
+    throw new Error(`"${section}" in ${file} must be an object`);
+  }
+  const unknown = Object.keys(config).filter(key => !PROVIDER_KEYS[section].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${section} setting "${unknown[0]}" in ${file} (expected ${PROVIDER_KEYS[section].join(", ")})`);
+  }
+  if (config.provider !== undefined && !PROVIDERS.includes(config.provider)) {
+    throw new Error(`Unknown ${section} provider "${config.provider}" in ${file} (expected ${PROVIDERS.join(", ")})`);
+  }
+  return config;
+}
+
+function checkQueryLog(config, file) {
+  if (config === undefined) return { ...DEFAULT_QUERY_LOG };
+  if (typeof config !== "object" || config === null || Array.isArray(config)) {
+    throw new Error(`"queryLog" in ${file} must be an object`);
+  }
+  const unknown = Object.keys(config).filter(key => !Object.keys(DEFAULT_QUERY_LOG).includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown queryLog setting "${unknown[0]}" in ${file} (expected ${Object.keys(DEFAULT_QUERY_LOG).join(", ")})`);
+  }
+  if (config.enabled !== undefined && typeof config.enabled !== "boolean") {
+    throw new Error(`Invalid queryLog.enabled ${JSON.stringify(config.enabled)} in ${file} (expected true or false)`);
+  }
+  if (config.file !== undefined && (typeof config.file !== "string" || config.file.trim() === "")) {
+    throw new Error(`Invalid queryLog.file ${JSON.stringify(config.file)} in ${file} (expected a file path)`);
+  }
+  if (config.redact !== undefined && !REDACTIONS.includes(config.redact)) {
+    throw new Error(`Invalid queryLog.redact ${JSON.stringify(config.redact)} in ${file} (expected one of ${REDACTIONS.join(", ")})`);
+  }
+  return { ...DEFAULT_QUERY_LOG, ...config };
+}
+
+// { defaultProfile, profiles, llm, embedding, queryLog } from the config file, built-in profiles when it is missing
+export function loadConfigFile(file = CONFIG_FILE, { required = false } = {}) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Config file ${file} not found`);
+    return { file: null, defaultProfile: "normal", profiles: { ...BUILTIN_PROFILES }, llm: {}, embedding: {}, queryLog: { ...DEFAULT_QUERY_LOG } };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+
+  const unknown = Object.keys(raw).filter(key => !["defaultProfile", "profiles", "llm", "embedding", "queryLog"].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown key "${unknown[0]}" in ${file} (expected defaultProfile, profiles, llm, embedding, queryLog)`);
+  }
+
+  return {
+    file,
+    defaultProfile: raw.defaultProfile || "normal",
+    // Profiles in the file replace built-in ones of the same name
+    profiles: { ...BUILTIN_PROFILES, ...(raw.profiles || {}) },
+    llm: checkProviders("llm", raw.llm, file),
+    embedding: checkProviders("embedding", raw.embedding, file),
+    queryLog: checkQueryLog(raw.queryLog, file)
+  };
+}
+
+// Complete settings of a profile, following "extends" chains
+export function resolveProfile(profiles, name, where = CONFIG_FILE, seen = []) {
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown profile "${name}" (available: ${Object.keys(profiles).join(", ")})`);
+  }
+  if (seen.includes(name)) {
+    throw new Error(`Profile "${name}" extends itself (${[...seen, name].join(" → ")})`);
+  }
+
+  const { extends: parent, ...own } = profile;
+  const base = parent ? resolveProfile(profiles, parent, where, [...seen, name]) : (BUILTIN_PROFILES[name] || BUILTIN_PROFILES.normal);
+  for (const [setting, value] of Object.entries(own)) checkValue(setting, value, `profile "${name}" of ${where}`);
+  return { ...base, ...own };
+}
+
+function parseInteger(flag, value) {
+  if (!/^\d+$/.test(value)) throw new Error(`${flag} expects a whole number, got "${value}"`);
+  return Number(value);
+}
+
+// CLI flags: { profile, config, debug, test, server, watch, noQueryLog, printConfig, help, overrides }
+export function parseArgs(argv) {
+  const args = { overrides: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith("--")) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--profile": args.profile = value(); break;
+      case "--config": args.config = value(); break;
+      case "--top-k": args.overrides.topK = parseInteger(arg, value()); break;
+      case "--chunk-size": args.overrides.chunkSize = parseInteger(arg, value()); break;
+      case "--debug": args.debug = true; break;
+      case "--test": args.test = true; break;
+      case "--server": args.server = true; break;
+      case "--watch": args.watch = true; break;
+      case "--no-query-log": args.noQueryLog = true; break;
+      case "--print-config": args.printConfig = true; break;
+      case "--help": case "-h": args.help = true; break;
+      default: throw new Error(`Unknown option ${arg}\n${USAGE}`);
+    }
+  }
+  return args;
+}
+
+export function usage() {
+  return USAGE;
+}
+
+// Effective configuration. Precedence, lowest first: built-in profiles, rag.config.json,
+// legacy environment variables (FAST_MODE, ULTRA_FAST, DEBUG_MODE, TEST_MODE, SERVER_MODE,
+// LEXICAL_WEIGHT), CLI flags. Throws with a readable message on any invalid value.
+export function resolveConfig({ argv = [], env = {} } = {}) {
+  const args = parseArgs(argv);
+  const file = loadConfigFile(args.config || CONFIG_FILE, { required: Boolean(args.config) });
+
+  const envProfile = env.ULTRA_FAST === "true" ? "ultra" : (env.FAST_MODE === "true" ? "fast" : null);
+  const profile = args.profile || envProfile || file.defaultProfile;
+  const where = file.file || "built-in profiles";
+  const settings = resolveProfile(file.profiles, profile, where);
+
+  if (env.LEXICAL_WEIGHT !== undefined && env.LEXICAL_WEIGHT !== "") {
+    settings.lexicalWeight = Number(env.LEXICAL_WEIGHT);
+    checkValue("lexicalWeight", settings.lexicalWeight, "LEXICAL_WEIGHT");
+  }
+  for (const [name, value] of Object.entries(args.overrides)) {
+    checkValue(name, value, "command line flags");
+    settings[name] = value;
+  }
+  const overridden = Object.keys(args.overrides).length > 0;
+  validateSettings(settings, overridden ? `profile "${profile}" with command line flags` : `profile "${profile}"`);
+
+  // Provider environment variables (LLM_MODEL, EMBEDDING_BASE_URL...) win over the file
+  const providerEnv = providerConfigFromEnv(env);
+
+  return {
+    profile,
+    configFile: file.file,
+    settings,
+    llm: { ...file.llm, ...providerEnv.llm },
+    embedding: { ...file.embedding, ...providerEnv.embedding },
+    debug: Boolean(args.debug) || env.DEBUG_MODE === "true",
+    test: Boolean(args.test) || env.TEST_MODE === "true",
+    server: Boolean(args.server) || env.SERVER_MODE === "true",
+    watch: Boolean(args.watch),
+    queryLog: { ...file.queryLog, enabled: file.queryLog.enabled && !args.noQueryLog },
+    printConfig: Boolean(args.printConfig),
+    help: Boolean(args.help)
+  };
+}
@@ -0,0 +1,81 @@
+// Conversation memory for multi-turn chat sessions
+
+// Openers and references that only make sense with the previous turn in mind
+const FOLLOW_UP_OPENERS = /^(and|or|but|also|so|then|what about|how about|same|ok|okay)\b/i;
+const FOLLOW_UP_REFERENCES = /\b(it|its|that|this|those|these|them|they|there|same|above|previous|instead)\b/i;
+
+// Words that give a short question a topic of its own ("What's my RBTC balance?"), next to the
+// command names the caller passes in
+const TOPIC_WORDS = ["rbtc", "trbtc", "rif", "token", "tokens", "contract", "contracts", "wallet", "wallets", "bridge", "transaction"];
+
+class ConversationMemory {
+  constructor({ maxTurns = 20, windowTurns = 3, maxAnswerChars = 400 } = {}) {
+    this.maxTurns = maxTurns;             // Turns kept in the buffer
+    this.windowTurns = windowTurns;       // Turns included in prompts
+    this.maxAnswerChars = maxAnswerChars; // Answers are truncated in prompts
+    this.turns = [];
+  }
+
+  addTurn({ question, standaloneQuestion = question, answer, path }) {
+    this.turns.push({ question, standaloneQuestion, answer, path, timestamp: Date.now() });
+    if (this.turns.length > this.maxTurns) {
+      this.turns.splice(0, this.turns.length - this.maxTurns);
+    }
+  }
+
+  getTurns() {
+    return [...this.turns];
+  }
+
+  getWindow(size = this.windowTurns) {
+    return size > 0 ? this.turns.slice(-size) : [];
+  }
+
+  isEmpty() {
+    return this.turns.length === 0;
+  }
+
+  clear() {
+    this.turns = [];
+  }
+
+  // Questions asked after an earlier turn need rewriting when they refer back to it, open like a
+  // continuation, or are short without a topic of their own. `commands` are the known command
+  // names ("batch-transfer" also matches "batch transfer").
+  looksLikeFollowUp(question, { commands = [] } = {}) {
+    if (this.isEmpty()) return false;
+
+    const trimmed = question.trim();
+    const wordCount = trimmed.split(/\s+/).length;
+    const topics = new Set([...TOPIC_WORDS, ...commands.flatMap(command => command.toLowerCase().split("-"))]);
+    const hasTopic = (trimmed.toLowerCase().match(/[a-z0-9]+/g) || []).some(word => topics.has(word));
+
+    return (wordCount <= 4 && !hasTopic) ||
+      FOLLOW_UP_OPENERS.test(trimmed) ||
+      (wordCount <= 12 && FOLLOW_UP_REFERENCES.test(trimmed));
+  }
+
+  // Recent turns as plain text for prompts
+  formatForPrompt(size = this.windowTurns) {
+    return this.getWindow(size).map(turn => {
+      const answer = turn.answer.length > this.maxAnswerChars
+        ? turn.answer.substring(0, this.maxAnswerChars) + "..."
+        : turn.answer;
+      return `User: ${turn.standaloneQuestion}\nAssistant: ${answer}`;
+    }).join("\n\n");
+  }
+
+  buildCondensePrompt(question) {
+    return `Rewrite the follow-up question as a standalone question about rsk-cli, using the conversation to resolve what it refers to.
+Keep command names, flags and identifiers exactly as written. Reply with the standalone question only.
+
+Conversation:
+${this.formatForPrompt()}
+
+Follow-up question: ${question}
+
+Standalone question:`;
+  }
+}
+
+export default ConversationMemory;
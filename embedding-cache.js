@@ -0,0 +1,175 @@
+// Content-addressed embedding cache persisted in a compact binary file
+import fs from "fs";
+import crypto from "crypto";
+
+// File layout: "RAGC" | uint32 version | uint32 header length | JSON header | Float32 vectors
+// The header lists { model, key, kind, group, length } per entry, vectors follow in the same order.
+// group is the chunking settings a document vector was made with (or "faq-question").
+const MAGIC = "RAGC";
+const VERSION = 2;
+
+function hash(...parts) {
+  return crypto.createHash("sha256").update(parts.join("\u0000")).digest("hex").slice(0, 32);
+}
+
+// Vectors are kept per embedding model (namespace), so switching models never reuses
+// vectors of another one, and switching back finds the old ones still there.
+class EmbeddingCache {
+  constructor({ file, model, maxQueries = 500 }) {
+    this.file = file;             // Where the cache lives on disk
+    this.model = model;           // Namespace used for lookups, e.g. "ollama:nomic-embed-text"
+    this.maxQueries = maxQueries; // Least recently used query vectors are dropped beyond this
+    this.namespaces = new Map();  // model -> { documents, queries }
+  }
+
+  namespace(model = this.model) {
+    if (!this.namespaces.has(model)) {
+      this.namespaces.set(model, {
+        documents: new Map(),     // key -> Float32Array
+        groups: new Map(),        // document key -> group, so prune() leaves other settings' vectors alone
+        queries: new Map()        // key -> Float32Array, in least-recently-used-first order
+      });
+    }
+    return this.namespaces.get(model);
+  }
+
+  get documents() {
+    return this.namespace().documents;
+  }
+
+  get queries() {
+    return this.namespace().queries;
+  }
+
+  // Entries of the current model
+  get size() {
+    return this.documents.size + this.queries.size;
+  }
+
+  // A chunk's key changes with its text, the embedding model and the chunking settings
+  documentKey(text, chunkSettings) {
+    return hash("document", this.model, chunkSettings, text);
+  }
+
+  queryKey(question) {
+    return hash("query", this.model, question);
+  }
+
+  getDocument(key) {
+    return this.documents.get(key);
+  }
+
+  setDocument(key, vector, group) {
+    this.documents.set(key, Float32Array.from(vector));
+    this.namespace().groups.set(key, group);
+    return this.documents.get(key);
+  }
+
+  getQuery(question) {
+    const key = this.queryKey(question);
+    const vector = this.queries.get(key);
+    if (vector) {
+      this.queries.delete(key); // Re-insert to mark as most recently used
+      this.queries.set(key, vector);
+    }
+    return vector;
+  }
+
+  setQuery(question, vector) {
+    const key = this.queryKey(question);
+    this.queries.delete(key);
+    this.queries.set(key, Float32Array.from(vector));
+    while (this.queries.size > this.maxQueries) {
+      this.queries.delete(this.queries.keys().next().value);
+    }
+    return this.queries.get(key);
+  }
+
+  // Drop document vectors of the current model made with `group` (chunking settings) whose chunk
+  // is no longer indexed; vectors of other settings stay for when a profile switches back. Vectors
+  // without a group (cached before groups were recorded) are dropped unless live. Returns how many were removed.
+  prune(liveKeys, group) {
+    const live = new Set(liveKeys);
+    const { documents, groups } = this.namespace();
+    let removed = 0;
+    for (const key of [...documents.keys()]) {
+      const keyGroup = groups.get(key);
+      if (!live.has(key) && (keyGroup === group || keyGroup === undefined)) {
+        documents.delete(key);
+        groups.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Returns the number of entries loaded for the current model. Throws on files in another
+  // format (the old JSON cache, or version 1 with keys of unnamespaced models); starting
+  // empty and saving replaces them.
+  load() {
+    if (!fs.existsSync(this.file)) return 0;
+
+    const buffer = fs.readFileSync(this.file);
+    if (buffer.length < 12 || buffer.toString("latin1", 0, 4) !== MAGIC || buffer.readUInt32LE(4) !== VERSION) {
+      throw new Error(`${this.file} is not a version ${VERSION} embedding cache`);
+    }
+
+    const headerLength = buffer.readUInt32LE(8);
+    let header;
+    try {
+      header = JSON.parse(buffer.toString("utf8", 12, 12 + headerLength));
+    } catch {
+      throw new Error(`${this.file} is truncated or corrupt (unreadable header)`);
+    }
+
+    // The vectors must fill the rest of the file exactly; a shorter payload means a cut-off write
+    const vectorBytes = buffer.length - 12 - headerLength;
+    const entries = Array.isArray(header?.entries) ? header.entries : null;
+    const total = entries?.reduce((sum, { length }) => (Number.isInteger(length) && length > 0 ? sum + length : NaN), 0);
+    if (!entries || Number.isNaN(total) || vectorBytes !== total * 4) {
+      throw new Error(`${this.file} is truncated or corrupt (vector data does not match its header)`);
+    }
+
+    // Copy the vector section so Float32Array views are 4-byte aligned
+    const data = new Float32Array(new Uint8Array(buffer.subarray(12 + headerLength)).buffer);
+    let offset = 0;
+    let loaded = 0;
+    for (const { model, key, kind, group, length } of entries) {
+      const vector = data.slice(offset, offset + length);
+      offset += length;
+      const { documents, queries, groups } = this.namespace(model);
+      if (kind === "query") {
+        queries.set(key, vector);
+      } else {
+        documents.set(key, vector);
+        if (group !== undefined) groups.set(key, group);
+      }
+      if (model === this.model) loaded++;
+    }
+    return loaded;
+  }
+
+  // Write to a temporary file first so a crash never leaves a truncated cache behind
+  save() {
+    const all = [...this.namespaces].flatMap(([model, { documents, queries, groups }]) => [
+      ...[...documents].map(([key, vector]) => ({ model, key, kind: "document", group: groups.get(key), vector })),
+      ...[...queries].map(([key, vector]) => ({ model, key, kind: "query", vector }))
+    ]);
+    const header = Buffer.from(JSON.stringify({
+      entries: all.map(({ model, key, kind, group, vector }) => ({ model, key, kind, group, length: vector.length }))
+    }), "utf8");
+
+    const prefix = Buffer.alloc(12);
+    prefix.write(MAGIC, 0, "latin1");
+    prefix.writeUInt32LE(VERSION, 4);
+    prefix.writeUInt32LE(header.length, 8);
+
+    const vectors = all.map(({ vector }) => Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength));
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, Buffer.concat([prefix, header, ...vectors]));
+    fs.renameSync(tmpFile, this.file);
+    return all.length;
+  }
+}
+
+export default EmbeddingCache;
@@ -0,0 +1,305 @@
+// eval.js
+// Retrieval and answer evaluation over the records in test-questions.json
+//
+//   node eval.js [--profile normal|fast|ultra|<own>] [--k 5] [--lexical-weight 0.5] [--retrieval-only]
+//                [--questions test-questions.json] [--report logs/eval-report.json]
+//                [--baseline logs/eval-baseline.json] [--save-baseline]
+import fs from "fs";
+import path from "path";
+import { createRagEngine } from "./rag-engine.js";
+import { loadConfigFile, resolveProfile } from "./config.js";
+import { providerConfigFromEnv } from "./providers.js";
+
+const DEFAULTS = {
+  profile: null, // rag.config.json's defaultProfile
+  k: 5,
+  lexicalWeight: null, // The profile's
+  retrievalOnly: false,
+  questions: "./test-questions.json",
+  report: "./logs/eval-report.json",
+  baseline: "./logs/eval-baseline.json",
+  saveBaseline: false
+};
+
+// Metrics where a lower value is an improvement
+const LOWER_IS_BETTER = /^latency\.|faqFalsePositiveRate|errors/;
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--profile": case "--mode": options.profile = value(); break;
+      case "--k": options.k = Number(value()); break;
+      case "--lexical-weight": options.lexicalWeight = Number(value()); break;
+      case "--retrieval-only": options.retrievalOnly = true; break;
+      case "--questions": options.questions = value(); break;
+      case "--report": options.report = value(); break;
+      case "--baseline": options.baseline = value(); break;
+      case "--save-baseline": options.saveBaseline = true; break;
+      default: throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+  if (!Number.isInteger(options.k) || options.k < 1) {
+    throw new Error(`--k must be a positive integer`);
+  }
+  if (options.lexicalWeight !== null && !(options.lexicalWeight >= 0 && options.lexicalWeight <= 1)) {
+    throw new Error("--lexical-weight must be a number between 0 and 1");
+  }
+  return options;
+}
+
+function loadQuestions(file) {
+  const records = JSON.parse(fs.readFileSync(file, "utf8")).testQuestions;
+  if (!Array.isArray(records)) throw new Error(`${file} has no testQuestions array`);
+
+  return records.map((record, i) => {
+    if (typeof record.question !== "string") throw new Error(`Question ${i + 1} in ${file} has no "question"`);
+    return {
+      id: record.id || `q${i + 1}`,
+      question: record.question,
+      expectedSources: record.expectedSources || [],
+      expectedSections: record.expectedSections || [],
+      expectedCommands: record.expectedCommands || [],
+      expectedFlags: record.expectedFlags || [],
+      mustInclude: record.mustInclude || [],
+      expectFaq: record.expectFaq === true
+    };
+  });
+}
+
+// A retrieval target is an expected file or an expected README section
+function matchesTarget(metadata, target) {
+  if (target.type === "source") {
+    return (metadata.source || "").replace(/^\.\//, "") === target.value;
+  }
+  return (metadata.breadcrumb || "").toLowerCase().includes(target.value.toLowerCase());
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Nearest-rank percentile
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function latencySummary(values) {
+  return { p50: percentile(values, 50), p90: percentile(values, 90), p95: percentile(values, 95), max: percentile(values, 100) };
+}
+
+async function evaluateRetrieval(engine, record, k) {
+  const targets = [
+    ...record.expectedSources.map(value => ({ type: "source", value })),
+    ...record.expectedSections.map(value => ({ type: "section", value }))
+  ];
+
+  const startTime = Date.now();
+  const results = await engine.search(record.question, k);
+  const latency = Date.now() - startTime;
+  if (targets.length === 0) return { latency };
+
+  const recallAt = n => targets.filter(t => results.slice(0, n).some(r => matchesTarget(r.metadata, t))).length / targets.length;
+  const firstRelevant = results.findIndex(r => targets.some(t => matchesTarget(r.metadata, t)));
+
+  return {
+    latency,
+    recall: Object.fromEntries([...new Set([1, 3, k])].filter(n => n <= k).map(n => [n, recallAt(n)])),
+    reciprocalRank: firstRelevant >= 0 ? 1 / (firstRelevant + 1) : 0,
+    retrieved: results.map(r => ({ source: r.metadata.source, section: r.metadata.breadcrumb, symbol: r.metadata.symbol }))
+  };
+}
+
+async function evaluateAnswer(engine, record) {
+  const result = await engine.ask(record.question);
+  const text = `${result.answer}\n${result.command || ""}`;
+  const lower = text.toLowerCase();
+
+  const missingKeywords = record.mustInclude.filter(keyword => !lower.includes(keyword.toLowerCase()));
+  const expectedTerms = [...record.expectedCommands, ...record.expectedFlags];
+  const missingTerms = expectedTerms.filter(term => !text.includes(term));
+
+  return {
+    path: result.path,
+    faqHit: result.path === "faq",
+    keywordAccuracy: record.mustInclude.length > 0 ? 1 - missingKeywords.length / record.mustInclude.length : null,
+    commandFlagAccuracy: expectedTerms.length > 0 ? 1 - missingTerms.length / expectedTerms.length : null,
+    missingKeywords,
+    missingTerms,
+    timings: result.timings,
+    answer: result.answer
+  };
+}
+
+function summarize(results, options) {
+  const retrieval = results.filter(r => r.retrieval?.recall);
+  const answered = results.filter(r => r.answer && !r.answer.error);
+  const expectFaq = answered.filter(r => r.expectFaq);
+  const expectRag = answered.filter(r => !r.expectFaq);
+
+  const recall = {};
+  for (const n of Object.keys(retrieval[0]?.retrieval.recall || {})) {
+    recall[`@${n}`] = average(retrieval.map(r => r.retrieval.recall[n]));
+  }
+
+  const summary = {
+    retrieval: {
+      questions: retrieval.length,
+      recall,
+      mrr: average(retrieval.map(r => r.retrieval.reciprocalRank))
+    },
+    latency: {
+      retrieval: latencySummary(results.map(r => r.retrieval?.latency).filter(v => v !== undefined))
+    }
+  };
+
+  if (!options.retrievalOnly) {
+    summary.answers = {
+      questions: answered.length,
+      errors: results.length - answered.length,
+      faqHitRate: average(expectFaq.map(r => (r.answer.faqHit ? 1 : 0))),
+      faqFalsePositiveRate: average(expectRag.map(r => (r.answer.faqHit ? 1 : 0))),
+      keywordAccuracy: average(answered.map(r => r.answer.keywordAccuracy).filter(v => v !== null)),
+      commandFlagAccuracy: average(answered.map(r => r.answer.commandFlagAccuracy).filter(v => v !== null))
+    };
+    summary.latency.total = latencySummary(answered.map(r => r.answer.timings.total));
+    summary.latency.firstToken = latencySummary(answered.map(r => r.answer.timings.firstToken).filter(v => v !== null && v !== undefined));
+  }
+
+  return summary;
+}
+
+// Flatten nested numeric metrics into "retrieval.recall.@5"-style keys
+function flatten(object, prefix = "") {
+  return Object.entries(object).reduce((flat, [key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === "object") Object.assign(flat, flatten(value, name));
+    else if (typeof value === "number") flat[name] = value;
+    return flat;
+  }, {});
+}
+
+function diffReports(current, baseline) {
+  const now = flatten(current.summary);
+  const before = flatten(baseline.summary);
+
+  const metrics = Object.keys(now).filter(key => key in before).map(key => {
+    const delta = now[key] - before[key];
+    const better = LOWER_IS_BETTER.test(key) ? delta < 0 : delta > 0;
+    return { metric: key, baseline: before[key], current: now[key], delta, change: delta === 0 ? "same" : (better ? "better" : "worse") };
+  });
+
+  // Questions whose retrieval moved
+  const baselineById = new Map(baseline.questions.map(q => [q.id, q]));
+  const questions = current.questions.flatMap(q => {
+    const previous = baselineById.get(q.id);
+    if (!previous?.retrieval?.recall || !q.retrieval?.recall) return [];
+    const delta = q.retrieval.reciprocalRank - previous.retrieval.reciprocalRank;
+    return delta !== 0 ? [{ id: q.id, reciprocalRank: { baseline: previous.retrieval.reciprocalRank, current: q.retrieval.reciprocalRank } }] : [];
+  });
+
+  return { baselineGeneratedAt: baseline.generatedAt, baselineConfig: baseline.config, metrics, questions };
+}
+
+function formatValue(metric, value) {
+  if (value === null || value === undefined) return "n/a";
+  if (metric.startsWith("latency.")) return `${(value / 1000).toFixed(2)}s`;
+  if (Number.isInteger(value)) return String(value);
+  return value.toFixed(3);
+}
+
+function printSummary(report) {
+  console.log("\n" + "═".repeat(80));
+  console.log("📊 EVALUATION RESULTS");
+  console.log("═".repeat(80));
+  console.log(`⚙️ Profile: ${report.config.profile}, k: ${report.config.k}, BM25 weight: ${report.config.lexicalWeight}`);
+
+  for (const [metric, value] of Object.entries(flatten(report.summary))) {
+    console.log(`   ${metric.padEnd(36)} ${formatValue(metric, value)}`);
+  }
+
+  if (report.diff) {
+    console.log("\n" + "─".repeat(80));
+    console.log(`🔁 Compared with baseline from ${report.diff.baselineGeneratedAt}`);
+    for (const { metric, baseline, current, change } of report.diff.metrics) {
+      const icon = change === "better" ? "🟢" : (change === "worse" ? "🔴" : "⚪");
+      console.log(`   ${icon} ${metric.padEnd(36)} ${formatValue(metric, baseline).padStart(8)} → ${formatValue(metric, current)}`);
+    }
+    if (report.diff.questions.length > 0) {
+      console.log(`   🔀 Reciprocal rank changed for: ${report.diff.questions.map(q => q.id).join(", ")}`);
+    }
+  }
+}
+
+let engine = null;
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const questions = loadQuestions(options.questions);
+  // Profiles and providers come from rag.config.json and the same environment variables as rag.js
+  const configFile = loadConfigFile();
+  const profileName = options.profile || configFile.defaultProfile;
+  const providers = providerConfigFromEnv(process.env);
+  engine = createRagEngine({
+    mode: profileName,
+    profile: resolveProfile(configFile.profiles, profileName, configFile.file || "built-in profiles"),
+    lexicalWeight: options.lexicalWeight ?? undefined,
+    llm: { ...configFile.llm, ...providers.llm },
+    embedding: { ...configFile.embedding, ...providers.embedding }
+  });
+
+  console.log(`🧪 Evaluating ${questions.length} questions from ${options.questions}...`);
+  const stats = await engine.buildIndex();
+
+  const results = [];
+  for (const [i, record] of questions.entries()) {
+    console.log(`   [${String(i + 1).padStart(2)}/${questions.length}] ${record.id}`);
+    const entry = { id: record.id, question: record.question, expectFaq: record.expectFaq };
+    entry.retrieval = await evaluateRetrieval(engine, record, options.k);
+
+    if (!options.retrievalOnly) {
+      try {
+        entry.answer = await evaluateAnswer(engine, record);
+      } catch (error) {
+        console.log(`      ❌ ${error.message}`);
+        entry.answer = { error: error.message };
+      }
+    }
+    results.push(entry);
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    config: { profile: profileName, k: options.k, lexicalWeight: stats.lexicalWeight, retrievalOnly: options.retrievalOnly, questions: options.questions, llm: stats.llm, embedding: stats.embeddingModel },
+    summary: summarize(results, options),
+    questions: results
+  };
+
+  if (fs.existsSync(options.baseline)) {
+    report.diff = diffReports(report, JSON.parse(fs.readFileSync(options.baseline, "utf8")));
+  }
+
+  fs.mkdirSync(path.dirname(options.report), { recursive: true });
+  fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+  printSummary(report);
+  console.log(`\n📄 Report written to ${options.report}`);
+
+  if (options.saveBaseline) {
+    fs.mkdirSync(path.dirname(options.baseline), { recursive: true });
+    const { diff, ...baselineReport } = report;
+    fs.writeFileSync(options.baseline, JSON.stringify(baselineReport, null, 2));
+    console.log(`📌 Saved as baseline: ${options.baseline}`);
+  }
+} catch (error) {
+  console.error("❌ Evaluation failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  engine?.close();
+}
@@ -0,0 +1,146 @@
+// Schema of docs/faq-commands.json:
+//   { faq: { <key>: CommandEntry }, <key>: Entry, ... }
+// Entry:        { category, questions: [string], answer, executable? }
+// CommandEntry: Entry plus { command: "rsk-cli <name>", options: [OptionSpec] } (see command-builder.js)
+
+const OPTION_TYPES = ["boolean", "wallet", "address", "hash", "amount", "path", "integer", "string"];
+const ENTRY_KEYS = ["category", "questions", "answer", "executable", "command", "options"];
+const OPTION_KEYS = ["name", "flag", "type", "required", "keywords", "context", "extensions", "pattern"];
+
+const isObject = value => typeof value === "object" && value !== null && !Array.isArray(value);
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === "string" && item.trim() !== "");
+
+function checkOption(option, where, problems) {
+  if (!isObject(option)) {
+    problems.push({ path: where, message: "must be an object" });
+    return;
+  }
+  Object.keys(option)
+    .filter(key => !OPTION_KEYS.includes(key))
+    .forEach(key => problems.push({ path: `${where}.${key}`, message: `unknown key (expected ${OPTION_KEYS.join(", ")})` }));
+
+  if (typeof option.name !== "string" || !/^\w+$/.test(option.name)) {
+    problems.push({ path: `${where}.name`, message: "must be a word such as \"testnet\"" });
+  }
+  if (typeof option.flag !== "string" || !/^--?[A-Za-z][\w-]*$/.test(option.flag)) {
+    problems.push({ path: `${where}.flag`, message: "must be a flag such as \"--testnet\"" });
+  }
+  if (!OPTION_TYPES.includes(option.type)) {
+    problems.push({ path: `${where}.type`, message: `must be one of ${OPTION_TYPES.join(", ")}` });
+  }
+  if (option.required !== undefined && typeof option.required !== "boolean") {
+    problems.push({ path: `${where}.required`, message: "must be true or false" });
+  }
+  for (const key of ["keywords", "extensions"]) {
+    if (option[key] !== undefined && !isStringList(option[key])) {
+      problems.push({ path: `${where}.${key}`, message: "must be a list of non-empty strings" });
+    }
+  }
+  if (option.type === "boolean" && !option.keywords) {
+    problems.push({ path: `${where}.keywords`, message: "boolean options need keywords to be set from a question" });
+  }
+  if (option.context !== undefined && typeof option.context !== "string") {
+    problems.push({ path: `${where}.context`, message: "must be a string of alternatives such as \"to|recipient\"" });
+  }
+  if (["integer", "string"].includes(option.type) && option.pattern === undefined) {
+    problems.push({ path: `${where}.pattern`, message: `${option.type} options need a pattern with one capture group` });
+  }
+  if (option.pattern !== undefined) {
+    try {
+      new RegExp(option.pattern);
+    } catch (error) {
+      problems.push({ path: `${where}.pattern`, message: `invalid regular expression: ${error.message}` });
+    }
+  }
+}
+
+function checkEntry(entry, where, { isCommand }, problems) {
+  if (!isObject(entry)) {
+    problems.push({ path: where, message: "must be an object" });
+    return;
+  }
+  Object.keys(entry)
+    .filter(key => !ENTRY_KEYS.includes(key))
+    .forEach(key => problems.push({ path: `${where}.${key}`, message: `unknown key (expected ${ENTRY_KEYS.join(", ")})` }));
+
+  if (typeof entry.category !== "string" || entry.category.trim() === "") {
+    problems.push({ path: `${where}.category`, message: "must be a non-empty string" });
+  }
+  if (!isStringList(entry.questions) || entry.questions.length === 0) {
+    problems.push({ path: `${where}.questions`, message: "must be a non-empty list of non-empty strings" });
+  } else {
+    const seen = new Set();
+    entry.questions.forEach((question, i) => {
+      const normalized = question.trim().toLowerCase();
+      if (seen.has(normalized)) problems.push({ path: `${where}.questions[${i}]`, message: `repeats "${question}"` });
+      seen.add(normalized);
+    });
+  }
+  if (typeof entry.answer !== "string" || entry.answer.trim() === "") {
+    problems.push({ path: `${where}.answer`, message: "must be a non-empty string" });
+  }
+  if (entry.executable !== undefined && typeof entry.executable !== "boolean") {
+    problems.push({ path: `${where}.executable`, message: "must be true or false" });
+  }
+
+  if (isCommand || entry.command !== undefined) {
+    if (typeof entry.command !== "string" || !/^rsk-cli [a-z][a-z-]*$/.test(entry.command)) {
+      problems.push({ path: `${where}.command`, message: "must be \"rsk-cli <command>\" without options" });
+    }
+  }
+  if (entry.options !== undefined) {
+    if (!Array.isArray(entry.options)) {
+      problems.push({ path: `${where}.options`, message: "must be a list" });
+    } else {
+      entry.options.forEach((option, i) => checkOption(option, `${where}.options[${i}]`, problems));
+      const names = entry.options.map(option => option?.name);
+      names.forEach((name, i) => {
+        if (names.indexOf(name) !== i) problems.push({ path: `${where}.options[${i}].name`, message: `repeats option "${name}"` });
+      });
+    }
+  }
+  if (entry.executable && !entry.command) {
+    problems.push({ path: `${where}.executable`, message: "executable entries need a command" });
+  }
+}
+
+// Problems in parsed FAQ data: [{ path, message }], empty when it is valid
+export function validateFAQ(data) {
+  const problems = [];
+  if (!isObject(data)) return [{ path: "(root)", message: "must be an object" }];
+  if (!isObject(data.faq)) problems.push({ path: "faq", message: "must be an object of command entries" });
+
+  for (const [key, entry] of Object.entries(isObject(data.faq) ? data.faq : {})) {
+    checkEntry(entry, `faq.${key}`, { isCommand: true }, problems);
+  }
+  for (const [key, entry] of Object.entries(data).filter(([key]) => key !== "faq")) {
+    if (isObject(data.faq) && data.faq[key]) {
+      problems.push({ path: key, message: `has the same key as faq.${key}; category keys must be unique` });
+    }
+    checkEntry(entry, key, { isCommand: false }, problems);
+  }
+  return problems;
+}
+
+export function formatProblems(problems) {
+  return problems.map(problem => `${problem.path}: ${problem.message}`);
+}
+
+// Option objects on one line each, everything else indented by two spaces
+function inline(value) {
+  if (Array.isArray(value)) return `[${value.map(inline).join(", ")}]`;
+  if (isObject(value)) return `{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${inline(item)}`).join(", ")}}`;
+  return JSON.stringify(value);
+}
+
+// FAQ data as file text in the layout of docs/faq-commands.json, so edits written back keep diffs small
+export function formatFAQ(data) {
+  const options = [];
+  const marked = structuredClone(data);
+  for (const entry of Object.values({ ...marked.faq, ...marked })) {
+    if (Array.isArray(entry?.options)) {
+      entry.options = entry.options.map(option => `@@option${options.push(option) - 1}@@`);
+    }
+  }
+  return JSON.stringify(marked, null, 2).replace(/"@@option(\d+)@@"/g, (_, i) => inline(options[i])) + "\n";
+}
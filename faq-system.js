@@ -1,23 +1,126 @@
 // FAQ System for instant command responses
 import fs from 'fs';
+import { cosineSimilarity } from './similarity.js';
+import { buildCommand } from './command-builder.js';
+import { validateFAQ, formatProblems } from './faq-schema.js';
+
+// Words that carry no meaning on their own when matching questions
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'am', 'be', 'i', 'me', 'my', 'you', 'your', 'we', 'it', 'its',
+  'do', 'does', 'did', 'can', 'could', 'should', 'would', 'will', 'how', 'what', 'whats', 'which',
+  'to', 'of', 'in', 'on', 'for', 'with', 'by', 'from', 'at', 'and', 'or', 'this', 'that',
+  'use', 'using', 'rsk-cli', 'rsk', 'cli'
+]);
+
+// Content words of a question. Numbers and 0x values (amounts, addresses, hashes) are
+// parameters of the command rather than part of the question.
+function tokenize(text) {
+  return (text.match(/[a-z0-9][a-z0-9-]*/g) || [])
+    .filter(word => !STOPWORDS.has(word) && !/^(\d+|0x[0-9a-f]*)$/.test(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+// Optimal string alignment distance: insertions, deletions, substitutions and swaps
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// 1 for the same word, 0.8 for a likely typo ("balnce", "trasnfer"), 0 otherwise
+function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  if (Math.min(a.length, b.length) < 4 || Math.abs(a.length - b.length) > 2) return 0;
+  return editDistance(a, b) <= (Math.max(a.length, b.length) >= 8 ? 2 : 1) ? 0.8 : 0;
+}
 
 class FAQSystem {
-  constructor() {
+  constructor(faqPath = './docs/faq-commands.json', { semanticWeight = 0.7, ambiguityMargin = 0.05, strict = false } = {}) {
+    this.faqPath = faqPath;
+    this.strict = strict;                   // Throw on a bad file instead of running without FAQ answers
+    this.semanticWeight = semanticWeight;   // Share of embedding similarity when vectors are available
+    this.ambiguityMargin = ambiguityMargin; // Top two categories closer than this trigger "did you mean"
+    this.minScore = 0.4;                    // Minimum similarity threshold
     this.faq = null;
+    this.entries = null;
+    this.questionVectors = null;
+    this.loadError = null;                  // Why the file was not loaded (not strict), null when it was
     this.loadFAQ();
   }
 
+  // A file that is missing, is not JSON or does not match the schema (node rag.js faq validate)
+  // throws when strict; otherwise the problems are printed and the FAQ stays empty (RAG only)
   loadFAQ() {
+    let error = null;
+    let faqData;
     try {
-      const faqData = fs.readFileSync('./docs/faq-commands.json', 'utf8');
-      this.faq = JSON.parse(faqData);
-    } catch (error) {
-      console.log('⚠️ Could not load FAQ data, falling back to RAG only');
-      this.faq = { faq: {}, general: {}, networks: {} };
+      faqData = JSON.parse(fs.readFileSync(this.faqPath, 'utf8'));
+    } catch (readError) {
+      error = new Error(`Could not load FAQ file ${this.faqPath}: ${readError.message}`);
     }
+
+    const problems = error ? [] : formatProblems(validateFAQ(faqData));
+    if (problems.length > 0) {
+      const more = problems.length > 5 ? `\n  ...and ${problems.length - 5} more` : '';
+      error = new Error(`Invalid FAQ file ${this.faqPath}:\n  ${problems.slice(0, 5).join('\n  ')}${more}`);
+    }
+
+    if (error && this.strict) throw error;
+    if (error) {
+      console.warn(`⚠️ ${error.message}`);
+      console.warn(`⚠️ Running without FAQ answers (RAG only); check the file with 'node rag.js faq validate'`);
+      this.loadError = error.message;
+      this.faq = { faq: {} };
+      return;
+    }
+    this.faq = faqData;
+  }
+
+  // Categories: the command entries under "faq" plus top-level ones like "general"
+  getCategories() {
+    const { faq: commandCategories, ...otherCategories } = this.faq;
+    return { ...commandCategories, ...otherCategories };
   }
 
-  // Calculate similarity between question and FAQ entries
+  // One entry per FAQ question, in a stable order (question vectors are aligned with it)
+  getEntries() {
+    if (!this.entries) {
+      this.entries = Object.entries(this.getCategories()).flatMap(([categoryKey, category]) =>
+        category.questions.map(question => ({
+          category: categoryKey,
+          question,
+          answer: category.answer,
+          command: category.command || null,
+          executable: category.executable || false
+        }))
+      );
+    }
+    return this.entries;
+  }
+
+  // Embeddings of getEntries() questions, computed by the caller. Without them matching is lexical only.
+  setQuestionVectors(vectors) {
+    if (vectors.length !== this.getEntries().length) {
+      throw new Error(`Expected ${this.getEntries().length} FAQ vectors, got ${vectors.length}`);
+    }
+    this.questionVectors = vectors;
+  }
+
+  hasVectors() {
+    return Boolean(this.questionVectors);
+  }
+
+  // Lexical similarity between question and FAQ entry, tolerant to typos
   calculateSimilarity(question, faqQuestion) {
     const q1 = question.toLowerCase().trim();
     const q2 = faqQuestion.toLowerCase().trim();
@@ -25,56 +128,61 @@ class FAQSystem {
     // Exact match (highest priority)
     if (q1 === q2) return 1.0;
     
-    // Contains match
-    if (q1.includes(q2) || q2.includes(q1)) return 0.9;
-    
-    // Word-based similarity
-    const words1 = q1.split(/\s+/);
-    const words2 = q2.split(/\s+/);
-    
-    const intersection = words1.filter(word => 
-      words2.some(w2 => w2.includes(word) || word.includes(w2))
-    );
-    
-    const similarity = intersection.length / Math.max(words1.length, words2.length);
-    return similarity;
+    // Content words only: stopwords like "a", "is" or "my" match almost anything
+    const words1 = tokenize(q1);
+    const words2 = tokenize(q2);
+    if (words1.length === 0 || words2.length === 0) return 0;
+
+    // Each word scores its best counterpart on the other side, in both directions
+    const bestMatches = (from, to) => from.reduce((sum, word) =>
+      sum + Math.max(...to.map(other => wordSimilarity(word, other))), 0);
+
+    return (bestMatches(words1, words2) + bestMatches(words2, words1)) / (words1.length + words2.length);
   }
 
-  // Find best matching FAQ entry
-  findBestMatch(question) {
-    let bestMatch = null;
-    let bestScore = 0;
-    const threshold = 0.4; // Minimum similarity threshold
+  // Best match per category, highest combined score first:
+  // [{ category, answer, command, executable, score, semanticScore, lexicalScore, matchedQuestion }]
+  findMatches(question, { queryVector = null, topN = 3 } = {}) {
+    const useVectors = Boolean(queryVector && this.questionVectors);
+    const bestByCategory = new Map();
 
-    // Search through all FAQ categories
-    const allCategories = { ...this.faq.faq, ...this.faq };
-    
-    for (const [categoryKey, category] of Object.entries(allCategories)) {
-      if (!category.questions) continue;
-      
-      for (const faqQuestion of category.questions) {
-        const score = this.calculateSimilarity(question, faqQuestion);
-        
-        if (score > bestScore && score >= threshold) {
-          bestScore = score;
-          bestMatch = {
-            category: categoryKey,
-            answer: category.answer,
-            command: category.command || null,
-            executable: category.executable || false,
-            score: score,
-            matchedQuestion: faqQuestion
-          };
-        }
+    this.getEntries().forEach((entry, i) => {
+      const lexicalScore = this.calculateSimilarity(question, entry.question);
+      const semanticScore = useVectors ? cosineSimilarity(queryVector, this.questionVectors[i]) : null;
+      const score = useVectors
+        ? this.semanticWeight * semanticScore + (1 - this.semanticWeight) * lexicalScore
+        : lexicalScore;
+
+      const current = bestByCategory.get(entry.category);
+      if (score >= this.minScore && (!current || score > current.score)) {
+        bestByCategory.set(entry.category, {
+          category: entry.category,
+          answer: entry.answer,
+          command: entry.command,
+          executable: entry.executable,
+          score,
+          semanticScore,
+          lexicalScore,
+          matchedQuestion: entry.question
+        });
       }
-    }
+    });
+
+    return [...bestByCategory.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topN);
+  }
 
-    return bestMatch;
+  // Find best matching FAQ entry
+  findBestMatch(question, options = {}) {
+    return this.findMatches(question, { ...options, topN: 1 })[0] || null;
   }
 
-  // Get instant answer if available, otherwise return null for RAG fallback
-  async getInstantAnswer(question) {
-    const match = this.findBestMatch(question);
+  // Get instant answer if available, otherwise return null for RAG fallback.
+  // `alternatives` lists other categories scoring within ambiguityMargin of the best one.
+  async getInstantAnswer(question, { queryVector = null, topN = 3 } = {}) {
+    const candidates = this.findMatches(question, { queryVector, topN: Math.max(topN, 2) });
+    const match = candidates[0];
     
     if (!match) {
       return null; // No FAQ match, use RAG
@@ -88,19 +196,34 @@ class FAQSystem {
       executable: match.executable,
       confidence: match.score,
       category: match.category,
-      matchedQuestion: match.matchedQuestion
+      matchedQuestion: match.matchedQuestion,
+      alternatives: candidates.slice(1).filter(candidate => match.score - candidate.score < this.ambiguityMargin),
+      candidates: candidates.slice(0, topN)
     };
   }
 
+  // Complete command for a category, with the options it declares filled from the question:
+  // { command, values, missing, invalid, complete }, or null for entries without a command
+  buildCommand(categoryKey, question) {
+    const category = this.getCategories()[categoryKey];
+    if (!category || !category.command) return null;
+    return buildCommand(category.command, category.options || [], question);
+  }
+
   // Get command suggestion for execution
-  getCommandSuggestion(question) {
-    const match = this.findBestMatch(question);
+  getCommandSuggestion(question, options = {}) {
+    const match = this.findBestMatch(question, options);
     
     if (match && match.executable && match.command) {
+      const built = this.buildCommand(match.category, question);
       return {
-        command: match.command,
+        command: built.command,
+        baseCommand: match.command,
         category: match.category,
-        confidence: match.score
+        confidence: match.score,
+        options: built.values,
+        missing: built.missing,
+        invalid: built.invalid
       };
     }
     
@@ -112,13 +235,9 @@ class FAQSystem {
     let totalQuestions = 0;
     let totalCategories = 0;
     
-    const allCategories = { ...this.faq.faq, ...this.faq };
-    
-    for (const [key, category] of Object.entries(allCategories)) {
-      if (category.questions) {
-        totalCategories++;
-        totalQuestions += category.questions.length;
-      }
+    for (const category of Object.values(this.getCategories())) {
+      totalCategories++;
+      totalQuestions += category.questions.length;
     }
     
     return {
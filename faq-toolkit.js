@@ -0,0 +1,402 @@
+// FAQ authoring checks behind "node rag.js faq": schema validation, overlapping questions across
+// categories, commands the README does not document, proposed entries for uncovered README sections,
+// and the review queue of questions and answers users rated with /good and /bad
+import fs from "fs";
+import FAQSystem from "./faq-system.js";
+import { validateFAQ, formatProblems, formatFAQ } from "./faq-schema.js";
+import FeedbackStore, {
+  DEFAULT_FEEDBACK_FILE,
+  DEFAULT_REVIEW_FILE,
+  buildReviewQueue,
+  loadReviewQueue,
+  saveReviewQueue,
+  mergeReviewQueue,
+  applyProposal
+} from "./feedback.js";
+import { buildCommandCatalog } from "./command-catalog.js";
+import { buildCommandReference, checkAnswer, describeIssues } from "./command-guard.js";
+import { findSections } from "./markdown-splitter.js";
+
+const DEFAULT_FAQ = "./docs/faq-commands.json";
+const DEFAULT_README = "./docs/README.md";
+
+const USAGE = `Usage: node rag.js faq [check|validate|overlaps|lint|suggest|review|approve <id>|reject <id>] [options]
+  check                 validate, overlaps and lint together (default)
+  validate              Check the FAQ file against its schema
+  overlaps              Near-identical questions in different categories
+  lint                  Entry commands, flags and answer commands missing from the README
+  suggest               Proposed questions and entries for README sections no FAQ question covers
+  review                Rebuild the review queue from /good and /bad ratings and list pending proposals
+  approve <id>          Merge a proposal of the review queue into the FAQ file
+  reject <id>           Drop a proposal; it is not proposed again
+  --file <path>         FAQ file (default ${DEFAULT_FAQ})
+  --readme <path>       README the commands are checked against (default ${DEFAULT_README})
+  --threshold <0-1>     Question similarity reported as an overlap (default 0.8)
+  --feedback <path>     Ratings (default ${DEFAULT_FEEDBACK_FILE})
+  --queue <path>        Review queue (default ${DEFAULT_REVIEW_FILE})
+  --min-good <n>        Good ratings a group of questions needs before it is proposed (default 2)
+  --json                Print the results as JSON`;
+
+// Pairs of questions in different categories at least `threshold` similar (lexical, typo tolerant):
+// [{ score, first: { category, question }, second: { category, question } }], most similar first
+export function findOverlaps(faqSystem, { threshold = 0.8 } = {}) {
+  const entries = faqSystem.getEntries();
+  const overlaps = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (entries[i].category === entries[j].category) continue;
+      const score = faqSystem.calculateSimilarity(entries[i].question, entries[j].question);
+      if (score >= threshold) {
+        overlaps.push({
+          score,
+          first: { category: entries[i].category, question: entries[i].question },
+          second: { category: entries[j].category, question: entries[j].question }
+        });
+      }
+    }
+  }
+  return overlaps.sort((a, b) => b.score - a.score);
+}
+
+// Commands of FAQ entries must appear in the README (errors); option flags and the commands
+// shown in answers should be documented there too (warnings). Returns { errors, warnings }
+// as [{ path, message }].
+export function lintFAQ(faqSystem, readme) {
+  const catalog = buildCommandCatalog({ readme });
+  const reference = buildCommandReference(catalog);
+  const errors = [];
+  const warnings = [];
+
+  for (const [key, entry] of Object.entries(faqSystem.getCategories())) {
+    const where = faqSystem.faq.faq[key] === entry ? `faq.${key}` : key;
+    const name = entry.command ? entry.command.split(" ")[1] : null;
+
+    if (name && !catalog.documentedFlags.has(name)) {
+      errors.push({ path: `${where}.command`, message: `"${entry.command}" does not appear in the README` });
+    } else if (name) {
+      const documented = reference.commands.get(name);
+      (entry.options || [])
+        .filter(option => !documented.has(option.flag))
+        .forEach(option => warnings.push({
+          path: `${where}.options.${option.name}`,
+          message: `${option.flag} is not documented for "${entry.command}" in the README`
+        }));
+    }
+
+    const check = checkAnswer(entry.answer, reference);
+    describeIssues(check).forEach(issue => warnings.push({ path: `${where}.answer`, message: issue }));
+  }
+  return { errors, warnings };
+}
+
+const NETWORK_HEADINGS = new Set(["mainnet", "testnet"]);
+
+// Lower-case a heading for use inside a sentence, keeping acronyms like RBTC and ERC20
+function inSentence(heading) {
+  return heading
+    .replace(/\s*\([^)]*\)/g, "")
+    .split(" ")
+    .map(word => (/^[A-Z0-9]{2,}$/.test(word) ? word : word.toLowerCase()))
+    .join(" ");
+}
+
+// A question a user would ask about a README section, from its headings
+function questionFor(headings, command) {
+  const title = headings[headings.length - 1];
+  const parent = headings.length > 2 ? headings[headings.length - 2] : null;
+  if (!parent) return `How do I ${inSentence(title)}?`;
+  if (NETWORK_HEADINGS.has(title.toLowerCase())) return `How do I ${inSentence(parent)} on ${title.toLowerCase()}?`;
+  if (/^available options$/i.test(title)) return `What are the available options for rsk-cli ${command}?`;
+  if (/^for /i.test(title)) return `How does ${inSentence(title.replace(/^for /i, ""))} work?`;
+  return `How do I use ${inSentence(title)} with rsk-cli ${command}?`;
+}
+
+// First prose paragraph of a section plus its first few command lines, as a draft answer
+function draftAnswer(lines) {
+  const body = lines.slice(1).join("\n");
+  const prose = body
+    .replace(/```[\s\S]*?```/g, "")
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .find(paragraph => paragraph && !paragraph.startsWith("#")) || "";
+  const commands = [...new Set([...body.matchAll(/^\s*(rsk-cli [^\n#]+?)\s*$/gm)].map(m => m[1]))].slice(0, 3);
+  return [prose, ...commands.map(command => `- \`${command}\``)].filter(Boolean).join("\n");
+}
+
+// README sections showing an rsk-cli command whose question the FAQ does not answer yet (best
+// lexical match below `coverage`). Returns [{ target, category, command, question, answer, source }]
+// where target is the existing entry to add the question to ("faq.transfer"), or null when the
+// command has no entry and a new one is proposed.
+export function suggestEntries(faqSystem, readme, { readmePath = DEFAULT_README, coverage = 0.75 } = {}) {
+  const entryByCommand = new Map(
+    Object.entries(faqSystem.faq.faq).map(([key, entry]) => [entry.command.split(" ")[1], `faq.${key}`])
+  );
+  const suggestions = [];
+
+  for (const section of findSections(readme)) {
+    const command = section.lines.join("\n").match(/rsk-cli\s+([a-z][a-z-]*)/)?.[1];
+    if (!command || section.headings.length < 2) continue;
+
+    const question = questionFor(section.headings, command);
+    const best = faqSystem.findMatches(question, { topN: 1 })[0];
+    if (best && best.score >= coverage) continue;
+    if (suggestions.some(suggestion => suggestion.question === question)) continue;
+
+    suggestions.push({
+      target: entryByCommand.get(command) || null,
+      category: section.headings[1].replace(/\s*\([^)]*\)/g, ""),
+      command: `rsk-cli ${command}`,
+      question,
+      answer: draftAnswer(section.lines),
+      source: `${readmePath.replace(/^\.\//, "")}:${section.startLine}-${section.endLine} › ${section.headings.join(" > ")}`
+    });
+  }
+  return suggestions;
+}
+
+// Suggestions as paste-ready JSON: questions per existing entry, and new entries keyed by command
+function groupSuggestions(suggestions) {
+  const additions = {};
+  const entries = {};
+  for (const suggestion of suggestions) {
+    if (suggestion.target) {
+      (additions[suggestion.target] ||= []).push(suggestion.question);
+    } else {
+      const key = suggestion.command.split(" ")[1];
+      entries[key] ||= {
+        category: suggestion.category,
+        command: suggestion.command,
+        options: [],
+        questions: [],
+        answer: suggestion.answer,
+        executable: true
+      };
+      entries[key].questions.push(suggestion.question);
+    }
+  }
+  return { additions, entries };
+}
+
+function parseFaqArgs(argv) {
+  const args = {
+    action: "check", file: DEFAULT_FAQ, readme: DEFAULT_README, threshold: 0.8, json: false,
+    feedback: DEFAULT_FEEDBACK_FILE, queue: DEFAULT_REVIEW_FILE, minGood: 2
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith("--")) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "check": case "validate": case "overlaps": case "lint": case "suggest": case "review": args.action = arg; break;
+      case "approve": case "reject": {
+        args.action = arg;
+        if (i + 1 >= argv.length || argv[i + 1].startsWith("--")) throw new Error(`${arg} expects the id of a proposal (node rag.js faq review)`);
+        args.id = argv[++i];
+        break;
+      }
+      case "--file": args.file = value(); break;
+      case "--readme": args.readme = value(); break;
+      case "--threshold": {
+        args.threshold = Number(value());
+        if (!(args.threshold > 0 && args.threshold <= 1)) throw new Error("--threshold expects a number above 0 and up to 1");
+        break;
+      }
+      case "--feedback": args.feedback = value(); break;
+      case "--queue": args.queue = value(); break;
+      case "--min-good": {
+        args.minGood = Number(value());
+        if (!Number.isInteger(args.minGood) || args.minGood < 1) throw new Error("--min-good expects a whole number above 0");
+        break;
+      }
+      case "--json": args.json = true; break;
+      case "--help": case "-h": args.help = true; break;
+      default: throw new Error(`Unknown faq argument ${arg}\n${USAGE}`);
+    }
+  }
+  return args;
+}
+
+function describeProposal(proposal) {
+  const votes = `${proposal.evidence.good} 👍 / ${proposal.evidence.bad} 👎`;
+  const lines = proposal.kind === "questions"
+    ? [`${proposal.id}  add ${proposal.questions.length} question(s) to ${proposal.target} (${votes})`, ...proposal.questions.map(q => `   "${q}"`)]
+    : [
+      `${proposal.id}  new category "${proposal.target}" (${proposal.entry.category}, ${votes})`,
+      ...proposal.entry.questions.map(q => `   "${q}"`),
+      `   Answer: ${proposal.entry.answer.split("\n")[0].slice(0, 100)}${proposal.entry.answer.length > 100 ? "..." : ""}`
+    ];
+  if (proposal.evidence.corrections.length > 0) lines.push(`   ✏️  ${proposal.evidence.corrections.length} correction(s) from /bad ratings`);
+  return lines;
+}
+
+// "faq review": proposals from the ratings, merged into the queue file with earlier decisions
+function reviewFeedback(args, faqSystem) {
+  const records = new FeedbackStore({ file: args.feedback }).read();
+  const queue = mergeReviewQueue(loadReviewQueue(args.queue), buildReviewQueue(records, faqSystem, { minGood: args.minGood }));
+  saveReviewQueue(queue, args.queue);
+  const pending = queue.proposals.filter(proposal => proposal.status === "pending");
+
+  if (args.json) {
+    console.log(JSON.stringify({ ratings: records.length, ...queue }, null, 2));
+    return 0;
+  }
+  console.log(`⭐ ${records.length} rating(s) in ${args.feedback}, ${pending.length} pending proposal(s) in ${args.queue}`);
+  if (pending.length === 0) {
+    console.log(`\n✅ Nothing to review (questions need ${args.minGood} good rating(s), more good than bad, and must not be in the FAQ yet)`);
+    return 0;
+  }
+  console.log("");
+  pending.forEach(proposal => describeProposal(proposal).forEach((line, i) => console.log(i === 0 ? `📝 ${line}` : `   ${line}`)));
+  console.log(`\n👉 node rag.js faq approve <id> merges a proposal into ${args.file}, reject <id> drops it.`);
+  console.log(`   Edit a proposal in ${args.queue} first to reword its questions, answer or category.`);
+  return 0;
+}
+
+// "faq approve <id>" / "faq reject <id>": record the decision, and for approvals write the FAQ file
+function decideProposal(args, data) {
+  let queue;
+  try {
+    queue = loadReviewQueue(args.queue);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+  const proposal = queue.proposals.find(candidate => candidate.id === args.id);
+  if (!proposal) {
+    console.error(`❌ No proposal ${args.id} in ${args.queue} (node rag.js faq review lists them)`);
+    return 1;
+  }
+  if (proposal.status !== "pending") {
+    console.error(`❌ Proposal ${args.id} was already ${proposal.status}`);
+    return 1;
+  }
+
+  if (args.action === "approve") {
+    try {
+      fs.writeFileSync(args.file, formatFAQ(applyProposal(data, proposal)));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+  }
+  proposal.status = args.action === "approve" ? "approved" : "rejected";
+  proposal.decidedAt = new Date().toISOString();
+  saveReviewQueue(queue, args.queue);
+
+  if (args.action === "approve") {
+    console.log(`✅ Merged ${proposal.id} into ${args.file} (${proposal.kind === "questions" ? `${proposal.questions.length} question(s) added to ${proposal.target}` : `new category "${proposal.target}"`})`);
+    console.log("   A running chat picks it up with /reload; run node rag.js faq check to look for overlaps.");
+  } else {
+    console.log(`🗑️  Rejected ${proposal.id}; it will not be proposed again`);
+  }
+  return 0;
+}
+
+function printProblems(title, problems, icon) {
+  if (problems.length === 0) return;
+  console.log(`\n${icon} ${title} (${problems.length}):`);
+  formatProblems(problems).forEach(line => console.log(`   ${line}`));
+}
+
+// Run "node rag.js faq ..." and return the process exit code: 1 when the file is invalid or an
+// entry's command is not in the README, 0 otherwise (overlaps and warnings are only reported)
+export async function runFaqCommand(argv) {
+  let args;
+  try {
+    args = parseFaqArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(args.file, "utf8"));
+  } catch (error) {
+    console.error(`❌ Could not load FAQ file ${args.file}: ${error.message}`);
+    return 1;
+  }
+
+  const report = {};
+  report.schema = validateFAQ(data);
+  if (report.schema.length > 0 || args.action === "validate") {
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else if (report.schema.length > 0) {
+      printProblems(`${args.file} does not match the FAQ schema`, report.schema, "❌");
+    } else {
+      console.log(`✅ ${args.file} matches the FAQ schema`);
+    }
+    return report.schema.length > 0 ? 1 : 0;
+  }
+
+  if (args.action === "approve" || args.action === "reject") return decideProposal(args, data);
+
+  const faqSystem = new FAQSystem(args.file, { strict: true });
+  if (args.action === "review") return reviewFeedback(args, faqSystem);
+
+  let readme = "";
+  if (["check", "lint", "suggest"].includes(args.action)) {
+    try {
+      readme = fs.readFileSync(args.readme, "utf8");
+    } catch (error) {
+      console.error(`❌ Could not read README ${args.readme}: ${error.message}`);
+      return 1;
+    }
+  }
+
+  if (["check", "overlaps"].includes(args.action)) report.overlaps = findOverlaps(faqSystem, { threshold: args.threshold });
+  if (["check", "lint"].includes(args.action)) report.lint = lintFAQ(faqSystem, readme);
+  if (args.action === "suggest") report.suggestions = suggestEntries(faqSystem, readme, { readmePath: args.readme });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return report.lint?.errors.length > 0 ? 1 : 0;
+  }
+
+  const stats = faqSystem.getStats();
+  console.log(`📚 ${args.file}: ${stats.questions} questions in ${stats.categories} categories, schema ✅`);
+
+  if (report.overlaps) {
+    if (report.overlaps.length === 0) {
+      console.log(`\n✅ No questions shared between categories (threshold ${args.threshold})`);
+    } else {
+      console.log(`\n⚠️  Overlapping questions across categories (${report.overlaps.length}, threshold ${args.threshold}):`);
+      report.overlaps.forEach(({ score, first, second }) => {
+        console.log(`   ${score.toFixed(2)}  ${first.category}: "${first.question}"`);
+        console.log(`         ${second.category}: "${second.question}"`);
+      });
+    }
+  }
+
+  if (report.lint) {
+    printProblems("Entries whose command is not in the README", report.lint.errors, "❌");
+    printProblems("Flags and answer commands not documented in the README", report.lint.warnings, "⚠️ ");
+    if (report.lint.errors.length === 0 && report.lint.warnings.length === 0) {
+      console.log(`\n✅ Every command and flag is documented in ${args.readme}`);
+    }
+  }
+
+  if (report.suggestions) {
+    if (report.suggestions.length === 0) {
+      console.log(`\n✅ Every command section of ${args.readme} is covered by an FAQ question`);
+    } else {
+      console.log(`\n💡 README sections no FAQ question covers (${report.suggestions.length}):`);
+      report.suggestions.forEach(suggestion => {
+        console.log(`   ${suggestion.source}`);
+        console.log(`      ${suggestion.target ? `add to ${suggestion.target}` : "new entry"}: "${suggestion.question}"`);
+      });
+      console.log("\n📝 Proposed additions (review before pasting into the FAQ file):");
+      console.log(JSON.stringify(groupSuggestions(report.suggestions), null, 2));
+    }
+  }
+
+  return report.lint?.errors.length > 0 ? 1 : 0;
+}
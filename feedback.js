@@ -0,0 +1,205 @@
+// Answer ratings (/good, /bad) and the FAQ review queue built from them
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { redactText } from "./query-log.js";
+import { stripCitations } from "./citations.js";
+import { validateFAQ, formatProblems } from "./faq-schema.js";
+
+export const DEFAULT_FEEDBACK_FILE = "./logs/feedback.jsonl";
+export const DEFAULT_REVIEW_FILE = "./logs/faq-review.json";
+
+export const RATINGS = ["good", "bad"];
+
+// Left out of the names of proposed categories
+const NAME_STOPWORDS = new Set(["how", "what", "do", "does", "can", "i", "my", "the", "a", "an", "to", "is", "are", "of", "with", "rsk-cli", "rsk", "cli"]);
+
+const shortHash = text => crypto.createHash("sha256").update(text).digest("hex").slice(0, 12);
+
+// Ratings are appended to a JSONL file, one record per /good or /bad. Questions and corrections
+// go through the "secrets" redaction of the query log; answers are kept, they are what gets promoted.
+class FeedbackStore {
+  constructor({ file = DEFAULT_FEEDBACK_FILE } = {}) {
+    this.file = file;
+  }
+
+  // Record a rating of an engine.ask() result; returns the stored record. Refused ratings throw with status 400
+  add(result, rating, { correction = null, sessionId = null } = {}) {
+    if (!RATINGS.includes(rating)) {
+      throw Object.assign(new Error(`Unknown rating "${rating}" (expected ${RATINGS.join(" or ")})`), { status: 400 });
+    }
+    if (!result || !["catalog", "faq", "rag"].includes(result.path)) {
+      throw Object.assign(new Error("Only answers can be rated, not \"did you mean\" suggestions"), { status: 400 });
+    }
+    if (correction !== null && (typeof correction !== "string" || correction.trim() === "")) {
+      throw Object.assign(new Error("A correction must be a non-empty string"), { status: 400 });
+    }
+
+    const record = {
+      timestamp: new Date().toISOString(),
+      rating,
+      answerId: result.id ?? null,
+      question: redactText(result.question, "secrets"),
+      standaloneQuestion: redactText(result.standaloneQuestion, "secrets"),
+      path: result.path,
+      category: result.category ?? null,
+      answer: stripCitations(result.answer),
+      commandIssues: result.commandCheck ? result.commandCheck.issues.length : 0,
+      sources: (result.sources || []).filter(source => source.cited).map(source => source.location),
+      correction: correction ? redactText(correction.trim(), "secrets") : null,
+      sessionId
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(record) + "\n");
+    return record;
+  }
+
+  // Stored ratings, oldest first; an empty list when nothing was rated yet
+  read() {
+    if (!fs.existsSync(this.file)) return [];
+    return fs.readFileSync(this.file, "utf8")
+      .split("\n")
+      .filter(line => line.trim())
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+  }
+}
+
+// Group ratings whose questions are at least `threshold` similar (single link: a question joins
+// a cluster when it is close to any question already in it). `similarity(a, b)` scores 0-1,
+// e.g. FAQSystem#calculateSimilarity.
+// Returns [{ questions, records, good, bad }], largest cluster first.
+export function clusterFeedback(records, similarity, { threshold = 0.7 } = {}) {
+  const clusters = [];
+  for (const record of records) {
+    const question = record.standaloneQuestion || record.question;
+    const cluster = clusters.find(c => c.questions.some(other => similarity(question, other) >= threshold));
+    if (cluster) {
+      cluster.records.push(record);
+      if (!cluster.questions.some(other => other.toLowerCase() === question.toLowerCase())) cluster.questions.push(question);
+    } else {
+      clusters.push({ questions: [question], records: [record] });
+    }
+  }
+  return clusters
+    .map(cluster => ({
+      ...cluster,
+      good: cluster.records.filter(record => record.rating === "good").length,
+      bad: cluster.records.filter(record => record.rating === "bad").length
+    }))
+    .sort((a, b) => b.records.length - a.records.length);
+}
+
+// Category key and label for a new entry, from the content words of its first question
+function newCategoryName(question, faqSystem) {
+  const words = (question.toLowerCase().match(/[a-z0-9][a-z0-9-]*/g) || [])
+    .filter(word => !NAME_STOPWORDS.has(word))
+    .slice(0, 3);
+  let key = words.join("-") || "feedback";
+  const taken = faqSystem.getCategories();
+  for (let i = 2; taken[key]; i++) key = `${words.join("-") || "feedback"}-${i}`;
+  const label = words.map(word => word[0].toUpperCase() + word.slice(1)).join(" ") || "Feedback";
+  return { key, label };
+}
+
+// Proposals for the FAQ from clusters rated good at least `minGood` times and more often good than bad:
+//   kind "questions": add the cluster's questions to the FAQ entry they already match (target "faq.transfer")
+//   kind "category":  a new top-level entry answering them, from the latest correction, or else the
+//                     latest well-rated model answer without unknown commands
+// Questions already in the FAQ and catalog answers (generated from the source anyway) are left out.
+// Each proposal has a stable id (from its questions), so decisions survive rebuilding the queue.
+export function buildReviewQueue(records, faqSystem, { minGood = 2, threshold = 0.7, matchScore = 0.7 } = {}) {
+  const known = new Set(faqSystem.getEntries().map(entry => entry.question.toLowerCase()));
+  const categories = faqSystem.getCategories();
+  const proposals = [];
+
+  const rated = records.filter(record => record.path !== "catalog");
+  for (const cluster of clusterFeedback(rated, (a, b) => faqSystem.calculateSimilarity(a, b), { threshold })) {
+    if (cluster.good < minGood || cluster.good <= cluster.bad) continue;
+    const questions = cluster.questions.filter(question => !known.has(question.toLowerCase()));
+    if (questions.length === 0) continue;
+
+    const evidence = {
+      good: cluster.good,
+      bad: cluster.bad,
+      paths: [...new Set(cluster.records.map(record => record.path))],
+      corrections: cluster.records.map(record => record.correction).filter(Boolean),
+      sources: [...new Set(cluster.records.flatMap(record => record.sources))]
+    };
+    const id = shortHash([...questions].sort().join("\n"));
+
+    const match = faqSystem.findMatches(questions[0], { topN: 1 })[0];
+    if (match && match.score >= matchScore) {
+      const target = (faqSystem.faq.faq || {})[match.category] === categories[match.category] ? `faq.${match.category}` : match.category;
+      proposals.push({ id, kind: "questions", target, questions, evidence });
+      continue;
+    }
+
+    const good = cluster.records.filter(record => record.rating === "good" && record.commandIssues === 0);
+    const answer = evidence.corrections[evidence.corrections.length - 1] || good[good.length - 1]?.answer;
+    if (!answer) continue;
+    const { key, label } = newCategoryName(questions[0], faqSystem);
+    proposals.push({
+      id,
+      kind: "category",
+      target: key,
+      entry: { category: label, questions, answer, executable: false },
+      evidence
+    });
+  }
+  return proposals;
+}
+
+// Queue file: { updatedAt, proposals: [{ id, status: "pending" | "approved" | "rejected", ... }] }.
+// Rebuilding keeps decided proposals as they are and replaces pending ones.
+export function loadReviewQueue(file = DEFAULT_REVIEW_FILE) {
+  if (!fs.existsSync(file)) return { updatedAt: null, proposals: [] };
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read review queue ${file}: ${error.message}`);
+  }
+}
+
+export function saveReviewQueue(queue, file = DEFAULT_REVIEW_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ ...queue, updatedAt: new Date().toISOString() }, null, 2) + "\n");
+}
+
+export function mergeReviewQueue(queue, proposals) {
+  const decided = queue.proposals.filter(proposal => proposal.status !== "pending");
+  const fresh = proposals
+    .filter(proposal => !decided.some(other => other.id === proposal.id))
+    .map(proposal => ({ ...proposal, status: "pending" }));
+  return { ...queue, proposals: [...decided, ...fresh] };
+}
+
+// FAQ data with an approved proposal merged in; throws when the result would not be a valid FAQ
+export function applyProposal(faqData, proposal) {
+  const next = structuredClone(faqData);
+  if (proposal.kind === "questions") {
+    const [section, key] = proposal.target.startsWith("faq.") ? ["faq", proposal.target.slice(4)] : [null, proposal.target];
+    const entry = section ? next.faq[key] : next[key];
+    if (!entry) throw new Error(`FAQ entry ${proposal.target} no longer exists`);
+    const existing = new Set(entry.questions.map(question => question.toLowerCase()));
+    entry.questions.push(...proposal.questions.filter(question => !existing.has(question.toLowerCase())));
+  } else {
+    if (next[proposal.target] || next.faq?.[proposal.target]) {
+      throw new Error(`FAQ category "${proposal.target}" already exists; rename it in the review queue first`);
+    }
+    next[proposal.target] = proposal.entry;
+  }
+
+  const problems = formatProblems(validateFAQ(next));
+  if (problems.length > 0) {
+    throw new Error(`Proposal ${proposal.id} would make the FAQ invalid:\n  ${problems.join("\n  ")}`);
+  }
+  return next;
+}
+
+export default FeedbackStore;
@@ -0,0 +1,206 @@
+// Heading-aware chunking of Markdown along its ##/###/#### hierarchy
+import { Document } from "langchain/document";
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// "### 3. Transfer (RBTC and ERC20)" -> "Transfer (RBTC and ERC20)"
+function cleanHeading(text) {
+  return text.replace(/^\d+(\.\d+)*\.?\s+/, "").replace(/[*_`]/g, "").trim();
+}
+
+// Close a section, dropping trailing blank lines
+function endSection(section) {
+  const lines = [...section.lines];
+  while (lines.length > 1 && lines[lines.length - 1].trim() === "") lines.pop();
+  return { ...section, lines, endLine: section.startLine + lines.length - 1 };
+}
+
+// Split Markdown into sections, one per heading: { headings, level, startLine, endLine, lines }
+// The breadcrumb skips the document title (its first level-1 heading). Headings inside
+// fenced code are ignored.
+export function findSections(markdown) {
+  const lines = markdown.split("\n");
+  const sections = [];
+  const stack = []; // Open headings: { level, title, isTitle }
+  let current = { headings: [], level: 0, startLine: 1, lines: [] };
+  let fence = null;
+  let titleSeen = false;
+
+  lines.forEach((line, i) => {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      if (fence === null) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+    }
+
+    const heading = fence === null && !fenceMatch ? line.match(HEADING_PATTERN) : null;
+    if (heading) {
+      sections.push(endSection(current));
+
+      const level = heading[1].length;
+      const isTitle = level === 1 && !titleSeen;
+      if (level === 1) titleSeen = true;
+      while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+      stack.push({ level, title: cleanHeading(heading[2]), isTitle });
+
+      current = {
+        headings: stack.filter(h => !h.isTitle).map(h => h.title),
+        level,
+        startLine: i + 1,
+        lines: []
+      };
+    }
+    current.lines.push(line);
+  });
+  sections.push(endSection(current));
+
+  return sections;
+}
+
+// Break a section body into blocks that must stay together: paragraphs and lists
+// separated by blank lines, with fenced code kept whole together with the text that
+// introduces it. Returns { lines, startOffset }.
+function findBlocks(lines) {
+  const blocks = [];
+  let current = [];
+  let currentStart = 0;
+  let fence = null;
+
+  lines.forEach((line, i) => {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      if (fence === null) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+    }
+
+    if (current.length === 0) currentStart = i;
+    current.push(line);
+
+    if (fence === null && line.trim() === "") {
+      blocks.push({ lines: current.slice(0, -1), startOffset: currentStart });
+      current = [];
+    }
+  });
+  if (current.length > 0) blocks.push({ lines: current, startOffset: currentStart });
+
+  // Lead-ins such as "Output example:" stay with the block they introduce
+  const merged = [];
+  for (const block of blocks.filter(b => b.lines.some(line => line.trim() !== ""))) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.lines[previous.lines.length - 1].trim().endsWith(":")) {
+      const gap = block.startOffset - (previous.startOffset + previous.lines.length);
+      previous.lines.push(...Array(gap).fill(""), ...block.lines);
+    } else {
+      merged.push(block);
+    }
+  }
+  return merged;
+}
+
+// Cut a block longer than chunkSize into runs of whole lines that fit, never inside fenced
+// code (a fence longer than chunkSize stays one piece). Returns blocks like findBlocks().
+function splitBlock(block, chunkSize) {
+  if (block.lines.join("\n").length <= chunkSize) return [block];
+
+  const pieces = [];
+  let current = { lines: [], startOffset: block.startOffset };
+  let size = 0;
+  let fence = null;
+
+  block.lines.forEach((line, i) => {
+    if (fence === null && current.lines.length > 0 && size + 1 + line.length > chunkSize) {
+      pieces.push(current);
+      current = { lines: [], startOffset: block.startOffset + i };
+      size = 0;
+    }
+    size += (current.lines.length > 0 ? 1 : 0) + line.length;
+    current.lines.push(line);
+
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      if (fence === null) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+    }
+  });
+  pieces.push(current);
+  return pieces;
+}
+
+class MarkdownSplitter {
+  constructor({ chunkSize = 1000 } = {}) {
+    this.chunkSize = chunkSize; // Longer sections are packed block by block; fences never split
+  }
+
+  // Same contract as LangChain's text splitters: Documents in, chunk Documents out
+  async splitDocuments(documents) {
+    return documents.flatMap(doc => this.splitDocument(doc));
+  }
+
+  splitDocument(doc) {
+    const chunks = [];
+
+    for (const section of findSections(doc.pageContent)) {
+      // Sections without content below their heading carry no information of their own
+      const hasBody = section.lines.slice(section.level > 0 ? 1 : 0).some(line => line.trim() !== "");
+      if (!hasBody) continue;
+
+      const breadcrumb = section.headings.join(" > ");
+      const parts = this.packBlocks(section);
+
+      parts.forEach((part, i) => {
+        const text = part.lines.join("\n").trim();
+        chunks.push(new Document({
+          pageContent: breadcrumb ? `${breadcrumb}\n\n${text}` : text,
+          metadata: {
+            ...doc.metadata,
+            breadcrumb,
+            headings: section.headings,
+            section: section.headings[section.headings.length - 1] || null,
+            startLine: part.startLine,
+            endLine: part.endLine,
+            ...(parts.length > 1 ? { part: i + 1, parts: parts.length } : {})
+          }
+        }));
+      });
+    }
+
+    return chunks;
+  }
+
+  // Greedily pack a section's blocks into parts of at most chunkSize characters, keeping the
+  // blank lines between blocks so the text reads (and renders) as in the file
+  packBlocks(section) {
+    const text = section.lines.join("\n");
+    if (text.length <= this.chunkSize) {
+      return [{ lines: section.lines, startLine: section.startLine, endLine: section.endLine }];
+    }
+
+    const parts = [];
+    let current = null;
+
+    for (const block of findBlocks(section.lines).flatMap(b => splitBlock(b, this.chunkSize))) {
+      const blockSize = block.lines.join("\n").length;
+      const startLine = section.startLine + block.startOffset;
+      const endLine = startLine + block.lines.length - 1;
+      const gap = current ? startLine - current.endLine - 1 : 0; // Blank lines since the previous block
+
+      if (current && current.size + gap + 1 + blockSize > this.chunkSize) {
+        parts.push(current);
+        current = null;
+      }
+      if (!current) {
+        current = { lines: [...block.lines], size: blockSize, startLine, endLine };
+        continue;
+      }
+      current.lines.push(...Array(gap).fill(""), ...block.lines);
+      current.size += gap + 1 + blockSize;
+      current.endLine = endLine;
+    }
+    if (current) parts.push(current);
+
+    return parts;
+  }
+}
+
+export default MarkdownSplitter;
@@ -0,0 +1,275 @@
+// Text generation and embedding providers: Ollama, OpenAI-compatible endpoints and a fake for offline runs
+import crypto from "crypto";
+import { Ollama, OllamaEmbeddings } from "@langchain/ollama";
+
+// Every provider exposes the same small interface:
+//   LLM:        { id, model, generate(prompt, { signal }), stream(prompt, { signal }) -> async iterable of text }
+//   Embeddings: { id, model, dimensions, embedDocuments(texts), embedQuery(text) }
+// `id` names the provider and model (and dimensions for embeddings), so caches can keep vectors apart.
+
+export const PROVIDERS = ["ollama", "openai", "fake"];
+
+const DEFAULTS = {
+  ollama: { baseUrl: "http://localhost:11434", llmModel: "llama3.2", embeddingModel: "nomic-embed-text" },
+  openai: { baseUrl: "http://localhost:1234/v1", llmModel: "local-model", embeddingModel: "text-embedding-nomic-embed-text-v1.5" },
+  fake: { baseUrl: null, llmModel: "fake-llm", embeddingModel: "fake-embed", dimensions: 64 }
+};
+
+function checkProvider(provider, kind) {
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown ${kind} provider "${provider}" (expected ${PROVIDERS.join(", ")})`);
+  }
+}
+
+// Provider settings from environment variables; unset variables are left out so defaults apply
+export function providerConfigFromEnv(env = process.env) {
+  const pick = entries => Object.fromEntries(entries.filter(([, value]) => value !== undefined && value !== ""));
+  const number = value => (value === undefined || value === "" ? undefined : Number(value));
+
+  return {
+    llm: pick([
+      ["provider", env.LLM_PROVIDER],
+      ["model", env.LLM_MODEL],
+      ["baseUrl", env.LLM_BASE_URL],
+      ["apiKey", env.LLM_API_KEY],
+      ["timeout", number(env.LLM_TIMEOUT)]
+    ]),
+    embedding: pick([
+      ["provider", env.EMBEDDING_PROVIDER],
+      ["model", env.EMBEDDING_MODEL],
+      ["baseUrl", env.EMBEDDING_BASE_URL],
+      ["apiKey", env.EMBEDDING_API_KEY],
+      ["timeout", number(env.EMBEDDING_TIMEOUT)],
+      ["dimensions", number(env.EMBEDDING_DIMENSIONS)]
+    ])
+  };
+}
+
+// Combine the caller's signal with a request timeout
+function withTimeout(signal, timeout) {
+  const timer = AbortSignal.timeout(timeout);
+  return signal ? AbortSignal.any([signal, timer]) : timer;
+}
+
+// Stream chunks with a timeout that restarts on every chunk, so it limits the wait for the server
+// and stalls between chunks, not the length of a whole answer. open(signal) starts the stream.
+async function* withIdleTimeout(signal, timeout, open) {
+  const controller = new AbortController();
+  let timer = null;
+  const restart = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(new DOMException(`No response for ${timeout}ms`, "TimeoutError")), timeout);
+  };
+  restart();
+  try {
+    for await (const chunk of await open(signal ? AbortSignal.any([signal, controller.signal]) : controller.signal)) {
+      clearTimeout(timer); // Time spent by the consumer does not count
+      yield chunk;
+      restart();
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Reject vectors of an unexpected size instead of mixing them into the index
+function checkDimensions(vectors, dimensions, id) {
+  if (!dimensions) return vectors;
+  const wrong = vectors.find(vector => vector.length !== dimensions);
+  if (wrong) {
+    throw new Error(`${id} returned ${wrong.length}-dimensional embeddings, ${dimensions} configured`);
+  }
+  return vectors;
+}
+
+// --- Ollama (through LangChain) ---
+
+function createOllamaLLM({ model, baseUrl, timeout }) {
+  const client = new Ollama({ baseUrl, model, timeout });
+  return {
+    id: `ollama:${model}`,
+    model,
+    generate: (prompt, { signal } = {}) => client.invoke(prompt, { signal }),
+    stream: (prompt, { signal } = {}) => withIdleTimeout(signal, timeout, idleSignal => client.stream(prompt, { signal: idleSignal }))
+  };
+}
+
+function createOllamaEmbeddings({ model, baseUrl, timeout, dimensions }) {
+  const client = new OllamaEmbeddings({ model, baseUrl, timeout });
+  const id = `ollama:${model}${dimensions ? `:${dimensions}` : ""}`;
+  return {
+    id,
+    model,
+    dimensions,
+    embedDocuments: async texts => checkDimensions(await client.embedDocuments(texts), dimensions, id),
+    embedQuery: async text => checkDimensions([await client.embedQuery(text)], dimensions, id)[0]
+  };
+}
+
+// --- OpenAI-compatible HTTP APIs (LM Studio, llama.cpp server, vLLM, LocalAI...) ---
+
+// timeout: ms for the whole request, or null when the caller's signal already limits it
+async function postJSON(url, body, { apiKey, timeout, signal }) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+    },
+    body: JSON.stringify(body),
+    signal: timeout ? withTimeout(signal, timeout) : signal
+  });
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => "")).slice(0, 200);
+    throw new Error(`${url} responded ${response.status} ${response.statusText}${detail ? `: ${detail}` : ""}`);
+  }
+  return response;
+}
+
+function createOpenAILLM({ model, baseUrl, apiKey, timeout }) {
+  const url = `${baseUrl.replace(/\/$/, "")}/chat/completions`;
+  const messages = prompt => [{ role: "user", content: prompt }];
+
+  return {
+    id: `openai:${model}`,
+    model,
+    async generate(prompt, { signal } = {}) {
+      const response = await postJSON(url, { model, messages: messages(prompt) }, { apiKey, timeout, signal });
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || "";
+    },
+    // Server-sent events, one "data: {...}" line per chunk and "data: [DONE]" at the end
+    async *stream(prompt, { signal } = {}) {
+      const body = { model, messages: messages(prompt), stream: true };
+      const chunks = withIdleTimeout(signal, timeout, async idleSignal => (await postJSON(url, body, { apiKey, timeout: null, signal: idleSignal })).body);
+      const decoder = new TextDecoder();
+      let buffered = "";
+      for await (const bytes of chunks) {
+        buffered += decoder.decode(bytes, { stream: true });
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+          let event;
+          try {
+            event = JSON.parse(data);
+          } catch {
+            throw new Error(`${url} sent an invalid stream event: ${data.slice(0, 200)}`);
+          }
+          const text = event.choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    }
+  };
+}
+
+function createOpenAIEmbeddings({ model, baseUrl, apiKey, timeout, dimensions }) {
+  const url = `${baseUrl.replace(/\/$/, "")}/embeddings`;
+  const id = `openai:${model}${dimensions ? `:${dimensions}` : ""}`;
+
+  const embed = async input => {
+    const body = { model, input, ...(dimensions ? { dimensions } : {}) };
+    const data = await (await postJSON(url, body, { apiKey, timeout })).json();
+    const vectors = [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+    return checkDimensions(vectors, dimensions, id);
+  };
+
+  return {
+    id,
+    model,
+    dimensions,
+    embedDocuments: texts => (texts.length > 0 ? embed(texts) : []),
+    embedQuery: async text => (await embed([text]))[0]
+  };
+}
+
+// --- Fake provider: deterministic, no network ---
+
+// Hashed bag of words, normalized, so related texts still land close together
+function fakeVector(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  for (const word of text.toLowerCase().split(/[^a-z0-9-]+/).filter(Boolean)) {
+    const digest = crypto.createHash("md5").update(word).digest();
+    vector[digest.readUInt32LE(0) % dimensions] += digest[4] & 1 ? 1 : -1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+// Answers with the first context lines (citing their [S1]-style label), or echoes the question for rewrite prompts
+function fakeAnswer(prompt) {
+  const context = prompt.match(/Context:\s*([\s\S]*?)\n\s*(?:Conversation so far:|Question:)/);
+  if (context) {
+    const lines = context[1].split("\n").map(line => line.trim()).filter(Boolean);
+    const label = lines[0]?.match(/^\[(S\d+)\]/);
+    const text = lines.slice(label ? 1 : 0, label ? 4 : 3).join(" ");
+    return `Based on the context: ${text}${label ? ` [${label[1]}]` : ""}`;
+  }
+  const question = prompt.match(/question:\s*(.+)\s*$/im);
+  return question ? question[1].trim() : "";
+}
+
+function createFakeLLM({ model }) {
+  return {
+    id: `fake:${model}`,
+    model,
+    generate: async prompt => fakeAnswer(prompt),
+    async *stream(prompt, { signal } = {}) {
+      for (const word of fakeAnswer(prompt).split(/(?<= )/)) {
+        if (signal?.aborted) return;
+        yield word;
+      }
+    }
+  };
+}
+
+function createFakeEmbeddings({ model, dimensions }) {
+  return {
+    id: `fake:${model}:${dimensions}`,
+    model,
+    dimensions,
+    embedDocuments: async texts => texts.map(text => fakeVector(text, dimensions)),
+    embedQuery: async text => fakeVector(text, dimensions)
+  };
+}
+
+// config: { provider = "ollama", model, baseUrl, apiKey, timeout }
+export function createLLM(config = {}) {
+  const provider = config.provider || "ollama";
+  checkProvider(provider, "LLM");
+  const defaults = DEFAULTS[provider];
+  const settings = {
+    model: config.model || defaults.llmModel,
+    baseUrl: config.baseUrl || defaults.baseUrl,
+    apiKey: config.apiKey,
+    timeout: config.timeout || 60000
+  };
+
+  if (provider === "openai") return createOpenAILLM(settings);
+  if (provider === "fake") return createFakeLLM(settings);
+  return createOllamaLLM(settings);
+}
+
+// config: { provider = "ollama", model, baseUrl, apiKey, timeout, dimensions }
+export function createEmbeddings(config = {}) {
+  const provider = config.provider || "ollama";
+  checkProvider(provider, "embedding");
+  const defaults = DEFAULTS[provider];
+  const dimensions = config.dimensions ?? defaults.dimensions ?? null;
+  if (dimensions !== null && !(Number.isInteger(dimensions) && dimensions > 0)) {
+    throw new Error(`Invalid embedding dimensions ${dimensions} (expected a positive integer)`);
+  }
+  const settings = {
+    model: config.model || defaults.embeddingModel,
+    baseUrl: config.baseUrl || defaults.baseUrl,
+    apiKey: config.apiKey,
+    timeout: config.timeout || 30000,
+    dimensions
+  };
+
+  if (provider === "openai") return createOpenAIEmbeddings(settings);
+  if (provider === "fake") return createFakeEmbeddings(settings);
+  return createOllamaEmbeddings(settings);
+}
@@ -0,0 +1,71 @@
+// Query expansion with a Rootstock/rsk-cli alias dictionary, and HyDE (hypothetical document) drafts
+import fs from "fs";
+
+// Dictionary file: { aliases: [{ match: [phrase, ...], expand: [term, ...] }] }. A phrase matches
+// whole words, case-insensitively, with spaces and hyphens interchangeable ("peg-in" = "peg in").
+export function loadAliases(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load query aliases ${file}: ${error.message}`);
+  }
+
+  const isStringList = value => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === "string" && item.trim() !== "");
+  if (!data || !Array.isArray(data.aliases)) {
+    throw new Error(`Invalid query aliases ${file}: "aliases" must be a list`);
+  }
+  data.aliases.forEach((alias, i) => {
+    for (const key of ["match", "expand"]) {
+      if (!isStringList(alias?.[key])) {
+        throw new Error(`Invalid query aliases ${file}: aliases[${i}].${key} must be a non-empty list of non-empty strings`);
+      }
+    }
+  });
+
+  return data.aliases.map(alias => ({
+    match: alias.match,
+    expand: alias.expand,
+    patterns: alias.match.map(phrase => new RegExp(
+      `(?<![\\w-])${phrase.trim().toLowerCase().split(/[\s-]+/).map(escapeRegExp).join("[\\s-]*")}(?![\\w-])`,
+      "i"
+    ))
+  }));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Terms the corpus uses for what the question says in its own words.
+// Returns { expansions: [{ matched, terms }], expanded } where expanded is the question followed
+// by the added terms (none already in the question), or the question itself when nothing matched.
+export function expandQuery(question, aliases) {
+  const expansions = [];
+  const added = new Set();
+  const present = term => new RegExp(`(?<![\\w-])${escapeRegExp(term.toLowerCase())}(?![\\w-])`, "i").test(question);
+
+  for (const alias of aliases) {
+    const hit = alias.patterns.findIndex(pattern => pattern.test(question));
+    if (hit === -1) continue;
+    const terms = alias.expand.filter(term => !present(term) && !added.has(term.toLowerCase()));
+    if (terms.length === 0) continue;
+    terms.forEach(term => added.add(term.toLowerCase()));
+    expansions.push({ matched: question.match(alias.patterns[hit])[0], terms });
+  }
+
+  const expanded = expansions.length > 0
+    ? `${question} ${expansions.flatMap(expansion => expansion.terms).join(" ")}`
+    : question;
+  return { expansions, expanded };
+}
+
+// Prompt for a hypothetical answer: it is embedded next to the question, never shown, so it only
+// needs to look like the documentation that would answer it
+export function buildHydePrompt(question) {
+  return `Write a short passage (at most 5 sentences) from the rsk-cli documentation that answers the question below. rsk-cli is a command line tool for the Rootstock (RSK) blockchain: wallets, balances, RBTC and ERC20 transfers, transaction status, contract deployment and verification, the bridge (peg-in/peg-out) and wallet history, on mainnet or with --testnet. Include the rsk-cli command line it would use. Do not add anything else.
+
+Question: ${question}
+
+Passage:`;
+}
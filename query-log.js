@@ -0,0 +1,117 @@
+// Query telemetry: one JSON line per answered question in logs/queries.jsonl
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const DEFAULT_LOG_FILE = "./logs/queries.jsonl";
+
+// What is kept of the question text:
+//   none     as typed
+//   secrets  addresses, private keys / hashes and values of secret flags replaced by placeholders
+//   full     no text at all, only a hash so repeated questions can still be counted
+export const REDACTIONS = ["none", "secrets", "full"];
+
+const SECRET_FLAGS = /(--(?:password|pk|private-?key|mnemonic|secret|api-?key)[=\s]+)\S+/gi;
+
+export function redactText(text, redact) {
+  if (text === null || text === undefined || redact === "none") return text;
+  if (redact === "full") return null;
+  return text
+    .replace(SECRET_FLAGS, "$1<redacted>")
+    .replace(/\b0x[0-9a-fA-F]{64}\b/g, "<key-or-hash>")
+    .replace(/\b[0-9a-fA-F]{64}\b/g, "<key-or-hash>")
+    .replace(/\b0x[0-9a-fA-F]{40}\b/g, "<address>");
+}
+
+// Same hash for the same question whatever the case and spacing
+function questionHash(question) {
+  const normalized = question.trim().toLowerCase().replace(/\s+/g, " ");
+  return crypto.createHash("sha256").update(normalized).digest("hex").slice(0, 16);
+}
+
+// One record per engine.ask() result (or failure). Answers themselves are never stored.
+export function toRecord(question, result, { mode = null, profile = null, redact = "secrets", error = null } = {}) {
+  const record = {
+    timestamp: new Date().toISOString(),
+    mode,
+    profile,
+    question: redactText(question, redact),
+    questionHash: questionHash(question),
+    redact
+  };
+
+  if (error) {
+    return { ...record, path: error.name === "AbortError" ? "cancelled" : "error", error: redact === "full" ? error.name : error.message };
+  }
+
+  return {
+    ...record,
+    id: result.id,
+    standaloneQuestion: result.standaloneQuestion !== question ? redactText(result.standaloneQuestion, redact) : undefined,
+    path: result.path,
+    catalogKind: result.catalogKind,
+    faq: result.path === "faq"
+      ? { category: result.category, matchedQuestion: result.matchedQuestion, confidence: result.confidence }
+      : null,
+    faqBest: result.faqCandidates?.[0]
+      ? { category: result.faqCandidates[0].category, score: result.faqCandidates[0].score }
+      : null,
+    confidence: result.confidence,
+    sources: (result.path === "rag" ? result.sources : []).map(source => ({
+      source: source.source,
+      location: source.location,
+      score: source.score,
+      cited: source.cited
+    })),
+    timings: result.timings,
+    answerLength: result.answer?.length || 0,
+    refusal: Boolean(result.refusal),
+    commandIssues: result.commandCheck ? result.commandCheck.issues.length : 0,
+    invalidCitations: result.citations ? result.citations.invalid.length : 0
+  };
+}
+
+// Appends records to a JSONL file, creating its directory on first use. A log that cannot
+// be written is reported once and then ignored: telemetry never breaks answering.
+class QueryLog {
+  constructor({ file = DEFAULT_LOG_FILE, redact = "secrets", mode = null, profile = null } = {}) {
+    if (!REDACTIONS.includes(redact)) {
+      throw new Error(`Unknown query log redaction "${redact}" (expected ${REDACTIONS.join(", ")})`);
+    }
+    this.file = file;
+    this.redact = redact;
+    this.mode = mode;             // "chat", "server" or "test", so reports can tell them apart
+    this.profile = profile;
+    this.failed = false;
+  }
+
+  record(question, result, { error = null } = {}) {
+    if (this.failed) return null;
+    const record = toRecord(question, result, { mode: this.mode, profile: this.profile, redact: this.redact, error });
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, JSON.stringify(record) + "\n");
+    } catch (writeError) {
+      this.failed = true;
+      console.warn(`⚠️  Could not write query log ${this.file}, logging disabled: ${writeError.message}`);
+    }
+    return record;
+  }
+}
+
+// Records of a log file; lines that are not valid JSON (e.g. a write cut short) are counted and skipped
+export function readQueryLog(file = DEFAULT_LOG_FILE) {
+  const records = [];
+  let skipped = 0;
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      skipped++;
+    }
+  }
+  return { records, skipped };
+}
+
+export default QueryLog;
@@ -0,0 +1,257 @@
+// "node rag.js report": hit rates, latency, slowest and unanswered questions and most retrieved
+// files from the query log written by query-log.js
+import { DEFAULT_LOG_FILE, readQueryLog } from "./query-log.js";
+
+const PATHS = ["catalog", "faq", "clarify", "rag", "cancelled", "error"];
+
+const USAGE = `Usage: node rag.js report [options]
+  --file <path>         Query log (default ${DEFAULT_LOG_FILE})
+  --since <date>        Only questions asked on or after this date (e.g. 2026-10-01)
+  --mode <mode>         Only questions from chat, server or test runs
+  --top <n>             Rows per list (default 10)
+  --json                Print the summary as JSON`;
+
+// Words that say nothing about the topic of a question
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "of", "to", "in", "on", "for", "with", "by", "from", "at", "is", "are",
+  "was", "be", "can", "could", "do", "does", "did", "i", "me", "my", "you", "your", "it", "its", "this",
+  "that", "what", "which", "how", "why", "when", "where", "who", "there", "use", "using", "rsk", "cli",
+  "rsk-cli", "command", "commands", "please", "show", "tell", "about", "get", "want", "need", "should"
+]);
+
+// Nearest-rank percentile
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function latencySummary(values) {
+  return { count: values.length, p50: percentile(values, 50), p90: percentile(values, 90), max: percentile(values, 100) };
+}
+
+const rate = (count, total) => (total > 0 ? count / total : null);
+
+// Shown text of a question; fully redacted logs only have the hash
+const questionText = record => record.question ?? `#${record.questionHash}`;
+
+// Repeated questions and frequent words among the questions the model could not answer
+function unansweredTopics(records, top) {
+  const questions = new Map();
+  const terms = new Map();
+  for (const record of records) {
+    const entry = questions.get(record.questionHash) || { question: questionText(record), count: 0, lastAsked: null };
+    entry.count++;
+    entry.lastAsked = record.timestamp;
+    questions.set(record.questionHash, entry);
+
+    const words = new Set((record.standaloneQuestion ?? record.question ?? "")
+      .toLowerCase()
+      .match(/[a-z0-9][a-z0-9-]*/g) || []);
+    for (const word of words) {
+      if (STOPWORDS.has(word) || word.length < 3 || word.startsWith("0x")) continue;
+      terms.set(word, (terms.get(word) || 0) + 1);
+    }
+  }
+  return {
+    questions: [...questions.values()].sort((a, b) => b.count - a.count).slice(0, top),
+    terms: [...terms].map(([term, count]) => ({ term, count })).sort((a, b) => b.count - a.count).slice(0, top)
+  };
+}
+
+// Files behind retrieved chunks: how often they came up, were cited, and their mean similarity
+function topFiles(records, top) {
+  const files = new Map();
+  for (const record of records) {
+    for (const source of record.sources || []) {
+      const file = files.get(source.source) || { file: source.source, retrieved: 0, cited: 0, scoreSum: 0 };
+      file.retrieved++;
+      if (source.cited) file.cited++;
+      file.scoreSum += source.score || 0;
+      files.set(source.source, file);
+    }
+  }
+  return [...files.values()]
+    .map(({ scoreSum, ...file }) => ({ ...file, meanScore: scoreSum / file.retrieved }))
+    .sort((a, b) => b.retrieved - a.retrieved)
+    .slice(0, top);
+}
+
+// Summary of log records: { period, total, modes, paths, rates, latency, faqCategories, slowest,
+// unanswered, files }. Rates are shares of the answered questions (cancelled and failed ones excluded),
+// except refusal, which is a share of the model (rag) answers.
+export function summarizeQueries(records, { top = 10 } = {}) {
+  const count = path => records.filter(record => record.path === path).length;
+  const paths = Object.fromEntries(PATHS.map(path => [path, count(path)]));
+  const answered = records.filter(record => !["cancelled", "error"].includes(record.path));
+  const ragRecords = records.filter(record => record.path === "rag");
+  const refusals = ragRecords.filter(record => record.refusal);
+
+  const modes = {};
+  records.forEach(record => { modes[record.mode ?? "unknown"] = (modes[record.mode ?? "unknown"] || 0) + 1; });
+
+  const faqCategories = {};
+  records
+    .filter(record => record.path === "faq")
+    .forEach(record => { faqCategories[record.faq.category] = (faqCategories[record.faq.category] || 0) + 1; });
+
+  const latency = { all: latencySummary(answered.map(record => record.timings.total)) };
+  for (const path of ["catalog", "faq", "rag"]) {
+    const values = records.filter(record => record.path === path).map(record => record.timings.total);
+    if (values.length > 0) latency[path] = latencySummary(values);
+  }
+  const firstTokens = ragRecords.map(record => record.timings.firstToken).filter(value => value !== undefined);
+  if (firstTokens.length > 0) latency.ragFirstToken = latencySummary(firstTokens);
+
+  const timestamps = records.map(record => record.timestamp).sort();
+
+  return {
+    period: { from: timestamps[0] ?? null, to: timestamps[timestamps.length - 1] ?? null },
+    total: records.length,
+    modes,
+    paths,
+    rates: {
+      catalog: rate(paths.catalog, answered.length),
+      faq: rate(paths.faq, answered.length),
+      clarify: rate(paths.clarify, answered.length),
+      rag: rate(paths.rag, answered.length),
+      refusal: rate(refusals.length, ragRecords.length),
+      commandIssues: rate(ragRecords.filter(record => record.commandIssues > 0).length, ragRecords.length)
+    },
+    latency,
+    faqCategories: Object.entries(faqCategories)
+      .map(([category, hits]) => ({ category, hits }))
+      .sort((a, b) => b.hits - a.hits)
+      .slice(0, top),
+    slowest: [...answered]
+      .sort((a, b) => b.timings.total - a.timings.total)
+      .slice(0, top)
+      .map(record => ({ question: questionText(record), path: record.path, total: record.timings.total, firstToken: record.timings.firstToken, timestamp: record.timestamp })),
+    unanswered: unansweredTopics(refusals, top),
+    files: topFiles(ragRecords, top)
+  };
+}
+
+function parseReportArgs(argv) {
+  const args = { file: DEFAULT_LOG_FILE, top: 10, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith("--")) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--file": args.file = value(); break;
+      case "--since": {
+        args.since = new Date(value());
+        if (Number.isNaN(args.since.getTime())) throw new Error(`--since expects a date such as 2026-10-01, got "${argv[i]}"`);
+        break;
+      }
+      case "--mode": args.mode = value(); break;
+      case "--top": {
+        args.top = Number(value());
+        if (!Number.isInteger(args.top) || args.top < 1) throw new Error("--top expects a whole number above 0");
+        break;
+      }
+      case "--json": args.json = true; break;
+      case "--help": case "-h": args.help = true; break;
+      default: throw new Error(`Unknown report argument ${arg}\n${USAGE}`);
+    }
+  }
+  return args;
+}
+
+const percent = value => (value === null ? "n/a" : `${(value * 100).toFixed(1)}%`);
+const seconds = value => (value === null || value === undefined ? "n/a" : `${(value / 1000).toFixed(2)}s`);
+
+function printReport(summary, file) {
+  console.log("\n" + "═".repeat(80));
+  console.log("📈 QUERY LOG REPORT");
+  console.log("═".repeat(80));
+  console.log(`📄 ${file}: ${summary.total} questions, ${summary.period.from} → ${summary.period.to}`);
+  console.log(`   By mode: ${Object.entries(summary.modes).map(([mode, n]) => `${mode} ${n}`).join(", ")}`);
+
+  console.log("\n🎯 How questions were answered:");
+  console.log(`   📇 Catalog        ${String(summary.paths.catalog).padStart(5)}  ${percent(summary.rates.catalog)}`);
+  console.log(`   📚 FAQ            ${String(summary.paths.faq).padStart(5)}  ${percent(summary.rates.faq)}`);
+  console.log(`   🤔 Did you mean   ${String(summary.paths.clarify).padStart(5)}  ${percent(summary.rates.clarify)}`);
+  console.log(`   🤖 Model (RAG)    ${String(summary.paths.rag).padStart(5)}  ${percent(summary.rates.rag)}`);
+  console.log(`   🔴 No answer      ${percent(summary.rates.refusal)} of model answers said the context lacked the information`);
+  console.log(`   🛡️  Command issues ${percent(summary.rates.commandIssues)} of model answers used unknown commands or flags`);
+  if (summary.paths.cancelled + summary.paths.error > 0) {
+    console.log(`   ⏹️  ${summary.paths.cancelled} cancelled, ❌ ${summary.paths.error} failed`);
+  }
+
+  console.log("\n⏱️  Response time (p50 / p90 / max):");
+  for (const [path, latency] of Object.entries(summary.latency)) {
+    if (latency.count === 0) continue;
+    console.log(`   ${path.padEnd(14)} ${seconds(latency.p50)} / ${seconds(latency.p90)} / ${seconds(latency.max)}  (${latency.count})`);
+  }
+
+  if (summary.slowest.length > 0) {
+    console.log("\n🐢 Slowest questions:");
+    summary.slowest.forEach(({ question, path, total }) => console.log(`   ${seconds(total).padStart(7)}  ${path.padEnd(8)} "${question}"`));
+  }
+
+  if (summary.unanswered.questions.length > 0) {
+    console.log("\n❓ Questions the model could not answer:");
+    summary.unanswered.questions.forEach(({ question, count }) => console.log(`   ${String(count).padStart(4)}×  "${question}"`));
+    if (summary.unanswered.terms.length > 0) {
+      console.log(`   Common words: ${summary.unanswered.terms.map(({ term, count }) => `${term} (${count})`).join(", ")}`);
+    }
+  }
+
+  if (summary.faqCategories.length > 0) {
+    console.log("\n📚 FAQ categories answered most:");
+    summary.faqCategories.forEach(({ category, hits }) => console.log(`   ${String(hits).padStart(4)}  ${category}`));
+  }
+
+  if (summary.files.length > 0) {
+    console.log("\n📁 Files retrieved most (retrieved / cited / mean score):");
+    summary.files.forEach(({ file, retrieved, cited, meanScore }) => {
+      console.log(`   ${String(retrieved).padStart(4)} / ${String(cited).padStart(4)} / ${meanScore.toFixed(3)}  ${file}`);
+    });
+  }
+}
+
+// Run "node rag.js report ..." and return the process exit code
+export async function runReportCommand(argv) {
+  let args;
+  try {
+    args = parseReportArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let log;
+  try {
+    log = readQueryLog(args.file);
+  } catch (error) {
+    console.error(`❌ Could not read query log ${args.file}: ${error.message}`);
+    console.error("💡 Questions are logged while the chat, server or test mode runs (unless queryLog.enabled is false)");
+    return 1;
+  }
+
+  const records = log.records
+    .filter(record => !args.since || new Date(record.timestamp) >= args.since)
+    .filter(record => !args.mode || record.mode === args.mode);
+  const summary = summarizeQueries(records, { top: args.top });
+
+  if (args.json) {
+    console.log(JSON.stringify({ file: args.file, skippedLines: log.skipped, ...summary }, null, 2));
+    return 0;
+  }
+  if (records.length === 0) {
+    console.log(`📭 No questions in ${args.file}${args.since || args.mode ? " match the filters" : ""}`);
+    return 0;
+  }
+  printReport(summary, args.file);
+  if (log.skipped > 0) console.log(`\n⚠️  Skipped ${log.skipped} unreadable line(s)`);
+  return 0;
+}
@@ -0,0 +1,1397 @@
+// RAG engine: indexing, retrieval and answering over the rsk-cli docs + source
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Document } from "langchain/document";
+import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
+import FAQSystem from "./faq-system.js";
+import CodeSplitter from "./code-splitter.js";
+import MarkdownSplitter from "./markdown-splitter.js";
+import BM25Index, { reciprocalRankFusion } from "./bm25.js";
+import EmbeddingCache from "./embedding-cache.js";
+import { cosineSimilarity } from "./similarity.js";
+import { createLLM, createEmbeddings } from "./providers.js";
+import { BUILTIN_PROFILES, validateSettings } from "./config.js";
+import { buildCitedContext, validateCitations, stripCitations, formatSourcesFooter } from "./citations.js";
+import { buildCommandReference, checkAnswer, annotateAnswer, buildCorrectionPrompt } from "./command-guard.js";
+import { buildCommandCatalog, answerFromCatalog, catalogLabels } from "./command-catalog.js";
+import { rerankLexical, rerankWithLLM, selectMMR } from "./reranker.js";
+import { loadAliases, expandQuery, buildHydePrompt } from "./query-expansion.js";
+import { HnswIndex, createVectorStore, exactSearch, normalize } from "./vector-index.js";
+import SearchPool from "./search-pool.js";
+
+// Human-readable chunk origin, e.g. "./src/commands/transfer.ts › transferCommand (function, lines 84-381)"
+// or "README.md › Features > Check Balance > Testnet (lines 159-179)"
+function describeSource(metadata) {
+  if (!metadata.startLine) return metadata.source;
+  if (metadata.breadcrumb !== undefined) {
+    const crumb = metadata.breadcrumb ? ` › ${metadata.breadcrumb}` : "";
+    return `${metadata.source}${crumb} (lines ${metadata.startLine}-${metadata.endLine})`;
+  }
+  const symbol = metadata.symbol ? ` › ${metadata.symbol}` : "";
+  const part = metadata.parts ? `, part ${metadata.part}/${metadata.parts}` : "";
+  return `${metadata.source}${symbol} (${metadata.kind}, lines ${metadata.startLine}-${metadata.endLine}${part})`;
+}
+
+// Whether the model said the context does not answer the question
+function isRefusal(response) {
+  const text = response.toLowerCase();
+  return text.includes("i don't have") || text.includes("no information") || text.includes("no tengo");
+}
+
+// Create a RAG engine. Nothing is read or embedded until buildIndex() is called.
+//   mode:            profile name; "normal" | "fast" | "ultra" select the built-in settings
+//   profile:         settings overriding the mode's (chunkSize, chunkOverlap, codeChunkSize, topK,
+//                    promptStyle, llmTimeout, embeddingTimeout, lexicalWeight, faqThreshold, commandGuard,
+//                    rerank, rerankPool, mmrLambda, queryExpansion, hyde, vectorSearch, annEf,
+//                    searchWorkers), see config.js. A custom mode name needs a complete profile.
+//   debug:           print the full analytics panels to the console
+//   cacheEmbeddings: persist document and query embeddings in cacheFile, one entry per chunk,
+//                    and the HNSW graph in annFile (next to cacheFile by default)
+//   maxCachedQueries: query embeddings kept in the cache, least recently used dropped first
+//   faqThreshold:    minimum FAQ match score (embedding + typo-tolerant lexical) to skip the model, overrides the profile
+//   faqSemanticWeight, faqAmbiguityMargin: FAQ scoring mix and the gap below which "did you mean" is asked
+//   lexicalWeight:   share of the BM25 ranking in hybrid retrieval, 0 = vector only, 1 = BM25 only; overrides the profile
+//   llm:             { provider: "ollama" | "openai" | "fake", model, baseUrl, apiKey, timeout }
+//   embedding:       { provider, model, baseUrl, apiKey, timeout, dimensions }, see providers.js
+//                    Timeouts default to the profile's llmTimeout and embeddingTimeout.
+//   queryLog:        a QueryLog (query-log.js) that records every ask(), including failed and cancelled ones
+//   feedback:        a FeedbackStore (feedback.js) for rate(); without one, ratings are refused
+export function createRagEngine(options = {}) {
+  const {
+    mode: initialMode = "normal",
+    debug = false,
+    cacheEmbeddings = true,
+    cacheFile = "./embeddings-cache.bin",
+    annFile = `${cacheFile.replace(/\.bin$/, "")}.hnsw`,
+    maxCachedQueries = 500,
+    readmePath = "./docs/README.md",
+    srcPath = "./src",
+    faqPath = "./docs/faq-commands.json",
+    aliasesPath = "./docs/query-aliases.json",
+    profile = {},
+    faqThreshold,
+    faqSemanticWeight = 0.7,
+    faqAmbiguityMargin = 0.05,
+    lexicalWeight,
+    llm: llmConfig = {},
+    embedding: embeddingConfig = {},
+    queryLog = null,
+    feedback = null
+  } = options;
+
+  let mode = initialMode;                                // configure({ mode }) switches it
+  if (!BUILTIN_PROFILES[mode] && Object.keys(profile).length === 0) {
+    throw new Error(`Unknown mode "${mode}" (expected ${Object.keys(BUILTIN_PROFILES).join(", ")} or a profile)`);
+  }
+  const settings = validateSettings({                    // Changed in place by configure()
+    ...(BUILTIN_PROFILES[mode] || {}),
+    ...profile,
+    ...(lexicalWeight !== undefined ? { lexicalWeight } : {}),
+    ...(faqThreshold !== undefined ? { faqThreshold } : {})
+  }, `mode "${mode}"`);
+
+  let DEBUG_MODE = debug;                               // configure({ debug }) switches it
+  const CACHE_EMBEDDINGS = cacheEmbeddings;
+  const CACHE_FILE = cacheFile;
+
+  // 1. Generation and embedding providers, with the profile's timeouts unless configured
+  let llm = createLLM({ timeout: settings.llmTimeout, ...llmConfig });
+  let embeddings = createEmbeddings({ timeout: settings.embeddingTimeout, ...embeddingConfig });
+
+  const embeddingCache = new EmbeddingCache({          // Per-chunk and per-query embeddings, one namespace per embedding model
+    file: CACHE_FILE,
+    model: embeddings.id,
+    maxQueries: maxCachedQueries
+  });
+
+  // Index state, filled by buildIndex() and replaced as a whole by reload():
+  //   faqSystem         FAQ System for instant responses (faqText: the file it was loaded from)
+  //   aliases           Query expansion dictionary (aliasesText: the file it was loaded from)
+  //   allDocs           README and source documents as read
+  //   chunksBySource    source -> { content, chunks }, to skip unchanged documents on reload
+  //   index             [{ vector, text, metadata }] chunks in document order
+  //   lexicalIndex      BM25 over the same chunks as index
+  //   vectorStore       Normalized chunk vectors for exact search (null when the HNSW graph is used)
+  //   ann               { graph, live, snapshot } for approximate search, live mapping nodes to chunk ids
+  //   commandCatalog    Commands, options, result types, bridge methods and tokens from src/
+  //   commandReference  Real commands and flags, for checking answers
+  let state = null;
+  let ready = false;
+  let reloadQueue = Promise.resolve();                  // Reloads run one at a time
+  const recentAnswers = new Map();                      // id -> result of the last MAX_RATEABLE answers, for rate()
+  const MAX_RATEABLE = 200;
+  const hydeDrafts = new Map();                         // question -> HyDE draft, least recently added dropped first
+  const MAX_HYDE_DRAFTS = 100;
+  let annGraph = null;                                  // HNSW graph over every chunk vector seen, kept across reloads
+  const ANN_MIN_CHUNKS = 5000;                          // vectorSearch "auto" switches to the graph from here
+  const ANN_M = 16;
+  const ANN_EF_CONSTRUCTION = 200;
+  const ANN_MAX_STALE = 0.3;                            // Share of nodes of chunks no longer indexed before a rebuild
+  let searchPool = null;                                // Worker threads when searchWorkers > 0, started on first search
+  let cacheSaveTimer = null;                            // Pending save of new query embeddings
+  const CACHE_SAVE_DELAY = 5000;
+
+  // Load persistent cache on startup
+  function loadPersistentCache() {
+    try {
+      const count = embeddingCache.load();
+      if (DEBUG_MODE) {
+        console.log(`🚀 Loaded ${count} cached embeddings from disk`);
+      }
+      return count;
+    } catch (error) {
+      if (DEBUG_MODE) {
+        console.log(`⚠️ Could not load cache file: ${error.message}`);
+      }
+    }
+    return 0;
+  }
+
+  // Save cache to disk
+  function savePersistentCache() {
+    clearTimeout(cacheSaveTimer);
+    cacheSaveTimer = null;
+    try {
+      const count = embeddingCache.save();
+      if (DEBUG_MODE) {
+        console.log(`💾 Saved ${count} embeddings to persistent cache`);
+      }
+    } catch (error) {
+      if (DEBUG_MODE) {
+        console.log(`⚠️ Could not save cache file: ${error.message}`);
+      }
+    }
+  }
+
+  // New query embeddings are saved CACHE_SAVE_DELAY after the first unsaved one, so a burst of
+  // questions rewrites the cache file once; reloads and close() save them sooner
+  function scheduleCacheSave() {
+    if (cacheSaveTimer) return;
+    cacheSaveTimer = setTimeout(savePersistentCache, CACHE_SAVE_DELAY);
+    cacheSaveTimer.unref();
+  }
+
+  // Function to read source files
+  function readCommandsFolder() {
+    const documents = [];
+
+    try {
+      if (fs.existsSync(srcPath)) {
+        if (DEBUG_MODE) console.log("📁 Reading source files (src)...");
+        const files = fs.readdirSync(srcPath, { recursive: true });
+
+        files.forEach(file => {
+          if (file.endsWith('.js') || file.endsWith('.ts')) {
+            const filePath = `${srcPath}/${file}`;
+            try {
+              const content = fs.readFileSync(filePath, "utf8");
+              // Filter out very short or empty files
+              if (content.length > 100) {
+                documents.push(new Document({ 
+                  pageContent: content,
+                  metadata: { source: filePath, type: "source_code" }
+                }));
+                if (DEBUG_MODE) console.log(`  ✅ ${file} (${content.length} chars)`);
+              } else {
+                if (DEBUG_MODE) console.log(`  ⚠️  ${file} (too short: ${content.length} chars)`);
+              }
+            } catch (err) {
+              if (DEBUG_MODE) console.log(`  ❌ Error reading ${file}: ${err.message}`);
+            }
+          }
+        });
+
+        if (DEBUG_MODE) {
+          console.log(`📁 Total source files read: ${documents.length}`);
+          console.log("┌" + "─".repeat(70) + "┐");
+          console.log("│ 📊 SOURCE FILES SUMMARY                                          │");
+          console.log("└" + "─".repeat(70) + "┘");
+
+          // Show file statistics
+          if (documents.length > 0) {
+            const sizes = documents.map(d => d.pageContent.length);
+            const totalSize = sizes.reduce((a, b) => a + b, 0);
+            const avgSize = Math.round(totalSize / sizes.length);
+
+            console.log(`   📈 Total characters: ${totalSize.toLocaleString()}`);
+            console.log(`   📊 Average file size: ${avgSize.toLocaleString()} chars`);
+            console.log(`   📁 Largest file: ${Math.max(...sizes).toLocaleString()} chars`);
+            console.log(`   📄 Smallest file: ${Math.min(...sizes).toLocaleString()} chars`);
+
+            console.log("\n📝 Sample from first file:");
+            const sample = documents[0].pageContent.substring(0, 200);
+            console.log(`   "${sample}..."`);
+          }
+        }
+      } else {
+        if (DEBUG_MODE) console.log("⚠️ 'src' folder not found. Only README.md will be used");
+      }
+    } catch (error) {
+      if (DEBUG_MODE) console.log(`⚠️  Error reading source folder: ${error.message}`);
+    }
+
+    return documents;
+  }
+
+  // Embed texts, reusing cached vectors for texts already embedded with the same settings.
+  // Returns { vectors, keys, reused }; keys are empty when caching is off.
+  async function embedTexts(texts, settings) {
+    if (!CACHE_EMBEDDINGS) {
+      return { vectors: await embeddings.embedDocuments(texts), keys: [], reused: 0 };
+    }
+
+    const keys = texts.map(text => embeddingCache.documentKey(text, settings));
+    const vectors = keys.map(key => embeddingCache.getDocument(key));
+    const missing = vectors.flatMap((vector, i) => (vector ? [] : [i]));
+
+    if (missing.length > 0) {
+      const newVectors = await embeddings.embedDocuments(missing.map(i => texts[i]));
+      missing.forEach((textIndex, j) => {
+        vectors[textIndex] = embeddingCache.setDocument(keys[textIndex], newVectors[j], settings);
+      });
+    }
+    return { vectors, keys, reused: texts.length - missing.length };
+  }
+
+  // Chunkers for each kind of document; the sizes come from the profile and are set again
+  // by configure() when they change
+  let splitter, markdownSplitter, codeSplitter, chunkSettings;
+  function createSplitters() {
+    splitter = new RecursiveCharacterTextSplitter({
+      chunkSize: settings.chunkSize,
+      chunkOverlap: settings.chunkOverlap,
+    });
+    // Markdown is chunked along its headings, each chunk prefixed with its section breadcrumb
+    markdownSplitter = new MarkdownSplitter({
+      chunkSize: settings.chunkSize,
+    });
+    // Source files are chunked on top-level declarations so functions and types stay whole
+    codeSplitter = new CodeSplitter({
+      maxChunkSize: settings.codeChunkSize,
+    });
+    // Part of every chunk's cache key, so chunks are re-embedded when the chunk sizes change
+    chunkSettings = JSON.stringify({
+      markdown: markdownSplitter.chunkSize,
+      code: codeSplitter.maxChunkSize,
+      text: [splitter.chunkSize, splitter.chunkOverlap]
+    });
+  }
+  createSplitters();
+
+  function splitterFor(doc) {
+    if (doc.metadata.type === "documentation") return markdownSplitter;
+    if (doc.metadata.type === "source_code") return codeSplitter;
+    return splitter;
+  }
+
+  // Bring the HNSW graph up to date with the chunks. The graph only grows: chunks are added under
+  // their embedding cache key, so unchanged chunks keep their nodes across reloads and runs, and
+  // nodes of chunks no longer indexed are left out of results until they make up more than
+  // ANN_MAX_STALE of the graph, which is then rebuilt. Returns { graph, live, snapshot, added, stale, rebuilt }.
+  function syncVectorGraph(index) {
+    const dimensions = index[0]?.vector.length || 0;
+    const keys = index.map(chunk => embeddingCache.documentKey(chunk.text, chunkSettings));
+
+    if (!annGraph && CACHE_EMBEDDINGS && fs.existsSync(annFile)) {
+      try {
+        const { index: loaded, model } = HnswIndex.load(annFile);
+        if (model === embeddings.id && loaded.dimensions === dimensions) annGraph = loaded;
+      } catch (error) {
+        if (DEBUG_MODE) console.log(`⚠️ Could not load vector index: ${error.message}`);
+      }
+    }
+
+    const liveKeys = new Set(keys);
+    let stale = annGraph ? annGraph.keys.filter(key => !liveKeys.has(key)).length : 0;
+    const rebuilt = !annGraph || annGraph.dimensions !== dimensions || stale > annGraph.count * ANN_MAX_STALE;
+    if (rebuilt) {
+      annGraph = new HnswIndex({ dimensions, m: ANN_M, efConstruction: ANN_EF_CONSTRUCTION });
+      stale = 0;
+    }
+    const before = annGraph.count;
+    index.forEach((chunk, i) => annGraph.add(keys[i], chunk.vector));
+    const added = annGraph.count - before;
+
+    // Node -> chunk id of this state; searches through an older state never see newer nodes.
+    // Chunks with the same text share a node, which stands for the first of them.
+    const live = new Int32Array(new SharedArrayBuffer(Math.max(annGraph.count, 1) * 4)).fill(-1);
+    keys.forEach((key, id) => {
+      const node = annGraph.nodeOf.get(key);
+      if (live[node] === -1) live[node] = id;
+    });
+
+    if (CACHE_EMBEDDINGS && (added > 0 || rebuilt)) {
+      try {
+        annGraph.save(annFile, { model: embeddings.id });
+      } catch (error) {
+        if (DEBUG_MODE) console.log(`⚠️ Could not save vector index: ${error.message}`);
+      }
+    }
+    return { graph: annGraph, live, snapshot: annGraph.snapshot(), added, stale, rebuilt };
+  }
+
+  // 2. Load, chunk and embed all information sources.
+  // Documents whose content is the same as in `previous` keep their chunks and vectors, and the
+  // FAQ is only reloaded when its file changed, so a reload only pays for what was edited.
+  // `rechunk` chunks every document again (the chunk sizes changed); vectors still come from the cache.
+  // Returns { next, changes: { added, changed, removed, faq, aliases } } without touching the current state.
+  async function loadState(previous = null, { rechunk = false } = {}) {
+    const startupTime = Date.now();
+
+    // Initialize FAQ system. A bad FAQ file only stops a reload (the previous index stays); at
+    // startup it is reported and the engine runs without FAQ answers.
+    let faqText = null;
+    try {
+      faqText = fs.readFileSync(faqPath, "utf8");
+    } catch {
+      // FAQSystem reports the missing file
+    }
+    const faqChanged = !previous || faqText !== previous.faqText;
+    const faqSystem = faqChanged
+      ? new FAQSystem(faqPath, { semanticWeight: faqSemanticWeight, ambiguityMargin: faqAmbiguityMargin, strict: Boolean(previous) })
+      : previous.faqSystem;
+    const faqStats = faqSystem.getStats();
+    if (DEBUG_MODE && faqChanged) {
+      console.log(`📚 FAQ System loaded: ${faqStats.questions} questions across ${faqStats.categories} categories`);
+      console.log(`⚙️ Executable commands: ${faqStats.commands}`);
+    }
+
+    // Query expansion aliases, only read when the profile expands queries
+    let aliasesText = null;
+    let aliases = [];
+    if (settings.queryExpansion) {
+      aliasesText = fs.existsSync(aliasesPath) ? fs.readFileSync(aliasesPath, "utf8") : null;
+      aliases = previous && aliasesText === previous.aliasesText ? previous.aliases : loadAliases(aliasesPath);
+      if (DEBUG_MODE && (!previous || aliasesText !== previous.aliasesText)) {
+        console.log(`🧩 Query aliases loaded: ${aliases.length} entries`);
+      }
+    }
+
+    const allDocs = [];
+
+    // Read README.md
+    if (DEBUG_MODE) console.log("📖 Reading README.md...");
+    const readmeContent = fs.readFileSync(readmePath, "utf8");
+    allDocs.push(new Document({ 
+      pageContent: readmeContent,
+      metadata: { source: "README.md", type: "documentation" }
+    }));
+    if (DEBUG_MODE) console.log("✅ README.md read successfully, size:", readmeContent.length, "characters");
+
+    // Read source files
+    const commandDocs = readCommandsFolder();
+    allDocs.push(...commandDocs);
+
+    if (DEBUG_MODE) {
+      console.log("\n" + "═".repeat(80));
+      console.log("📚 DOCUMENT PROCESSING PIPELINE");
+      console.log("═".repeat(80));
+      console.log(`📁 Total documents loaded: ${allDocs.length}`);
+
+      // Show document breakdown
+      const docTypes = {};
+      allDocs.forEach(doc => {
+        docTypes[doc.metadata.type] = (docTypes[doc.metadata.type] || 0) + 1;
+      });
+
+      console.log("📊 Document types:");
+      Object.entries(docTypes).forEach(([type, count]) => {
+        const bar = "█".repeat(Math.round(count * 5)) + "░".repeat(Math.max(10 - Math.round(count * 5), 0));
+        console.log(`   ${type}: ${count} [${bar}]`);
+      });
+    }
+
+    // Chunk new and edited documents; unchanged ones keep their chunks
+    const previousChunks = previous && !rechunk ? previous.chunksBySource : new Map();
+    const chunksBySource = new Map();
+    const changes = {
+      added: [],
+      changed: [],
+      removed: [],
+      faq: Boolean(previous) && faqChanged,
+      aliases: Boolean(previous) && aliasesText !== previous.aliasesText
+    };
+    for (const doc of allDocs) {
+      const source = doc.metadata.source;
+      const known = previousChunks.get(source);
+      if (known && known.content === doc.pageContent) {
+        chunksBySource.set(source, known);
+        continue;
+      }
+      if (previous && !rechunk) (known ? changes.changed : changes.added).push(source);
+      const chunks = await splitterFor(doc).splitDocuments([doc]);
+      chunksBySource.set(source, {
+        content: doc.pageContent,
+        chunks: chunks.map(chunk => ({ vector: null, text: chunk.pageContent, metadata: chunk.metadata }))
+      });
+    }
+    changes.removed = [...(previous ? previous.chunksBySource.keys() : [])].filter(source => !chunksBySource.has(source));
+
+    const index = allDocs.flatMap(doc => chunksBySource.get(doc.metadata.source).chunks);
+
+    if (DEBUG_MODE) {
+      console.log(`\n🔪 Text chunking complete: ${index.length} chunks created`);
+
+      // Show chunk statistics
+      const chunkSizes = index.map(d => d.text.length);
+      const avgChunkSize = Math.round(chunkSizes.reduce((a, b) => a + b, 0) / chunkSizes.length);
+      const chunkBar = "█".repeat(Math.round(avgChunkSize / 50)) + "░".repeat(Math.max(20 - Math.round(avgChunkSize / 50), 0));
+
+      console.log(`   📊 Average chunk size: ${avgChunkSize} chars [${chunkBar}]`);
+      console.log(`   📏 Size range: ${Math.min(...chunkSizes)} - ${Math.max(...chunkSizes)} chars`);
+
+      // Show which kinds of code units were extracted
+      const kinds = {};
+      index.filter(d => d.metadata.kind).forEach(d => {
+        kinds[d.metadata.kind] = (kinds[d.metadata.kind] || 0) + 1;
+      });
+      const kindSummary = Object.entries(kinds).map(([kind, count]) => `${kind}: ${count}`).join(", ");
+      if (kindSummary) console.log(`   🧩 Code units: ${kindSummary}`);
+    }
+
+    // 3. Create embeddings (with caching for performance)
+    const startTime = Date.now();
+    const pending = index.filter(chunk => !chunk.vector);
+    if (DEBUG_MODE) {
+      console.log(`\n🔄 Creating embeddings with '${embeddings.id}'...`);
+      console.log("   ⏳ This may take a moment depending on document count...");
+      if (CACHE_EMBEDDINGS) {
+        console.log("   🚀 Embedding caching enabled for better performance");
+      }
+    }
+
+    // Each chunk is cached under its own content key, so only new or edited chunks are embedded
+    const chunkEmbeddings = await embedTexts(pending.map(chunk => chunk.text), chunkSettings);
+    pending.forEach((chunk, i) => {
+      chunk.vector = chunkEmbeddings.vectors[i];
+    });
+    if (DEBUG_MODE && CACHE_EMBEDDINGS) {
+      console.log(`   ⚡ Reusing ${chunkEmbeddings.reused} cached chunk embeddings, computing ${pending.length - chunkEmbeddings.reused}`);
+    }
+
+    // FAQ questions are embedded once for semantic matching, cached like chunks
+    const faqQuestions = faqSystem.getEntries().map(entry => entry.question);
+    let faqEmbeddings = { reused: faqQuestions.length };
+    if (faqChanged) {
+      faqEmbeddings = await embedTexts(faqQuestions, "faq-question");
+      faqSystem.setQuestionVectors(faqEmbeddings.vectors);
+      if (DEBUG_MODE && CACHE_EMBEDDINGS) {
+        console.log(`   ⚡ Reusing ${faqEmbeddings.reused} cached FAQ question embeddings, computing ${faqQuestions.length - faqEmbeddings.reused}`);
+      }
+    }
+    const reusedCount = index.length - pending.length + chunkEmbeddings.reused;
+
+    if (CACHE_EMBEDDINGS) {
+      // Forget vectors of chunks and FAQ questions that no longer exist. Only this profile's
+      // chunking settings are pruned; other profiles' vectors stay for when /mode switches back.
+      const pruned = embeddingCache.prune(index.map(chunk => embeddingCache.documentKey(chunk.text, chunkSettings)), chunkSettings) +
+        embeddingCache.prune(faqQuestions.map(question => embeddingCache.documentKey(question, "faq-question")), "faq-question");
+      if (chunkEmbeddings.reused < pending.length || faqEmbeddings.reused < faqQuestions.length || pruned > 0 || cacheSaveTimer) {
+        savePersistentCache();
+        if (DEBUG_MODE) console.log(`   💾 Embeddings cached for future use (${pruned} stale entries removed)`);
+      }
+    }
+
+    // Exact search scans every vector; large indexes (or vectorSearch "hnsw") use the graph instead
+    const useGraph = settings.vectorSearch === "hnsw" || (settings.vectorSearch === "auto" && index.length >= ANN_MIN_CHUNKS);
+    const ann = useGraph && index.length > 0 ? syncVectorGraph(index) : null;
+
+    const commandCatalog = buildCommandCatalog({
+      sources: allDocs.filter(d => d.metadata.type === "source_code").map(d => ({ path: d.metadata.source, content: d.pageContent })),
+      readme: allDocs.filter(d => d.metadata.type === "documentation").map(d => d.pageContent).join("\n")
+    });
+    const next = {
+      faqSystem,
+      faqText,
+      aliases,
+      aliasesText,
+      allDocs,
+      chunksBySource,
+      index,
+      lexicalIndex: new BM25Index().build(index.map(chunk => chunk.text)),
+      vectorStore: ann ? null : createVectorStore(index.map(chunk => chunk.vector)),
+      ann,
+      commandCatalog,
+      commandReference: buildCommandReference(commandCatalog)
+    };
+
+    const embeddingTime = Date.now() - startTime;
+
+    if (DEBUG_MODE) {
+      const dimensions = index[0]?.vector.length || 0;
+      console.log("✅ Embeddings created successfully!");
+      console.log("┌" + "─".repeat(50) + "┐");
+      console.log("│ 🧠 EMBEDDING STATISTICS                        │");
+      console.log("└" + "─".repeat(50) + "┘");
+      console.log(`   📊 Total vectors: ${index.length}`);
+      console.log(`   🔢 Vector dimensions: ${dimensions}`);
+      console.log(`   💾 Memory usage: ~${Math.round(index.length * dimensions * 4 / 1024 / 1024)} MB`);
+      console.log(`   ⚡ Processing time: ${(embeddingTime / 1000).toFixed(2)}s`);
+      console.log(`   📁 Cached embeddings: ${embeddingCache.size} (${reusedCount} chunks reused)`);
+      console.log(ann
+        ? `   🧭 Vector search: HNSW graph of ${ann.graph.count} nodes (${ann.added} added, ${ann.stale} stale${ann.rebuilt ? ", rebuilt" : ""}), ef ${settings.annEf}`
+        : `   🧭 Vector search: exact over ${index.length} vectors`);
+      console.log(`   🚀 Total ${previous ? "reload" : "startup"} time: ${((Date.now() - startupTime) / 1000).toFixed(2)}s`);
+      console.log(`   ⚙️  Profile "${mode}": chunks ${settings.chunkSize}/${settings.codeChunkSize}, top ${settings.topK}, ${settings.promptStyle} prompt`);
+    }
+
+    return { next, changes };
+  }
+
+  async function buildIndex() {
+    ready = false;
+    // Load persistent cache first
+    if (CACHE_EMBEDDINGS) loadPersistentCache();
+
+    const { next } = await loadState();
+    state = next;
+    ready = true;
+    return getStats();
+  }
+
+  // Re-read the README, sources, FAQ and query aliases and swap the new state in at once. Questions already
+  // running finish on the state they started with. Reloads run one after another.
+  // Returns { added, changed, removed, faq, aliases, chunks, durationMs }; added/changed/removed list
+  // document sources. Throws (keeping the current state) when e.g. the FAQ file became invalid.
+  function reload() {
+    assertIndexBuilt();
+    const run = reloadQueue.then(async () => {
+      const startTime = Date.now();
+      const { next, changes } = await loadState(state);
+      state = next;
+      return { ...changes, chunks: next.index.length, durationMs: Date.now() - startTime };
+    });
+    reloadQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Reload whenever the README, the FAQ file, the query aliases or anything under srcPath changes. Bursts of
+  // events (editors often write a file several times) are merged into one reload after `delay` ms.
+  // onReload(summary) follows each reload that changed something, onError(error) each failed one.
+  // Returns a function that stops watching; watching never keeps the process alive on its own.
+  function watch({ onReload, onError, delay = 300 } = {}) {
+    assertIndexBuilt();
+    let timer = null;
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        reload().then(
+          summary => {
+            const changed = summary.added.length + summary.changed.length + summary.removed.length > 0 || summary.faq || summary.aliases;
+            if (changed) onReload?.(summary);
+          },
+          error => onError?.(error)
+        );
+      }, delay);
+      timer.unref();
+    };
+
+    // Directories are watched rather than the files, which editors often replace on save
+    const files = new Map();
+    for (const file of [readmePath, faqPath, aliasesPath]) {
+      const dir = path.dirname(file);
+      files.set(dir, [...(files.get(dir) || []), path.basename(file)]);
+    }
+    const watchers = [...files].map(([dir, names]) =>
+      fs.watch(dir, (event, filename) => {
+        if (!filename || names.includes(filename)) schedule();
+      })
+    );
+    if (fs.existsSync(srcPath)) {
+      watchers.push(fs.watch(srcPath, { recursive: true }, (event, filename) => {
+        if (!filename || /\.(js|ts)$/.test(filename)) schedule();
+      }));
+    }
+    watchers.forEach(watcher => watcher.unref());
+
+    return () => {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+    };
+  }
+
+  // Switch settings while running, e.g. { mode: "fast" } or { profile: { topK: 8 } }, and/or turn the
+  // debug panels on or off. A mode starts from its built-in settings (a custom one needs a complete
+  // profile), otherwise profile is applied on top of the current settings. Retrieval settings apply
+  // to the next question; new chunk sizes re-chunk every document (vectors come from the cache when
+  // possible), switching query expansion re-reads the aliases and switching vectorSearch builds the
+  // structures it needs, all like reload(). searchWorkers takes effect on the next search.
+  // Returns { mode, settings, rechunked, chunks, durationMs }. Throws on invalid settings, changing nothing.
+  async function configure({ mode: nextMode, profile: overrides = {}, debug: nextDebug } = {}) {
+    assertIndexBuilt();
+    if (nextMode !== undefined && !BUILTIN_PROFILES[nextMode] && Object.keys(overrides).length === 0) {
+      throw new Error(`Unknown mode "${nextMode}" (expected ${Object.keys(BUILTIN_PROFILES).join(", ")} or a profile)`);
+    }
+    const base = nextMode !== undefined ? (BUILTIN_PROFILES[nextMode] || {}) : settings;
+    const next = validateSettings({ ...base, ...overrides }, `mode "${nextMode ?? mode}"`);
+
+    if (nextDebug !== undefined) DEBUG_MODE = Boolean(nextDebug);
+
+    const run = reloadQueue.then(async () => {
+      const startTime = Date.now();
+      const previous = { ...settings };
+      const rechunk = ["chunkSize", "chunkOverlap", "codeChunkSize"].some(name => next[name] !== previous[name]);
+      Object.assign(settings, next);
+      if (rechunk || next.queryExpansion !== previous.queryExpansion || next.vectorSearch !== previous.vectorSearch) {
+        if (rechunk) createSplitters();
+        try {
+          state = (await loadState(state, { rechunk })).next;
+        } catch (error) {
+          Object.assign(settings, previous);
+          createSplitters();
+          throw error;
+        }
+      }
+      if (next.llmTimeout !== previous.llmTimeout || next.embeddingTimeout !== previous.embeddingTimeout) {
+        llm = createLLM({ timeout: settings.llmTimeout, ...llmConfig });
+        embeddings = createEmbeddings({ timeout: settings.embeddingTimeout, ...embeddingConfig });
+      }
+      if (nextMode !== undefined) mode = nextMode;
+      return { mode, settings: { ...settings }, rechunked: rechunk, chunks: state.index.length, durationMs: Date.now() - startTime };
+    });
+    reloadQueue = run.catch(() => {});
+    return run;
+  }
+
+  // FAQ categories as loaded: [{ category, label, questions, command, executable }]
+  function listFAQ() {
+    assertIndexBuilt();
+    return Object.entries(state.faqSystem.getCategories()).map(([category, entry]) => ({
+      category,
+      label: entry.category || category,
+      questions: entry.questions,
+      command: entry.command || null,
+      executable: entry.executable || false
+    }));
+  }
+
+  // FAQ categories closest to a query, scored like ask() does: [{ category, matchedQuestion, score, ... }]
+  async function searchFAQ(query, { topN = 5 } = {}) {
+    assertIndexBuilt();
+    const { faqSystem } = state;
+    return faqSystem.findMatches(query, { queryVector: await embedQuestion(query), topN });
+  }
+
+  function getStats() {
+    const faqStats = state ? state.faqSystem.getStats() : { questions: 0, categories: 0, commands: 0 };
+    return {
+      mode,
+      documents: state ? state.allDocs.length : 0,
+      chunks: state ? state.index.length : 0,
+      dimensions: state?.index[0]?.vector.length || 0,
+      vectorSearch: state?.ann ? "hnsw" : "exact",
+      lexicalWeight: settings.lexicalWeight,
+      topK: settings.topK,
+      llm: llm.id,
+      embeddingModel: embeddings.id,
+      faqQuestions: faqStats.questions,
+      faqCategories: faqStats.categories,
+      faqCommands: faqStats.commands,
+      catalogCommands: state ? state.commandCatalog.commands.length : 0,
+      stateChangingCommands: state ? state.commandCatalog.commands.filter(command => command.stateChanging).map(command => command.name) : [],
+      cachedEmbeddings: embeddingCache.size
+    };
+  }
+
+  // Save query embeddings not written yet and stop the search workers. The engine stays usable;
+  // call it before the process exits.
+  function close() {
+    if (cacheSaveTimer) savePersistentCache();
+    searchPool?.close();
+    searchPool = null;
+  }
+
+  function assertIndexBuilt() {
+    if (!ready) {
+      throw new Error("Index not built yet, call buildIndex() first");
+    }
+  }
+
+  // 4. Retrieval, answer and print functions
+
+  // Compute (or reuse) the embedding of a question
+  async function embedQuestion(question) {
+    if (!CACHE_EMBEDDINGS) {
+      return embeddings.embedQuery(question);
+    }
+
+    const cachedVec = embeddingCache.getQuery(question);
+    if (cachedVec) {
+      if (DEBUG_MODE) console.log("   ⚡ Using cached query embedding!");
+      return cachedVec;
+    }
+
+    const queryVec = embeddingCache.setQuery(question, await embeddings.embedQuery(question));
+    scheduleCacheSave();
+    return queryVec;
+  }
+
+  // Second stage over a pool of first-stage candidates: re-rank them (profile setting rerank), then
+  // pick k with maximal marginal relevance (mmrLambda) so near-duplicate chunks do not fill every slot.
+  // The lexical scorer reads the expanded question, the model grades the question as asked.
+  async function refineCandidates(question, pool, k, { lexicalIndex, signal, expanded = question }) {
+    const idf = term => lexicalIndex.idf(term);
+    let ranked = pool;
+    let scorer = "first-stage";
+    if (settings.rerank === "llm") {
+      try {
+        const { ranked: graded, graded: count } = await rerankWithLLM(question, pool, { llm, idf, signal });
+        ranked = graded;
+        scorer = count > 0 ? `llm, ${count}/${pool.length} graded` : "lexical, no grades in the model reply";
+      } catch (error) {
+        if (signal?.aborted) throw createAbortError();
+        ranked = rerankLexical(expanded, pool, { idf });
+        scorer = `lexical, grading failed: ${error.message}`;
+      }
+    } else if (settings.rerank === "lexical") {
+      ranked = rerankLexical(expanded, pool, { idf });
+      scorer = "lexical";
+    }
+
+    const scoreKey = settings.rerank === "off" ? (pool[0]?.fusedScore !== undefined ? "fusedScore" : "score") : "rerankScore";
+    const selected = selectMMR(ranked, k, { lambda: settings.mmrLambda, scoreKey });
+
+    if (DEBUG_MODE) {
+      console.log("\n" + "═".repeat(80));
+      console.log(`🔀 RE-RANKING (${scorer}, pool ${pool.length}) + MMR (λ ${settings.mmrLambda})`);
+      console.log("═".repeat(80));
+      console.log("   rerank  first stage  score    picked  source");
+      ranked.slice(0, Math.max(10, k * 2)).forEach((item, i) => {
+        const picked = selected.find(s => s.id === item.id);
+        const score = item.rerankScore ?? item[scoreKey];
+        console.log(`   ${String(i + 1).padStart(6)}  ${`#${pool.findIndex(p => p.id === item.id) + 1}`.padStart(11)}  ${score.toFixed(3)}  ${picked ? `✅ #${picked.mmrRank}` : "      "}  ${describeSource(item.metadata)}`);
+      });
+      const skipped = ranked.slice(0, k).filter(item => !selected.some(s => s.id === item.id));
+      if (skipped.length > 0) {
+        console.log(`   🧹 MMR skipped ${skipped.length} chunk(s) too similar to ones already picked`);
+      }
+    }
+    return selected;
+  }
+
+  // Search workers for the current searchWorkers setting, or null to search on the main thread
+  // (also once the pool has failed)
+  function getSearchPool() {
+    if (settings.searchWorkers === 0) {
+      searchPool?.close();
+      searchPool = null;
+      return null;
+    }
+    if (!searchPool || searchPool.size !== settings.searchWorkers) {
+      searchPool?.close();
+      searchPool = new SearchPool({ size: settings.searchWorkers });
+    }
+    return searchPool.failed ? null : searchPool;
+  }
+
+  // The `count` chunks closest to a query vector: [{ id, score }], best first. `current` is the
+  // state searched: its HNSW graph when it has one, otherwise every vector.
+  async function rankByVector(current, queryVec, count) {
+    const { vectorStore, ann } = current;
+    const query = normalize(queryVec);
+    const ef = Math.max(settings.annEf, count);
+
+    const pool = getSearchPool();
+    if (pool) {
+      try {
+        return ann
+          ? await pool.hnsw(ann.snapshot, ann.live, query, count, { ef })
+          : await pool.exact(vectorStore, query, count);
+      } catch (error) {
+        // Warn once per pool; a failed pool stays out of the way until searchWorkers changes
+        const first = !pool.failed;
+        pool.fail(error);
+        if (first) console.warn(`⚠️ Search workers failed, searching on the main thread: ${error.message}`);
+      }
+    }
+
+    if (ann) {
+      const { graph, live } = ann;
+      return graph
+        .search(query, count, { ef, accept: node => node < live.length && live[node] >= 0 })
+        .map(result => ({ id: live[result.id], score: result.score }));
+    }
+    return exactSearch(vectorStore, query, count);
+  }
+
+  // HyDE: a model-drafted answer to embed next to the question. Drafts are kept for the last
+  // MAX_HYDE_DRAFTS questions; a failed draft only costs the extra query, not the answer.
+  async function draftHypotheticalAnswer(question, signal) {
+    if (hydeDrafts.has(question)) return hydeDrafts.get(question);
+    try {
+      const draft = (await llm.generate(buildHydePrompt(question), { signal })).trim() || null;
+      hydeDrafts.set(question, draft);
+      if (hydeDrafts.size > MAX_HYDE_DRAFTS) hydeDrafts.delete(hydeDrafts.keys().next().value);
+      return draft;
+    } catch (error) {
+      if (signal?.aborted) throw createAbortError();
+      if (DEBUG_MODE) console.log(`⚠️ HyDE draft failed, searching without it: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Rank indexed chunks against a question and return the k best. `current` is the state
+  // snapshot of the question being answered.
+  async function searchDocuments(question, k = settings.topK, current = state, { signal } = {}) {
+    assertIndexBuilt();
+    const { index, lexicalIndex, aliases } = current;
+
+    // 🧩 The question in the corpus' own words ("tRBTC" -> testnet, "peg-in" -> bridge)
+    const { expansions, expanded } = settings.queryExpansion ? expandQuery(question, aliases) : { expansions: [], expanded: question };
+
+    if (DEBUG_MODE) console.log("🔍 Computing query embedding...");
+    const queryVec = await embedQuestion(question);
+    const queries = [{ label: "question", vector: queryVec }];
+    if (expanded !== question) queries.push({ label: "expanded", vector: await embedQuestion(expanded) });
+    const draft = settings.hyde ? await draftHypotheticalAnswer(question, signal) : null;
+    if (draft) queries.push({ label: "hyde", vector: await embeddings.embedQuery(draft) });
+    if (signal?.aborted) throw createAbortError();
+
+    if (DEBUG_MODE && (settings.queryExpansion || settings.hyde)) {
+      console.log("\n" + "═".repeat(80));
+      console.log("🧩 QUERY EXPANSION");
+      console.log("═".repeat(80));
+      if (expansions.length === 0) console.log("   No aliases matched");
+      expansions.forEach(({ matched, terms }) => console.log(`   "${matched}" → ${terms.join(", ")}`));
+      if (expanded !== question) console.log(`   🔤 Expanded query: "${expanded}"`);
+      if (settings.hyde) console.log(draft ? `   📝 HyDE draft: "${draft.replace(/\s+/g, " ").substring(0, 200)}${draft.length > 200 ? "..." : ""}"` : "   📝 HyDE draft: none");
+      console.log(`   🔎 Searching with ${queries.map(q => q.label).join(" + ")}`);
+    }
+
+    if (DEBUG_MODE) console.log("🔎 Searching similar documents...");
+
+    // The second stage (re-ranking, MMR) picks k out of a larger pool
+    const refine = settings.rerank !== "off" || settings.mmrLambda < 1;
+    const poolSize = refine ? Math.max(k, settings.rerankPool) : k;
+
+    // Hybrid retrieval ranks a wider candidate pool from each side before fusing
+    const hybrid = settings.lexicalWeight > 0;
+    const candidateCount = hybrid ? Math.max(poolSize, k * 4, 20) : poolSize;
+
+    // One ranking per query vector (question, expanded question, HyDE draft)
+    const vectorLists = await Promise.all(queries.map(({ vector }) => rankByVector(current, vector, candidateCount)));
+    const vectorRanked = vectorLists[0];
+
+    let ranked;
+    if (hybrid || vectorLists.length > 1) {
+      // The vector rankings share the vector weight; BM25 gets the expanded question
+      const lexicalRanked = hybrid ? lexicalIndex.search(expanded, candidateCount) : [];
+      const fused = reciprocalRankFusion([
+        ...vectorLists.map(list => ({ ids: list.map(r => r.id), weight: (1 - settings.lexicalWeight) / vectorLists.length })),
+        ...(hybrid ? [{ ids: lexicalRanked.map(r => r.id), weight: settings.lexicalWeight }] : [])
+      ]);
+      const vectorScores = new Map(vectorRanked.map(r => [r.id, r.score]));
+      const lexicalScores = new Map(lexicalRanked.map(r => [r.id, r.score]));
+
+      ranked = [...fused.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, poolSize)
+        .map(([id, fusedScore]) => ({
+          id,
+          // score stays the cosine similarity to the question so confidence keeps its meaning
+          score: vectorScores.get(id) ?? cosineSimilarity(queryVec, index[id].vector),
+          lexicalScore: lexicalScores.get(id) ?? 0,
+          fusedScore,
+          text: index[id].text,
+          metadata: index[id].metadata
+        }));
+    } else {
+      ranked = vectorRanked.map(({ id, score }) => ({ id, score, text: index[id].text, metadata: index[id].metadata }));
+    }
+
+    const refined = refine
+      ? await refineCandidates(question, ranked.map(item => ({ ...item, vector: index[item.id].vector })), k, { lexicalIndex, signal, expanded })
+      : ranked.slice(0, k);
+    const topK = refined.map(({ id, vector, ...item }) => item);
+
+    if (DEBUG_MODE) {
+      console.log("\n" + "═".repeat(80));
+      console.log("📊 TOP SIMILARITY MATCHES" + (hybrid ? ` (hybrid, BM25 weight ${settings.lexicalWeight})` : ""));
+      console.log("═".repeat(80));
+      topK.forEach((item, i) => {
+        const scoreBar = "█".repeat(Math.round(Math.max(0, item.score) * 20)) + "░".repeat(20 - Math.round(Math.max(0, item.score) * 20));
+        console.log(`\n🔍 MATCH #${i + 1}`);
+        console.log(`   📈 ${hybrid ? "Vector" : "Score"}: ${item.score.toFixed(4)} [${scoreBar}]`);
+        if (hybrid) {
+          console.log(`   🔤 BM25: ${item.lexicalScore.toFixed(4)}   🔀 Fused (RRF): ${item.fusedScore.toFixed(4)}`);
+        }
+        if (item.rerankScore !== undefined) {
+          console.log(`   🎯 Re-rank: ${item.rerankScore.toFixed(4)}${item.grade !== undefined && item.grade !== null ? ` (model grade ${item.grade}/3)` : ""}`);
+        }
+        console.log(`   📁 Source: ${describeSource(item.metadata)}`);
+        console.log(`   📝 Type: ${item.metadata.type}`);
+        console.log(`   💬 Preview: "${item.text.substring(0, 120)}..."`);
+        console.log("   " + "─".repeat(60));
+      });
+    }
+
+    return topK;
+  }
+
+  function buildPrompt(question, context, history = "") {
+    const conversation = history ? `Conversation so far:\n${history}\n\n` : "";
+
+    if (settings.promptStyle === "brief") {
+      // Ultra-short prompt for maximum speed
+      return `Context: ${context}
+
+${conversation}Question: ${question}
+
+Answer briefly using only the context above. Cite sources by their ID, like [S1]:`;
+    }
+    if (settings.promptStyle === "concise") {
+      // Medium prompt for balance of speed and quality
+      return `You are an rsk-cli expert. Answer using ONLY the provided context.
+Each context section starts with an ID like [S1]; cite the IDs you use inline, like [S1] or [S1, S2].
+
+Context: ${context}
+
+${conversation}Question: ${question}
+
+Answer:`;
+    }
+    // Full detailed prompt for accuracy
+    return `
+You are an rsk-cli expert. Answer the following question using ONLY the information from the provided context.
+
+IMPORTANT:
+- If you find relevant information in the context, use it to answer in detail.
+- If the information is not in the context, reply "I don't have that information in the provided context".
+- Each context section starts with an ID like [S1] followed by its file and lines. Cite the IDs you use inline, right after the statement they support, like [S1] or [S1, S2].
+- Only cite IDs that appear in the context.
+
+Context:
+${context}
+
+${conversation}Question: ${question}
+
+Instructions:
+1. Carefully analyze the context
+2. Identify information relevant to the question
+3. Provide a detailed answer based on that information
+4. Cite the context sections you used by their IDs
+
+Answer:
+`;
+  }
+
+  function createAbortError() {
+    const abortError = new Error("Generation cancelled");
+    abortError.name = "AbortError";
+    return abortError;
+  }
+
+  // Rewrite a follow-up into a standalone question using the conversation so far. When the model
+  // fails or answers with nothing, the question is used as asked.
+  async function condenseQuestion(question, conversation, commands, signal) {
+    if (!conversation || !conversation.looksLikeFollowUp(question, { commands })) return question;
+
+    let standalone = "";
+    try {
+      const rewritten = await llm.generate(conversation.buildCondensePrompt(question), { signal });
+      standalone = rewritten.trim().split("\n")[0].replace(/^["']|["']$/g, "").trim();
+    } catch (error) {
+      if (signal?.aborted) throw createAbortError();
+      if (DEBUG_MODE) console.log(`⚠️ Could not rewrite follow-up: ${error.message}`);
+    }
+    if (!standalone) return question;
+
+    if (DEBUG_MODE) console.log(`🧠 Follow-up rewritten: "${standalone}"`);
+    return standalone;
+  }
+
+  // Answer a question (command catalog, then FAQ, RAG fallback) and return a structured result.
+  // When onToken is given, the model answer is streamed through it chunk by chunk.
+  // Aborting `signal` cancels the generation and rejects with an AbortError.
+  // With a ConversationMemory, follow-ups are rewritten before lookup, recent turns
+  // go into the prompt and the finished turn is recorded.
+  // When two FAQ categories match about equally, the result has path "clarify" and
+  // `suggestions` to pick from; clarify: false answers with the best match instead.
+  // Commands and flags in model answers are checked against the corpus (profile setting
+  // commandGuard); with "regenerate", onRegenerate(check) is called before the one retry.
+  async function answerQuestion(question, { onToken, signal, conversation, clarify = true, onRegenerate } = {}) {
+    assertIndexBuilt();
+    // A reload swaps `state`; this question keeps the FAQ, index and catalog it started with
+    const current = state;
+    const { faqSystem, commandCatalog, commandReference } = current;
+    const questionStartTime = Date.now();
+    if (DEBUG_MODE) console.log("\n❓ Question:", question);
+
+    // 🧠 STEP 0: Turn follow-ups into standalone questions
+    const standaloneQuestion = await condenseQuestion(question, conversation, commandCatalog.commands.map(command => command.name), signal);
+    const condenseTime = Date.now() - questionStartTime;
+
+    // 📇 Options, result types, bridge methods and token addresses come straight from the source
+    const catalogAnswer = answerFromCatalog(standaloneQuestion, commandCatalog);
+    if (catalogAnswer) {
+      const labels = catalogLabels(catalogAnswer.locations);
+      if (DEBUG_MODE) console.log(`📇 Answered from the command catalog (${catalogAnswer.kind})`);
+
+      if (onToken) onToken(catalogAnswer.answer);
+      conversation?.addTurn({ question, standaloneQuestion, answer: catalogAnswer.answer, path: "catalog" });
+
+      const catalogTotalTime = Date.now() - questionStartTime;
+      return {
+        question,
+        standaloneQuestion,
+        answer: catalogAnswer.answer,
+        path: "catalog",
+        catalogKind: catalogAnswer.kind,
+        confidence: 1,
+        category: null,
+        matchedQuestion: null,
+        command: null,
+        executable: false,
+        faqCandidates: [],
+        sourcesFooter: formatSourcesFooter({ cited: labels, invalid: [], uncited: [] }).join("\n"),
+        sources: labels.map(label => ({ id: label.id, location: label.location, cited: true, source: label.source, type: "source_code", startLine: label.startLine, endLine: label.endLine })),
+        timings: { condense: condenseTime, firstToken: catalogTotalTime, total: catalogTotalTime }
+      };
+    }
+
+    // 🚀 STEP 1: Check FAQ first for instant responses
+    if (DEBUG_MODE) console.log("📚 Checking FAQ system...");
+    const faqStartTime = Date.now();
+    const faqResponse = await faqSystem.getInstantAnswer(standaloneQuestion, {
+      queryVector: await embedQuestion(standaloneQuestion)
+    });
+    const faqTime = Date.now() - faqStartTime;
+    const faqCandidates = (faqResponse?.candidates || []).map(c => ({
+      category: c.category,
+      matchedQuestion: c.matchedQuestion,
+      score: c.score,
+      semanticScore: c.semanticScore,
+      lexicalScore: c.lexicalScore
+    }));
+
+    if (DEBUG_MODE && faqCandidates.length > 0) {
+      console.log("   🏷️ FAQ candidates:");
+      faqCandidates.forEach((c, i) => {
+        const semantic = c.semanticScore !== null ? `semantic ${c.semanticScore.toFixed(3)}, ` : "";
+        console.log(`      ${i + 1}. ${c.category} ${c.score.toFixed(3)} (${semantic}lexical ${c.lexicalScore.toFixed(3)}) "${c.matchedQuestion}"`);
+      });
+    }
+
+    // 🤔 Two categories match about equally well: ask which one was meant
+    if (faqResponse && faqResponse.confidence > settings.faqThreshold && faqResponse.alternatives.length > 0 && clarify) {
+      const suggestions = [faqResponse.candidates[0], ...faqResponse.alternatives].map(c => ({
+        category: c.category,
+        matchedQuestion: c.matchedQuestion,
+        command: c.command,
+        score: c.score
+      }));
+      const answer = "Did you mean:\n" + suggestions.map((c, i) => `${i + 1}. ${c.matchedQuestion}`).join("\n");
+      if (DEBUG_MODE) console.log(`🤔 Ambiguous FAQ match between ${suggestions.map(c => c.category).join(", ")}`);
+
+      if (onToken) onToken(answer);
+      const clarifyTotalTime = Date.now() - questionStartTime;
+      return {
+        question,
+        standaloneQuestion,
+        answer,
+        path: "clarify",
+        confidence: faqResponse.confidence,
+        category: null,
+        matchedQuestion: null,
+        command: null,
+        executable: false,
+        suggestions,
+        faqCandidates,
+        sources: [],
+        timings: { condense: condenseTime, faq: faqTime, firstToken: clarifyTotalTime, total: clarifyTotalTime }
+      };
+    }
+
+    if (faqResponse && faqResponse.confidence > settings.faqThreshold) {
+      if (DEBUG_MODE) {
+        console.log("✅ FAQ Match Found!");
+        console.log(`   📊 Confidence: ${(faqResponse.confidence * 100).toFixed(1)}%`);
+        console.log(`   📁 Category: ${faqResponse.category}`);
+        console.log(`   🎯 Matched: "${faqResponse.matchedQuestion}"`);
+        if (faqResponse.command) {
+          console.log(`   ⚙️ Command: ${faqResponse.command}`);
+        }
+      }
+
+      // Fill the command's options (network, wallet, addresses, amounts...) from the question
+      const built = faqResponse.executable ? faqSystem.buildCommand(faqResponse.category, standaloneQuestion) : null;
+      if (DEBUG_MODE && built) {
+        console.log(`   🧩 Synthesized: ${built.command}`);
+        if (built.missing.length > 0) console.log(`   ⚠️ Missing: ${built.missing.join(", ")}`);
+        built.invalid.forEach(i => console.log(`   ❌ Invalid ${i.name} "${i.value}": ${i.reason}`));
+      }
+
+      if (onToken) onToken(faqResponse.answer);
+      conversation?.addTurn({ question, standaloneQuestion, answer: faqResponse.answer, path: "faq" });
+
+      const faqTotalTime = Date.now() - questionStartTime;
+      return {
+        question,
+        standaloneQuestion,
+        answer: faqResponse.answer,
+        path: "faq",
+        confidence: faqResponse.confidence,
+        category: faqResponse.category,
+        matchedQuestion: faqResponse.matchedQuestion,
+        command: built ? built.command : faqResponse.command,
+        executable: faqResponse.executable,
+        commandOptions: built ? built.values : {},
+        missingOptions: built ? built.missing : [],
+        invalidOptions: built ? built.invalid : [],
+        faqCandidates,
+        sources: [],
+        timings: { condense: condenseTime, faq: faqTime, firstToken: faqTotalTime, total: faqTotalTime }
+      };
+    }
+
+    // 🔄 STEP 2: Fallback to RAG if no FAQ match
+    if (DEBUG_MODE) {
+      if (faqResponse) {
+        console.log(`⚠️ FAQ confidence too low (${(faqResponse.confidence * 100).toFixed(1)}%), using RAG`);
+      } else {
+        console.log("❌ No FAQ match found, using RAG");
+      }
+    }
+
+    const retrievalStartTime = Date.now();
+    const topK = await searchDocuments(standaloneQuestion, settings.topK, current, { signal });
+    const retrievalTime = Date.now() - retrievalStartTime;
+
+    // Every chunk is labelled [S1], [S2]... with its file and lines so the answer can cite it
+    const { context, labels } = buildCitedContext(topK);
+
+    if (DEBUG_MODE) {
+      // Verify that the context contains useful information
+      console.log("\n" + "═".repeat(80));
+      console.log("🔍 CONTEXT ANALYSIS");
+      console.log("═".repeat(80));
+
+      const contextLength = context.length;
+      const lengthBar = "█".repeat(Math.min(Math.round(contextLength / 100), 40)) + "░".repeat(Math.max(40 - Math.round(contextLength / 100), 0));
+      console.log(`📏 Context length: ${contextLength} chars [${lengthBar}]`);
+
+      // Keyword scan
+      const keywords = standaloneQuestion.toLowerCase().split(' ').filter(word => word.length > 3);
+      const contextLower = context.toLowerCase();
+      const foundKeywords = keywords.filter(keyword => contextLower.includes(keyword));
+
+      console.log(`\n🎯 KEYWORD ANALYSIS:`);
+      console.log(`   🔎 Searching for: [${keywords.join(', ')}]`);
+      console.log(`   ✅ Found: [${foundKeywords.join(', ')}]`);
+      console.log(`   📊 Match rate: ${foundKeywords.length}/${keywords.length} (${Math.round(foundKeywords.length/keywords.length*100)}%)`);
+
+      // Special debugging for balance-related questions
+      if (standaloneQuestion.toLowerCase().includes('balance')) {
+        console.log("\n" + "┌" + "─".repeat(60) + "┐");
+        console.log("│ 🔍 SPECIAL: Balance Question Analysis               │");
+        console.log("└" + "─".repeat(60) + "┘");
+
+        const balanceContent = contextLower.includes('balance') ? '✅' : '❌';
+        const commandContent = contextLower.includes('command') ? '✅' : '❌';
+        const walletContent = contextLower.includes('wallet') ? '✅' : '❌';
+
+        console.log(`   💰 Balance terms: ${balanceContent}`);
+        console.log(`   ⚙️  Command terms: ${commandContent}`);
+        console.log(`   👛 Wallet terms: ${walletContent}`);
+
+        // Show specific balance-related snippets
+        const balanceSnippets = context.split('\n').filter(line =>
+          line.toLowerCase().includes('balance') ||
+          line.toLowerCase().includes('command') ||
+          line.toLowerCase().includes('wallet')
+        );
+
+        if (balanceSnippets.length > 0) {
+          console.log(`\n   📝 Relevant snippets (${balanceSnippets.length} found):`);
+          balanceSnippets.slice(0, 3).forEach((snippet, i) => {
+            console.log(`   ${i + 1}. "${snippet.trim().substring(0, 80)}..."`);
+          });
+        }
+      }
+
+      if (foundKeywords.length === 0) {
+        console.log("\n⚠️  WARNING: No relevant keywords found in context");
+      }
+
+      // Show a preview of the context being sent to the model
+      console.log("\n" + "═".repeat(80));
+      console.log("📤 CONTEXT PREVIEW (First 300 chars)");
+      console.log("═".repeat(80));
+      console.log(`"${context.substring(0, 300)}..."`);
+      console.log("═".repeat(80));
+    }
+
+    const prompt = buildPrompt(standaloneQuestion, context, conversation ? conversation.formatForPrompt() : "");
+
+    if (DEBUG_MODE) console.log("🤖 Generating answer...");
+
+    // Show processing time in debug mode
+    const processingTime = Date.now() - questionStartTime;
+    if (DEBUG_MODE) {
+      console.log(`⚡ Query processing time: ${(processingTime / 1000).toFixed(2)}s`);
+    }
+
+    const generationStartTime = Date.now();
+    let firstTokenTime = null;
+    const generate = async text => {
+      let output = "";
+      try {
+        if (onToken) {
+          for await (const chunk of await llm.stream(text, { signal })) {
+            if (signal?.aborted) break;
+            if (firstTokenTime === null) firstTokenTime = Date.now() - questionStartTime;
+            output += chunk;
+            onToken(chunk);
+          }
+        } else {
+          output = await llm.generate(text, { signal });
+          if (firstTokenTime === null) firstTokenTime = Date.now() - questionStartTime;
+        }
+      } catch (error) {
+        if (!signal?.aborted) throw error;
+      }
+      if (signal?.aborted) throw createAbortError();
+      return output;
+    };
+    let response = await generate(prompt);
+
+    // Invented commands or flags: warn inline, or ask once for a corrected answer
+    let commandCheck = settings.commandGuard === "off" ? null : checkAnswer(response, commandReference);
+    let regenerated = false;
+    if (commandCheck && !commandCheck.ok && settings.commandGuard === "regenerate") {
+      onRegenerate?.(commandCheck);
+      response = await generate(buildCorrectionPrompt(prompt, response, commandCheck, commandReference));
+      commandCheck = checkAnswer(response, commandReference);
+      regenerated = true;
+    }
+    const generationTime = Date.now() - generationStartTime;
+
+    const totalTime = Date.now() - questionStartTime;
+
+    // Citations are checked against the chunks that were actually retrieved
+    const citations = validateCitations(response, labels);
+
+    if (DEBUG_MODE) {
+      console.log(`\n🏁 Total response time: ${(totalTime / 1000).toFixed(2)}s (first token: ${(firstTokenTime / 1000).toFixed(2)}s)`);
+
+      console.log("\n" + "═".repeat(80));
+      console.log("🤖 MODEL RESPONSE ANALYSIS");
+      console.log("═".repeat(80));
+      if (!onToken) {
+        // Streamed answers were already shown token by token
+        console.log(response);
+        console.log("═".repeat(80));
+      }
+
+      // Verificar si la respuesta menciona el contexto
+      const responseLength = response.length;
+      const responseBar = "█".repeat(Math.min(Math.round(responseLength / 20), 40)) + "░".repeat(Math.max(40 - Math.round(responseLength / 20), 0));
+      console.log(`📏 Response length: ${responseLength} chars [${responseBar}]`);
+
+      if (isRefusal(response)) {
+        console.log("⚠️  🔴 WARNING: Model indicates no information found");
+        console.log("   💡 Suggestion: Check context relevance and similarity scores");
+      } else {
+        console.log("✅ 🟢 Model successfully used the provided context");
+      }
+
+      console.log(`📚 Source attribution: ${citations.cited.length}/${labels.length} retrieved sources cited ${citations.cited.length > 0 ? '✅' : '❌'}`);
+      if (citations.invalid.length > 0) {
+        console.log(`   ⚠️  Citations to sources that were not retrieved: ${citations.invalid.join(", ")}`);
+      }
+      if (commandCheck) {
+        console.log(`🛡️  Command check: ${commandCheck.ok ? "✅ all commands and flags exist" : `⚠️  ${commandCheck.issues.length} unknown`}${regenerated ? " (after regeneration)" : ""}`);
+      }
+
+      console.log("═".repeat(80));
+    }
+
+    conversation?.addTurn({ question, standaloneQuestion, answer: stripCitations(response), path: "rag" });
+
+    return {
+      question,
+      standaloneQuestion,
+      answer: commandCheck ? annotateAnswer(response, commandCheck) : response,
+      path: "rag",
+      refusal: isRefusal(response),
+      confidence: topK.length > 0 ? topK[0].score : 0,
+      category: null,
+      matchedQuestion: null,
+      command: null,
+      executable: false,
+      faqCandidates,
+      citations,
+      commandCheck: commandCheck ? { ...commandCheck, regenerated } : null,
+      sourcesFooter: formatSourcesFooter(citations).join("\n"),
+      sources: topK.map((r, i) => ({
+        id: labels[i].id,
+        location: labels[i].location,
+        cited: citations.cited.some(label => label.id === labels[i].id),
+        source: r.metadata.source,
+        type: r.metadata.type,
+        score: r.score,
+        ...(r.fusedScore !== undefined ? { lexicalScore: r.lexicalScore, fusedScore: r.fusedScore } : {}),
+        ...(r.rerankScore !== undefined ? { rerankScore: r.rerankScore } : {}),
+        ...(r.metadata.symbol !== undefined ? { symbol: r.metadata.symbol, kind: r.metadata.kind } : {}),
+        ...(r.metadata.breadcrumb !== undefined ? { section: r.metadata.breadcrumb } : {}),
+        ...(r.metadata.startLine ? { startLine: r.metadata.startLine, endLine: r.metadata.endLine } : {}),
+        text: r.text
+      })),
+      timings: {
+        condense: condenseTime,
+        faq: faqTime,
+        retrieval: retrievalTime,
+        firstToken: firstTokenTime,
+        generation: generationTime,
+        total: totalTime
+      }
+    };
+  }
+
+  // Public retrieval: the k best chunks for a question against the current index. Aborting
+  // `signal` rejects with an AbortError.
+  function search(question, k = settings.topK, { signal } = {}) {
+    return searchDocuments(question, k, state, { signal });
+  }
+
+  // answerQuestion plus an id to rate the answer by and a query log record of how it went
+  async function ask(question, askOptions) {
+    let result;
+    try {
+      result = { id: crypto.randomUUID(), ...await answerQuestion(question, askOptions) };
+    } catch (error) {
+      if (queryLog && ready) queryLog.record(question, null, { error });
+      throw error;
+    }
+    queryLog?.record(question, result);
+
+    recentAnswers.set(result.id, result);
+    if (recentAnswers.size > MAX_RATEABLE) recentAnswers.delete(recentAnswers.keys().next().value);
+    return result;
+  }
+
+  // Rate a recent answer, by its id or the result itself: rating "good" or "bad", plus an optional
+  // correction (the answer it should have been). Returns the stored feedback record. Errors about
+  // the request carry an HTTP-style `status`.
+  function rate(answer, rating, { correction = null, sessionId = null } = {}) {
+    if (!feedback) throw Object.assign(new Error("Feedback is not enabled for this engine"), { status: 503 });
+    const result = typeof answer === "string" ? recentAnswers.get(answer) : answer;
+    if (!result) throw Object.assign(new Error(`No recent answer with id "${answer}"`), { status: 404 });
+    return feedback.add(result, rating, { correction, sessionId });
+  }
+
+  return {
+    buildIndex,
+    reload,
+    watch,
+    ask,
+    rate,
+    search,
+    configure,
+    listFAQ,
+    searchFAQ,
+    getStats,
+    close
+  };
+}
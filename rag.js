@@ -1,639 +1,643 @@
 // rag.js
 import fs from "fs";
-import { Ollama } from "@langchain/ollama";
-import { Document } from "langchain/document";
-import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
-import { OllamaEmbeddings } from "@langchain/ollama";
+import path from "path";
 import readline from "readline";
-import crypto from "crypto";
-import FAQSystem from "./faq-system.js";
+import { createRagEngine } from "./rag-engine.js";
+import ConversationMemory from "./conversation-memory.js";
+import { startServer } from "./server.js";
+import { assessCommand, describeRun, parseRunArgument, runCommand } from "./command-runner.js";
+import { resolveConfig, usage, loadConfigFile, resolveProfile, CONFIG_FILE } from "./config.js";
+import { describeIssues } from "./command-guard.js";
+import QueryLog from "./query-log.js";
+import FeedbackStore from "./feedback.js";
+import { SLASH_COMMANDS, DEFAULT_HISTORY_FILE, completeCommand, loadHistory, saveHistory, describeSources, formatTranscript } from "./chat-commands.js";
+
+// "node rag.js faq ..." checks the FAQ file instead of starting the chat
+if (process.argv[2] === "faq") {
+  const { runFaqCommand } = await import("./faq-toolkit.js");
+  process.exit(await runFaqCommand(process.argv.slice(3)));
+}
+
+// "node rag.js report ..." summarizes the query log
+if (process.argv[2] === "report") {
+  const { runReportCommand } = await import("./query-report.js");
+  process.exit(await runReportCommand(process.argv.slice(3)));
+}
+
+// 0. Configuration: profile from rag.config.json, overridden by CLI flags (node rag.js --help)
+let config;
+try {
+  config = resolveConfig({ argv: process.argv.slice(2), env: process.env });
+} catch (error) {
+  console.error(`❌ Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+
+if (config.help) {
+  console.log(usage());
+  process.exit(0);
+}
+if (config.printConfig) {
+  const { printConfig, help, ...effective } = config;
+  const hideKey = section => (section.apiKey ? { ...section, apiKey: "***" } : section);
+  console.log(JSON.stringify({ ...effective, llm: hideKey(effective.llm), embedding: hideKey(effective.embedding) }, null, 2));
+  process.exit(0);
+}
+
+let DEBUG_MODE = config.debug;                          // Show analytics during interaction (/debug on|off)
+const TEST_MODE = config.test;                          // Run all test questions
+const SERVER_MODE = config.server;                      // Serve the pipeline over a local HTTP API
+const INTERACTIVE = !TEST_MODE && !SERVER_MODE;         // Interactive chat by default
+const SERVER_HOST = process.env.SERVER_HOST || "127.0.0.1";
+const SERVER_PORT = Number(process.env.SERVER_PORT) || 3000;
+
+// /run: executing suggested commands from the chat
+const RSK_CLI_BIN = process.env.RSK_CLI_BIN || "rsk-cli";                    // A stub script can stand in for tests
+const RSK_CLI_ALLOW_MAINNET = process.env.RSK_CLI_ALLOW_MAINNET === "true";  // Allow state-changing mainnet commands
+const RSK_CLI_TIMEOUT = Number(process.env.RSK_CLI_TIMEOUT) || 120000;
 
-// 0. Mode configuration
-const DEBUG_MODE = process.env.DEBUG_MODE === "true";   // Show analytics during interaction
-const TEST_MODE = process.env.TEST_MODE === "true";     // Run all 20 test questions
-const INTERACTIVE = !TEST_MODE;                         // Interactive chat by default
+// Chat input history, kept across sessions (↑/↓ at the prompt)
+const CHAT_HISTORY_FILE = process.env.CHAT_HISTORY_FILE || DEFAULT_HISTORY_FILE;
+const CHAT_HISTORY_SIZE = 500;
 
 // Performance optimizations
 const CACHE_EMBEDDINGS = true;                          // Cache embeddings to avoid re-computation
-const FAST_MODE = process.env.FAST_MODE === "true";     // Use optimizations for speed
-const ULTRA_FAST = process.env.ULTRA_FAST === "true";   // Maximum speed optimizations
-const CACHE_FILE = "./embeddings-cache.json";           // Persistent cache file
-const embeddingCache = new Map();                       // In-memory cache for embeddings
-
-// FAQ System for instant responses
-const faqSystem = new FAQSystem();
+const PROFILE_ICONS = { ultra: "🚀", fast: "⚡" };      // Other profiles use ⏱️
+
+// Every question with its path, sources and timings, for "node rag.js report"
+const queryLog = config.queryLog.enabled
+  ? new QueryLog({ ...config.queryLog, mode: SERVER_MODE ? "server" : (TEST_MODE ? "test" : "chat"), profile: config.profile })
+  : null;
+
+// 1. RAG engine: indexing, FAQ lookup, retrieval and answering (see rag-engine.js)
+const engine = createRagEngine({
+  mode: config.profile,
+  profile: config.settings,
+  debug: DEBUG_MODE,
+  cacheEmbeddings: CACHE_EMBEDDINGS,
+  llm: config.llm,
+  embedding: config.embedding,
+  queryLog,
+  // /good and /bad ratings, reviewed with "node rag.js faq review"
+  feedback: new FeedbackStore()
+});
 
-// Load persistent cache on startup
-function loadPersistentCache() {
-  try {
-    if (fs.existsSync(CACHE_FILE)) {
-      const cacheData = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
-      Object.entries(cacheData).forEach(([key, value]) => {
-        embeddingCache.set(key, value);
-      });
-      if (DEBUG_MODE) {
-        console.log(`🚀 Loaded ${Object.keys(cacheData).length} cached embeddings from disk`);
-      }
-      return Object.keys(cacheData).length;
-    }
-  } catch (error) {
-    if (DEBUG_MODE) {
-      console.log(`⚠️ Could not load cache file: ${error.message}`);
+// Ask a question and stream the answer to the console as tokens arrive.
+// Aborting `signal` stops the generation and keeps the session alive.
+// Returns the engine result, or null when the question failed or was cancelled.
+async function askQuestion(question, { signal, conversation, clarify } = {}) {
+  let streaming = false;
+  const printToken = token => {
+    if (!streaming) {
+      process.stdout.write("\n💡 Answer: ");
+      streaming = true;
     }
-  }
-  return 0;
-}
+    process.stdout.write(token);
+  };
+  // commandGuard "regenerate": the first answer stays on screen, the corrected one follows it
+  const onRegenerate = check => {
+    if (streaming) process.stdout.write("\n");
+    console.log(`\n🔁 The answer used ${check.issues.length} unknown command(s)/flag(s), regenerating...`);
+    streaming = false;
+  };
 
-// Save cache to disk
-function savePersistentCache() {
   try {
-    const cacheData = Object.fromEntries(embeddingCache.entries());
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(cacheData, null, 2));
-    if (DEBUG_MODE) {
-      console.log(`💾 Saved ${Object.keys(cacheData).length} embeddings to persistent cache`);
-    }
-  } catch (error) {
-    if (DEBUG_MODE) {
-      console.log(`⚠️ Could not save cache file: ${error.message}`);
+    const result = await engine.ask(question, { onToken: printToken, signal, conversation, clarify, onRegenerate });
+    if (streaming && !DEBUG_MODE) process.stdout.write("\n");
+
+    if (!DEBUG_MODE && result.standaloneQuestion !== question) {
+      console.log(`\n🧠 Understood as: "${result.standaloneQuestion}"`);
     }
-  }
-}
 
-// 1. Ollama configuration with timeouts
-const ollamaModel = new Ollama({
-  baseUrl: "http://localhost:11434",
-  model: "llama3.2",
-  timeout: ULTRA_FAST ? 10000 : (FAST_MODE ? 20000 : 60000), // Ultra fast: 10s, Fast: 20s, Normal: 60s
-});
+    const timeIcon = PROFILE_ICONS[config.profile] || "⏱️";
+    const { total, firstToken } = result.timings;
 
-// Utility: cosine similarity
-function cosineSimilarity(a, b) {
-  let dot = 0;
-  let aNorm = 0;
-  let bNorm = 0;
-  const len = Math.min(a.length, b.length);
-  for (let i = 0; i < len; i += 1) {
-    const av = a[i];
-    const bv = b[i];
-    dot += av * bv; // Fixed: was av * av, should be av * bv
-    aNorm += av * av;
-    bNorm += bv * bv;
-  }
-  if (aNorm === 0 || bNorm === 0) return 0;
-  return dot / (Math.sqrt(aNorm) * Math.sqrt(bNorm));
-}
+    if (result.path === "faq") {
+      console.log(`\n${timeIcon} Response time: ${(total / 1000).toFixed(2)}s (FAQ)`);
 
-// Function to read source files
-function readCommandsFolder() {
-  const srcPath = "./src";
-  const documents = [];
-  
-  try {
-    if (fs.existsSync(srcPath)) {
-      if (DEBUG_MODE) console.log("📁 Reading source files (src)...");
-      const files = fs.readdirSync(srcPath, { recursive: true });
-      
-      files.forEach(file => {
-        if (file.endsWith('.js') || file.endsWith('.ts')) {
-          const filePath = `${srcPath}/${file}`;
-          try {
-            const content = fs.readFileSync(filePath, "utf8");
-            // Filter out very short or empty files
-            if (content.length > 100) {
-              documents.push(new Document({ 
-                pageContent: content,
-                metadata: { source: filePath, type: "source_code" }
-              }));
-              if (DEBUG_MODE) console.log(`  ✅ ${file} (${content.length} chars)`);
-            } else {
-              if (DEBUG_MODE) console.log(`  ⚠️  ${file} (too short: ${content.length} chars)`);
-            }
-          } catch (err) {
-            if (DEBUG_MODE) console.log(`  ❌ Error reading ${file}: ${err.message}`);
-          }
-        }
-      });
-      
-      if (DEBUG_MODE) {
-        console.log(`📁 Total source files read: ${documents.length}`);
-        console.log("┌" + "─".repeat(70) + "┐");
-        console.log("│ 📊 SOURCE FILES SUMMARY                                          │");
-        console.log("└" + "─".repeat(70) + "┘");
-        
-        // Show file statistics
-        if (documents.length > 0) {
-          const sizes = documents.map(d => d.pageContent.length);
-          const totalSize = sizes.reduce((a, b) => a + b, 0);
-          const avgSize = Math.round(totalSize / sizes.length);
-          
-          console.log(`   📈 Total characters: ${totalSize.toLocaleString()}`);
-          console.log(`   📊 Average file size: ${avgSize.toLocaleString()} chars`);
-          console.log(`   📁 Largest file: ${Math.max(...sizes).toLocaleString()} chars`);
-          console.log(`   📄 Smallest file: ${Math.min(...sizes).toLocaleString()} chars`);
-          
-          console.log("\n📝 Sample from first file:");
-          const sample = documents[0].pageContent.substring(0, 200);
-          console.log(`   "${sample}..."`);
+      if (result.command && result.executable) {
+        console.log(`\n🔧 **Command**: \`${result.command}\``);
+        if (result.missingOptions.length > 0) {
+          console.log(`⚠️  Missing: ${result.missingOptions.map(name => `<${name}>`).join(", ")}`);
         }
+        result.invalidOptions.forEach(option => {
+          console.log(`❌ Invalid ${option.name} "${option.value}": ${option.reason}`);
+        });
       }
+    } else if (result.path === "catalog") {
+      console.log(`\n${result.sourcesFooter}`);
+      console.log(`\n${timeIcon} Response time: ${(total / 1000).toFixed(2)}s (catalog)`);
+    } else if (result.path === "clarify") {
+      // The suggestions are the answer; nothing else to report
     } else {
-      if (DEBUG_MODE) console.log("⚠️ 'src' folder not found. Only README.md will be used");
+      // Commands and flags the corpus does not know about
+      if (result.commandCheck && !result.commandCheck.ok) {
+        console.log("\n⚠️  Unverified commands/flags in this answer:");
+        describeIssues(result.commandCheck).forEach(line => console.log(`   - ${line}`));
+      }
+
+      // Cited files and line ranges, checked against what was retrieved
+      if (result.sourcesFooter) console.log(`\n${result.sourcesFooter}`);
+
+      if (!DEBUG_MODE) {
+        // Always show response time in non-debug mode for performance comparison
+        console.log(`\n${timeIcon} Response time: ${(total / 1000).toFixed(2)}s (first token: ${(firstToken / 1000).toFixed(2)}s)`);
+      }
     }
+    return result;
   } catch (error) {
-    if (DEBUG_MODE) console.log(`⚠️  Error reading source folder: ${error.message}`);
+    if (streaming) process.stdout.write("\n");
+    if (error.name === "AbortError") {
+      console.log("⏹️  Generation cancelled");
+    } else {
+      console.error("❌ Error processing question:", error.message);
+    }
+    return null;
   }
-  
-  return documents;
 }
 
-// 2. Load multiple information sources
-try {
-  // Load persistent cache first
-  const startupTime = Date.now();
-  const cachedCount = loadPersistentCache();
-  
-  // Initialize FAQ system
-  const faqStats = faqSystem.getStats();
-  if (DEBUG_MODE) {
-    console.log(`📚 FAQ System loaded: ${faqStats.questions} questions across ${faqStats.categories} categories`);
-    console.log(`⚙️ Executable commands: ${faqStats.commands}`);
-  }
-  
-  const allDocs = [];
-  
-  // Read README.md
-  if (DEBUG_MODE) console.log("📖 Reading README.md...");
-const readmeContent = fs.readFileSync("./docs/README.md", "utf8");
-  allDocs.push(new Document({ 
-    pageContent: readmeContent,
-    metadata: { source: "README.md", type: "documentation" }
-  }));
-  if (DEBUG_MODE) console.log("✅ README.md read successfully, size:", readmeContent.length, "characters");
-  
-  // Read source files
-  const commandDocs = readCommandsFolder();
-  allDocs.push(...commandDocs);
-  
-  if (DEBUG_MODE) {
-    console.log("\n" + "═".repeat(80));
-    console.log("📚 DOCUMENT PROCESSING PIPELINE");
-    console.log("═".repeat(80));
-    console.log(`📁 Total documents loaded: ${allDocs.length}`);
-    
-    // Show document breakdown
-    const docTypes = {};
-    allDocs.forEach(doc => {
-      docTypes[doc.metadata.type] = (docTypes[doc.metadata.type] || 0) + 1;
-    });
-    
-    console.log("📊 Document types:");
-    Object.entries(docTypes).forEach(([type, count]) => {
-      const bar = "█".repeat(Math.round(count * 5)) + "░".repeat(Math.max(10 - Math.round(count * 5), 0));
-      console.log(`   ${type}: ${count} [${bar}]`);
-    });
-  }
-  
-const splitter = new RecursiveCharacterTextSplitter({
-    chunkSize: ULTRA_FAST ? 500 : (FAST_MODE ? 800 : 1000), // Ultra fast: 500, Fast: 800, Normal: 1000
-    chunkOverlap: ULTRA_FAST ? 50 : (FAST_MODE ? 80 : 100), // Ultra fast: 50, Fast: 80, Normal: 100
+// One line about what a reload picked up, e.g.
+// "🔄 Reloaded: README.md changed, FAQ reloaded (233 chunks, 0.41s)"
+function describeReload(summary) {
+  const name = source => source.replace(/^\.\//, "");
+  const list = (sources, verb) => (sources.length > 3 ? [`${sources.length} files ${verb}`] : sources.map(source => `${name(source)} ${verb}`));
+  const parts = [...list(summary.changed, "changed"), ...list(summary.added, "added"), ...list(summary.removed, "removed")];
+  if (summary.faq) parts.push("FAQ reloaded");
+  if (summary.aliases) parts.push("query aliases reloaded");
+  if (parts.length === 0) return "✅ Nothing changed since the last load";
+  return `🔄 Reloaded: ${parts.join(", ")} (${summary.chunks} chunks, ${(summary.durationMs / 1000).toFixed(2)}s)`;
+}
+
+// 2. Interactive Chat Function
+async function startInteractiveChat(stats) {
+  // Profiles /mode can switch to, as defined in the config file
+  const configFile = loadConfigFile(config.configFile || CONFIG_FILE);
+  const profileNames = Object.keys(configFile.profiles);
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    completer: line => completeCommand(line, { profiles: profileNames }),
+    history: loadHistory(CHAT_HISTORY_FILE, CHAT_HISTORY_SIZE),
+    historySize: CHAT_HISTORY_SIZE,
+    removeHistoryDuplicates: true
   });
 
-  const docs = await splitter.splitDocuments(allDocs);
-  
+  // A history file that cannot be written is reported once; the chat goes on without it
+  let historyFailed = false;
+  rl.on("history", history => {
+    if (historyFailed) return;
+    try {
+      saveHistory(history, CHAT_HISTORY_FILE);
+    } catch (error) {
+      historyFailed = true;
+      console.warn(`⚠️  Could not save chat history to ${CHAT_HISTORY_FILE}: ${error.message}`);
+    }
+  });
+
+  // Query embeddings not saved yet are written when the session ends
+  rl.on("close", () => engine.close());
+
+  console.log("\n" + "═".repeat(80));
+  console.log("🤖 RSK-CLI INTERACTIVE CHAT");
+  console.log("═".repeat(80));
+  console.log("💬 Ask me anything about rsk-cli!");
+  console.log("📝 Type 'help' for example questions");
+  console.log("🚪 Type 'exit' or 'quit' to end the session");
+  console.log("⏹️  Press Ctrl+C while an answer is streaming to cancel it");
+  console.log("🧹 Type '/clear' to forget the conversation so far");
+  console.log("▶️  Type '/run' to execute the last suggested command (preview and confirmation first)");
+  console.log("👍 Type '/good' or '/bad [what the answer should have said]' to rate the last answer");
+  console.log(`🔄 Type '/reload' to pick up edits to the docs, sources and FAQ${config.watch ? " (watching for changes)" : ""}`);
+  console.log("⌨️  Type '/help' for /sources, /mode, /k, /debug, /faq, /history and /save; Tab completes commands");
+  console.log(`📚 FAQ System: ${stats.faqQuestions} instant answers available`);
+  console.log(`📇 Command catalog: ${stats.catalogCommands} commands with options and result types`);
+  console.log(`🧠 Models: ${stats.llm} (answers), ${stats.embeddingModel} (embeddings)`);
   if (DEBUG_MODE) {
-    console.log(`\n🔪 Text chunking complete: ${docs.length} chunks created`);
-    
-    // Show chunk statistics
-    const chunkSizes = docs.map(d => d.pageContent.length);
-    const avgChunkSize = Math.round(chunkSizes.reduce((a, b) => a + b, 0) / chunkSizes.length);
-    const chunkBar = "█".repeat(Math.round(avgChunkSize / 50)) + "░".repeat(Math.max(20 - Math.round(avgChunkSize / 50), 0));
-    
-    console.log(`   📊 Average chunk size: ${avgChunkSize} chars [${chunkBar}]`);
-    console.log(`   📏 Size range: ${Math.min(...chunkSizes)} - ${Math.max(...chunkSizes)} chars`);
+    console.log("🔍 DEBUG MODE: Full analytics enabled");
+  }
+  const { chunkSize, topK, promptStyle } = config.settings;
+  console.log(`⚙️  Profile: ${config.profile} (chunks ${chunkSize} chars, top ${topK}, ${promptStyle} prompts)${config.configFile ? ` from ${config.configFile}` : ""}`);
+  if (CACHE_EMBEDDINGS) {
+    console.log("🚀 PERFORMANCE: Embedding caching enabled");
   }
+  console.log("═".repeat(80));
 
-  // 3. Create embeddings (with caching for performance)
-  const startTime = Date.now();
-  if (DEBUG_MODE) {
-    console.log("\n🔄 Creating embeddings with 'nomic-embed-text'...");
-    console.log("   ⏳ This may take a moment depending on document count...");
-    if (CACHE_EMBEDDINGS) {
-      console.log("   🚀 Embedding caching enabled for better performance");
+  // Follow-up questions are resolved against this session's history
+  const conversation = new ConversationMemory();
+
+  // Set after a "did you mean" answer: typing a number picks one of these
+  let pendingSuggestions = null;
+
+  // Last executable command suggested by the FAQ, for /run
+  let lastCommand = null;
+
+  // Last answer, for /good, /bad and /sources
+  let lastResult = null;
+
+  // Every question of this session with its result (null if it failed), for /history and /save
+  const transcript = [];
+  const startedAt = new Date().toISOString();
+
+  const confirm = prompt => new Promise(resolve => rl.question(prompt, resolve));
+
+  // /run [--allow-mainnet] [rsk-cli ...]: preview, confirm, then execute
+  async function runSuggestedCommand(argument) {
+    const run = parseRunArgument(argument);
+    const allowMainnet = RSK_CLI_ALLOW_MAINNET || run.allowMainnet;
+    const command = run.command || lastCommand;
+
+    if (!command) {
+      console.log("⚠️  No command to run yet. Ask about a command first, or use /run rsk-cli <command>.");
+      return;
     }
-  }
-  
-  const embeddings = new OllamaEmbeddings({
-    model: "nomic-embed-text",
-    baseUrl: "http://localhost:11434",
-    timeout: ULTRA_FAST ? 8000 : (FAST_MODE ? 15000 : 30000), // Ultra fast: 8s, Fast: 15s, Normal: 30s
-  });
 
-  const docTexts = docs.map(d => d.pageContent);
-  let docVectors;
-  
-  if (CACHE_EMBEDDINGS) {
-    // Generate cache key based on document content
-    const contentHash = crypto.createHash('md5').update(JSON.stringify(docTexts)).digest('hex');
-    const cacheKey = `embeddings_${contentHash}`;
-    
-    if (embeddingCache.has(cacheKey)) {
-      if (DEBUG_MODE) console.log("   ⚡ Using cached embeddings!");
-      docVectors = embeddingCache.get(cacheKey);
-    } else {
-      if (DEBUG_MODE) console.log("   🔄 Computing new embeddings...");
-      docVectors = await embeddings.embedDocuments(docTexts);
-      embeddingCache.set(cacheKey, docVectors);
-      // Save to persistent cache immediately
-      savePersistentCache();
-      if (DEBUG_MODE) console.log("   💾 Embeddings cached for future use");
+    let assessment;
+    try {
+      assessment = assessCommand(command, { allowMainnet, stateChangingCommands: engine.getStats().stateChangingCommands });
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+      return;
     }
-  } else {
-    docVectors = await embeddings.embedDocuments(docTexts);
-  }
-  
-  const index = docVectors.map((vec, i) => ({ 
-    vector: vec, 
-    text: docTexts[i],
-    metadata: docs[i].metadata 
-  }));
-  
-  const embeddingTime = Date.now() - startTime;
-  
-  if (DEBUG_MODE) {
-    console.log("✅ Embeddings created successfully!");
-    console.log("┌" + "─".repeat(50) + "┐");
-    console.log("│ 🧠 EMBEDDING STATISTICS                        │");
-    console.log("└" + "─".repeat(50) + "┘");
-    console.log(`   📊 Total vectors: ${index.length}`);
-    console.log(`   🔢 Vector dimensions: ${docVectors[0]?.length || 0}`);
-    console.log(`   💾 Memory usage: ~${Math.round(index.length * (docVectors[0]?.length || 0) * 4 / 1024 / 1024)} MB`);
-    console.log(`   ⚡ Processing time: ${(embeddingTime / 1000).toFixed(2)}s`);
-    console.log(`   📁 Cached embeddings loaded: ${cachedCount}`);
-    console.log(`   🚀 Total startup time: ${((Date.now() - startupTime) / 1000).toFixed(2)}s`);
-    if (FAST_MODE || ULTRA_FAST) {
-      const mode = ULTRA_FAST ? "ULTRA_FAST" : "FAST";
-      console.log(`   🚀 ${mode} mode optimizations: ENABLED`);
+
+    console.log("\n" + "─".repeat(60));
+    console.log(`🧪 DRY RUN: ${command}`);
+    describeRun(assessment, { binary: RSK_CLI_BIN }).forEach(line => console.log(`   ${line}`));
+    console.log("─".repeat(60));
+
+    if (!assessment.allowed) {
+      console.log(`🛑 Not running: ${assessment.reason}`);
+      if (assessment.stateChanging && !assessment.testnet && assessment.placeholders.length === 0) {
+        console.log("   Use '/run --allow-mainnet' (or RSK_CLI_ALLOW_MAINNET=true) if you really mean mainnet.");
+      }
+      return;
+    }
+
+    const answer = await confirm("⚠️  Execute this command? Type 'yes' to confirm: ");
+    if (answer.trim().toLowerCase() !== "yes") {
+      console.log("↩️  Cancelled, nothing was executed");
+      return;
     }
-  }
 
-  // 4. Ask function
-async function askQuestion(question) {
+    // The CLI reads its own prompts from the terminal while it runs
+    rl.pause();
+    activeGeneration = new AbortController();
     try {
-      const questionStartTime = Date.now();
-      if (DEBUG_MODE) console.log("\n❓ Question:", question);
-      
-      // 🚀 STEP 1: Check FAQ first for instant responses
-      if (DEBUG_MODE) console.log("📚 Checking FAQ system...");
-      const faqResponse = await faqSystem.getInstantAnswer(question);
-      
-      if (faqResponse && faqResponse.confidence > 0.6) {
-        const faqTime = Date.now() - questionStartTime;
-        
-        if (DEBUG_MODE) {
-          console.log("✅ FAQ Match Found!");
-          console.log(`   📊 Confidence: ${(faqResponse.confidence * 100).toFixed(1)}%`);
-          console.log(`   📁 Category: ${faqResponse.category}`);
-          console.log(`   🎯 Matched: "${faqResponse.matchedQuestion}"`);
-          if (faqResponse.command) {
-            console.log(`   ⚙️ Command: ${faqResponse.command}`);
-          }
-        }
-        
-        const timeIcon = ULTRA_FAST ? "🚀" : (FAST_MODE ? "⚡" : "⏱️");
-        console.log(`${timeIcon} Response time: ${(faqTime / 1000).toFixed(2)}s (FAQ)`);
-        console.log("\n💡 Answer:", faqResponse.answer);
-        
-        if (faqResponse.command && faqResponse.executable) {
-          console.log(`\n🔧 **Command**: \`${faqResponse.command}\``);
-        }
-        
-        return;
+      console.log(`\n▶️  Running ${RSK_CLI_BIN} ${assessment.args.join(" ")}\n`);
+      const result = await runCommand(assessment.args, {
+        binary: RSK_CLI_BIN,
+        timeout: RSK_CLI_TIMEOUT,
+        signal: activeGeneration.signal,
+        onOutput: (text, stream) => (stream === "stderr" ? process.stderr : process.stdout).write(text)
+      });
+
+      const duration = (result.durationMs / 1000).toFixed(2);
+      if (result.timedOut) {
+        console.log(`\n⏱️  Timed out after ${duration}s, process stopped`);
+      } else if (result.exitCode === 0) {
+        console.log(`\n✅ Command finished (exit code 0, ${duration}s)`);
+      } else {
+        console.log(`\n❌ Command failed (exit code ${result.exitCode ?? result.signal}, ${duration}s)`);
       }
-      
-      // 🔄 STEP 2: Fallback to RAG if no FAQ match
-      if (DEBUG_MODE) {
-        if (faqResponse) {
-          console.log(`⚠️ FAQ confidence too low (${(faqResponse.confidence * 100).toFixed(1)}%), using RAG`);
-        } else {
-          console.log("❌ No FAQ match found, using RAG");
-        }
-        console.log("🔍 Computing query embedding...");
+    } catch (error) {
+      if (error.name === "AbortError") {
+        console.log("\n⏹️  Command cancelled");
+      } else {
+        console.error(`❌ Could not run command: ${error.message}`);
       }
-      
-      // Cache query embeddings too
-      let queryVec;
-      if (CACHE_EMBEDDINGS) {
-        const queryHash = crypto.createHash('md5').update(question).digest('hex');
-        const queryCacheKey = `query_${queryHash}`;
-        
-        if (embeddingCache.has(queryCacheKey)) {
-          if (DEBUG_MODE) console.log("   ⚡ Using cached query embedding!");
-          queryVec = embeddingCache.get(queryCacheKey);
+    } finally {
+      activeGeneration = null;
+      flushNotices();
+      rl.resume();
+    }
+  }
+
+  // /help, /sources, /mode, /k, /debug, /faq, /history and /save. Returns false for an unknown command.
+  async function runChatCommand(command, argument) {
+    switch (command) {
+      case "/help":
+        console.log("\n⌨️  Chat commands:");
+        SLASH_COMMANDS.forEach(entry => console.log(`   ${entry.usage.padEnd(38)} ${entry.description}`));
+        console.log("   Tab completes commands, ↑/↓ browse questions from this and earlier sessions.");
+        return true;
+
+      case "/sources":
+        if (!lastResult) {
+          console.log("⚠️  No answer yet. Ask a question first.");
         } else {
-          queryVec = await embeddings.embedQuery(question);
-          embeddingCache.set(queryCacheKey, queryVec);
-          // Save query cache to persistent storage
-          savePersistentCache();
+          console.log(`\n📚 Behind the answer to "${lastResult.question}":`);
+          describeSources(lastResult).forEach(line => console.log(`   ${line}`));
         }
-      } else {
-        queryVec = await embeddings.embedQuery(question);
+        return true;
+
+      case "/mode": {
+        if (!argument) {
+          console.log(`⚙️  Profile: ${config.profile} (available: ${profileNames.join(", ")})`);
+          return true;
+        }
+        try {
+          const settings = resolveProfile(configFile.profiles, argument, configFile.file || "built-in profiles");
+          const summary = await engine.configure({ mode: argument, profile: settings });
+          config.profile = argument;
+          config.settings = summary.settings;
+          if (queryLog) queryLog.profile = argument;
+          const { chunkSize, topK, promptStyle } = summary.settings;
+          const rechunked = summary.rechunked ? `, re-chunked into ${summary.chunks} chunks in ${(summary.durationMs / 1000).toFixed(2)}s` : "";
+          console.log(`${PROFILE_ICONS[argument] || "⚙️ "} Profile: ${argument} (chunks ${chunkSize} chars, top ${topK}, ${promptStyle} prompts)${rechunked}`);
+        } catch (error) {
+          console.log(`❌ ${error.message}`);
+        }
+        return true;
       }
 
-      if (DEBUG_MODE) console.log("🔎 Searching similar documents...");
-      
-      // Optimized similarity search with early termination for fast mode
-      let scored;
-      if (FAST_MODE || ULTRA_FAST) {
-        // Use a more efficient search for speed
-        scored = [];
-        const targetCount = ULTRA_FAST ? 2 : 3;
-        let minScore = 0;
-        
-        for (const { vector, text, metadata } of index) {
-          const score = cosineSimilarity(queryVec, vector);
-          
-          if (scored.length < targetCount) {
-            scored.push({ score, text, metadata });
-            if (scored.length === targetCount) {
-              scored.sort((a, b) => b.score - a.score);
-              minScore = scored[scored.length - 1].score;
-            }
-          } else if (score > minScore) {
-            scored[scored.length - 1] = { score, text, metadata };
-            scored.sort((a, b) => b.score - a.score);
-            minScore = scored[scored.length - 1].score;
-          }
+      case "/k": {
+        if (!/^\d+$/.test(argument)) {
+          console.log(`⚠️  Usage: /k <n>, e.g. /k 8 (now ${config.settings.topK})`);
+          return true;
         }
-      } else {
-        // Full search for accuracy
-        scored = index.map(({ vector, text, metadata }) => ({
-          score: cosineSimilarity(queryVec, vector),
-          text,
-          metadata
-        }));
-        scored.sort((a, b) => b.score - a.score);
+        try {
+          const summary = await engine.configure({ profile: { topK: Number(argument) } });
+          config.settings = summary.settings;
+          console.log(`🔢 Retrieving the top ${summary.settings.topK} chunks per question`);
+        } catch (error) {
+          console.log(`❌ ${error.message}`);
+        }
+        return true;
       }
-      const topK = scored.slice(0, ULTRA_FAST ? 2 : (FAST_MODE ? 3 : 5)); // Ultra fast: 2, Fast: 3, Normal: 5
-
-      if (DEBUG_MODE) {
-        console.log("\n" + "═".repeat(80));
-        console.log("📊 TOP SIMILARITY MATCHES");
-        console.log("═".repeat(80));
-        topK.forEach((item, i) => {
-          const scoreBar = "█".repeat(Math.round(item.score * 20)) + "░".repeat(20 - Math.round(item.score * 20));
-          console.log(`\n🔍 MATCH #${i + 1}`);
-          console.log(`   📈 Score: ${item.score.toFixed(4)} [${scoreBar}]`);
-          console.log(`   📁 Source: ${item.metadata.source}`);
-          console.log(`   📝 Type: ${item.metadata.type}`);
-          console.log(`   💬 Preview: "${item.text.substring(0, 120)}..."`);
-          console.log("   " + "─".repeat(60));
-        });
+
+      case "/debug": {
+        const value = argument.toLowerCase();
+        if (value !== "on" && value !== "off") {
+          console.log(`🔍 Debug panels are ${DEBUG_MODE ? "on" : "off"} (/debug on|off)`);
+          return true;
+        }
+        DEBUG_MODE = value === "on";
+        await engine.configure({ debug: DEBUG_MODE });
+        console.log(DEBUG_MODE ? "🔍 DEBUG MODE: Full analytics enabled" : "🔍 Debug panels off");
+        return true;
       }
 
-      const context = topK.map(r => r.text).join("\n\n---\n\n");
-      
-      if (DEBUG_MODE) {
-        // Verify that the context contains useful information
-        console.log("\n" + "═".repeat(80));
-        console.log("🔍 CONTEXT ANALYSIS");
-        console.log("═".repeat(80));
-        
-        const contextLength = context.length;
-        const lengthBar = "█".repeat(Math.min(Math.round(contextLength / 100), 40)) + "░".repeat(Math.max(40 - Math.round(contextLength / 100), 0));
-        console.log(`📏 Context length: ${contextLength} chars [${lengthBar}]`);
-        
-        // Keyword scan
-        const keywords = question.toLowerCase().split(' ').filter(word => word.length > 3);
-        const contextLower = context.toLowerCase();
-        const foundKeywords = keywords.filter(keyword => contextLower.includes(keyword));
-        
-        console.log(`\n🎯 KEYWORD ANALYSIS:`);
-        console.log(`   🔎 Searching for: [${keywords.join(', ')}]`);
-        console.log(`   ✅ Found: [${foundKeywords.join(', ')}]`);
-        console.log(`   📊 Match rate: ${foundKeywords.length}/${keywords.length} (${Math.round(foundKeywords.length/keywords.length*100)}%)`);
-        
-        // Special debugging for balance-related questions
-        if (question.toLowerCase().includes('balance')) {
-          console.log("\n" + "┌" + "─".repeat(60) + "┐");
-          console.log("│ 🔍 SPECIAL: Balance Question Analysis               │");
-          console.log("└" + "─".repeat(60) + "┘");
-          
-          const balanceContent = contextLower.includes('balance') ? '✅' : '❌';
-          const commandContent = contextLower.includes('command') ? '✅' : '❌';
-          const walletContent = contextLower.includes('wallet') ? '✅' : '❌';
-          
-          console.log(`   💰 Balance terms: ${balanceContent}`);
-          console.log(`   ⚙️  Command terms: ${commandContent}`);
-          console.log(`   👛 Wallet terms: ${walletContent}`);
-          
-          // Show specific balance-related snippets
-          const balanceSnippets = context.split('\n').filter(line => 
-            line.toLowerCase().includes('balance') || 
-            line.toLowerCase().includes('command') ||
-            line.toLowerCase().includes('wallet')
-          );
-          
-          if (balanceSnippets.length > 0) {
-            console.log(`\n   📝 Relevant snippets (${balanceSnippets.length} found):`);
-            balanceSnippets.slice(0, 3).forEach((snippet, i) => {
-              console.log(`   ${i + 1}. "${snippet.trim().substring(0, 80)}..."`);
+      case "/faq": {
+        const [action, ...words] = argument.split(/\s+/);
+        if (action === "list") {
+          const categories = engine.listFAQ();
+          console.log(`\n📚 ${categories.length} FAQ entries:`);
+          categories.forEach(entry => {
+            const command = entry.executable && entry.command ? ` ▶️  ${entry.command}` : "";
+            console.log(`   ${entry.category.padEnd(16)} ${entry.label} (${entry.questions.length} questions)${command}`);
+          });
+        } else if (action === "search" && words.length > 0) {
+          const matches = await engine.searchFAQ(words.join(" "));
+          if (matches.length === 0) {
+            console.log("📭 No FAQ entry matches");
+          } else {
+            console.log(`\n🔎 FAQ entries closest to "${words.join(" ")}":`);
+            matches.forEach((match, i) => {
+              const answered = match.score > config.settings.faqThreshold ? " ✅ answered from the FAQ" : "";
+              console.log(`   ${i + 1}. ${match.category} ${match.score.toFixed(3)} "${match.matchedQuestion}"${answered}`);
             });
           }
+        } else {
+          console.log("⚠️  Usage: /faq list or /faq search <words>");
         }
-        
-        if (foundKeywords.length === 0) {
-          console.log("\n⚠️  WARNING: No relevant keywords found in context");
-        }
-        
-        // Show a preview of the context being sent to the model
-        console.log("\n" + "═".repeat(80));
-        console.log("📤 CONTEXT PREVIEW (First 300 chars)");
-        console.log("═".repeat(80));
-        console.log(`"${context.substring(0, 300)}..."`);
-        console.log("═".repeat(80));
+        return true;
       }
 
-  let prompt;
-  if (ULTRA_FAST) {
-    // Ultra-short prompt for maximum speed
-    prompt = `Context: ${context}
-
-Question: ${question}
+      case "/history":
+        if (transcript.length === 0) {
+          console.log("📭 No questions in this session yet");
+        } else {
+          console.log(`\n🕘 ${transcript.length} question(s) in this session:`);
+          transcript.forEach(({ question, result }, i) => {
+            const outcome = result ? `${result.path}, ${(result.timings.total / 1000).toFixed(2)}s` : "no answer";
+            console.log(`   ${String(i + 1).padStart(2)}. ${question} (${outcome})`);
+          });
+        }
+        return true;
 
-Answer briefly using only the context above:`;
-  } else if (FAST_MODE) {
-    // Medium prompt for balance of speed and quality
-    prompt = `You are an rsk-cli expert. Answer using ONLY the provided context.
+      case "/save": {
+        const file = argument || "transcript.md";
+        try {
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, formatTranscript(transcript, { profile: config.profile, startedAt }));
+          console.log(`💾 Saved ${transcript.length} question(s) to ${file}`);
+        } catch (error) {
+          console.log(`❌ Could not save ${file}: ${error.message}`);
+        }
+        return true;
+      }
 
-Context: ${context}
+      default:
+        return false;
+    }
+  }
 
-Question: ${question}
+  // Reload notices wait until the answer being printed is finished
+  const pendingNotices = [];
+  const notify = line => {
+    if (activeGeneration) {
+      pendingNotices.push(line);
+      return;
+    }
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    console.log(line);
+    rl.prompt(true);
+  };
+  const flushNotices = () => pendingNotices.splice(0).forEach(line => console.log(line));
+
+  // Ctrl+C cancels the answer being generated; at the prompt it ends the session
+  let activeGeneration = null;
+  rl.on("SIGINT", () => {
+    if (activeGeneration) {
+      activeGeneration.abort();
+      return;
+    }
+    console.log("\n👋 Thanks for using rsk-cli chat! Goodbye!");
+    rl.close();
+  });
 
-Answer:`;
-  } else {
-    // Full detailed prompt for accuracy
-    prompt = `
-You are an rsk-cli expert. Answer the following question using ONLY the information from the provided context.
+  if (config.watch) {
+    engine.watch({
+      onReload: summary => notify(describeReload(summary)),
+      onError: error => notify(`⚠️  Reload failed, still using the previous index: ${error.message}`)
+    });
+  }
 
-IMPORTANT:
-- If you find relevant information in the context, use it to answer in detail.
-- If the information is not in the context, reply "I don't have that information in the provided context".
-- Explicitly mention which parts of the context you used for your answer.
+  const askInteractiveQuestion = () => {
+    rl.question("\n❓ Your question: ", async (question) => {
+      let trimmedQuestion = question.trim();
 
-Context:
-${context}
+      // A number answers the last "did you mean" prompt
+      const choice = pendingSuggestions && /^\d+$/.test(trimmedQuestion) ? pendingSuggestions[Number(trimmedQuestion) - 1] : null;
+      pendingSuggestions = null;
+      if (choice) {
+        trimmedQuestion = choice.matchedQuestion;
+        console.log(`👉 ${trimmedQuestion}`);
+      }
+      
+      if (trimmedQuestion.toLowerCase() === 'exit' || trimmedQuestion.toLowerCase() === 'quit') {
+        console.log("\n👋 Thanks for using rsk-cli chat! Goodbye!");
+        rl.close();
+        return;
+      }
+      
+      if (trimmedQuestion.toLowerCase() === '/clear') {
+        conversation.clear();
+        console.log("🧹 Conversation history cleared");
+        askInteractiveQuestion();
+        return;
+      }
 
-Question: ${question}
+      if (trimmedQuestion.toLowerCase() === '/reload') {
+        try {
+          console.log(describeReload(await engine.reload()));
+        } catch (error) {
+          console.log(`⚠️  Reload failed, still using the previous index: ${error.message}`);
+        }
+        askInteractiveQuestion();
+        return;
+      }
 
-Instructions:
-1. Carefully analyze the context
-2. Identify information relevant to the question
-3. Provide a detailed answer based on that information
-4. Mention specifically which files or sections of the context you used
+      const rating = trimmedQuestion.match(/^\/(good|bad)(?:\s+([\s\S]*))?$/i);
+      if (rating) {
+        if (!lastResult) {
+          console.log("⚠️  No answer to rate yet. Ask a question first.");
+        } else {
+          try {
+            const correction = rating[2]?.trim() || null;
+            engine.rate(lastResult.id, rating[1].toLowerCase(), { correction });
+            console.log(rating[1].toLowerCase() === "good"
+              ? "👍 Thanks! Answers rated good repeatedly are proposed for the FAQ (node rag.js faq review)."
+              : `👎 Thanks, noted${correction ? " with your correction" : ". Add what it should have said after /bad to propose a better answer"}.`);
+          } catch (error) {
+            console.log(`❌ ${error.message}`);
+          }
+        }
+        askInteractiveQuestion();
+        return;
+      }
 
-Answer:
-`;
-  }
+      if (/^\/run(\s|$)/i.test(trimmedQuestion)) {
+        await runSuggestedCommand(trimmedQuestion.slice(4));
+        askInteractiveQuestion();
+        return;
+      }
 
-      if (DEBUG_MODE) console.log("🤖 Generating answer...");
-      
-      // Show processing time in debug mode
-      const processingTime = Date.now() - questionStartTime;
-      if (DEBUG_MODE) {
-        console.log(`⚡ Query processing time: ${(processingTime / 1000).toFixed(2)}s`);
+      const slash = trimmedQuestion.match(/^(\/\w+)(?:\s+([\s\S]*))?$/);
+      if (slash) {
+        if (!(await runChatCommand(slash[1].toLowerCase(), slash[2]?.trim() || ""))) {
+          console.log(`❓ Unknown command ${slash[1]}. Type '/help' for the list.`);
+        }
+        askInteractiveQuestion();
+        return;
       }
 
-  const response = await ollamaModel.call(prompt);
-      
-      const totalTime = Date.now() - questionStartTime;
-      if (DEBUG_MODE) {
-        console.log(`🏁 Total response time: ${(totalTime / 1000).toFixed(2)}s`);
-      } else {
-        // Always show response time in non-debug mode for performance comparison
-        const timeIcon = ULTRA_FAST ? "🚀" : (FAST_MODE ? "⚡" : "⏱️");
-        console.log(`${timeIcon} Response time: ${(totalTime / 1000).toFixed(2)}s`);
+      if (trimmedQuestion.toLowerCase() === 'help') {
+        console.log("\n💡 Example questions you can ask:");
+        console.log("  • What is rsk-cli?");
+        console.log("  • How do I check my wallet balance?");
+        console.log("  • How can I transfer RBTC?");
+        console.log("  • What commands are available for smart contracts?");
+        console.log("  • How do I create a new wallet?");
+        console.log("  • What's the difference between mainnet and testnet?");
+        console.log("  • Show me the exact command structure for wallet management");
+        console.log("  • What are the available options for the transfer command?");
+        console.log("\n💬 Follow-ups like \"and on testnet?\" use the previous questions; '/clear' resets them.");
+        console.log("👍 '/good' and '/bad <correction>' rate the last answer; well-rated ones become FAQ proposals.");
+        console.log("🔄 '/reload' re-reads the README, sources and FAQ; only changed files are re-embedded.");
+        console.log("⌨️  '/help' lists the chat commands; '/sources' shows what the last answer was based on.");
+        askInteractiveQuestion();
+        return;
       }
       
-      if (DEBUG_MODE) {
-        console.log("\n" + "═".repeat(80));
-        console.log("🤖 MODEL RESPONSE ANALYSIS");
-        console.log("═".repeat(80));
-        console.log(response);
-        console.log("═".repeat(80));
-        
-        // Verificar si la respuesta menciona el contexto
-        const responseLength = response.length;
-        const responseBar = "█".repeat(Math.min(Math.round(responseLength / 20), 40)) + "░".repeat(Math.max(40 - Math.round(responseLength / 20), 0));
-        console.log(`📏 Response length: ${responseLength} chars [${responseBar}]`);
-        
-        if (
-          response.toLowerCase().includes("i don't have") ||
-          response.toLowerCase().includes("no information") ||
-          response.toLowerCase().includes("no tengo")
-        ) {
-          console.log("⚠️  🔴 WARNING: Model indicates no information found");
-          console.log("   💡 Suggestion: Check context relevance and similarity scores");
-        } else {
-          console.log("✅ 🟢 Model successfully used the provided context");
-          
-          // Check if response mentions sources
-          const mentionsSources = response.toLowerCase().includes("readme") || 
-                                response.toLowerCase().includes("source") ||
-                                response.toLowerCase().includes("file");
-          console.log(`📚 Source attribution: ${mentionsSources ? '✅' : '❌'}`);
-        }
-        
-        console.log("═".repeat(80));
-      } else {
-        console.log("\n💡 Answer:", response);
+      if (trimmedQuestion === '') {
+        console.log("⚠️  Please enter a question or type 'help' for examples.");
+        askInteractiveQuestion();
+        return;
       }
-      
-    } catch (error) {
-      console.error("❌ Error processing question:", error.message);
-    }
-  }
-
-  // 5. Interactive Chat Function
-  async function startInteractiveChat() {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
 
-    console.log("\n" + "═".repeat(80));
-    console.log("🤖 RSK-CLI INTERACTIVE CHAT");
-    console.log("═".repeat(80));
-    console.log("💬 Ask me anything about rsk-cli!");
-    console.log("📝 Type 'help' for example questions");
-    console.log("🚪 Type 'exit' or 'quit' to end the session");
-    console.log(`📚 FAQ System: ${faqStats.questions} instant answers available`);
-    if (DEBUG_MODE) {
-      console.log("🔍 DEBUG MODE: Full analytics enabled");
-    }
-    if (ULTRA_FAST) {
-      console.log("🚀 ULTRA FAST MODE: Maximum speed optimizations (minimal context, ultra-short prompts)");
-    } else if (FAST_MODE) {
-      console.log("⚡ FAST MODE: Optimized for speed (smaller context, caching enabled)");
-    }
-    if (CACHE_EMBEDDINGS) {
-      const modeText = ULTRA_FAST ? "Ultra Fast Mode" : (FAST_MODE ? "Fast Mode" : "Normal Mode");
-      console.log(`🚀 PERFORMANCE: Embedding caching enabled (${modeText})`);
-    }
-    console.log("═".repeat(80));
-
-    const askInteractiveQuestion = () => {
-      rl.question("\n❓ Your question: ", async (question) => {
-        const trimmedQuestion = question.trim();
-        
-        if (trimmedQuestion.toLowerCase() === 'exit' || trimmedQuestion.toLowerCase() === 'quit') {
-          console.log("\n👋 Thanks for using rsk-cli chat! Goodbye!");
-          rl.close();
-          return;
+      try {
+        if (!DEBUG_MODE) {
+          console.log(`\n${PROFILE_ICONS[config.profile] || "🔄"} Processing your question...`);
         }
-        
-        if (trimmedQuestion.toLowerCase() === 'help') {
-          console.log("\n💡 Example questions you can ask:");
-          console.log("  • What is rsk-cli?");
-          console.log("  • How do I check my wallet balance?");
-          console.log("  • How can I transfer RBTC?");
-          console.log("  • What commands are available for smart contracts?");
-          console.log("  • How do I create a new wallet?");
-          console.log("  • What's the difference between mainnet and testnet?");
-          console.log("  • Show me the exact command structure for wallet management");
-          console.log("  • What are the available options for the transfer command?");
-          askInteractiveQuestion();
-          return;
+        activeGeneration = new AbortController();
+        const result = await askQuestion(trimmedQuestion, {
+          signal: activeGeneration.signal,
+          conversation,
+          clarify: !choice
+        });
+        if (result?.executable && result.command) {
+          lastCommand = result.command;
+          console.log("▶️  Type /run to execute it (you will see a preview first)");
         }
-        
-        if (trimmedQuestion === '') {
-          console.log("⚠️  Please enter a question or type 'help' for examples.");
-          askInteractiveQuestion();
-          return;
+        if (result && result.path !== "clarify") lastResult = result;
+        transcript.push({ question: trimmedQuestion, result, timestamp: new Date().toISOString() });
+        if (result?.path === "clarify") {
+          pendingSuggestions = result.suggestions;
+          console.log("\n🤔 Type a number to pick one, or rephrase your question.");
         }
+      } catch (error) {
+        console.error("❌ Error processing your question:", error.message);
+      } finally {
+        activeGeneration = null;
+        flushNotices();
+      }
+      
+      askInteractiveQuestion();
+    });
+  };
 
-        try {
-          if (!DEBUG_MODE) {
-            if (ULTRA_FAST) {
-              console.log("\n🚀 Ultra fast processing mode...");
-            } else if (FAST_MODE) {
-              console.log("\n⚡ Fast processing mode...");
-            } else {
-              console.log("\n🔄 Processing your question...");
-            }
-          }
-          await askQuestion(trimmedQuestion);
-        } catch (error) {
-          console.error("❌ Error processing your question:", error.message);
-        }
-        
-        askInteractiveQuestion();
-      });
-    };
+  askInteractiveQuestion();
+}
 
-    askInteractiveQuestion();
+// Questions live in test-questions.json, shared with the evaluation harness (eval.js)
+const testQuestions = JSON.parse(fs.readFileSync("./test-questions.json", "utf8"))
+  .testQuestions.map(record => record.question);
+
+// 3. Testing mode: run every test question through the pipeline
+async function runTestQuestions() {
+  const modeTitle = DEBUG_MODE ? "🧪 COMPREHENSIVE TESTING SUITE (WITH DEBUG)" : "🧪 COMPREHENSIVE TESTING SUITE";
+  
+  console.log("\n" + "═".repeat(80));
+  console.log(modeTitle);
+  console.log("═".repeat(80));
+  console.log(`📋 Running ${testQuestions.length} test questions to verify model comprehension`);
+  if (DEBUG_MODE) {
+    console.log("🔍 Full analytics and diagnostics enabled");
+  }
+  console.log("═".repeat(80));
+  
+  for (let i = 0; i < testQuestions.length; i++) {
+    const progressBar = "█".repeat(Math.round((i / testQuestions.length) * 30)) + "░".repeat(30 - Math.round((i / testQuestions.length) * 30));
+    
+    console.log(`\n┌${"─".repeat(78)}┐`);
+    console.log(`│ ❓ QUESTION ${String(i + 1).padStart(2)}/${testQuestions.length} ${"".padEnd(59)} │`);
+    console.log(`│ Progress: [${progressBar}] ${Math.round((i / testQuestions.length) * 100)}% ${"".padEnd(15)} │`);
+    console.log(`└${"─".repeat(78)}┘`);
+    console.log(`📝 "${testQuestions[i]}"`);
+    console.log("─".repeat(80));
+    
+    await askQuestion(testQuestions[i]);
+    
+    // Pause between questions for readability
+    if (i < testQuestions.length - 1) {
+      console.log("\n⏳ Waiting 2 seconds before the next question...");
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
   }
+  
+  console.log(`\n┌${"─".repeat(78)}┐`);
+  console.log(`│ ✅ TESTING COMPLETE - All ${testQuestions.length} questions processed ${"".padEnd(28)} │`);
+  console.log(`│ 🎯 Model comprehension verification finished ${"".padEnd(32)} │`);
+  console.log(`└${"─".repeat(78)}┘`);
+}
 
-  // 6. Example usage - Multiple questions to verify comprehension
+// 4. Build the index, then run the selected mode
+try {
+  const stats = await engine.buildIndex();
+
+  // Example usage - Multiple questions to verify comprehension
   if (DEBUG_MODE) {
     console.log("\n" + "=".repeat(60));
     console.log("🧪 TESTING: Verifying model comprehension");
@@ -647,73 +651,45 @@ Answer:
     console.log("\n⏳ Waiting 3 seconds before running the full test...");
     await new Promise(resolve => setTimeout(resolve, 3000));
   }
-  
-  const testQuestions = [
-    "What is rsk-cli and what is it used for?",
-    "What is the command to check my wallet balance using rsk-cli?",
-    "How can I transfer RBTC using rsk-cli?",
-    "What command do I use to deploy a smart contract?",
-    "How do I verify a smart contract on Rootstock?",
-    "What is the difference between mainnet and testnet in rsk-cli?",
-    "How can I create a new wallet with rsk-cli?",
-    "What does the bridge command do in rsk-cli?",
-    "Show me the exact command structure for wallet management",
-    "What are the available options for the transfer command?",
-    // New code-specific questions
-    "What are the exact function parameters for the balance command implementation?",
-    "Show me the specific validation logic used in the transfer command",
-    "What error handling is implemented in the wallet creation process?",
-    "How does the deploy command handle ABI and bytecode validation?",
-    "What are the exact TypeScript types used for command options?",
-    "Show me the specific network configuration logic in the source code",
-    "What are the exact validation rules for wallet addresses in the code?",
-    "How does the bridge command handle different network types?",
-    "What are the specific gas estimation algorithms used?",
-    "Show me the exact error messages defined in the source code"
-  ];
-  
-  // Choose execution mode based on environment variables
+
+  // Choose execution mode based on flags (or their legacy environment variables)
   if (INTERACTIVE) {
     // Interactive chat mode (default)
-    await startInteractiveChat();
-  } else if (TEST_MODE) {
-    // Run all test questions mode
-    const modeTitle = DEBUG_MODE ? "🧪 COMPREHENSIVE TESTING SUITE (WITH DEBUG)" : "🧪 COMPREHENSIVE TESTING SUITE";
-    
-    console.log("\n" + "═".repeat(80));
-    console.log(modeTitle);
-    console.log("═".repeat(80));
-    console.log(`📋 Running ${testQuestions.length} test questions to verify model comprehension`);
-    if (DEBUG_MODE) {
-      console.log("🔍 Full analytics and diagnostics enabled");
+    await startInteractiveChat(stats);
+  } else if (SERVER_MODE) {
+    // Local HTTP API mode, index stays loaded between requests
+    await startServer({
+      host: SERVER_HOST,
+      port: SERVER_PORT,
+      ask: engine.ask,
+      search: engine.search,
+      rate: engine.rate,
+      health: () => ({
+        status: "ok",
+        ...engine.getStats(),
+        uptime: Math.round(process.uptime())
+      })
+    });
+    console.log(`🌐 RSK-CLI API listening on http://${SERVER_HOST}:${SERVER_PORT}`);
+    if (config.watch) {
+      engine.watch({
+        onReload: summary => console.log(describeReload(summary)),
+        onError: error => console.log(`⚠️  Reload failed, still using the previous index: ${error.message}`)
+      });
+      console.log("🔄 Watching docs, sources and FAQ for changes");
     }
-    console.log("═".repeat(80));
-    
-    for (let i = 0; i < testQuestions.length; i++) {
-      const progressBar = "█".repeat(Math.round((i / testQuestions.length) * 30)) + "░".repeat(30 - Math.round((i / testQuestions.length) * 30));
-      
-      console.log(`\n┌${"─".repeat(78)}┐`);
-      console.log(`│ ❓ QUESTION ${String(i + 1).padStart(2)}/${testQuestions.length} ${"".padEnd(59)} │`);
-      console.log(`│ Progress: [${progressBar}] ${Math.round((i / testQuestions.length) * 100)}% ${"".padEnd(15)} │`);
-      console.log(`└${"─".repeat(78)}┘`);
-      console.log(`📝 "${testQuestions[i]}"`);
-      console.log("─".repeat(80));
-      
-      await askQuestion(testQuestions[i]);
-      
-      // Pause between questions for readability
-      if (i < testQuestions.length - 1) {
-        console.log("\n⏳ Waiting 2 seconds before the next question...");
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
+    console.log("   POST /ask · GET /ask/stream · GET /search · POST /feedback · GET /health");
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+      process.once(signal, () => {
+        engine.close();
+        process.exit(0);
+      });
     }
-    
-    console.log(`\n┌${"─".repeat(78)}┐`);
-    console.log(`│ ✅ TESTING COMPLETE - All ${testQuestions.length} questions processed ${"".padEnd(28)} │`);
-    console.log(`│ 🎯 Model comprehension verification finished ${"".padEnd(32)} │`);
-    console.log(`└${"─".repeat(78)}┘`);
+  } else if (TEST_MODE) {
+    // Run all test questions mode
+    await runTestQuestions();
+    engine.close();
   }
-  
 } catch (error) {
   if (error.code === 'ENOENT') {
     console.error("❌ Error: ./docs/README.md not found");
@@ -722,4 +698,4 @@ Answer:
     console.error("❌ Error while processing:", error.message);
     console.error("Details:", error);
   }
-}
+}
\ No newline at end of file
@@ -0,0 +1,144 @@
+// Second retrieval stage: re-rank a candidate pool, then pick a diverse top k with maximal marginal relevance
+import { tokenize } from "./bm25.js";
+import { cosineSimilarity } from "./similarity.js";
+
+// Question words that say nothing about which chunk is relevant
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "of", "to", "in", "on", "for", "with", "by", "from", "at", "is", "are",
+  "be", "can", "do", "does", "i", "me", "my", "you", "it", "this", "that", "what", "which", "how", "why",
+  "when", "where", "use", "using", "rsk", "cli", "rsk-cli", "command", "please", "show", "tell", "about"
+]);
+
+const LLM_PASSAGE_CHARS = 500;
+
+function contentTerms(text) {
+  return tokenize(text).filter(term => !STOPWORDS.has(term) && !STOPWORDS.has(term.replace(/^-+/, "")));
+}
+
+// Heading path of README chunks, file and symbol of source chunks
+function chunkTitle(metadata) {
+  return [metadata.breadcrumb, metadata.symbol, metadata.source].filter(Boolean).join(" ");
+}
+
+// Relevance of one chunk to the question, looking at both together like a cross-encoder would:
+// share of the question's terms (idf weighted) found in the text and in the chunk's title, question
+// word pairs appearing side by side, plus the first-stage vector score. Returns 0-1.
+//   idf(term):      term weight, e.g. BM25Index#idf over the whole corpus
+//   vectorScore:    the chunk's first-stage score normalized to 0-1 over the pool
+export function scorePair(question, candidate, { idf, vectorScore = 0 }) {
+  const terms = [...new Set(contentTerms(question))];
+  if (terms.length === 0) return vectorScore;
+
+  const textTokens = tokenize(candidate.text);
+  const textTerms = new Set(textTokens);
+  const titleTerms = new Set(tokenize(chunkTitle(candidate.metadata)));
+  const total = terms.reduce((sum, term) => sum + idf(term), 0) || 1;
+  const weightOf = present => terms.filter(present).reduce((sum, term) => sum + idf(term), 0) / total;
+
+  const questionWords = contentTerms(question);
+  const pairs = questionWords.slice(1).map((word, i) => `${questionWords[i]} ${word}`);
+  const textPairs = new Set(textTokens.slice(1).map((token, i) => `${textTokens[i]} ${token}`));
+  const adjacency = pairs.length > 0 ? pairs.filter(pair => textPairs.has(pair)).length / pairs.length : 0;
+
+  return 0.45 * weightOf(term => textTerms.has(term))
+    + 0.25 * weightOf(term => titleTerms.has(term))
+    + 0.15 * adjacency
+    + 0.15 * vectorScore;
+}
+
+// Min-max scaling of the pool's first-stage scores
+function normalized(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map(value => (max > min ? (value - min) / (max - min) : 1));
+}
+
+// Re-rank candidates [{ score, text, metadata, ... }] (best first) with the lexical pair scorer.
+// Returns the same objects with rerankScore set, best first.
+export function rerankLexical(question, candidates, { idf }) {
+  const vectorScores = normalized(candidates.map(candidate => candidate.score));
+  return candidates
+    .map((candidate, i) => ({ ...candidate, rerankScore: scorePair(question, candidate, { idf, vectorScore: vectorScores[i] }) }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+}
+
+function buildGradingPrompt(question, candidates) {
+  const passages = candidates.map((candidate, i) => {
+    const text = candidate.text.replace(/\s+/g, " ").slice(0, LLM_PASSAGE_CHARS);
+    return `[${i + 1}] (${chunkTitle(candidate.metadata)}) ${text}`;
+  });
+  return `Grade how useful each passage is for answering the question about rsk-cli.
+
+Question: ${question}
+
+Passages:
+${passages.join("\n\n")}
+
+Reply with one line per passage in the form "<number>: <grade>", where grade is 0 (unrelated), 1 (same topic), 2 (partly answers) or 3 (answers the question). No other text.`;
+}
+
+// Grades from the model's reply: Map(passage index -> 0-3)
+function parseGrades(reply, count) {
+  const grades = new Map();
+  for (const match of reply.matchAll(/^\s*\[?(\d+)\]?\s*[:=.)-]\s*([0-3])\b/gm)) {
+    const index = Number(match[1]) - 1;
+    if (index >= 0 && index < count && !grades.has(index)) grades.set(index, Number(match[2]));
+  }
+  return grades;
+}
+
+// Re-rank with relevance grades from the model, in one request for the whole pool. Passages the
+// model did not grade keep their lexical score, ranked below graded ones of the same grade; when
+// no grade can be read at all the lexical ranking is returned.
+// Returns { ranked, graded } where graded is the number of passages the model graded.
+export async function rerankWithLLM(question, candidates, { llm, idf, signal }) {
+  const lexical = rerankLexical(question, candidates, { idf });
+  const reply = await llm.generate(buildGradingPrompt(question, lexical), { signal });
+  const grades = parseGrades(reply, lexical.length);
+  if (grades.size === 0) return { ranked: lexical, graded: 0 };
+
+  const ranked = lexical
+    .map((candidate, i) => ({
+      ...candidate,
+      grade: grades.get(i) ?? null,
+      rerankScore: grades.has(i) ? 0.8 * (grades.get(i) / 3) + 0.2 * candidate.rerankScore : 0.2 * candidate.rerankScore
+    }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+  return { ranked, graded: grades.size };
+}
+
+// How much two chunks say the same thing: their embedding similarity, or the share of lines they
+// have in common when they come from the same file (chunk overlap), whichever is higher
+export function redundancy(a, b) {
+  let overlap = 0;
+  if (a.metadata.source === b.metadata.source && a.metadata.startLine && b.metadata.startLine) {
+    const shared = Math.min(a.metadata.endLine, b.metadata.endLine) - Math.max(a.metadata.startLine, b.metadata.startLine) + 1;
+    const shorter = Math.min(a.metadata.endLine - a.metadata.startLine, b.metadata.endLine - b.metadata.startLine) + 1;
+    overlap = shared > 0 ? shared / shorter : 0;
+  }
+  const similarity = a.vector && b.vector ? cosineSimilarity(a.vector, b.vector) : (a.text === b.text ? 1 : 0);
+  return Math.max(overlap, similarity);
+}
+
+// Maximal marginal relevance: repeatedly take the candidate with the best
+// lambda * relevance - (1 - lambda) * (redundancy with what was already taken).
+// candidates are best first with a relevance score in `scoreKey`; lambda 1 keeps their order.
+// Returns k candidates with mmrRank (1-based) set.
+export function selectMMR(candidates, k, { lambda = 0.7, scoreKey = "rerankScore" } = {}) {
+  const relevance = normalized(candidates.map(candidate => candidate[scoreKey]));
+  const remaining = candidates.map((candidate, i) => ({ candidate, relevance: relevance[i], penalty: 0 }));
+  const selected = [];
+
+  while (selected.length < k && remaining.length > 0) {
+    let best = 0;
+    remaining.forEach((item, i) => {
+      const value = lambda * item.relevance - (1 - lambda) * item.penalty;
+      const bestValue = lambda * remaining[best].relevance - (1 - lambda) * remaining[best].penalty;
+      if (value > bestValue) best = i;
+    });
+    const [taken] = remaining.splice(best, 1);
+    selected.push({ ...taken.candidate, mmrRank: selected.length + 1 });
+    remaining.forEach(item => { item.penalty = Math.max(item.penalty, redundancy(item.candidate, taken.candidate)); });
+  }
+  return selected;
+}
@@ -0,0 +1,99 @@
+// Vector search on worker threads, so scanning or walking a large index never blocks the event
+// loop (the chat prompt, other server requests). Vectors and graphs live in SharedArrayBuffers
+// (vector-index.js) and are passed to the workers without copying.
+import os from "os";
+import { Worker } from "worker_threads";
+
+class SearchPool {
+  constructor({ size = Math.max(1, os.availableParallelism() - 1) } = {}) {
+    this.size = size;
+    this.workers = [];
+    this.pending = new Map();     // request id -> { resolve, reject, worker }
+    this.nextRequest = 0;
+    this.nextWorker = 0;
+    this.failed = null;           // First worker failure; the pool refuses work afterwards
+  }
+
+  // Workers start on first use and never keep the process alive while idle
+  start() {
+    if (this.workers.length > 0) return;
+    for (let i = 0; i < this.size; i++) {
+      const worker = new Worker(new URL("./search-worker.js", import.meta.url));
+      worker.busy = 0;
+      worker.unref();
+      worker.on("message", message => this.settle(message));
+      worker.on("error", error => this.fail(error));
+      worker.on("exit", code => {
+        if (code !== 0) this.fail(new Error(`Search worker exited with code ${code}`));
+      });
+      this.workers.push(worker);
+    }
+  }
+
+  request(worker, message) {
+    if (this.failed) return Promise.reject(this.failed);
+    return new Promise((resolve, reject) => {
+      const id = ++this.nextRequest;
+      this.pending.set(id, { resolve, reject, worker });
+      if (worker.busy++ === 0) worker.ref();
+      worker.postMessage({ id, ...message });
+    });
+  }
+
+  settle({ id, results, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+    this.pending.delete(id);
+    if (--request.worker.busy === 0) request.worker.unref();
+    if (error) request.reject(new Error(error));
+    else request.resolve(results);
+  }
+
+  fail(error) {
+    this.failed = this.failed || error;
+    for (const [id, request] of this.pending) {
+      this.pending.delete(id);
+      request.reject(this.failed);
+    }
+    this.close();
+  }
+
+  // Exact search split across all workers, each scanning its share of the rows.
+  // store: createVectorStore() result; query: unit-length Float32Array. Returns [{ id, score }], best first.
+  async exact(store, query, k) {
+    this.start();
+    const share = Math.ceil(store.count / this.workers.length);
+    const parts = await Promise.all(this.workers.map((worker, i) => this.request(worker, {
+      kind: "exact",
+      store,
+      query,
+      k,
+      from: i * share,
+      to: Math.min(store.count, (i + 1) * share)
+    })));
+    return parts.flat().sort((a, b) => b.score - a.score).slice(0, k);
+  }
+
+  // HNSW search on the next worker in turn. snapshot: HnswIndex#snapshot(); live maps nodes to
+  // result ids (-1 for nodes to leave out). Returns [{ id, score }] with the mapped ids, best first.
+  hnsw(snapshot, live, query, k, { ef = 64 } = {}) {
+    this.start();
+    const worker = this.workers[this.nextWorker++ % this.workers.length];
+    return this.request(worker, { kind: "hnsw", snapshot, live, query, k, ef });
+  }
+
+  // Searches still running on the closed workers are rejected, so callers never wait forever
+  close() {
+    for (const [id, request] of this.pending) {
+      this.pending.delete(id);
+      request.reject(new Error("Search pool closed"));
+    }
+    this.workers.forEach(worker => {
+      worker.removeAllListeners("exit");
+      worker.terminate();
+    });
+    this.workers = [];
+  }
+}
+
+export default SearchPool;
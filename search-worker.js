@@ -0,0 +1,27 @@
+// Search worker started by search-pool.js: runs exact and HNSW searches over shared memory
+import { parentPort } from "worker_threads";
+import { HnswIndex, exactSearch } from "./vector-index.js";
+
+// The graph view of the last snapshot searched, reused while the snapshot stays the same
+let graph = null;
+
+function search(request) {
+  if (request.kind === "exact") {
+    return exactSearch(request.store, request.query, request.k, { from: request.from, to: request.to });
+  }
+
+  if (!graph || graph.id !== request.snapshot.id) graph = HnswIndex.fromSnapshot(request.snapshot);
+  // Nodes of chunks that are no longer indexed map to -1
+  const { live } = request;
+  return graph
+    .search(request.query, request.k, { ef: request.ef, accept: node => node < live.length && live[node] >= 0 })
+    .map(result => ({ id: live[result.id], score: result.score }));
+}
+
+parentPort.on("message", request => {
+  try {
+    parentPort.postMessage({ id: request.id, results: search(request) });
+  } catch (error) {
+    parentPort.postMessage({ id: request.id, error: error.message });
+  }
+});
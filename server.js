@@ -0,0 +1,260 @@
+// Local HTTP API for the RAG pipeline
+import http from "http";
+import ConversationMemory from "./conversation-memory.js";
+import { RATINGS } from "./feedback.js";
+
+const MAX_BODY_BYTES = 64 * 1024; // Questions are short, reject anything bigger
+const MAX_SEARCH_K = 50;
+const MAX_SESSIONS = 100;         // Least recently used conversations are dropped first
+
+function sendJson(res, status, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(body)
+  });
+  res.end(body);
+}
+
+function sendError(res, status, message) {
+  sendJson(res, status, { error: message });
+}
+
+// Read and parse a JSON request body; anything but an object is refused. A body over
+// MAX_BODY_BYTES is discarded unread and answered with 413, closing the connection afterwards.
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const tooLarge = () => {
+      req.removeAllListeners("data");
+      req.removeAllListeners("end");
+      req.resume(); // Drain the rest, so the client can read the response
+      reject(Object.assign(new Error("Request body too large"), { status: 413, closeConnection: true }));
+    };
+    if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) {
+      tooLarge();
+      return;
+    }
+
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      if (raw.trim() === "") {
+        resolve({});
+        return;
+      }
+      let payload;
+      try {
+        payload = JSON.parse(raw);
+      } catch (error) {
+        reject(Object.assign(new Error("Invalid JSON body"), { status: 400 }));
+        return;
+      }
+      if (payload === null || typeof payload !== "object" || Array.isArray(payload)) {
+        reject(Object.assign(new Error("JSON body must be an object"), { status: 400 }));
+        return;
+      }
+      resolve(payload);
+    });
+
+    req.on("error", reject);
+  });
+}
+
+// Question comes from the JSON body (POST) or the `q` query parameter (GET),
+// the optional session id from `sessionId` (body) or `session` (query string)
+async function readQuestion(req, url) {
+  const payload = req.method === "POST" ? await readJsonBody(req) : {};
+  const question = payload.question ?? url.searchParams.get("q") ?? url.searchParams.get("question");
+  const sessionId = payload.sessionId ?? url.searchParams.get("session");
+
+  if (typeof question !== "string" || question.trim() === "") {
+    throw Object.assign(new Error("Missing 'question' (JSON body) or 'q' (query string)"), { status: 400 });
+  }
+  if (sessionId !== null && sessionId !== undefined && typeof sessionId !== "string") {
+    throw Object.assign(new Error("'sessionId' must be a string"), { status: 400 });
+  }
+  return { question: question.trim(), sessionId: sessionId || null };
+}
+
+// Conversation memory for a session id, created on first use
+function getConversation(sessions, sessionId) {
+  if (!sessionId) return undefined;
+
+  let conversation = sessions.get(sessionId);
+  if (conversation) {
+    sessions.delete(sessionId); // Re-insert to mark as most recently used
+  } else {
+    conversation = new ConversationMemory();
+    if (sessions.size >= MAX_SESSIONS) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  }
+  sessions.set(sessionId, conversation);
+  return conversation;
+}
+
+function parseK(value) {
+  if (value === null) return undefined;
+  const k = Number(value);
+  if (!Number.isInteger(k) || k < 1 || k > MAX_SEARCH_K) {
+    throw Object.assign(new Error(`'k' must be an integer between 1 and ${MAX_SEARCH_K}`), { status: 400 });
+  }
+  return k;
+}
+
+function sendEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function handleAsk(req, res, url, { ask, sessions }) {
+  const { question, sessionId } = await readQuestion(req, url);
+  const result = await ask(question, { conversation: getConversation(sessions, sessionId) });
+  sendJson(res, 200, result);
+}
+
+async function handleAskStream(req, res, url, { ask, sessions }) {
+  const { question, sessionId } = await readQuestion(req, url);
+  const conversation = getConversation(sessions, sessionId);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive"
+  });
+  sendEvent(res, "start", { question });
+
+  // Stop generating as soon as the client goes away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const result = await ask(question, {
+      onToken: token => sendEvent(res, "token", { token }),
+      // commandGuard "regenerate": the tokens sent so far belong to a rejected answer
+      onRegenerate: check => sendEvent(res, "regenerate", { check }),
+      signal: controller.signal,
+      conversation
+    });
+    sendEvent(res, "done", result);
+  } catch (error) {
+    if (error.name !== "AbortError") sendEvent(res, "error", { error: error.message });
+  }
+  res.end();
+}
+
+async function handleSearch(req, res, url, { search }) {
+  const { question } = await readQuestion(req, url);
+  const k = parseK(url.searchParams.get("k"));
+
+  const startTime = Date.now();
+  const results = await search(question, k);
+  sendJson(res, 200, {
+    question,
+    results: results.map(r => ({
+      score: r.score,
+      ...(r.fusedScore !== undefined ? { lexicalScore: r.lexicalScore, fusedScore: r.fusedScore } : {}),
+      source: r.metadata.source,
+      type: r.metadata.type,
+      text: r.text
+    })),
+    timings: { retrieval: Date.now() - startTime }
+  });
+}
+
+// Body { id, rating: "good" | "bad", correction?, sessionId? }; id comes from an /ask result
+async function handleFeedback(req, res, url, { rate }) {
+  const payload = await readJsonBody(req);
+  if (typeof payload.id !== "string" || payload.id === "") {
+    throw Object.assign(new Error("Missing 'id' of the answer being rated"), { status: 400 });
+  }
+  if (!RATINGS.includes(payload.rating)) {
+    throw Object.assign(new Error(`'rating' must be ${RATINGS.map(rating => `"${rating}"`).join(" or ")}`), { status: 400 });
+  }
+  if (payload.correction !== undefined && payload.correction !== null && (typeof payload.correction !== "string" || payload.correction.trim() === "")) {
+    throw Object.assign(new Error("'correction' must be a non-empty string"), { status: 400 });
+  }
+  if (payload.sessionId !== null && payload.sessionId !== undefined && typeof payload.sessionId !== "string") {
+    throw Object.assign(new Error("'sessionId' must be a string"), { status: 400 });
+  }
+
+  // rate() errors about the request carry a status; others (e.g. writing the feedback file) stay a 500
+  const record = rate(payload.id, payload.rating, { correction: payload.correction || null, sessionId: payload.sessionId || null });
+  sendJson(res, 200, { id: payload.id, rating: record.rating, stored: true });
+}
+
+function handleClearSession(req, res, url, { sessions }) {
+  const sessionId = url.searchParams.get("session");
+  if (!sessionId) {
+    sendError(res, 400, "Missing 'session' query parameter");
+    return;
+  }
+  sendJson(res, 200, { session: sessionId, cleared: sessions.delete(sessionId) });
+}
+
+const routes = {
+  "POST /ask": handleAsk,
+  "GET /ask/stream": handleAskStream,
+  "POST /ask/stream": handleAskStream,
+  "GET /search": handleSearch,
+  "POST /feedback": handleFeedback,
+  "GET /health": (req, res, url, { health }) => sendJson(res, 200, health()),
+  "DELETE /session": handleClearSession
+};
+
+// Start the API server. Handlers:
+//   ask(question, { onToken, onRegenerate, signal, conversation }) -> structured answer
+//   search(question, k)                                             -> scored chunks
+//   rate(id, rating, { correction, sessionId })                     -> stored feedback record, or throws with a status
+//   health()                                                        -> status object
+export function startServer({ host = "127.0.0.1", port = 3000, ask, search, rate, health }) {
+  const sessions = new Map();
+  const handlers = { ask, search, rate, health, sessions };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      let url;
+      try {
+        url = new URL(req.url, `http://${req.headers.host || host}`);
+      } catch (error) {
+        throw Object.assign(new Error("Invalid request URL"), { status: 400 });
+      }
+      const route = routes[`${req.method} ${url.pathname}`];
+
+      if (!route) {
+        const knownPath = Object.keys(routes).some(key => key.endsWith(` ${url.pathname}`));
+        sendError(res, knownPath ? 405 : 404, knownPath ? "Method not allowed" : "Not found");
+        return;
+      }
+
+      await route(req, res, url, handlers);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) console.error(`❌ ${req.method} ${req.url} failed:`, error.message);
+      if (res.headersSent) {
+        res.end();
+      } else {
+        if (error.closeConnection) res.setHeader("Connection", "close");
+        sendError(res, status, error.message);
+      }
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
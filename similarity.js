@@ -0,0 +1,18 @@
+// Vector similarity shared by document retrieval and FAQ matching
+
+// Utility: cosine similarity
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let aNorm = 0;
+  let bNorm = 0;
+  const len = Math.min(a.length, b.length);
+  for (let i = 0; i < len; i += 1) {
+    const av = a[i];
+    const bv = b[i];
+    dot += av * bv; // Fixed: was av * av, should be av * bv
+    aNorm += av * av;
+    bNorm += bv * bv;
+  }
+  if (aNorm === 0 || bNorm === 0) return 0;
+  return dot / (Math.sqrt(aNorm) * Math.sqrt(bNorm));
+}
@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { keccak256, toChecksumAddress, checkAddress, RSK_CHAIN_IDS } from "../address-checksum.js";
+
+// Lowercase addresses of the EIP-55 and EIP-1191 test vectors
+const ADDRESSES = [
+  "0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed",
+  "0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359",
+  "0xdbf03b407c01e7cd3cbea99509d93f8dddc8c6fb",
+  "0xd1220a0cf47c7b9be7a2e6ba89f429762e7b9adb"
+];
+
+test("keccak256 matches known digests, including inputs longer than one block", () => {
+  assert.equal(keccak256(""), "c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470");
+  assert.equal(keccak256("abc"), "4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45");
+  assert.equal(keccak256(Buffer.from("abc")), keccak256("abc"));
+  assert.equal(keccak256("a".repeat(135)), "34367dc248bbd832f4e3e69dfaac2f92638bd0bbd18f2912ba4ef454919cf446");
+  assert.equal(keccak256("a".repeat(136)), "a6c4d403279fe3e0af03729caada8374b5ca54d8065329a3ebcaeb4b60aa386e");
+  assert.equal(keccak256("a".repeat(200)), "96ea54061def936c4be90b518992fdc6f12f535068a256229aca54267b4d084d");
+});
+
+test("EIP-55 checksums", () => {
+  assert.deepEqual(ADDRESSES.map(address => toChecksumAddress(address)), [
+    "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed",
+    "0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359",
+    "0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB",
+    "0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb"
+  ]);
+});
+
+test("EIP-1191 checksums for Rootstock mainnet and testnet", () => {
+  assert.deepEqual(ADDRESSES.map(address => toChecksumAddress(address, RSK_CHAIN_IDS.mainnet)), [
+    "0x5aaEB6053f3e94c9b9a09f33669435E7ef1bEAeD",
+    "0xFb6916095cA1Df60bb79ce92cE3EA74c37c5d359",
+    "0xDBF03B407c01E7CD3cBea99509D93F8Dddc8C6FB",
+    "0xD1220A0Cf47c7B9BE7a2e6ba89F429762E7B9adB"
+  ]);
+  assert.deepEqual(ADDRESSES.map(address => toChecksumAddress(address, RSK_CHAIN_IDS.testnet)), [
+    "0x5aAeb6053F3e94c9b9A09F33669435E7EF1BEaEd",
+    "0xFb6916095CA1dF60bb79CE92ce3Ea74C37c5D359",
+    "0xdbF03B407C01E7cd3cbEa99509D93f8dDDc8C6fB",
+    "0xd1220a0CF47c7B9Be7A2E6Ba89f429762E7b9adB"
+  ]);
+});
+
+test("checkAddress accepts unchecksummed and correctly checksummed addresses only", () => {
+  assert.deepEqual(checkAddress(ADDRESSES[0]), { valid: true, checksummed: false, reason: null });
+  assert.deepEqual(checkAddress(ADDRESSES[0].toUpperCase().replace("0X", "0x")), { valid: true, checksummed: false, reason: null });
+  for (const chainId of [null, RSK_CHAIN_IDS.mainnet, RSK_CHAIN_IDS.testnet]) {
+    assert.equal(checkAddress(toChecksumAddress(ADDRESSES[1], chainId)).checksummed, true);
+  }
+
+  const broken = checkAddress("0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD");
+  assert.equal(broken.valid, false);
+  assert.equal(broken.reason, "checksum mismatch (expected 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed)");
+  assert.equal(checkAddress("0x1234").reason, "not a 0x-prefixed 20-byte hex address");
+});
@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import BM25Index, { tokenize, reciprocalRankFusion } from "../bm25.js";
+
+test("tokenize keeps identifiers whole and splits them into words", () => {
+  const tokens = tokenize("getFederationAddress batch-transfer --wallet");
+  for (const token of ["getfederationaddress", "federation", "address", "batch", "transfer", "wallet"]) {
+    assert.ok(tokens.includes(token), `missing ${token} in ${tokens.join(" ")}`);
+  }
+});
+
+test("search ranks documents with the query terms first and drops the rest", () => {
+  const index = new BM25Index().build([
+    "Check the balance of your wallet",
+    "Transfer RBTC to another address",
+    "Deploy a contract with its ABI and bytecode"
+  ]);
+  const results = index.search("transfer to an address", 5);
+  assert.equal(results[0].id, 1);
+  assert.ok(results.every(result => result.score > 0));
+  assert.ok(!results.some(result => result.id === 2));
+  assert.deepEqual(index.search("nothing matches here"), []);
+});
+
+test("rare terms weigh more than common ones", () => {
+  const index = new BM25Index().build(["wallet balance", "wallet transfer", "wallet bridge"]);
+  assert.ok(index.idf("bridge") > index.idf("wallet"));
+});
+
+test("reciprocalRankFusion adds weighted reciprocal ranks", () => {
+  const fused = reciprocalRankFusion([
+    { ids: [1, 2], weight: 1 },
+    { ids: [2, 3], weight: 1 }
+  ], { k: 60 });
+  assert.equal(fused.get(2), 1 / 62 + 1 / 61);
+  assert.equal(fused.get(3), 1 / 62);
+  assert.ok(fused.get(2) > fused.get(1));
+});
@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { completeCommand, loadHistory, saveHistory, describeSources, formatTranscript } from "../chat-commands.js";
+
+test("tab completes command names, then their arguments", () => {
+  assert.deepEqual(completeCommand("/so"), [["/sources "], "/so"]);
+  assert.deepEqual(completeCommand("/r"), [["/run", "/reload"], "/r"]);
+  assert.deepEqual(completeCommand("/mode f", { profiles: ["normal", "fast", "ultra"] }), [["fast"], "f"]);
+  assert.deepEqual(completeCommand("/debug "), [["on", "off"], ""]);
+  assert.deepEqual(completeCommand("/k 3"), [[], "3"]);
+  assert.deepEqual(completeCommand("how do I"), [[], "how do I"]);
+});
+
+test("history is saved oldest first with secrets redacted, and loaded newest first", () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "chat-history-")), "logs/history.txt");
+  assert.deepEqual(loadHistory(file), []);
+
+  saveHistory(["/good", "import 0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318", "first"], file);
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+  assert.equal(lines[0], "first");
+  assert.doesNotMatch(lines[1], /4c0883a6/);
+  assert.deepEqual(loadHistory(file, 1), ["/good"]);
+
+  saveHistory([], file);
+  assert.equal(fs.readFileSync(file, "utf8"), "");
+});
+
+const ragResult = {
+  path: "rag",
+  answer: "Run `rsk-cli balance` [S1].",
+  standaloneQuestion: "How do I check my balance?",
+  timings: { total: 1250 },
+  sources: [
+    { id: "S1", cited: true, location: "README.md › Check Balance", score: 0.8123, text: "Run   rsk-cli balance\nto check" },
+    { id: "S2", cited: false, location: "src/commands/balance.ts:1-20", score: 0.5 }
+  ]
+};
+
+test("sources show scores, a cited mark and the start of the chunk", () => {
+  assert.deepEqual(describeSources(ragResult, { excerpt: 12 }), [
+    "[S1] 📎 README.md › Check Balance (similarity 0.812)",
+    "     Run rsk-cli ...",
+    "[S2]    src/commands/balance.ts:1-20 (similarity 0.500)"
+  ]);
+  assert.deepEqual(describeSources({ ...ragResult, sources: [] }), ["📭 No sources behind this answer"]);
+  assert.match(describeSources({ path: "faq", category: "Balance", matchedQuestion: "How do I check my balance?", confidence: 0.9 })[0], /FAQ answer from "Balance"/);
+});
+
+test("the transcript lists each question with its answer and cited sources", () => {
+  const markdown = formatTranscript([
+    { question: "and my\nbalance?", result: ragResult, timestamp: "2024-01-01T00:00:00.000Z" },
+    { question: "cancelled", result: null }
+  ], { profile: "fast" });
+  assert.match(markdown, /^# rsk-cli chat transcript\n\n- Profile: fast\n- Questions: 2\n/);
+  assert.match(markdown, /## 1\. and my balance\?\n\n_2024-01-01T00:00:00.000Z_\n\n_Understood as: "How do I check my balance\?"_/);
+  assert.match(markdown, /\*\*Sources\*\*\n\n- \[S1\] README.md › Check Balance\n\n_rag, 1.25s_/);
+  assert.doesNotMatch(markdown, /\[S2\]/);
+  assert.match(markdown, /## 2\. cancelled\n\n_No answer \(cancelled or failed\)_/);
+});
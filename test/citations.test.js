@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { formatLocation, buildCitedContext, validateCitations, stripCitations, formatSourcesFooter } from "../citations.js";
+
+const chunks = [
+  { text: "Transfer RBTC", metadata: { source: "./src/commands/transfer.ts", startLine: 84, endLine: 120, symbol: "transferCommand" } },
+  { text: "## Balance", metadata: { source: "README.md", startLine: 10, endLine: 20, breadcrumb: "Features > Check Balance" } }
+];
+
+test("formatLocation describes code by lines and symbol, docs by heading path", () => {
+  assert.equal(formatLocation(chunks[0].metadata), "src/commands/transfer.ts:84-120 (transferCommand)");
+  assert.equal(formatLocation(chunks[1].metadata), "README.md › Features > Check Balance");
+});
+
+test("buildCitedContext labels chunks S1..Sn in order", () => {
+  const { context, labels } = buildCitedContext(chunks);
+  assert.deepEqual(labels.map(label => label.id), ["S1", "S2"]);
+  assert.match(context, /^\[S1\] src\/commands\/transfer.ts:84-120/);
+  assert.match(context, /\[S2\] README.md › Features > Check Balance\n## Balance/);
+});
+
+test("validateCitations separates cited, invalid and uncited sources", () => {
+  const { labels } = buildCitedContext(chunks);
+  const result = validateCitations("Use transfer [S1]. See also [S1, S3].", labels);
+  assert.deepEqual(result.cited.map(label => label.id), ["S1"]);
+  assert.deepEqual(result.invalid, ["S3"]);
+  assert.deepEqual(result.uncited.map(label => label.id), ["S2"]);
+});
+
+test("stripCitations removes markers and the space before them", () => {
+  assert.equal(stripCitations("Run it [S1]. Then check [S2, S3]."), "Run it. Then check.");
+});
+
+test("formatSourcesFooter falls back to the retrieved sources and reports invalid ones", () => {
+  const { labels } = buildCitedContext(chunks);
+  const lines = formatSourcesFooter(validateCitations("No markers, but [S9].", labels));
+  assert.equal(lines[0], "📎 Sources (retrieved, not cited in the answer):");
+  assert.equal(lines.length, 4);
+  assert.match(lines[3], /\[S9\]/);
+});
@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import CodeSplitter, { findTopLevelUnits } from "../code-splitter.js";
+
+const source = `// transfer.ts
+import { Address } from "viem";
+import chalk from "chalk";
+
+type TransferCommandOptions = {
+  testnet: boolean;
+  toAddress: Address;
+};
+
+// Sends RBTC or an ERC20 token
+export async function transferCommand(params: TransferCommandOptions) {
+  const note = \`not a top-level } brace \${params.testnet ? "{" : "}"}\`;
+  if (/}/.test(note)) {
+    console.log("done");
+  }
+}
+
+export const ALLOWED_BRIDGE_METHODS = {
+  read: ["getBtcBlockchainBestChainHeight"],
+};
+
+const format = (value: number) => value.toFixed(2);
+`;
+
+test("top-level units with their kind, symbol and lines", () => {
+  assert.deepEqual(findTopLevelUnits(source).map(({ startLine, endLine, kind, symbol, exported }) => [startLine, endLine, kind, symbol, exported]), [
+    [1, 3, "imports", null, false],
+    [5, 8, "type", "TransferCommandOptions", false],
+    [10, 16, "function", "transferCommand", true],
+    [18, 20, "constant", "ALLOWED_BRIDGE_METHODS", true],
+    [22, 22, "function", "format", false]
+  ]);
+});
+
+test("braces in strings, templates, regexes and comments do not end a unit", () => {
+  const units = findTopLevelUnits(`function a() {
+  const s = "}";
+  // }
+  /* } */
+  return s.replace(/[}]/g, "");
+}
+function b() {}
+`);
+  assert.deepEqual(units.map(unit => [unit.symbol, unit.startLine, unit.endLine]), [["a", 1, 6], ["b", 7, 7]]);
+});
+
+test("chunks carry file, symbol and line metadata", () => {
+  const chunks = new CodeSplitter().splitDocument({ pageContent: source, metadata: { source: "./src/commands/transfer.ts" } });
+  const transfer = chunks.find(chunk => chunk.metadata.symbol === "transferCommand");
+  assert.equal(transfer.metadata.file, "src/commands/transfer.ts");
+  assert.equal(transfer.metadata.kind, "function");
+  assert.match(transfer.pageContent, /^\/\/ Sends RBTC or an ERC20 token\nexport async function transferCommand[\s\S]*\n}$/);
+  assert.deepEqual([transfer.metadata.startLine, transfer.metadata.endLine], [10, 16]);
+});
+
+test("oversized units are split into numbered, line-aligned parts", () => {
+  const body = Array.from({ length: 40 }, (_, i) => `  const value${i} = compute(${i});${i % 10 === 9 ? "\n" : ""}`).join("\n");
+  const big = `export function big() {\n${body}\n}\n`;
+  const chunks = new CodeSplitter({ maxChunkSize: 400 }).splitDocument({ pageContent: big, metadata: { source: "big.ts" } });
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.map(chunk => chunk.metadata.part), chunks.map((_, i) => i + 1));
+  assert.ok(chunks.every(chunk => chunk.pageContent.length <= 400 && chunk.metadata.symbol === "big"));
+  const lines = big.split("\n");
+  for (const { pageContent, metadata } of chunks) {
+    assert.equal(lines.slice(metadata.startLine - 1, metadata.endLine).join("\n"), pageContent);
+  }
+  assert.equal(chunks[0].metadata.startLine, 1);
+  chunks.slice(1).forEach((chunk, i) => assert.ok(chunk.metadata.startLine > chunks[i].metadata.endLine));
+});
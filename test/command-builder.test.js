@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { buildCommand, extractOptions } from "../command-builder.js";
+
+const { faq } = JSON.parse(fs.readFileSync(new URL("../docs/faq-commands.json", import.meta.url), "utf8"));
+const build = (category, question) => buildCommand(faq[category].command, faq[category].options, question);
+
+const RECIPIENT = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+const TOKEN = "0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359";
+
+test("a transfer question fills network, wallet, token, recipient and amount", () => {
+  const built = build("transfer", `Send 5 tokens of token ${TOKEN} to ${RECIPIENT} from wallet ops on testnet`);
+  assert.equal(built.command, `rsk-cli transfer --testnet --wallet ops --token ${TOKEN} --address ${RECIPIENT} --value 5`);
+  assert.equal(built.complete, true);
+});
+
+test("testnet is recognized in its usual spellings", () => {
+  for (const question of ["balance on testnet", "balance on the test network", "balance on test net", "my tRBTC balance"]) {
+    assert.equal(build("balance", question).command, "rsk-cli balance --testnet", question);
+  }
+  assert.equal(build("balance", "my RBTC balance").command, "rsk-cli balance");
+});
+
+test("missing and invalid required values become placeholders", () => {
+  const missing = build("transfer", "How do I transfer 0.1 RBTC?");
+  assert.equal(missing.command, "rsk-cli transfer --address <address> --value 0.1");
+  assert.deepEqual(missing.missing, ["address"]);
+  assert.equal(missing.complete, false);
+
+  const badChecksum = build("transfer", "transfer 1 RBTC to 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD");
+  assert.equal(badChecksum.command, "rsk-cli transfer --address <address> --value 1");
+  assert.equal(badChecksum.invalid[0].name, "address");
+  assert.match(badChecksum.invalid[0].reason, /checksum mismatch/);
+});
+
+test("explicit flags win and hashes are not taken for addresses", () => {
+  const txid = `0x${"ab".repeat(32)}`;
+  assert.equal(build("tx", `status of ${txid} --testnet`).command, `rsk-cli tx --testnet --txid ${txid}`);
+  assert.deepEqual(extractOptions(`check ${txid}`, faq.contract.options).missing, ["address"]);
+  assert.equal(build("deploy", "deploy --abi \"my abi.json\" with bytecode ./out/C.bin").command,
+    "rsk-cli deploy --abi \"my abi.json\" --bytecode ./out/C.bin");
+});
+
+test("pattern options take the first capture group", () => {
+  assert.equal(build("history", "show the last 20 transactions with api key abc-123").command,
+    "rsk-cli history --apiKey abc-123 --number 20");
+});
@@ -0,0 +1,102 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { buildCommandCatalog, answerFromCatalog, catalogLabels, kebabCase } from "../command-catalog.js";
+
+const sources = [
+  {
+    path: "./src/commands/batchTransfer.ts",
+    content: `type BatchTransferCommandOptions = {
+  testnet: boolean;
+  interactive?: boolean;
+  batchData?: { to: Address; value: number }[];
+};
+
+export type BatchTransferResult = {
+  success: boolean;
+  hashes?: string[];
+};
+
+export async function batchTransferCommand(params: BatchTransferCommandOptions): Promise<BatchTransferResult> {
+  await walletClient.sendTransaction(request);
+}`
+  },
+  {
+    path: "./src/commands/balance.ts",
+    content: `export async function balanceCommand({ testnet, walletName }: { testnet: boolean; walletName?: string }) {
+  return client.getBalance({ address });
+}`
+  },
+  {
+    path: "./src/constants/tokenAdress.ts",
+    content: `export const TOKENS: Record<string, Record<string, Address>> = {
+  RIF: { mainnet: "0x2acc95758f8b5f583470ba265eb685a8f45fc9d5", testnet: "0x19f64674d8a5b4e652319f5e239efd3bc969a1fe" },
+};`
+  }
+];
+const readme = `### Batch Transfer
+
+\`\`\`bash
+rsk-cli batch-transfer --testnet --file transfers.json
+\`\`\`
+
+- \`-i, --interactive\`: enter transfers one by one
+
+### Check Balance
+
+\`\`\`bash
+rsk-cli balance --wallet main
+\`\`\`
+`;
+const catalog = buildCommandCatalog({ sources, readme });
+
+test("commands, options, results and internal fields come from the sources", () => {
+  assert.equal(kebabCase("batchTransfer"), "batch-transfer");
+  const [balance, batch] = catalog.commands;
+  assert.deepEqual([balance.name, batch.name], ["balance", "batch-transfer"]);
+  assert.equal(batch.optionsType, "BatchTransferCommandOptions");
+  assert.deepEqual(batch.internalOptions, ["batchData"]);
+  assert.equal(batch.result.type, "BatchTransferResult");
+  assert.deepEqual(batch.location, { source: "./src/commands/batchTransfer.ts", startLine: 1, endLine: 5, symbol: "BatchTransferCommandOptions" });
+});
+
+test("flags come from the README, with the first command line using them", () => {
+  const batch = catalog.commands.find(command => command.name === "batch-transfer");
+  assert.deepEqual(batch.flags, ["--testnet", "--file", "-i", "--interactive"]);
+  assert.equal(batch.flagExamples["--file"], "rsk-cli batch-transfer --testnet --file transfers.json");
+  assert.equal(batch.flagExamples["--interactive"], null);
+  assert.deepEqual(catalog.documentedFlags.get("balance"), ["--wallet"]);
+});
+
+test("only commands that send, write or deploy are state changing", () => {
+  assert.deepEqual(catalog.commands.map(command => [command.name, command.stateChanging]), [["balance", false], ["batch-transfer", true]]);
+});
+
+test("catalog questions are answered as tables, others go to retrieval", () => {
+  const options = answerFromCatalog("What are the available options for batch transfer?", catalog);
+  assert.equal(options.kind, "options");
+  assert.match(options.answer, /\| `--file` \| `rsk-cli batch-transfer --testnet --file transfers.json` \|/);
+  assert.match(options.answer, /field names, not flags; `\?` marks optional fields\): `testnet: boolean`, `interactive\?: boolean`/);
+  assert.match(options.answer, /Set internally, not from the command line: `batchData`/);
+
+  assert.equal(answerFromCatalog("What does batch-transfer return?", catalog).kind, "result");
+  assert.equal(answerFromCatalog("What commands are available?", catalog).kind, "commands");
+  assert.equal(answerFromCatalog("Which commands does rsk-cli support?", catalog).kind, "commands");
+  assert.equal(answerFromCatalog("What commands are available for smart contracts?", catalog), null);
+  const tokens = answerFromCatalog("What is the RIF token address on testnet?", catalog);
+  assert.match(tokens.answer, /\| \*\*RIF\*\* \| `0x19f64674d8a5b4e652319f5e239efd3bc969a1fe` \|/);
+  assert.equal(answerFromCatalog("How do I transfer RIF to a friend?", catalog), null);
+
+  assert.deepEqual(catalogLabels([tokens.locations[0]]).map(label => [label.id, label.location]), [["S1", "src/constants/tokenAdress.ts:1-3 (TOKENS)"]]);
+});
+
+test("the shipped sources: every command found, senders flagged", () => {
+  const shipped = fs.readdirSync(new URL("../src", import.meta.url), { recursive: true })
+    .filter(file => file.endsWith(".ts"))
+    .map(file => ({ path: `./src/${file}`, content: fs.readFileSync(new URL(`../src/${file}`, import.meta.url), "utf8") }));
+  const full = buildCommandCatalog({ sources: shipped, readme: fs.readFileSync(new URL("../docs/README.md", import.meta.url), "utf8") });
+  assert.deepEqual(full.commands.filter(command => command.stateChanging).map(command => command.name),
+    ["batch-transfer", "bridge", "deploy", "transaction", "transfer"]);
+  assert.ok(full.commands.find(command => command.name === "transfer").flags.includes("--address"));
+  assert.ok(full.bridgeMethods.methods.read.includes("getBtcBlockchainBestChainHeight"));
+});
@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildCommandCatalog } from "../command-catalog.js";
+import { buildCommandReference, checkAnswer, annotateAnswer } from "../command-guard.js";
+
+const sources = [{
+  path: "./src/commands/transfer.ts",
+  content: `type TransferCommandOptions = {
+  testnet: boolean;
+  toAddress: Address;
+  value: number;
+  name?: string;
+};
+
+export async function transferCommand(params: TransferCommandOptions) {
+  await walletClient.sendTransaction(request);
+}`
+}];
+const readme = `### Transfer
+
+\`\`\`bash
+rsk-cli transfer --testnet --address 0x123 --value 0.001
+rsk-cli transfer --wallet main --address 0x123 --value 0.001
+\`\`\`
+`;
+const reference = buildCommandReference(buildCommandCatalog({ sources, readme }));
+
+test("documented flags and commander's global flags pass", () => {
+  const check = checkAnswer("Run `rsk-cli transfer --testnet --address 0xabc --value 1 --help`", reference);
+  assert.equal(check.ok, true, JSON.stringify(check.issues));
+});
+
+test("TypeScript field names are not accepted as flags", () => {
+  for (const flag of ["--toAddress", "--to-address", "--name"]) {
+    const check = checkAnswer(`\`rsk-cli transfer ${flag} 0xabc --value 1\``, reference);
+    assert.deepEqual(check.issues.map(issue => issue.value), [flag]);
+  }
+});
+
+test("unknown commands and flags in prose are reported", () => {
+  const check = checkAnswer("Use `rsk-cli send --value 1` or pass --fast to speed it up.", reference);
+  assert.deepEqual(check.issues.map(issue => [issue.type, issue.value]), [["command", "send"], ["flag", "--fast"]]);
+});
+
+test("commands written in prose are checked like command lines", () => {
+  const invented = checkAnswer("Run rsk-cli send --to 0x1 to pay.", reference);
+  assert.deepEqual(invented.issues.map(issue => [issue.type, issue.value, issue.line]), [["command", "send", "rsk-cli send --to 0x1 to pay"]]);
+
+  const wrongFlag = checkAnswer("rsk-cli transfer --amount 1 sends RBTC, and rsk-cli transfer --value 1 works.", reference);
+  assert.deepEqual(wrongFlag.issues.map(issue => [issue.type, issue.value, issue.command]), [["flag", "--amount", "transfer"]]);
+
+  assert.equal(checkAnswer("rsk-cli is a command line tool; rsk-cli supports --testnet.", reference).ok, true);
+  assert.match(annotateAnswer("Run rsk-cli send --to 0x1 to pay.", invented), /to pay ⚠️ \("rsk-cli send" is not a known command\)\./);
+});
+
+test("annotateAnswer marks the offending command line", () => {
+  const answer = "Run `rsk-cli transfer --to-address 0xabc`.";
+  const annotated = annotateAnswer(answer, checkAnswer(answer, reference));
+  assert.match(annotated, /`rsk-cli transfer --to-address 0xabc` ⚠️ --to-address is not a known option of "rsk-cli transfer"/);
+});
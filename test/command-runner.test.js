@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { parseCommandLine, assessCommand, parseRunArgument, runCommand } from "../command-runner.js";
+
+// Prints its arguments as JSON; see the fixture for --exit and --sleep
+const STUB = fileURLToPath(new URL("./fixtures/rsk-cli-stub.js", import.meta.url));
+
+test("parseCommandLine honours quotes", () => {
+  assert.deepEqual(parseCommandLine(`rsk-cli transfer --data "0x12 34" --name 'my wallet'`), [
+    "rsk-cli", "transfer", "--data", "0x12 34", "--name", "my wallet"
+  ]);
+  assert.throws(() => parseCommandLine(`rsk-cli "open`), /Unterminated quote/);
+});
+
+test("read-only commands run on mainnet", () => {
+  const assessment = assessCommand("rsk-cli balance");
+  assert.equal(assessment.allowed, true);
+  assert.equal(assessment.stateChanging, false);
+});
+
+test("commands that send transactions need --testnet or an explicit mainnet opt-in", () => {
+  for (const subcommand of ["transfer", "batch-transfer", "deploy", "bridge", "transaction"]) {
+    const assessment = assessCommand(`rsk-cli ${subcommand} --wallet main`);
+    assert.equal(assessment.stateChanging, true, subcommand);
+    assert.equal(assessment.allowed, false, subcommand);
+    assert.match(assessment.reason, /mainnet/);
+  }
+  assert.equal(assessCommand("rsk-cli transfer --testnet --address 0x1 --value 1").allowed, true);
+  assert.equal(assessCommand("rsk-cli transfer -t --address 0x1 --value 1").allowed, true);
+  assert.equal(assessCommand("rsk-cli transfer --address 0x1 --value 1", { allowMainnet: true }).allowed, true);
+});
+
+test("commands passed as stateChangingCommands are guarded too", () => {
+  assert.equal(assessCommand("rsk-cli newcommand").allowed, true);
+  const assessment = assessCommand("rsk-cli newcommand", { stateChangingCommands: ["newcommand"] });
+  assert.equal(assessment.stateChanging, true);
+  assert.equal(assessment.allowed, false);
+});
+
+test("placeholders, other programs and missing sub-commands are refused", () => {
+  assert.match(assessCommand("rsk-cli transfer --testnet --address <address>").reason, /<address>/);
+  assert.match(assessCommand("rm -rf /").reason, /Only rsk-cli/);
+  assert.match(assessCommand("rsk-cli --testnet").reason, /Missing rsk-cli sub-command/);
+});
+
+test("/run --allow-mainnet is an opt-in, not part of the command", () => {
+  assert.deepEqual(parseRunArgument("--allow-mainnet rsk-cli transfer --value 1"), { command: "rsk-cli transfer --value 1", allowMainnet: true });
+  assert.deepEqual(parseRunArgument("rsk-cli transfer --value 1 --allow-mainnet"), { command: "rsk-cli transfer --value 1", allowMainnet: true });
+  assert.deepEqual(parseRunArgument("--allow-mainnet"), { command: null, allowMainnet: true });
+  assert.deepEqual(parseRunArgument(""), { command: null, allowMainnet: false });
+
+  const { command, allowMainnet } = parseRunArgument("--allow-mainnet rsk-cli deploy --abi a.json --bytecode b.bin");
+  assert.equal(assessCommand(command).allowed, false);
+  assert.equal(assessCommand(command, { allowMainnet }).allowed, true);
+});
+
+test("runCommand runs the binary with the assessed arguments and captures its output", async () => {
+  const { args } = assessCommand("rsk-cli balance --testnet --wallet \"my wallet\"");
+  const echoed = [];
+  const result = await runCommand(args, { binary: STUB, onOutput: (text, stream) => echoed.push(stream) });
+  assert.equal(result.exitCode, 0);
+  assert.equal(result.timedOut, false);
+  assert.deepEqual(JSON.parse(result.stdout), { args: ["balance", "--testnet", "--wallet", "my wallet"] });
+  assert.equal(result.stderr, "stub stderr\n");
+  assert.deepEqual(echoed.sort(), ["stderr", "stdout"]);
+});
+
+test("runCommand reports exit codes, timeouts and a missing binary", async () => {
+  assert.equal((await runCommand(["balance", "--exit", "3"], { binary: STUB })).exitCode, 3);
+
+  const slow = await runCommand(["balance", "--sleep", "5000"], { binary: STUB, timeout: 100 });
+  assert.equal(slow.timedOut, true);
+  assert.equal(slow.signal, "SIGTERM");
+
+  await assert.rejects(runCommand(["balance"], { binary: "./no-such-rsk-cli" }), /rsk-cli binary not found: \.\/no-such-rsk-cli/);
+});
+
+test("runCommand stops the process when its signal aborts", async () => {
+  const controller = new AbortController();
+  const running = runCommand(["transfer", "--testnet", "--sleep", "5000"], { binary: STUB, signal: controller.signal });
+  setTimeout(() => controller.abort(), 50);
+  await assert.rejects(running, { name: "AbortError" });
+});
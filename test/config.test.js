@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { BUILTIN_PROFILES, loadConfigFile, parseArgs, resolveConfig, resolveProfile, validateSettings } from "../config.js";
+
+const SHIPPED = fileURLToPath(new URL("../rag.config.json", import.meta.url));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function configFile(content) {
+  const file = path.join(dir, `config-${fs.readdirSync(dir).length}.json`);
+  fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+  return file;
+}
+
+test("the shipped config repeats the built-in profiles and adds thorough", () => {
+  const { profiles } = loadConfigFile(SHIPPED, { required: true });
+  for (const name of Object.keys(BUILTIN_PROFILES)) {
+    assert.deepEqual(resolveProfile(profiles, name), BUILTIN_PROFILES[name], name);
+  }
+  assert.deepEqual(resolveProfile(profiles, "thorough"), {
+    ...BUILTIN_PROFILES.normal, topK: 8, llmTimeout: 120000, commandGuard: "regenerate", rerank: "llm", hyde: true
+  });
+});
+
+test("precedence: profile, then legacy environment variables, then flags", () => {
+  const config = resolveConfig({
+    argv: ["--config", SHIPPED, "--top-k", "4", "--debug"],
+    env: { FAST_MODE: "true", LEXICAL_WEIGHT: "0.2", LLM_PROVIDER: "fake" }
+  });
+  assert.equal(config.profile, "fast");
+  assert.equal(config.settings.chunkSize, BUILTIN_PROFILES.fast.chunkSize);
+  assert.equal(config.settings.topK, 4);
+  assert.equal(config.settings.lexicalWeight, 0.2);
+  assert.equal(config.debug, true);
+  assert.equal(config.llm.provider, "fake");
+
+  assert.equal(resolveConfig({ argv: ["--config", SHIPPED, "--profile", "normal"], env: { ULTRA_FAST: "true" } }).profile, "normal");
+  assert.equal(resolveConfig({ argv: ["--config", SHIPPED], env: { ULTRA_FAST: "true", FAST_MODE: "true" } }).profile, "ultra");
+});
+
+test("invalid values are refused with where they came from", () => {
+  assert.throws(() => resolveConfig({ argv: ["--config", SHIPPED, "--top-k", "0"] }), /Invalid topK 0 in command line flags \(expected 1–50\)/);
+  assert.throws(() => resolveConfig({ argv: ["--config", SHIPPED], env: { LEXICAL_WEIGHT: "2" } }), /Invalid lexicalWeight 2 in LEXICAL_WEIGHT/);
+  assert.throws(() => parseArgs(["--top-k", "many"]), /--top-k expects a whole number, got "many"/);
+  assert.throws(() => parseArgs(["--profile"]), /Missing value for --profile/);
+  assert.throws(() => parseArgs(["--fast"]), /Unknown option --fast/);
+  assert.throws(() => validateSettings({ ...BUILTIN_PROFILES.normal, chunkOverlap: 1000 }), /must be smaller than chunkSize 1000/);
+  assert.throws(() => validateSettings({ ...BUILTIN_PROFILES.normal, promptStyle: "long" }), /expected one of detailed, concise, brief/);
+});
+
+test("config files are checked: JSON, keys, profiles, extends chains and providers", () => {
+  assert.throws(() => loadConfigFile(configFile("{")), /Could not parse/);
+  assert.throws(() => loadConfigFile(configFile({ profile: {} })), /Unknown key "profile"/);
+  assert.throws(() => loadConfigFile(configFile({ llm: { provider: "gpt" } })), /Unknown llm provider "gpt"/);
+  assert.throws(() => loadConfigFile(configFile({ queryLog: { redact: "some" } })), /Invalid queryLog.redact "some"/);
+  assert.throws(() => loadConfigFile(path.join(dir, "missing.json"), { required: true }), /not found/);
+  assert.equal(loadConfigFile(path.join(dir, "missing.json")).file, null);
+
+  const { profiles } = loadConfigFile(configFile({ profiles: { a: { extends: "b" }, b: { extends: "a" }, c: { topk: 3 } } }));
+  assert.throws(() => resolveProfile(profiles, "a"), /Profile "a" extends itself \(a → b → a\)/);
+  assert.throws(() => resolveProfile(profiles, "c"), /Unknown setting "topk"/);
+  assert.throws(() => resolveProfile(profiles, "d"), /Unknown profile "d"/);
+});
+
+test("the removed fastSearch setting is refused like any unknown setting", () => {
+  assert.throws(() => validateSettings({ ...BUILTIN_PROFILES.fast, fastSearch: true }, "profile \"fast\""),
+    /Unknown setting "fastSearch" in profile "fast"/);
+});
@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { fileURLToPath } from "url";
+import ConversationMemory from "../conversation-memory.js";
+import { createRagEngine } from "../rag-engine.js";
+
+function memoryWith(...questions) {
+  const memory = new ConversationMemory({ maxTurns: 3, windowTurns: 2, maxAnswerChars: 10 });
+  for (const question of questions) memory.addTurn({ question, answer: `Answer to ${question}`, path: "rag" });
+  return memory;
+}
+
+test("pronoun, opener and elliptic questions are follow-ups, standalone ones are not", () => {
+  const memory = memoryWith("How do I check my balance?");
+  const commands = ["balance", "batch-transfer", "deploy"];
+  assert.equal(memory.looksLikeFollowUp("How do I deploy it with a custom gas limit on testnet?", { commands }), true);
+  assert.equal(memory.looksLikeFollowUp("and for RIF tokens, which flag should I pass to the command?", { commands }), true);
+  assert.equal(memory.looksLikeFollowUp("on testnet?", { commands }), true);
+  assert.equal(memory.looksLikeFollowUp("How do I verify a contract on the Rootstock explorer?", { commands }), false);
+  assert.equal(new ConversationMemory().looksLikeFollowUp("on testnet?", { commands }), false);
+});
+
+test("short questions with a command or topic of their own stand alone", () => {
+  const memory = memoryWith("How do I check my balance?");
+  const commands = ["balance", "batch-transfer", "deploy"];
+  assert.equal(memory.looksLikeFollowUp("What's my RBTC balance?", { commands }), false);
+  assert.equal(memory.looksLikeFollowUp("What's batch transfer command?", { commands }), false);
+  assert.equal(memory.looksLikeFollowUp("Can I send to more than one address at once?", { commands }), false);
+  assert.equal(memory.looksLikeFollowUp("What's batch transfer command?"), true);
+});
+
+test("the buffer keeps maxTurns and prompts show the last windowTurns, answers truncated", () => {
+  const memory = memoryWith("first?", "second?", "third?", "fourth?");
+  assert.deepEqual(memory.getTurns().map(turn => turn.question), ["second?", "third?", "fourth?"]);
+  assert.equal(memory.formatForPrompt(), "User: third?\nAssistant: Answer to ...\n\nUser: fourth?\nAssistant: Answer to ...");
+  assert.deepEqual(memory.getWindow(0), []);
+  memory.clear();
+  assert.equal(memory.isEmpty(), true);
+});
+
+// An OpenAI-compatible model that fails or answers with nothing, so condensing cannot rewrite
+async function withModel(reply, run) {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on("end", () => {
+      if (reply === null) {
+        res.writeHead(500).end("model unavailable");
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ choices: [{ message: { content: reply } }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const root = fileURLToPath(new URL("..", import.meta.url));
+  const engine = createRagEngine({
+    cacheEmbeddings: false,
+    readmePath: `${root}docs/README.md`,
+    srcPath: `${root}src`,
+    faqPath: `${root}docs/faq-commands.json`,
+    aliasesPath: `${root}docs/query-aliases.json`,
+    llm: { provider: "openai", baseUrl: `http://127.0.0.1:${server.address().port}/v1`, timeout: 2000 },
+    embedding: { provider: "fake" }
+  });
+  try {
+    await engine.buildIndex();
+    return await run(engine);
+  } finally {
+    engine.close();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+for (const [name, reply] of [["fails", null], ["returns nothing", "  \n"]]) {
+  test(`when condensing ${name}, the follow-up is used as asked`, () => withModel(reply, async engine => {
+    const conversation = memoryWith("How do I deploy a contract?");
+    const question = "and how do I check my balance on testnet?";
+    const result = await engine.ask(question, { conversation });
+    assert.equal(result.standaloneQuestion, question);
+    assert.equal(result.command, "rsk-cli balance --testnet");
+  }));
+}
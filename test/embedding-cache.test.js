@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import EmbeddingCache from "../embedding-cache.js";
+
+function withCacheFile(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "embedding-cache-"));
+  try {
+    return run(path.join(dir, "cache.bin"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("vectors survive a save and load, per model", () => withCacheFile(file => {
+  const cache = new EmbeddingCache({ file, model: "fake:a" });
+  const key = cache.documentKey("chunk text", "normal");
+  cache.setDocument(key, [0.5, 0.25], "normal");
+  cache.setQuery("how do I transfer?", [1, 0]);
+  assert.equal(cache.save(), 2);
+
+  const loaded = new EmbeddingCache({ file, model: "fake:a" });
+  assert.equal(loaded.load(), 2);
+  assert.deepEqual([...loaded.getDocument(key)], [0.5, 0.25]);
+  assert.deepEqual([...loaded.getQuery("how do I transfer?")], [1, 0]);
+
+  const other = new EmbeddingCache({ file, model: "fake:b" });
+  assert.equal(other.load(), 0);
+  assert.equal(other.getDocument(key), undefined);
+}));
+
+test("document keys depend on the text, the model and the chunk settings", () => {
+  const cache = new EmbeddingCache({ file: "unused", model: "fake:a" });
+  const key = cache.documentKey("text", "normal");
+  assert.equal(cache.documentKey("text", "normal"), key);
+  assert.notEqual(cache.documentKey("text", "fast"), key);
+  assert.notEqual(cache.documentKey("other", "normal"), key);
+  assert.notEqual(new EmbeddingCache({ file: "unused", model: "fake:b" }).documentKey("text", "normal"), key);
+});
+
+test("prune only drops stale vectors of the given chunk settings", () => withCacheFile(file => {
+  const cache = new EmbeddingCache({ file, model: "fake:a" });
+  const normal = ["a", "b"].map(text => cache.documentKey(text, "normal"));
+  const fast = cache.documentKey("a", "fast");
+  normal.forEach(key => cache.setDocument(key, [1], "normal"));
+  cache.setDocument(fast, [1], "fast");
+  cache.save();
+
+  const loaded = new EmbeddingCache({ file, model: "fake:a" });
+  loaded.load();
+  assert.equal(loaded.prune([normal[0]], "normal"), 1);
+  assert.ok(loaded.getDocument(normal[0]));
+  assert.equal(loaded.getDocument(normal[1]), undefined);
+  assert.ok(loaded.getDocument(fast));
+}));
+
+test("query vectors are kept least recently used first", () => {
+  const cache = new EmbeddingCache({ file: "unused", model: "fake:a", maxQueries: 2 });
+  cache.setQuery("one", [1]);
+  cache.setQuery("two", [2]);
+  cache.getQuery("one");
+  cache.setQuery("three", [3]);
+  assert.equal(cache.getQuery("two"), undefined);
+  assert.ok(cache.getQuery("one"));
+  assert.ok(cache.getQuery("three"));
+});
+
+test("truncated and foreign files are refused", () => withCacheFile(file => {
+  const cache = new EmbeddingCache({ file, model: "fake:a" });
+  cache.setDocument(cache.documentKey("text", "normal"), [1, 2, 3, 4], "normal");
+  cache.save();
+  const bytes = fs.readFileSync(file);
+
+  fs.writeFileSync(file, bytes.subarray(0, bytes.length - 4));
+  assert.throws(() => new EmbeddingCache({ file, model: "fake:a" }).load(), /truncated or corrupt/);
+  fs.writeFileSync(file, bytes.subarray(0, 20));
+  assert.throws(() => new EmbeddingCache({ file, model: "fake:a" }).load(), /truncated or corrupt/);
+  fs.writeFileSync(file, "{}");
+  assert.throws(() => new EmbeddingCache({ file, model: "fake:a" }).load(), /not a version 2 embedding cache/);
+}));
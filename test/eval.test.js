@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const env = { ...process.env, LLM_PROVIDER: "fake", EMBEDDING_PROVIDER: "fake" };
+
+// eval.js reads the corpus relative to its working directory; a temp one keeps caches out of the repo.
+// It is removed when the test ends (the docs and src symlinks, not what they point to).
+function workspace(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rag-eval-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.symlinkSync(path.join(root, "docs"), path.join(dir, "docs"));
+  fs.symlinkSync(path.join(root, "src"), path.join(dir, "src"));
+  fs.writeFileSync(path.join(dir, "questions.json"), JSON.stringify({
+    testQuestions: [
+      { id: "balance", question: "How do I check my balance?", expectedSections: ["Check Balance"] },
+      { id: "unlabelled", question: "What is rsk-cli?" }
+    ]
+  }));
+  return dir;
+}
+
+function runEval(dir, args) {
+  return spawnSync(process.execPath, [path.join(root, "eval.js"), "--questions", "questions.json", ...args], { cwd: dir, env, encoding: "utf8", timeout: 120000 });
+}
+
+test("a retrieval-only run writes a report, then diffs the next run against the saved baseline", t => {
+  const dir = workspace(t);
+  const first = runEval(dir, ["--retrieval-only", "--k", "3", "--save-baseline"]);
+  assert.equal(first.status, 0, first.stderr);
+
+  const report = JSON.parse(fs.readFileSync(path.join(dir, "logs/eval-report.json"), "utf8"));
+  assert.equal(report.config.k, 3);
+  assert.equal(report.summary.retrieval.questions, 1);
+  assert.deepEqual(Object.keys(report.summary.retrieval.recall), ["@1", "@3"]);
+  assert.equal(report.summary.answers, undefined);
+  assert.equal(report.questions[1].retrieval.recall, undefined);
+  assert.ok(fs.existsSync(path.join(dir, "logs/eval-baseline.json")));
+
+  const second = runEval(dir, ["--retrieval-only", "--k", "3"]);
+  assert.equal(second.status, 0, second.stderr);
+  const diff = JSON.parse(fs.readFileSync(path.join(dir, "logs/eval-report.json"), "utf8")).diff;
+  assert.equal(diff.metrics.find(metric => metric.metric === "retrieval.mrr").change, "same");
+  assert.deepEqual(diff.questions, []);
+});
+
+test("bad arguments fail with exit code 1 before building the index", t => {
+  const dir = workspace(t);
+  for (const args of [["--k", "0"], ["--lexical-weight", "2"], ["--unknown"], ["--profile"]]) {
+    const result = runEval(dir, args);
+    assert.equal(result.status, 1, args.join(" "));
+    assert.match(result.stderr, /Evaluation failed/);
+  }
+  assert.equal(fs.existsSync(path.join(dir, "logs")), false);
+});
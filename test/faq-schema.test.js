@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { validateFAQ, formatProblems, formatFAQ } from "../faq-schema.js";
+
+const shipped = JSON.parse(fs.readFileSync(new URL("../docs/faq-commands.json", import.meta.url), "utf8"));
+
+test("the shipped FAQ matches the schema", () => {
+  assert.deepEqual(formatProblems(validateFAQ(shipped)), []);
+});
+
+test("problems name the offending path", () => {
+  const data = {
+    faq: {
+      balance: {
+        category: "Balance",
+        questions: ["How do I check my balance?"],
+        answer: "Use rsk-cli balance",
+        command: "rsk-cli balance",
+        options: [{ name: "testnet", flag: "--testnet", type: "bool" }]
+      }
+    },
+    general: { category: "General", questions: "not a list", answer: "..." }
+  };
+  const paths = validateFAQ(data).map(problem => problem.path);
+  assert.ok(paths.includes("faq.balance.options[0].type"), paths.join(", "));
+  assert.ok(paths.includes("general.questions"), paths.join(", "));
+});
+
+test("boolean options need keywords and the root must be an object", () => {
+  const data = {
+    faq: {
+      tx: {
+        category: "Tx",
+        questions: ["status?"],
+        answer: "...",
+        command: "rsk-cli tx",
+        options: [{ name: "testnet", flag: "--testnet", type: "boolean" }]
+      }
+    }
+  };
+  assert.deepEqual(validateFAQ(data).map(problem => problem.path), ["faq.tx.options[0].keywords"]);
+  assert.deepEqual(validateFAQ(null), [{ path: "(root)", message: "must be an object" }]);
+  assert.deepEqual(validateFAQ([]), [{ path: "(root)", message: "must be an object" }]);
+});
+
+test("formatFAQ round-trips the shipped file", () => {
+  assert.deepEqual(JSON.parse(formatFAQ(shipped)), shipped);
+});
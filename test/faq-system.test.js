@@ -0,0 +1,126 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import FAQSystem from "../faq-system.js";
+
+const FAQ = {
+  faq: {
+    balance: {
+      category: "Balance",
+      questions: ["How do I check my balance?", "What is my wallet balance?"],
+      answer: "Use `rsk-cli balance`",
+      command: "rsk-cli balance",
+      executable: true,
+      options: [{ name: "testnet", flag: "--testnet", type: "boolean", keywords: ["testnet"] }]
+    },
+    transfer: {
+      category: "Transfer",
+      questions: ["How do I transfer RBTC?", "How do I send tokens?"],
+      answer: "Use `rsk-cli transfer`",
+      command: "rsk-cli transfer",
+      executable: true
+    },
+    "wallet-balance-history": {
+      category: "History",
+      questions: ["What is my wallet history?"],
+      answer: "Use `rsk-cli history`",
+      command: "rsk-cli history",
+      executable: true
+    }
+  },
+  general: {
+    category: "General",
+    questions: ["What is rsk-cli?"],
+    answer: "A command line tool for Rootstock"
+  }
+};
+
+// Word counts hashed into 64 dimensions: texts sharing words get close vectors
+function embed(text) {
+  const vector = new Array(64).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    vector[[...word].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 64, 7)] += 1;
+  }
+  return vector;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "faq-system-"));
+const faqPath = path.join(dir, "faq.json");
+fs.writeFileSync(faqPath, JSON.stringify(FAQ));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("exact and reworded questions match their category", async () => {
+  const faq = new FAQSystem(faqPath);
+  const exact = await faq.getInstantAnswer("How do I check my balance?");
+  assert.equal(exact.category, "balance");
+  assert.equal(exact.confidence, 1);
+  assert.equal((await faq.getInstantAnswer("check balance")).category, "balance");
+  assert.equal((await faq.getInstantAnswer("What is rsk-cli?")).category, "general");
+  assert.equal(await faq.getInstantAnswer("compile a solidity contract"), null);
+});
+
+test("typos still match, stopwords alone do not", async () => {
+  const faq = new FAQSystem(faqPath);
+  assert.equal((await faq.getInstantAnswer("how do i chekc my balnce")).category, "balance");
+  assert.equal((await faq.getInstantAnswer("trasnfer rbtc")).category, "transfer");
+  assert.equal(faq.calculateSimilarity("how do I do it", "How do I check my balance?"), 0);
+});
+
+test("close scores across categories are reported as alternatives", async () => {
+  const faq = new FAQSystem(faqPath);
+  const answer = await faq.getInstantAnswer("what is in my wallet?");
+  assert.ok(["balance", "wallet-balance-history"].includes(answer.category));
+  assert.deepEqual(answer.alternatives.map(candidate => candidate.category).sort(),
+    ["balance", "wallet-balance-history"].filter(category => category !== answer.category));
+});
+
+test("question embeddings are combined with the lexical score", () => {
+  const faq = new FAQSystem(faqPath, { semanticWeight: 0.7 });
+  faq.setQuestionVectors(faq.getEntries().map(entry => embed(entry.question)));
+  assert.throws(() => faq.setQuestionVectors([]), /Expected 6 FAQ vectors, got 0/);
+
+  const question = "how do I send some tokens";
+  const [best] = faq.findMatches(question, { queryVector: embed(question) });
+  assert.equal(best.category, "transfer");
+  assert.ok(Math.abs(best.score - (0.7 * best.semanticScore + 0.3 * best.lexicalScore)) < 1e-12);
+});
+
+test("command suggestions fill the entry's options", () => {
+  const faq = new FAQSystem(faqPath);
+  assert.deepEqual(faq.getCommandSuggestion("check my balance on testnet"), {
+    command: "rsk-cli balance --testnet",
+    baseCommand: "rsk-cli balance",
+    category: "balance",
+    confidence: faq.findBestMatch("check my balance on testnet").score,
+    options: { testnet: true },
+    missing: [],
+    invalid: []
+  });
+  assert.equal(faq.getCommandSuggestion("what is rsk-cli?"), null);
+  assert.deepEqual(faq.getStats(), { categories: 4, questions: 6, commands: 3 });
+});
+
+test("a missing or invalid file leaves the FAQ empty, or throws when strict", () => {
+  const invalid = path.join(dir, "invalid.json");
+  fs.writeFileSync(invalid, JSON.stringify({ faq: { balance: { category: "Balance", questions: "not a list", answer: "" } } }));
+  const warnings = [];
+  const original = console.warn;
+  console.warn = message => warnings.push(message);
+  try {
+    for (const file of [path.join(dir, "missing.json"), invalid]) {
+      const faq = new FAQSystem(file);
+      assert.ok(faq.loadError.includes(file));
+      assert.deepEqual(faq.getEntries(), []);
+      assert.deepEqual(faq.getStats(), { categories: 0, questions: 0, commands: 0 });
+    }
+  } finally {
+    console.warn = original;
+  }
+  assert.match(warnings.join("\n"), /Running without FAQ answers/);
+
+  assert.throws(() => new FAQSystem(path.join(dir, "missing.json"), { strict: true }), /Could not load FAQ file/);
+  assert.throws(() => new FAQSystem(invalid, { strict: true }), /Invalid FAQ file [^\n]+:\n  faq\.balance\.questions/);
+  assert.equal(new FAQSystem(faqPath).loadError, null);
+});
@@ -0,0 +1,76 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import FAQSystem from "../faq-system.js";
+import { findOverlaps, lintFAQ, suggestEntries } from "../faq-toolkit.js";
+
+const README = `# rsk-cli
+
+## Features
+
+### 2. Check Balance
+
+\`\`\`bash
+rsk-cli balance --testnet
+\`\`\`
+
+### 3. Transfer (RBTC and ERC20)
+
+Transfer RBTC or tokens.
+
+\`\`\`bash
+rsk-cli transfer --testnet --address 0x123 --value 0.001
+\`\`\`
+`;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "faq-toolkit-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function faqSystem(faq) {
+  const file = path.join(dir, `${Object.keys(faq.faq).join("-")}.json`);
+  fs.writeFileSync(file, JSON.stringify(faq));
+  return new FAQSystem(file, { strict: true });
+}
+
+const entry = (command, questions, extra = {}) => ({ category: command, questions, answer: `Use \`rsk-cli ${command}\``, command: `rsk-cli ${command}`, ...extra });
+
+test("findOverlaps reports near-identical questions of different categories", () => {
+  const faq = faqSystem({ faq: {
+    balance: entry("balance", ["How do I check my balance?"]),
+    transfer: entry("transfer", ["How do I check my balnce?", "How do I send RBTC?"])
+  } });
+  const overlaps = findOverlaps(faq);
+  assert.equal(overlaps.length, 1);
+  assert.deepEqual([overlaps[0].first.category, overlaps[0].second.category], ["balance", "transfer"]);
+  assert.deepEqual(findOverlaps(faq, { threshold: 1 }), []);
+});
+
+test("lintFAQ flags commands and flags the README does not document", () => {
+  const faq = faqSystem({ faq: {
+    balance: entry("balance", ["How do I check my balance?"], {
+      options: [{ name: "wallet", flag: "--wallet", type: "wallet" }, { name: "testnet", flag: "--testnet", type: "boolean", keywords: ["testnet"] }]
+    }),
+    stake: entry("stake", ["How do I stake?"])
+  } });
+  const { errors, warnings } = lintFAQ(faq, README);
+  assert.deepEqual(errors, [{ path: "faq.stake.command", message: "\"rsk-cli stake\" does not appear in the README" }]);
+  assert.deepEqual(warnings.map(warning => warning.path), ["faq.balance.options.wallet", "faq.stake.answer"]);
+});
+
+test("the shipped FAQ lints cleanly against the shipped README", () => {
+  const faq = new FAQSystem(fileURLToPath(new URL("../docs/faq-commands.json", import.meta.url)), { strict: true });
+  assert.deepEqual(lintFAQ(faq, fs.readFileSync(new URL("../docs/README.md", import.meta.url), "utf8")).errors, []);
+});
+
+test("suggestEntries proposes questions for README sections the FAQ does not cover", () => {
+  const faq = faqSystem({ faq: { balance: entry("balance", ["How do I check balance?"]) } });
+  const suggestions = suggestEntries(faq, README, { readmePath: "./docs/README.md" });
+  assert.deepEqual(suggestions.map(({ target, command, question }) => ({ target, command, question })), [
+    { target: null, command: "rsk-cli transfer", question: "How do I transfer?" }
+  ]);
+  assert.match(suggestions[0].answer, /^Transfer RBTC or tokens\.\n- `rsk-cli transfer --testnet --address 0x123 --value 0.001`$/);
+  assert.equal(suggestions[0].source, "docs/README.md:11-17 › Features > Transfer (RBTC and ERC20)");
+});
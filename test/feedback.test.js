@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import FeedbackStore, { buildReviewQueue, mergeReviewQueue, applyProposal, clusterFeedback } from "../feedback.js";
+import FAQSystem from "../faq-system.js";
+
+const FAQ = {
+  faq: {
+    balance: {
+      category: "Balance",
+      questions: ["How do I check my balance?"],
+      answer: "Use `rsk-cli balance`",
+      command: "rsk-cli balance",
+      executable: true
+    }
+  }
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "feedback-"));
+fs.writeFileSync(path.join(dir, "faq.json"), JSON.stringify(FAQ));
+const faqSystem = new FAQSystem(path.join(dir, "faq.json"));
+
+const answer = (question, extra = {}) => ({ id: "a1", question, standaloneQuestion: question, path: "rag", answer: "Run `rsk-cli wallet` [S1]", sources: [], ...extra });
+
+test("ratings are stored redacted and without citations, and bad input is refused", () => {
+  const store = new FeedbackStore({ file: path.join(dir, "ratings/feedback.jsonl") });
+  assert.deepEqual(store.read(), []);
+
+  const record = store.add(answer("my key is 0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318"), "bad", { correction: " Use the wallet command ", sessionId: "s1" });
+  assert.equal(record.answer, "Run `rsk-cli wallet`");
+  assert.doesNotMatch(record.question, /4c0883a6/);
+  assert.equal(record.correction, "Use the wallet command");
+  assert.deepEqual(store.read(), [record]);
+
+  assert.throws(() => store.add(answer("q"), "meh"), /Unknown rating "meh"/);
+  assert.throws(() => store.add({ path: "suggestions" }, "good"), { message: /Only answers can be rated/, status: 400 });
+  assert.throws(() => store.add(answer("q"), "good", { correction: "  " }), /non-empty string/);
+});
+
+test("similar questions cluster together", () => {
+  const records = ["How do I make a wallet?", "how do i make a wallet", "What is the gas price?"].map(question => ({ question, rating: "good" }));
+  const clusters = clusterFeedback(records, (a, b) => faqSystem.calculateSimilarity(a, b));
+  assert.deepEqual(clusters.map(cluster => [cluster.questions.length, cluster.good]), [[2, 2], [1, 1]]);
+});
+
+test("well-rated questions become proposals for an entry or a new category", () => {
+  const records = [
+    { ...answer("How can I check my balance?"), rating: "good", commandIssues: 0, correction: null },
+    { ...answer("How can I check my balance?"), rating: "good", commandIssues: 0, correction: null },
+    { ...answer("How do I make a wallet?"), rating: "good", commandIssues: 0, correction: null },
+    { ...answer("How do I make a wallet?"), rating: "good", commandIssues: 0, correction: "Run `rsk-cli wallet`" },
+    { ...answer("What is the gas price?"), rating: "good", commandIssues: 0, correction: null }
+  ];
+  const proposals = buildReviewQueue(records, faqSystem);
+  assert.deepEqual(proposals.map(proposal => [proposal.kind, proposal.target]), [["questions", "faq.balance"], ["category", "make-wallet"]]);
+  assert.equal(proposals[1].entry.answer, "Run `rsk-cli wallet`");
+
+  const withQuestion = applyProposal(FAQ, proposals[0]);
+  assert.deepEqual(withQuestion.faq.balance.questions, ["How do I check my balance?", "How can I check my balance?"]);
+  assert.equal(FAQ.faq.balance.questions.length, 1);
+  assert.equal(applyProposal(FAQ, proposals[1])["make-wallet"].category, "Make Wallet");
+  assert.throws(() => applyProposal({ ...FAQ, "make-wallet": {} }, proposals[1]), /already exists/);
+
+  const queue = mergeReviewQueue({ proposals: [{ ...proposals[0], status: "rejected" }] }, proposals);
+  assert.deepEqual(queue.proposals.map(proposal => proposal.status), ["rejected", "pending"]);
+});
@@ -0,0 +1,10 @@
+// Stand-in for rsk-cli (RSK_CLI_BIN=test/fixtures/rsk-cli-stub.js): prints its arguments as JSON
+// on stdout and a line on stderr. "--exit <code>" sets the exit code, "--sleep <ms>" waits first.
+const args = process.argv.slice(2);
+const option = name => (args.includes(name) ? Number(args[args.indexOf(name) + 1]) : null);
+
+setTimeout(() => {
+  process.stdout.write(JSON.stringify({ args }) + "\n");
+  process.stderr.write("stub stderr\n");
+  process.exitCode = option("--exit") ?? 0;
+}, option("--sleep") ?? 0);
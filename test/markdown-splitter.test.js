@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import MarkdownSplitter, { findSections } from "../markdown-splitter.js";
+
+const markdown = `# rsk-cli
+
+Intro text.
+
+## Features
+
+### 3. Transfer (RBTC and ERC20)
+
+Transfer RBTC.
+
+#### Testnet
+
+\`\`\`bash
+# not a heading
+rsk-cli transfer --testnet
+\`\`\`
+
+## Empty
+
+## Credits
+Thanks.
+`;
+
+const split = (text, chunkSize) => new MarkdownSplitter({ chunkSize }).splitDocument({ pageContent: text, metadata: { source: "README.md" } });
+
+test("sections follow the heading hierarchy and skip the title", () => {
+  const sections = findSections(markdown);
+  assert.deepEqual(sections.map(section => section.headings.join(" > ")), [
+    "", "", "Features", "Features > Transfer (RBTC and ERC20)", "Features > Transfer (RBTC and ERC20) > Testnet", "Empty", "Credits"
+  ]);
+  const testnet = sections[4];
+  assert.equal(testnet.startLine, 11);
+  assert.equal(testnet.endLine, 16);
+});
+
+test("chunks start with their breadcrumb and skip sections without a body", () => {
+  const chunks = split(markdown, 1000);
+  const testnet = chunks.find(chunk => chunk.metadata.section === "Testnet");
+  assert.match(testnet.pageContent, /^Features > Transfer \(RBTC and ERC20\) > Testnet\n\n#### Testnet/);
+  assert.equal(testnet.metadata.source, "README.md");
+  assert.ok(!chunks.some(chunk => ["Features", "Empty"].includes(chunk.metadata.section)));
+});
+
+test("packed parts keep the blank lines between blocks and stay within chunkSize", () => {
+  const paragraphs = Array.from({ length: 6 }, (_, i) => `Paragraph ${i} ${"word ".repeat(12).trim()}.`);
+  const list = Array.from({ length: 12 }, (_, i) => `- item ${i} ${"text ".repeat(6).trim()}`);
+  const section = `## Long\n\n${paragraphs.join("\n\n")}\n\n${list.join("\n")}\n`;
+  const chunks = split(section, 200);
+
+  assert.ok(chunks.length > 2);
+  for (const chunk of chunks) {
+    const body = chunk.pageContent.slice("Long\n\n".length);
+    assert.ok(body.length <= 200, `${body.length} chars: ${body}`);
+    assert.ok(!/\.\nParagraph/.test(body), `paragraphs glued together: ${body}`);
+  }
+  assert.match(chunks[0].pageContent, /Paragraph 0 [^\n]+\n\nParagraph 1/);
+  assert.deepEqual(chunks.map(chunk => chunk.metadata.part), chunks.map((_, i) => i + 1));
+  const lines = section.split("\n");
+  for (const { metadata, pageContent } of chunks) {
+    assert.equal(lines.slice(metadata.startLine - 1, metadata.endLine).join("\n").trim(), pageContent.slice("Long\n\n".length));
+  }
+});
+
+test("fenced code longer than chunkSize stays whole", () => {
+  const code = Array.from({ length: 20 }, (_, i) => `rsk-cli balance --wallet wallet-${i}`).join("\n");
+  const chunks = split(`## Code\n\nExample:\n\n\`\`\`bash\n${code}\n\`\`\`\n\nAfter.\n`, 100);
+  const fenced = chunks.find(chunk => chunk.pageContent.includes("```bash"));
+  assert.match(fenced.pageContent, /^Code\n\nExample:\n\n```bash\n[\s\S]*wallet-19\n```$/);
+  assert.equal(chunks[chunks.length - 1].pageContent, "Code\n\nAfter.");
+});
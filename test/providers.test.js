@@ -0,0 +1,113 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createLLM, createEmbeddings, providerConfigFromEnv } from "../providers.js";
+
+// A small OpenAI-compatible server; routes maps "POST /path" to a handler(body, res)
+async function withServer(routes, run) {
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => routes[`${req.method} ${req.url}`](JSON.parse(raw), res));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}/v1`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const event = text => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`;
+
+async function collect(stream) {
+  let text = "";
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+test("providerConfigFromEnv leaves unset variables out", () => {
+  assert.deepEqual(providerConfigFromEnv({ LLM_PROVIDER: "openai", LLM_TIMEOUT: "5000", EMBEDDING_MODEL: "" }), {
+    llm: { provider: "openai", timeout: 5000 },
+    embedding: {}
+  });
+});
+
+test("unknown providers and bad dimensions are refused", () => {
+  assert.throws(() => createLLM({ provider: "nope" }), /Unknown LLM provider "nope"/);
+  assert.throws(() => createEmbeddings({ provider: "fake", dimensions: 0 }), /Invalid embedding dimensions 0/);
+});
+
+test("fake embeddings are deterministic, normalized and namespaced by dimensions", async () => {
+  const embeddings = createEmbeddings({ provider: "fake", dimensions: 32 });
+  assert.equal(embeddings.id, "fake:fake-embed:32");
+  const [a, b] = await embeddings.embedDocuments(["check the wallet balance", "check the wallet balance"]);
+  assert.deepEqual(a, b);
+  assert.equal(a.length, 32);
+  assert.ok(Math.abs(Math.hypot(...a) - 1) < 1e-9);
+});
+
+test("the fake LLM quotes the context and cites its label", async () => {
+  const llm = createLLM({ provider: "fake" });
+  const prompt = "Context:\n[S1] README.md\nUse rsk-cli balance\n\nQuestion: how do I check my balance?";
+  assert.equal(await llm.generate(prompt), "Based on the context: Use rsk-cli balance [S1]");
+  assert.equal(await collect(llm.stream(prompt)), "Based on the context: Use rsk-cli balance [S1]");
+});
+
+test("OpenAI-compatible streams may outlast the timeout while tokens keep coming", () => withServer({
+  "POST /v1/chat/completions": async (body, res) => {
+    assert.equal(body.stream, true);
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    for (const word of ["one ", "two ", "three"]) {
+      res.write(event(word));
+      await sleep(150);
+    }
+    res.end("data: [DONE]\n\n");
+  }
+}, async baseUrl => {
+  const llm = createLLM({ provider: "openai", baseUrl, timeout: 250 });
+  assert.equal(await collect(llm.stream("hi")), "one two three");
+}));
+
+test("OpenAI-compatible streams time out when the server stalls", () => withServer({
+  "POST /v1/chat/completions": async (body, res) => {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    res.write(event("one "));
+    await sleep(500);
+    res.end("data: [DONE]\n\n");
+  }
+}, async baseUrl => {
+  const llm = createLLM({ provider: "openai", baseUrl, timeout: 100 });
+  await assert.rejects(collect(llm.stream("hi")), { name: "TimeoutError" });
+}));
+
+test("a malformed stream event becomes a provider error", () => withServer({
+  "POST /v1/chat/completions": (body, res) => {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    res.end(`${event("one ")}data: {not json\n\n`);
+  }
+}, async baseUrl => {
+  const llm = createLLM({ provider: "openai", baseUrl });
+  await assert.rejects(collect(llm.stream("hi")), /sent an invalid stream event: \{not json/);
+}));
+
+test("OpenAI-compatible embeddings are ordered by index and checked for size", () => withServer({
+  "POST /v1/embeddings": (body, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ data: body.input.map((text, index) => ({ index, embedding: [index, text.length] })).reverse() }));
+  }
+}, async baseUrl => {
+  assert.deepEqual(await createEmbeddings({ provider: "openai", baseUrl }).embedDocuments(["a", "bb"]), [[0, 1], [1, 2]]);
+  await assert.rejects(createEmbeddings({ provider: "openai", baseUrl, dimensions: 3 }).embedQuery("a"), /2-dimensional embeddings, 3 configured/);
+}));
+
+test("error responses name the URL and status", () => withServer({
+  "POST /v1/chat/completions": (body, res) => {
+    res.writeHead(500, { "Content-Type": "text/plain" });
+    res.end("model not loaded");
+  }
+}, async baseUrl => {
+  await assert.rejects(createLLM({ provider: "openai", baseUrl }).generate("hi"), /responded 500 Internal Server Error: model not loaded/);
+}));
@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadAliases, expandQuery, buildHydePrompt } from "../query-expansion.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "query-expansion-"));
+function aliasFile(name, data) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof data === "string" ? data : JSON.stringify(data));
+  return file;
+}
+
+const aliases = loadAliases(aliasFile("aliases.json", {
+  aliases: [
+    { match: ["peg-in", "trbtc"], expand: ["bridge", "testnet"] },
+    { match: ["test net"], expand: ["testnet"] }
+  ]
+}));
+
+test("phrases match whole words with spaces and hyphens interchangeable", () => {
+  assert.deepEqual(expandQuery("How do I peg in?", aliases), {
+    expansions: [{ matched: "peg in", terms: ["bridge", "testnet"] }],
+    expanded: "How do I peg in? bridge testnet"
+  });
+  assert.equal(expandQuery("PEGIN now", aliases).expanded, "PEGIN now bridge testnet");
+  assert.equal(expandQuery("a peg-inx or trbtcs", aliases).expansions.length, 0);
+});
+
+test("terms already in the question or added by an earlier alias are not repeated", () => {
+  assert.equal(expandQuery("peg-in on the test net", aliases).expanded, "peg-in on the test net bridge testnet");
+  assert.equal(expandQuery("bridge trbtc", aliases).expanded, "bridge trbtc testnet");
+  assert.deepEqual(expandQuery("get testnet trbtc from the bridge", aliases), { expansions: [], expanded: "get testnet trbtc from the bridge" });
+});
+
+test("bad alias files name the file and the problem", () => {
+  assert.throws(() => loadAliases(path.join(dir, "missing.json")), /Could not load query aliases .*missing\.json/);
+  assert.throws(() => loadAliases(aliasFile("list.json", { aliases: {} })), /"aliases" must be a list/);
+  assert.throws(() => loadAliases(aliasFile("empty.json", { aliases: [{ match: ["x"], expand: [" "] }] })), /aliases\[0\]\.expand must be a non-empty list/);
+});
+
+test("the shipped dictionary loads and the HyDE prompt carries the question", () => {
+  assert.ok(loadAliases(new URL("../docs/query-aliases.json", import.meta.url)).length > 0);
+  assert.match(buildHydePrompt("How do I pay gas?"), /Question: How do I pay gas\?\n\nPassage:$/);
+});
@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import QueryLog, { readQueryLog, redactText, toRecord } from "../query-log.js";
+
+const address = "0x8A0d290b2EE35eFde47810CA8fF057e109e4190B";
+const key = `0x${"ab".repeat(32)}`;
+
+test("secrets redaction replaces addresses, keys and secret flag values", () => {
+  const redacted = redactText(`send 1 to ${address} with key ${key} --password hunter2 --api-key=abc123`, "secrets");
+  assert.equal(redacted, "send 1 to <address> with key <key-or-hash> --password <redacted> --api-key=<redacted>");
+});
+
+test("keys without 0x are redacted as well", () => {
+  assert.equal(redactText(`pk ${"cd".repeat(32)}`, "secrets"), "pk <key-or-hash>");
+});
+
+test("none keeps the text and full drops it", () => {
+  assert.equal(redactText(`balance of ${address}`, "none"), `balance of ${address}`);
+  assert.equal(redactText(`balance of ${address}`, "full"), null);
+  assert.equal(redactText(null, "secrets"), null);
+});
+
+// A log file in a temp dir, removed when the test ends
+function logFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rag-query-log-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "logs/queries.jsonl");
+}
+
+const ragResult = {
+  id: "answer-1",
+  standaloneQuestion: `What is the balance of ${address} on testnet?`,
+  path: "rag",
+  answer: "Use rsk-cli balance [S1]",
+  refusal: false,
+  sources: [{ source: "README.md", location: "README.md:10-20", score: 0.8, cited: true, text: "not logged" }],
+  timings: { total: 1200, firstToken: 300 },
+  commandCheck: { ok: false, issues: [{ type: "flag", value: "--fast" }] },
+  citations: { invalid: [] }
+};
+
+test("a record is written, read back and redacted with the log's mode", t => {
+  const file = logFile(t);
+  const log = new QueryLog({ file, redact: "secrets", mode: "test", profile: "fast" });
+  log.record(`and for ${address}?`, ragResult);
+
+  const { records, skipped } = readQueryLog(file);
+  assert.equal(skipped, 0);
+  const [record] = records;
+  assert.deepEqual([record.mode, record.profile, record.redact, record.id, record.path], ["test", "fast", "secrets", "answer-1", "rag"]);
+  assert.equal(record.question, "and for <address>?");
+  assert.equal(record.standaloneQuestion, "What is the balance of <address> on testnet?");
+  assert.deepEqual(record.sources, [{ source: "README.md", location: "README.md:10-20", score: 0.8, cited: true }]);
+  assert.deepEqual([record.answerLength, record.commandIssues, record.invalidCitations], [24, 1, 0]);
+  assert.equal(record.answer, undefined);
+});
+
+test("failed and cancelled questions are recorded with their error, and full redaction keeps only the hash", () => {
+  const failed = toRecord("balance?", null, { error: new Error("connect ECONNREFUSED"), redact: "secrets" });
+  assert.deepEqual([failed.path, failed.error, failed.question], ["error", "connect ECONNREFUSED", "balance?"]);
+
+  const cancelled = toRecord("Balance?", null, { error: Object.assign(new Error("Generation cancelled"), { name: "AbortError" }), redact: "full" });
+  assert.deepEqual([cancelled.path, cancelled.error, cancelled.question], ["cancelled", "AbortError", null]);
+  assert.equal(cancelled.questionHash, toRecord("  balance? ", ragResult).questionHash);
+});
+
+test("unreadable lines are counted and skipped", t => {
+  const file = logFile(t);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ path: "faq" })}\n{"path": "ra\n\n${JSON.stringify({ path: "rag" })}\n`);
+  const { records, skipped } = readQueryLog(file);
+  assert.deepEqual(records.map(record => record.path), ["faq", "rag"]);
+  assert.equal(skipped, 1);
+});
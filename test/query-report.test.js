@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { runReportCommand, summarizeQueries } from "../query-report.js";
+
+// Hand-written log records: a catalog and a FAQ hit, three model answers (two refusals of the same question), one failure
+const records = [
+  { timestamp: "2026-10-01T10:00:00.000Z", mode: "chat", question: "What options does transfer take?", questionHash: "a", path: "catalog", timings: { total: 20 } },
+  { timestamp: "2026-10-02T10:00:00.000Z", mode: "chat", question: "How do I check my balance?", questionHash: "b", path: "faq", faq: { category: "balance" }, timings: { total: 40 } },
+  {
+    timestamp: "2026-10-03T10:00:00.000Z", mode: "server", question: "How does the bridge work?", questionHash: "c", path: "rag",
+    timings: { total: 3000, firstToken: 800 }, refusal: false, commandIssues: 1,
+    sources: [{ source: "README.md", score: 0.8, cited: true }, { source: "src/commands/bridge.ts", score: 0.6, cited: false }]
+  },
+  {
+    timestamp: "2026-10-04T10:00:00.000Z", mode: "server", question: "Can I stake RIF tokens?", questionHash: "d", path: "rag",
+    timings: { total: 5000, firstToken: 1000 }, refusal: true, commandIssues: 0,
+    sources: [{ source: "README.md", score: 0.4, cited: false }]
+  },
+  {
+    timestamp: "2026-10-05T10:00:00.000Z", mode: "chat", question: "can i stake rif tokens", questionHash: "d", path: "rag",
+    timings: { total: 4000, firstToken: 900 }, refusal: true, commandIssues: 0, sources: []
+  },
+  { timestamp: "2026-10-06T10:00:00.000Z", mode: "chat", question: "What is a peg-out?", questionHash: "e", path: "error", error: "ECONNREFUSED" }
+];
+
+test("rates are shares of answered questions, refusals a share of model answers", () => {
+  const summary = summarizeQueries(records);
+  assert.equal(summary.total, 6);
+  assert.deepEqual(summary.period, { from: "2026-10-01T10:00:00.000Z", to: "2026-10-06T10:00:00.000Z" });
+  assert.deepEqual(summary.modes, { chat: 4, server: 2 });
+  assert.deepEqual(summary.paths, { catalog: 1, faq: 1, clarify: 0, rag: 3, cancelled: 0, error: 1 });
+  assert.deepEqual(summary.rates, { catalog: 0.2, faq: 0.2, clarify: 0, rag: 0.6, refusal: 2 / 3, commandIssues: 1 / 3 });
+  assert.deepEqual(summary.latency.rag, { count: 3, p50: 4000, p90: 5000, max: 5000 });
+  assert.equal(summary.latency.ragFirstToken.p50, 900);
+  assert.deepEqual(summary.faqCategories, [{ category: "balance", hits: 1 }]);
+});
+
+test("slowest questions, unanswered topics and top files", () => {
+  const summary = summarizeQueries(records, { top: 2 });
+  assert.deepEqual(summary.slowest.map(row => [row.question, row.total]), [["Can I stake RIF tokens?", 5000], ["can i stake rif tokens", 4000]]);
+  assert.deepEqual(summary.unanswered.questions, [{ question: "Can I stake RIF tokens?", count: 2, lastAsked: "2026-10-05T10:00:00.000Z" }]);
+  assert.deepEqual(summary.unanswered.terms, [{ term: "stake", count: 2 }, { term: "rif", count: 2 }]);
+  assert.deepEqual(summary.files.map(({ meanScore, ...file }) => ({ ...file, meanScore: Number(meanScore.toFixed(3)) })), [
+    { file: "README.md", retrieved: 2, cited: 1, meanScore: 0.6 },
+    { file: "src/commands/bridge.ts", retrieved: 1, cited: 0, meanScore: 0.6 }
+  ]);
+});
+
+test("an empty log has no rates instead of dividing by zero", () => {
+  const summary = summarizeQueries([]);
+  assert.deepEqual(summary.period, { from: null, to: null });
+  assert.equal(summary.rates.faq, null);
+  assert.equal(summary.rates.refusal, null);
+});
+
+// Run the report on a log file and return { code, output } with --json output parsed
+async function report(t, args) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rag-report-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "queries.jsonl");
+  fs.writeFileSync(file, records.map(record => JSON.stringify(record)).join("\n") + "\nnot json\n");
+
+  const log = t.mock.method(console, "log", () => {});
+  const error = t.mock.method(console, "error", () => {});
+  const code = await runReportCommand(["--file", file, ...args]);
+  const printed = [...log.mock.calls, ...error.mock.calls].map(call => call.arguments.join(" ")).join("\n");
+  return { code, output: args.includes("--json") && code === 0 ? JSON.parse(printed) : printed };
+}
+
+test("report filters by --since and --mode and limits lists with --top", async t => {
+  const all = await report(t, ["--json"]);
+  assert.deepEqual([all.code, all.output.total, all.output.skippedLines], [0, 6, 1]);
+
+  const recent = await report(t, ["--json", "--since", "2026-10-04"]);
+  assert.equal(recent.output.total, 3);
+
+  const server = await report(t, ["--json", "--mode", "server", "--top", "1"]);
+  assert.deepEqual([server.output.total, server.output.slowest.length, server.output.files.length], [2, 1, 1]);
+});
+
+test("report refuses bad arguments and a missing file with exit code 1", async t => {
+  for (const args of [["--since", "yesterday"], ["--top", "0"], ["--mode"], ["--nope"]]) {
+    assert.equal((await report(t, args)).code, 1, args.join(" "));
+  }
+  const error = t.mock.method(console, "error", () => {});
+  assert.equal(await runReportCommand(["--file", path.join(os.tmpdir(), "rag-report-missing.jsonl")]), 1);
+  assert.match(error.mock.calls[0].arguments[0], /Could not read query log/);
+});
@@ -0,0 +1,154 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRagEngine } from "../rag-engine.js";
+import SearchPool from "../search-pool.js";
+
+// The shipped docs and src/, with the offline providers and no cache on disk
+const root = fileURLToPath(new URL("..", import.meta.url));
+const engine = createRagEngine({
+  cacheEmbeddings: false,
+  readmePath: `${root}docs/README.md`,
+  srcPath: `${root}src`,
+  faqPath: `${root}docs/faq-commands.json`,
+  aliasesPath: `${root}docs/query-aliases.json`,
+  llm: { provider: "fake" },
+  embedding: { provider: "fake" }
+});
+
+test.before(() => engine.buildIndex());
+test.after(() => engine.close());
+
+test("FAQ questions get the synthesized command", async () => {
+  const result = await engine.ask("How do I check my balance on testnet?");
+  assert.equal(result.path, "faq");
+  assert.equal(result.command, "rsk-cli balance --testnet");
+});
+
+test("option questions are answered from the command catalog", async () => {
+  const result = await engine.ask("What options does transfer take?");
+  assert.equal(result.path, "catalog");
+  assert.match(result.answer, /--address/);
+});
+
+test("other questions go through retrieval with sources", async () => {
+  const result = await engine.ask("How does the bridge command work?");
+  assert.equal(result.path, "rag");
+  assert.ok(result.sources.length > 0);
+});
+
+test("streamed answers reach onToken in order and report the time to the first token", async () => {
+  const tokens = [];
+  const result = await engine.ask("How does the bridge command work?", { onToken: token => tokens.push(token) });
+  assert.ok(tokens.length > 1);
+  assert.equal(tokens.join(""), result.answer);
+  assert.equal(typeof result.timings.firstToken, "number");
+  assert.ok(result.timings.firstToken <= result.timings.total);
+});
+
+test("aborting the signal stops generation and rejects with AbortError", async () => {
+  const controller = new AbortController();
+  const tokens = [];
+  const onToken = token => {
+    tokens.push(token);
+    controller.abort();
+  };
+  await assert.rejects(engine.ask("How does the bridge command work?", { onToken, signal: controller.signal }), { name: "AbortError" });
+  assert.equal(tokens.length, 1);
+});
+
+test("search takes k and a signal, and searches the current index", async () => {
+  const results = await engine.search("deploy a contract", 3);
+  assert.equal(results.length, 3);
+  assert.ok(results.every(result => typeof result.score === "number" && result.text && result.metadata.source));
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(engine.search("deploy a contract", 3, { signal: controller.signal }), { name: "AbortError" });
+});
+
+test("configure changes topK and refuses invalid settings", async () => {
+  await engine.configure({ profile: { topK: 2 } });
+  assert.equal((await engine.search("deploy contract")).length, 2);
+  await assert.rejects(engine.configure({ profile: { topK: 0 } }), /Invalid topK 0/);
+  assert.equal(engine.getStats().topK, 2);
+});
+
+test("failing search workers warn once and leave searching to the main thread", async t => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const exact = t.mock.method(SearchPool.prototype, "exact", async () => { throw new Error("worker crashed"); });
+  await engine.configure({ profile: { searchWorkers: 1 } });
+  try {
+    for (let i = 0; i < 3; i++) assert.equal((await engine.search("deploy contract")).length, 2);
+    assert.equal(exact.mock.callCount(), 1);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /Search workers failed, searching on the main thread: worker crashed/);
+  } finally {
+    await engine.configure({ profile: { searchWorkers: 0 } });
+  }
+});
+
+test("commands that send transactions are reported as state changing", () => {
+  assert.deepEqual(engine.getStats().stateChangingCommands, ["batch-transfer", "bridge", "deploy", "transaction", "transfer"]);
+});
+
+// A small corpus in a temp dir, edited while the engine runs
+function tempCorpus() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rag-reload-"));
+  fs.mkdirSync(path.join(dir, "src"));
+  fs.writeFileSync(path.join(dir, "README.md"), "# rsk-cli\n\n### Check Balance\n\nRun `rsk-cli balance` to see the balance of the current wallet.\n");
+  fs.writeFileSync(path.join(dir, "src/balance.ts"), `export async function balanceCommand(testnet: boolean) {\n  // Reads the balance of the current wallet${" ".repeat(60)}\n  return client.getBalance({ address });\n}\n`);
+  fs.copyFileSync(`${root}docs/faq-commands.json`, path.join(dir, "faq.json"));
+  const engine = createRagEngine({
+    cacheEmbeddings: false,
+    readmePath: path.join(dir, "README.md"),
+    srcPath: path.join(dir, "src"),
+    faqPath: path.join(dir, "faq.json"),
+    aliasesPath: `${root}docs/query-aliases.json`,
+    llm: { provider: "fake" },
+    embedding: { provider: "fake" }
+  });
+  return { dir, corpus: engine };
+}
+
+test("reload re-reads only what changed and keeps the index when the FAQ file breaks", async () => {
+  const { dir, corpus } = tempCorpus();
+  await corpus.buildIndex();
+  try {
+    const readme = path.join(dir, "README.md");
+    assert.deepEqual(await corpus.reload().then(({ added, changed, removed, faq }) => ({ added, changed, removed, faq })),
+      { added: [], changed: [], removed: [], faq: false });
+
+    fs.appendFileSync(readme, "\n### Deploy\n\nRun `rsk-cli deploy` to deploy a contract.\n");
+    const summary = await corpus.reload();
+    assert.deepEqual(summary.changed, ["README.md"]);
+    assert.ok((await corpus.search("deploy a contract")).some(result => result.text.includes("rsk-cli deploy")));
+
+    const chunks = summary.chunks;
+    fs.writeFileSync(path.join(dir, "faq.json"), "{ not json");
+    await assert.rejects(corpus.reload());
+    assert.equal(corpus.getStats().chunks, chunks);
+  } finally {
+    corpus.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("watch merges a burst of edits into one reload", async () => {
+  const { dir, corpus } = tempCorpus();
+  await corpus.buildIndex();
+  const reloaded = new Promise((resolve, reject) => {
+    const stop = corpus.watch({ delay: 50, onReload: summary => { stop(); resolve(summary); }, onError: reject });
+  });
+  try {
+    for (let i = 0; i < 3; i++) fs.appendFileSync(path.join(dir, "src/balance.ts"), `// edit ${i}\n`);
+    const summary = await reloaded;
+    assert.deepEqual(summary.changed, [`${dir}/src/balance.ts`]);
+  } finally {
+    corpus.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,34 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { rerankLexical, selectMMR, redundancy } from "../reranker.js";
+
+const idf = () => 1;
+const chunk = (text, score, metadata = {}, vector = null) => ({ text, score, vector, metadata: { source: "README.md", ...metadata } });
+
+test("rerankLexical puts the chunk sharing the question's terms first", () => {
+  const ranked = rerankLexical("how do I check my wallet balance", [
+    chunk("Deploy a contract", 0.9),
+    chunk("Check the balance of your wallet with rsk-cli balance", 0.8, { breadcrumb: "Features > Check Balance" })
+  ], { idf });
+  assert.match(ranked[0].text, /balance/);
+  assert.ok(ranked.every(candidate => typeof candidate.rerankScore === "number"));
+});
+
+test("redundancy counts shared lines of the same file", () => {
+  const a = chunk("a", 1, { source: "x.ts", startLine: 1, endLine: 10 });
+  const b = chunk("b", 1, { source: "x.ts", startLine: 6, endLine: 20 });
+  const c = chunk("c", 1, { source: "y.ts", startLine: 6, endLine: 20 });
+  assert.equal(redundancy(a, b), 0.5);
+  assert.equal(redundancy(a, c), 0);
+});
+
+test("selectMMR skips a near duplicate when lambda is below 1", () => {
+  const candidates = [
+    { ...chunk("first", 1, {}, [1, 0]), rerankScore: 1 },
+    { ...chunk("duplicate", 0.99, {}, [1, 0.01]), rerankScore: 0.95 },
+    { ...chunk("different", 0.5, {}, [0, 1]), rerankScore: 0.6 }
+  ];
+  assert.deepEqual(selectMMR(candidates, 2, { lambda: 0.5 }).map(c => c.text), ["first", "different"]);
+  assert.deepEqual(selectMMR(candidates, 2, { lambda: 1 }).map(c => c.text), ["first", "duplicate"]);
+  assert.deepEqual(selectMMR(candidates, 3, { lambda: 0.5 }).map(c => c.mmrRank), [1, 2, 3]);
+});
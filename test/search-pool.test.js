@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import SearchPool from "../search-pool.js";
+import { HnswIndex, createVectorStore, exactSearch, normalize } from "../vector-index.js";
+
+// Seeded vectors, so results do not depend on the run
+function randomVectors(count, dims, seed) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296 - 0.5;
+  };
+  return Array.from({ length: count }, () => Array.from({ length: dims }, random));
+}
+
+const vectors = randomVectors(500, 8, 3);
+const queries = randomVectors(5, 8, 11).map(normalize);
+const store = createVectorStore(vectors);
+
+test("exact search split across workers matches the main thread", async () => {
+  const pool = new SearchPool({ size: 3 });
+  try {
+    for (const query of queries) {
+      assert.deepEqual(await pool.exact(store, query, 7), exactSearch(store, query, 7));
+    }
+  } finally {
+    pool.close();
+  }
+});
+
+test("HNSW search on a worker maps nodes through live and leaves out dropped ones", async () => {
+  const graph = new HnswIndex({ dimensions: 8, m: 8, efConstruction: 64 });
+  vectors.forEach((vector, i) => graph.add(`chunk-${i}`, vector));
+  // Chunk ids in reverse node order, with every tenth node no longer indexed
+  const live = new Int32Array(new SharedArrayBuffer(graph.count * 4)).map((_, node) => (node % 10 === 0 ? -1 : graph.count - 1 - node));
+
+  const pool = new SearchPool({ size: 2 });
+  try {
+    for (const query of queries) {
+      const expected = graph
+        .search(query, 5, { ef: 64, accept: node => live[node] >= 0 })
+        .map(result => ({ id: live[result.id], score: result.score }));
+      const results = await pool.hnsw(graph.snapshot(), live, query, 5, { ef: 64 });
+      assert.deepEqual(results, expected);
+      assert.ok(results.every(result => (graph.count - 1 - result.id) % 10 !== 0));
+    }
+  } finally {
+    pool.close();
+  }
+});
+
+test("closing the pool rejects searches still running", async () => {
+  const pool = new SearchPool({ size: 2 });
+  const search = pool.exact(store, queries[0], 5);
+  pool.close();
+  await assert.rejects(search, /Search pool closed/);
+  assert.equal(pool.pending.size, 0);
+});
@@ -0,0 +1,136 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { startServer } from "../server.js";
+
+// Handlers that record what the server passes them
+const calls = [];
+const server = await startServer({
+  port: 0,
+  ask: async (question, { onToken, onRegenerate, conversation }) => {
+    calls.push({ question, conversation });
+    if (question === "regenerate") {
+      onToken?.("rsk-cli balanse");
+      onRegenerate?.({ ok: false, issues: [{ kind: "command", value: "balanse" }] });
+    }
+    onToken?.("Use ");
+    onToken?.("rsk-cli balance");
+    return { id: "answer-1", question, answer: "Use rsk-cli balance", path: "rag" };
+  },
+  search: async (question, k = 5) => Array.from({ length: k }, (_, i) => ({ score: 1 - i / 10, text: `chunk ${i}`, metadata: { source: "README.md", type: "documentation" } })),
+  rate: (id, rating) => {
+    if (id === "broken") throw new Error("EACCES: permission denied, open 'logs/feedback.jsonl'");
+    if (id === "suggestion") throw Object.assign(new Error("Suggestions cannot be rated"), { status: 400 });
+    if (id !== "answer-1") throw Object.assign(new Error(`No recent answer with id "${id}"`), { status: 404 });
+    return { rating };
+  },
+  health: () => ({ status: "ok" })
+});
+const port = server.address().port;
+test.after(() => server.close());
+
+// { status, headers, body } with body parsed when it is JSON
+function request(method, path, { body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path, headers }, res => {
+      let raw = "";
+      res.on("data", chunk => { raw += chunk; });
+      res.on("end", () => {
+        const json = /json/.test(res.headers["content-type"] || "");
+        resolve({ status: res.statusCode, headers: res.headers, body: json ? JSON.parse(raw) : raw });
+      });
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+test("POST /ask answers with the handler's result and keeps sessions apart", async () => {
+  const first = await request("POST", "/ask", { body: JSON.stringify({ question: "  balance?  ", sessionId: "s1" }) });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.answer, "Use rsk-cli balance");
+  await request("POST", "/ask", { body: JSON.stringify({ question: "again?", sessionId: "s1" }) });
+  await request("POST", "/ask", { body: JSON.stringify({ question: "other?" }) });
+  assert.equal(calls[0].question, "balance?");
+  assert.equal(calls[0].conversation, calls[1].conversation);
+  assert.equal(calls[2].conversation, undefined);
+
+  const cleared = await request("DELETE", "/session?session=s1");
+  assert.deepEqual(cleared.body, { session: "s1", cleared: true });
+});
+
+test("bad requests get 4xx with a message", async () => {
+  const cases = [
+    [["POST", "/ask", { body: "{oops" }], 400, "Invalid JSON body"],
+    [["POST", "/ask", { body: "[1]" }], 400, "JSON body must be an object"],
+    [["POST", "/ask", { body: "null" }], 400, "JSON body must be an object"],
+    [["POST", "/ask", { body: "{}" }], 400, "Missing 'question' (JSON body) or 'q' (query string)"],
+    [["POST", "/ask", { body: JSON.stringify({ question: "hi", sessionId: 5 }) }], 400, "'sessionId' must be a string"],
+    [["GET", "/search?q=wallet&k=0"], 400, "'k' must be an integer between 1 and 50"],
+    [["GET", "/ask"], 405, "Method not allowed"],
+    [["GET", "/nope"], 404, "Not found"],
+    [["GET", "/health", { headers: { Host: "[bad" } }], 400, "Invalid request URL"]
+  ];
+  for (const [args, status, error] of cases) {
+    const response = await request(...args);
+    assert.deepEqual([response.status, response.body.error], [status, error], args.join(" "));
+  }
+});
+
+test("oversized bodies get a 413 response, then the connection closes", async () => {
+  const big = JSON.stringify({ question: "x".repeat(100 * 1024) });
+  const declared = await request("POST", "/ask", { body: big });
+  assert.equal(declared.status, 413);
+  assert.equal(declared.headers.connection, "close");
+  assert.equal(declared.body.error, "Request body too large");
+
+  const chunked = await request("POST", "/ask", { body: big, headers: { "Transfer-Encoding": "chunked" } });
+  assert.equal(chunked.status, 413);
+});
+
+test("GET /search returns k scored chunks", async () => {
+  const response = await request("GET", "/search?q=wallet&k=2");
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.results.map(result => result.text), ["chunk 0", "chunk 1"]);
+});
+
+test("/ask/stream sends start, token and done events", async () => {
+  const response = await request("GET", "/ask/stream?q=balance");
+  assert.equal(response.headers["content-type"], "text/event-stream; charset=utf-8");
+  const events = [...response.body.matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+  assert.deepEqual(events, ["start", "token", "token", "done"]);
+});
+
+test("/ask/stream tells the client to discard the tokens of a regenerated answer", async () => {
+  const response = await request("GET", "/ask/stream?q=regenerate");
+  const events = [...response.body.matchAll(/^event: (\w+)\ndata: (.*)$/gm)].map(match => [match[1], JSON.parse(match[2])]);
+  assert.deepEqual(events.map(([name]) => name), ["start", "token", "regenerate", "token", "token", "done"]);
+  assert.deepEqual(events[2][1].check.issues, [{ kind: "command", value: "balanse" }]);
+  assert.deepEqual(events.slice(3, 5).map(([, data]) => data.token), ["Use ", "rsk-cli balance"]);
+});
+
+test("POST /feedback validates the body and maps only known rating errors to 4xx", async () => {
+  const feedback = body => request("POST", "/feedback", { body: JSON.stringify(body) });
+  assert.deepEqual((await feedback({ id: "answer-1", rating: "good" })).body, { id: "answer-1", rating: "good", stored: true });
+
+  const cases = [
+    [{ rating: "good" }, 400, "Missing 'id' of the answer being rated"],
+    [{ id: "answer-1", rating: "meh" }, 400, "'rating' must be \"good\" or \"bad\""],
+    [{ id: "answer-1", rating: "bad", correction: 3 }, 400, "'correction' must be a non-empty string"],
+    [{ id: "answer-1", rating: "bad", sessionId: {} }, 400, "'sessionId' must be a string"],
+    [{ id: "old", rating: "good" }, 404, "No recent answer with id \"old\""],
+    [{ id: "suggestion", rating: "good" }, 400, "Suggestions cannot be rated"]
+  ];
+  for (const [body, status, error] of cases) {
+    const response = await feedback(body);
+    assert.deepEqual([response.status, response.body.error], [status, error], JSON.stringify(body));
+  }
+
+  const original = console.error;
+  console.error = () => {};
+  try {
+    assert.equal((await feedback({ id: "broken", rating: "good" })).status, 500);
+  } finally {
+    console.error = original;
+  }
+});
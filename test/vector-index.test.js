@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { HnswIndex, createVectorStore, exactSearch, normalize } from "../vector-index.js";
+
+// Seeded clustered vectors, so recall does not depend on the run
+function clusteredVectors(count, dims, seed = 7) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+  const centers = Array.from({ length: 20 }, () => Array.from({ length: dims }, () => random() * 2 - 1));
+  return Array.from({ length: count }, () => {
+    const center = centers[Math.floor(random() * centers.length)];
+    return center.map(value => value + (random() - 0.5) * 0.6);
+  });
+}
+
+const DIMS = 16;
+const vectors = clusteredVectors(2000, DIMS);
+const queries = clusteredVectors(50, DIMS, 99).map(normalize);
+const store = createVectorStore(vectors);
+
+function buildGraph() {
+  const graph = new HnswIndex({ dimensions: DIMS, m: 12, efConstruction: 100 });
+  vectors.forEach((vector, i) => graph.add(`chunk-${i}`, vector));
+  return graph;
+}
+const graph = buildGraph();
+
+function recall(search) {
+  const k = 10;
+  let found = 0;
+  for (const query of queries) {
+    const truth = new Set(exactSearch(store, query, k).map(result => result.id));
+    found += search(query, k).filter(result => truth.has(result.id)).length;
+  }
+  return found / (queries.length * k);
+}
+
+test("exactSearch returns the best scores in order, and ranges split the work", () => {
+  const query = queries[0];
+  const all = exactSearch(store, query, 5);
+  assert.equal(all.length, 5);
+  assert.ok(all.every((result, i) => i === 0 || all[i - 1].score >= result.score));
+  const merged = [...exactSearch(store, query, 5, { from: 0, to: 1000 }), ...exactSearch(store, query, 5, { from: 1000 })]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 5);
+  assert.deepEqual(merged.map(result => result.id), all.map(result => result.id));
+});
+
+test("HNSW recall@10 against exact search", () => {
+  assert.ok(recall((query, k) => graph.search(query, k, { ef: 64 })) >= 0.95);
+});
+
+test("adding a key twice keeps one node", () => {
+  const before = graph.count;
+  assert.equal(graph.add("chunk-3", vectors[3]), 3);
+  assert.equal(graph.count, before);
+  assert.throws(() => graph.add("wrong", [1, 2, 3]), /16-dimensional/);
+});
+
+test("accept filters results and the search widens to find k", () => {
+  const results = graph.search(queries[0], 10, { ef: 10, accept: node => node % 2 === 0 });
+  assert.equal(results.length, 10);
+  assert.ok(results.every(result => result.id % 2 === 0));
+});
+
+test("save and load give the same graph", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vector-index-"));
+  try {
+    const file = path.join(dir, "index.hnsw");
+    graph.save(file, { model: "fake:hashed-64" });
+    const { index, model } = HnswIndex.load(file);
+    assert.equal(model, "fake:hashed-64");
+    assert.equal(index.count, graph.count);
+    for (const query of queries.slice(0, 10)) {
+      assert.deepEqual(index.search(query, 10), graph.search(query, 10));
+    }
+    fs.writeFileSync(file, "not an index");
+    assert.throws(() => HnswIndex.load(file), /not a version/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("snapshots do not see nodes added later", () => {
+  const small = new HnswIndex({ dimensions: DIMS });
+  vectors.slice(0, 200).forEach((vector, i) => small.add(`chunk-${i}`, vector));
+  const snapshot = small.snapshot();
+  small.add("extra", queries[1]);
+  const results = HnswIndex.fromSnapshot(snapshot).search(queries[1], 10);
+  assert.equal(results.length, 10);
+  assert.ok(results.every(result => result.id < 200));
+  assert.equal(small.search(queries[1], 1)[0].id, 200);
+});
@@ -0,0 +1,459 @@
+// Vector search over unit-length Float32Array rows: exact top-k, and an HNSW graph
+// (hierarchical navigable small world) for approximate search over large corpora.
+// Storage is allocated in SharedArrayBuffers so search workers (search-pool.js) read it without copies.
+import fs from "fs";
+
+// File layout: "RAGH" | uint32 version | uint32 header length | JSON header |
+// Float32 vectors | Int32 level-0 links | Int32 upper-level offsets | Int32 upper-level links
+const MAGIC = "RAGH";
+const VERSION = 1;
+const MAX_LEVEL = 15;
+
+let snapshotCount = 0;
+
+function shared(Type, length) {
+  return new Type(new SharedArrayBuffer(Math.max(length, 1) * Type.BYTES_PER_ELEMENT));
+}
+
+// Unit-length copy of a vector, so cosine similarity becomes a dot product
+export function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+// Rows of a flat matrix, normalized: { dimensions, count, data } with data in a SharedArrayBuffer
+export function createVectorStore(vectors) {
+  const dimensions = vectors[0]?.length || 0;
+  const data = shared(Float32Array, vectors.length * dimensions);
+  vectors.forEach((vector, row) => data.set(normalize(vector), row * dimensions));
+  return { dimensions, count: vectors.length, data };
+}
+
+function dot(data, row, dimensions, query) {
+  let sum = 0;
+  const offset = row * dimensions;
+  for (let i = 0; i < dimensions; i++) sum += data[offset + i] * query[i];
+  return sum;
+}
+
+// Binary heap of (id, score) pairs in parallel arrays. best: highest score on top, otherwise lowest.
+class Heap {
+  constructor(best) {
+    this.sign = best ? 1 : -1;
+    this.ids = [];
+    this.keys = [];
+  }
+
+  get size() {
+    return this.ids.length;
+  }
+
+  topScore() {
+    return this.sign * this.keys[0];
+  }
+
+  push(id, score) {
+    const key = this.sign * score;
+    let i = this.ids.length;
+    this.ids.push(id);
+    this.keys.push(key);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.keys[parent] >= key) break;
+      this.ids[i] = this.ids[parent];
+      this.keys[i] = this.keys[parent];
+      i = parent;
+    }
+    this.ids[i] = id;
+    this.keys[i] = key;
+  }
+
+  pop() {
+    const top = this.ids[0];
+    const lastId = this.ids.pop();
+    const lastKey = this.keys.pop();
+    const size = this.ids.length;
+    if (size > 0) {
+      let i = 0;
+      for (;;) {
+        let child = 2 * i + 1;
+        if (child >= size) break;
+        if (child + 1 < size && this.keys[child + 1] > this.keys[child]) child++;
+        if (this.keys[child] <= lastKey) break;
+        this.ids[i] = this.ids[child];
+        this.keys[i] = this.keys[child];
+        i = child;
+      }
+      this.ids[i] = lastId;
+      this.keys[i] = lastKey;
+    }
+    return top;
+  }
+
+  // Empties the heap: [{ id, score }], best first
+  drain() {
+    const out = [];
+    while (this.size > 0) {
+      const score = this.topScore();
+      out.push({ id: this.pop(), score });
+    }
+    return this.sign === 1 ? out : out.reverse();
+  }
+}
+
+// The k rows of a vector store most similar to a unit-length query: [{ id, score }], best first.
+// A bounded heap keeps the running top k, so each row costs one comparison at most.
+// from/to limit the scan to a range of rows (one search worker's share).
+export function exactSearch(store, query, k, { from = 0, to = store.count } = {}) {
+  const top = new Heap(false);
+  for (let row = from; row < to; row++) {
+    const score = dot(store.data, row, store.dimensions, query);
+    if (top.size < k) {
+      top.push(row, score);
+    } else if (score > top.topScore()) {
+      top.pop();
+      top.push(row, score);
+    }
+  }
+  return top.drain();
+}
+
+// Approximate nearest neighbours (Malkov & Yashunin). Nodes are added one at a time, so the
+// graph grows with the corpus instead of being rebuilt; each node remembers the key it was added
+// under (a chunk's cache key) so a later run can tell which vectors it already has.
+//   m:              links per node on upper levels, twice as many on level 0
+//   efConstruction: candidates considered when linking a new node (build time vs. graph quality)
+export class HnswIndex {
+  constructor({ dimensions, m = 16, efConstruction = 200, seed = 42 }) {
+    this.dimensions = dimensions;
+    this.m = m;
+    this.m0 = 2 * m;
+    this.efConstruction = efConstruction;
+    this.levelFactor = 1 / Math.log(m);
+    this.rng = seed >>> 0;
+    this.count = 0;
+    this.capacity = 0;
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.keys = [];
+    this.nodeOf = new Map();    // key -> node
+    this.upperUsed = 0;
+    this.upperLinks = shared(Int32Array, 0);
+    this.visited = null;        // Visit marks of the current search, one per node
+    this.visitEpoch = 0;
+    this.grow(1024);
+  }
+
+  // Storage for `capacity` nodes; the arrays are replaced, so snapshots taken before keep theirs
+  grow(capacity) {
+    const copy = (Type, old, length) => {
+      const next = shared(Type, length);
+      if (old) next.set(old.subarray(0, Math.min(old.length, length)));
+      return next;
+    };
+    this.vectors = copy(Float32Array, this.vectors, capacity * this.dimensions);
+    this.links0 = copy(Int32Array, this.links0, capacity * (this.m0 + 1));
+    this.upperOffsets = copy(Int32Array, this.upperOffsets, capacity);
+    this.capacity = capacity;
+  }
+
+  growUpper(length) {
+    if (length <= this.upperLinks.length) return;
+    const next = shared(Int32Array, Math.max(length, this.upperLinks.length * 2, 1024));
+    next.set(this.upperLinks.subarray(0, this.upperUsed));
+    this.upperLinks = next;
+  }
+
+  // Where a node's links on a level start: [count, id, id, ...] in linkArray(level)
+  linkArray(level) {
+    return level === 0 ? this.links0 : this.upperLinks;
+  }
+
+  linkOffset(node, level) {
+    return level === 0 ? node * (this.m0 + 1) : this.upperOffsets[node] + (level - 1) * (this.m + 1);
+  }
+
+  // Deterministic level draws (mulberry32), so the same inputs build the same graph
+  randomLevel() {
+    let t = (this.rng = (this.rng + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    const random = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    return Math.min(Math.floor(-Math.log(1 - random) * this.levelFactor), MAX_LEVEL);
+  }
+
+  similarity(node, query) {
+    return dot(this.vectors, node, this.dimensions, query);
+  }
+
+  nodeSimilarity(a, b) {
+    const { vectors, dimensions } = this;
+    let sum = 0;
+    for (let i = 0, offsetA = a * dimensions, offsetB = b * dimensions; i < dimensions; i++) {
+      sum += vectors[offsetA + i] * vectors[offsetB + i];
+    }
+    return sum;
+  }
+
+  startVisit() {
+    if (!this.visited || this.visited.length < this.count) this.visited = new Uint32Array(this.capacity);
+    if (++this.visitEpoch === 0xffffffff) {
+      this.visited.fill(0);
+      this.visitEpoch = 1;
+    }
+    return this.visitEpoch;
+  }
+
+  // Walk to the neighbour closest to the query until none is closer: [node, score]
+  greedy(query, node, score, level) {
+    const links = this.linkArray(level);
+    for (let changed = true; changed;) {
+      changed = false;
+      const offset = this.linkOffset(node, level);
+      const size = links[offset];
+      for (let i = 1; i <= size; i++) {
+        const next = links[offset + i];
+        if (next >= this.count) continue;
+        const nextScore = this.similarity(next, query);
+        if (nextScore > score) {
+          node = next;
+          score = nextScore;
+          changed = true;
+        }
+      }
+    }
+    return [node, score];
+  }
+
+  // Best-first search of one level from an entry node, keeping the ef best: [{ id, score }], best first
+  searchLevel(query, entry, entryScore, ef, level) {
+    const epoch = this.startVisit();
+    const links = this.linkArray(level);
+    const candidates = new Heap(true);
+    const results = new Heap(false);
+    this.visited[entry] = epoch;
+    candidates.push(entry, entryScore);
+    results.push(entry, entryScore);
+
+    while (candidates.size > 0) {
+      if (results.size >= ef && candidates.topScore() < results.topScore()) break;
+      const node = candidates.pop();
+      const offset = this.linkOffset(node, level);
+      const size = links[offset];
+      for (let i = 1; i <= size; i++) {
+        const next = links[offset + i];
+        // Nodes added after a snapshot was taken are not part of it
+        if (next >= this.count || this.visited[next] === epoch) continue;
+        this.visited[next] = epoch;
+        const score = this.similarity(next, query);
+        if (results.size < ef || score > results.topScore()) {
+          candidates.push(next, score);
+          results.push(next, score);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+    return results.drain();
+  }
+
+  // Keep up to m candidates (best first, scored against the base node) that are closer to the
+  // base than to any candidate already kept, so links spread out instead of forming one clump
+  selectNeighbors(candidates, m) {
+    if (candidates.length <= m) return candidates;
+    const selected = [];
+    for (const candidate of candidates) {
+      if (selected.length >= m) break;
+      if (selected.every(kept => this.nodeSimilarity(candidate.id, kept.id) < candidate.score)) {
+        selected.push(candidate);
+      }
+    }
+    return selected;
+  }
+
+  setLinks(node, level, ids) {
+    const links = this.linkArray(level);
+    const offset = this.linkOffset(node, level);
+    ids.forEach((id, i) => { links[offset + 1 + i] = id; });
+    links[offset] = ids.length;
+  }
+
+  // Link `target` back to a new node, re-selecting its neighbours when the list is full
+  connect(target, node, level) {
+    const links = this.linkArray(level);
+    const offset = this.linkOffset(target, level);
+    const size = links[offset];
+    const maxLinks = level === 0 ? this.m0 : this.m;
+    if (size < maxLinks) {
+      links[offset + 1 + size] = node;
+      links[offset] = size + 1;
+      return;
+    }
+    const candidates = [node, ...links.subarray(offset + 1, offset + 1 + size)]
+      .map(id => ({ id, score: this.nodeSimilarity(target, id) }))
+      .sort((a, b) => b.score - a.score);
+    this.setLinks(target, level, this.selectNeighbors(candidates, maxLinks).map(candidate => candidate.id));
+  }
+
+  has(key) {
+    return this.nodeOf.has(key);
+  }
+
+  // Add a vector under a key; a key already present keeps its node. Returns the node id.
+  add(key, vector) {
+    if (this.nodeOf.has(key)) return this.nodeOf.get(key);
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Expected a ${this.dimensions}-dimensional vector, got ${vector.length}`);
+    }
+    if (this.count === this.capacity) this.grow(this.capacity * 2);
+
+    const node = this.count;
+    const query = normalize(vector);
+    this.vectors.set(query, node * this.dimensions);
+    const level = this.randomLevel();
+    this.links0[node * (this.m0 + 1)] = 0;
+    if (level > 0) {
+      this.growUpper(this.upperUsed + level * (this.m + 1));
+      this.upperOffsets[node] = this.upperUsed;
+      for (let l = 0; l < level; l++) this.upperLinks[this.upperUsed + l * (this.m + 1)] = 0;
+      this.upperUsed += level * (this.m + 1);
+    } else {
+      this.upperOffsets[node] = -1;
+    }
+    this.keys.push(key);
+    this.nodeOf.set(key, node);
+    this.count++;
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return node;
+    }
+
+    let entry = this.entryPoint;
+    let entryScore = this.similarity(entry, query);
+    for (let l = this.maxLevel; l > level; l--) {
+      [entry, entryScore] = this.greedy(query, entry, entryScore, l);
+    }
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this.searchLevel(query, entry, entryScore, this.efConstruction, l).filter(result => result.id !== node);
+      const chosen = this.selectNeighbors(found, this.m);
+      this.setLinks(node, l, chosen.map(candidate => candidate.id));
+      chosen.forEach(candidate => this.connect(candidate.id, node, l));
+      if (found.length > 0) [entry, entryScore] = [found[0].id, found[0].score];
+    }
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+    return node;
+  }
+
+  // The k nodes most similar to a unit-length query: [{ id, score }], best first. accept(node)
+  // filters results (e.g. nodes of chunks no longer indexed); the search widens until k are found.
+  search(query, k, { ef = 64, accept = null } = {}) {
+    if (this.count === 0 || k <= 0) return [];
+    let entry = this.entryPoint;
+    let entryScore = this.similarity(entry, query);
+    for (let l = this.maxLevel; l > 0; l--) {
+      [entry, entryScore] = this.greedy(query, entry, entryScore, l);
+    }
+    for (let width = Math.max(ef, k); ; width *= 2) {
+      const found = this.searchLevel(query, entry, entryScore, width, 0);
+      const hits = accept ? found.filter(result => accept(result.id)) : found;
+      if (hits.length >= k || width >= this.count) return hits.slice(0, k);
+    }
+  }
+
+  // The graph as plain typed arrays, for search workers; `id` tells snapshots apart. Later
+  // additions are not visible through it.
+  snapshot() {
+    const { dimensions, m, m0, count, entryPoint, maxLevel, vectors, links0, upperOffsets, upperLinks } = this;
+    return { id: ++snapshotCount, dimensions, m, m0, count, entryPoint, maxLevel, vectors, links0, upperOffsets, upperLinks };
+  }
+
+  // A read-only index over a snapshot (in a worker); only search() is meant to be called on it
+  static fromSnapshot(snapshot) {
+    const index = Object.create(HnswIndex.prototype);
+    Object.assign(index, snapshot, { capacity: snapshot.count, visited: null, visitEpoch: 0 });
+    return index;
+  }
+
+  // Write to a temporary file first so a crash never leaves a truncated index behind.
+  // `model` is stored so an index built with other embeddings is never reused.
+  save(file, { model = null } = {}) {
+    const header = Buffer.from(JSON.stringify({
+      model,
+      dimensions: this.dimensions,
+      m: this.m,
+      efConstruction: this.efConstruction,
+      rng: this.rng,
+      count: this.count,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      upperUsed: this.upperUsed,
+      keys: this.keys
+    }), "utf8");
+
+    const prefix = Buffer.alloc(12);
+    prefix.write(MAGIC, 0, "latin1");
+    prefix.writeUInt32LE(VERSION, 4);
+    prefix.writeUInt32LE(header.length, 8);
+
+    const section = array => Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, Buffer.concat([
+      prefix,
+      header,
+      section(this.vectors.subarray(0, this.count * this.dimensions)),
+      section(this.links0.subarray(0, this.count * (this.m0 + 1))),
+      section(this.upperOffsets.subarray(0, this.count)),
+      section(this.upperLinks.subarray(0, this.upperUsed))
+    ]));
+    fs.renameSync(tmpFile, file);
+    return this.count;
+  }
+
+  // Returns { index, model }. Throws on files in another format.
+  static load(file) {
+    const buffer = fs.readFileSync(file);
+    if (buffer.length < 12 || buffer.toString("latin1", 0, 4) !== MAGIC || buffer.readUInt32LE(4) !== VERSION) {
+      throw new Error(`${file} is not a version ${VERSION} vector index`);
+    }
+    const headerLength = buffer.readUInt32LE(8);
+    const header = JSON.parse(buffer.toString("utf8", 12, 12 + headerLength));
+
+    const index = new HnswIndex({ dimensions: header.dimensions, m: header.m, efConstruction: header.efConstruction });
+    index.grow(Math.max(1024, header.count));
+    index.growUpper(header.upperUsed);
+
+    // Copy each section into the shared arrays (this also aligns them)
+    let offset = 12 + headerLength;
+    const read = (target, length) => {
+      const bytes = length * target.BYTES_PER_ELEMENT;
+      if (offset + bytes > buffer.length) throw new Error(`${file} is truncated`);
+      new Uint8Array(target.buffer, target.byteOffset, bytes).set(buffer.subarray(offset, offset + bytes));
+      offset += bytes;
+    };
+    read(index.vectors, header.count * header.dimensions);
+    read(index.links0, header.count * (index.m0 + 1));
+    read(index.upperOffsets, header.count);
+    read(index.upperLinks, header.upperUsed);
+
+    Object.assign(index, {
+      rng: header.rng,
+      count: header.count,
+      entryPoint: header.entryPoint,
+      maxLevel: header.maxLevel,
+      upperUsed: header.upperUsed,
+      keys: header.keys,
+      nodeOf: new Map(header.keys.map((key, node) => [key, node]))
+    });
+    return { index, model: header.model };
+  }
+}